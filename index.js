@@ -1,21 +1,96 @@
-import app from "./src/app.js";
+// O .env tem de ser carregado antes da app (a configuração em
+// `src/config/env.js` é lida quando o app.js é importado).
 import "dotenv/config";
-import { connectToDataBase } from "./src/config/database.js";
-import { application } from "express";
+import mongoose from "mongoose";
+
+import app from "./src/app.js";
+import { connectToDatabase } from "./src/config/database.js";
+import { ConfigError, config, validarConfiguracao } from "./src/config/env.js";
+import { ajustarRetencaoAuditoria } from "./src/services/auditService.js";
+import { marcarEncerramento } from "./src/services/healthService.js";
+import { iniciarAgendador } from "./src/services/schedulerService.js";
+import { logger } from "./src/utils/logger.js";
+
+/**
+ * Encerra o servidor sem cortar pedidos a meio:
+ * 1. o `/readyz` passa a 503 e o agendador para;
+ * 2. o servidor deixa de aceitar ligações e espera pelos pedidos em curso
+ *    (as ligações keep-alive paradas são fechadas logo);
+ * 3. fecha a ligação ao MongoDB.
+ *
+ * Se os pedidos não terminarem em `SHUTDOWN_TIMEOUT_SECONDS`, as ligações
+ * são cortadas e o processo sai com erro.
+ *
+ * @param {import("http").Server} server
+ * @param {() => void} pararAgendador
+ * @param {string} sinal Ex.: "SIGTERM".
+ */
+async function encerrar(server, pararAgendador, sinal) {
+    logger.info("A encerrar o servidor", { sinal });
+    marcarEncerramento();
+    pararAgendador();
+
+    const limite = setTimeout(() => {
+        logger.error("Pedidos por terminar no fim do tempo de encerramento", {
+            timeoutSeconds: config.shutdownTimeoutSeconds,
+        });
+        server.closeAllConnections();
+        process.exit(1);
+    }, config.shutdownTimeoutSeconds * 1000);
+    limite.unref();
 
-const PORT = process.env.PORT || 3000;
+    try {
+        await new Promise((resolve, reject) => {
+            server.close((error) => (error ? reject(error) : resolve()));
+        });
+        await mongoose.disconnect();
+        logger.info("Servidor encerrado");
+        process.exitCode = 0;
+    } catch (error) {
+        logger.error("Erro ao encerrar o servidor", { error });
+        process.exitCode = 1;
+    } finally {
+        clearTimeout(limite);
+    }
+}
 
 async function startServer() {
     try {
-        await connectToDataBase();
-        app.listen(PORT, () => {
-            console.log(`Servidor a correr na porta ${PORT}`);
+        // Todos os problemas do .env de uma vez, antes de ligar a nada.
+        validarConfiguracao();
+
+        await connectToDatabase();
+        // O índice TTL da auditoria segue AUDIT_RETENTION_DAYS
+        await ajustarRetencaoAuditoria();
+        // Publica as teorias agendadas quando chega a hora
+        const pararAgendador = iniciarAgendador();
+
+        const server = app.listen(config.port, () => {
+            logger.info(`Servidor a correr na porta ${config.port}`, {
+                port: config.port,
+                nodeEnv: config.nodeEnv,
+            });
         });
 
+        let aEncerrar = false;
+        for (const sinal of ["SIGTERM", "SIGINT"]) {
+            process.on(sinal, () => {
+                // Um segundo Ctrl+C não começa outro encerramento.
+                if (!aEncerrar) {
+                    aEncerrar = true;
+                    encerrar(server, pararAgendador, sinal);
+                }
+            });
+        }
     } catch (error) {
-        console.error("Erro Critico ao arrancar o servidor", error);
+        logger.error(
+            "Erro crítico ao arrancar o servidor",
+            error instanceof ConfigError
+                ? { problemas: error.problemas }
+                : { error }
+        );
         process.exit(1);
     }
 }
 
-startServer();
\ No newline at end of file
+startServer();
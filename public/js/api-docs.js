@@ -0,0 +1,27 @@
+/**
+ * public/js/api-docs.js
+ * ---------------------
+ * Arranca o Swagger UI na página /api/docs. O URL da especificação vem
+ * do atributo `data-url` do contentor e o token CSRF (para os pedidos
+ * "Try it out" que usam a sessão) do `data-csrf`.
+ */
+
+(function () {
+    var contentor = document.getElementById("swagger-ui");
+    if (!contentor || !window.SwaggerUIBundle) {
+        return;
+    }
+
+    window.SwaggerUIBundle({
+        url: contentor.dataset.url,
+        domNode: contentor,
+        deepLinking: true,
+        // Pedidos "Try it out" levam o cookie da sessão (mesmo domínio).
+        withCredentials: true,
+        // Sem token de API, a sessão só serve com o token CSRF.
+        requestInterceptor: function (pedido) {
+            pedido.headers["X-CSRF-Token"] = contentor.dataset.csrf;
+            return pedido;
+        },
+    });
+})();
@@ -0,0 +1,32 @@
+/**
+ * public/js/page-actions.js
+ * -------------------------
+ * Comportamento comum das páginas (carregado no `_footer.ejs`).
+ *
+ * A Content Security Policy não deixa correr JavaScript inline
+ * (`onsubmit=`, `onclick=`), por isso as vistas marcam os elementos com
+ * atributos `data-*` e este ficheiro trata deles:
+ * - `<form data-confirmar="Apagar?">` → pede confirmação antes de enviar.
+ * - `<button data-voltar>` → volta à página anterior.
+ */
+
+(function () {
+    document.addEventListener("submit", function (evento) {
+        var formulario = evento.target;
+        var mensagem =
+            formulario.getAttribute &&
+            formulario.getAttribute("data-confirmar");
+        if (mensagem && !window.confirm(mensagem)) {
+            evento.preventDefault();
+        }
+    });
+
+    document.addEventListener("click", function (evento) {
+        var botao =
+            evento.target.closest && evento.target.closest("[data-voltar]");
+        if (botao) {
+            evento.preventDefault();
+            window.history.back();
+        }
+    });
+})();
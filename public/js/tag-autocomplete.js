@@ -0,0 +1,78 @@
+/**
+ * public/js/tag-autocomplete.js
+ * -----------------------------
+ * Autocompletar do campo "Tags" do formulário de teorias.
+ *
+ * COMO FUNCIONA:
+ * - O campo tem `data-sugestoes` (URL das sugestões) e `list` (id de uma
+ *   `<datalist>`).
+ * - A cada tecla, pede as tags que começam pela última tag escrita (a que
+ *   vem depois da última vírgula) e preenche a `<datalist>`.
+ * - Cada opção já leva as tags anteriores, para o browser substituir o
+ *   campo inteiro quando se escolhe uma sugestão.
+ */
+
+(function () {
+    var campo = document.querySelector("input[data-sugestoes]");
+    var lista = campo && document.getElementById(campo.getAttribute("list"));
+    if (!campo || !lista || !window.fetch) {
+        return;
+    }
+
+    var espera = null;
+    var ultimoPedido = 0;
+
+    function preencher(anteriores, tags) {
+        var usadas = anteriores.map(function (tag) {
+            return tag.trim().toLowerCase();
+        });
+        var prefixo = anteriores.length ? anteriores.join(", ") + ", " : "";
+
+        lista.innerHTML = "";
+        tags.forEach(function (tag) {
+            if (usadas.indexOf(tag) !== -1) {
+                return;
+            }
+            var opcao = document.createElement("option");
+            opcao.value = prefixo + tag;
+            lista.appendChild(opcao);
+        });
+    }
+
+    function sugerir() {
+        var partes = campo.value.split(",");
+        var texto = partes.pop().trim();
+        var anteriores = partes
+            .map(function (tag) {
+                return tag.trim();
+            })
+            .filter(Boolean);
+
+        if (!texto) {
+            lista.innerHTML = "";
+            return;
+        }
+
+        // Respostas fora de ordem (pedido antigo mais lento) são ignoradas.
+        var pedido = ++ultimoPedido;
+        fetch(campo.dataset.sugestoes + "?q=" + encodeURIComponent(texto), {
+            headers: { Accept: "application/json" },
+        })
+            .then(function (resposta) {
+                return resposta.ok ? resposta.json() : { data: [] };
+            })
+            .then(function (corpo) {
+                if (pedido === ultimoPedido) {
+                    preencher(anteriores, corpo.data || []);
+                }
+            })
+            .catch(function () {
+                lista.innerHTML = "";
+            });
+    }
+
+    campo.addEventListener("input", function () {
+        clearTimeout(espera);
+        espera = setTimeout(sugerir, 150);
+    });
+})();
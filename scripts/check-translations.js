@@ -0,0 +1,231 @@
+/**
+ * scripts/check-translations.js
+ * -----------------------------
+ * Compara os catálogos de traduções (`src/locales/*.json`) e procura, no
+ * código, chaves que não existam.
+ *
+ * O QUE VERIFICA:
+ * - Chaves que existem num idioma e faltam noutro.
+ * - Textos que são plurais (`{ one, other }`) num idioma e não noutro.
+ * - Textos com `{valores}` diferentes entre idiomas (ex.: `{count}` só
+ *   num deles).
+ * - Chaves usadas em `src/` (`t("...")` nos serviços e controladores,
+ *   `t('...')` nas vistas, `"validacao...."` nos models) que não existem
+ *   no catálogo por omissão. Nas chaves montadas no momento
+ *   (`t('teorias.estados.' + estado)`) só se verifica o início.
+ *
+ * COMO USAR:
+ * - `npm run i18n:check`
+ * - Termina com código 1 se encontrar algum problema (para usar no CI).
+ */
+
+import fs from "fs";
+import path from "path";
+import { fileURLToPath } from "url";
+
+import { LOCALES, LOCALE_OMISSAO, lerCatalogo } from "../src/utils/i18n.js";
+
+const __filename = fileURLToPath(import.meta.url);
+const __dirname = path.dirname(__filename);
+
+const PASTA_SRC = path.join(__dirname, "..", "src");
+
+/**
+ * Formas de plural do `Intl.PluralRules`.
+ */
+const FORMAS_PLURAL = new Set(["zero", "one", "two", "few", "many", "other"]);
+
+/**
+ * Chaves usadas no código:
+ * - `t("a.b")`, `t('a.b', {...})`, `traduzir(locale, "a.b")`;
+ * - mensagens de validação dos models (`"validacao.teoria.x"`).
+ */
+const PADROES_CHAVE = [
+    /\bt\(\s*["']([\w.-]+)["']\s*[,)]/g,
+    /\btraduzir\([^,()]+,\s*["']([\w.-]+)["']\s*[,)]/g,
+    /["'](validacao\.[\w.-]+)["']/g,
+];
+
+/**
+ * Chaves montadas no momento: `t('a.b.' + x)` ou `` t(`a.b.${x}`) ``.
+ */
+const PADROES_PREFIXO = [
+    /\bt\(\s*["']([\w.-]+\.)["']\s*\+/g,
+    /\bt\(\s*`([\w.-]+\.)\$\{/g,
+];
+
+/**
+ * @param {unknown} valor
+ * @returns {boolean} Se o valor é um texto com formas de plural.
+ */
+function ePlural(valor) {
+    return (
+        valor !== null &&
+        typeof valor === "object" &&
+        Object.hasOwn(valor, "other") &&
+        Object.keys(valor).every((forma) => FORMAS_PLURAL.has(forma))
+    );
+}
+
+/**
+ * Achata um catálogo: { "a.b": "texto", "a.c": { one, other } }.
+ *
+ * @param {Record<string, any>} no
+ * @param {string} [prefixo]
+ * @param {Map<string, any>} [textos]
+ * @returns {Map<string, any>}
+ */
+function achatar(no, prefixo = "", textos = new Map()) {
+    for (const [chave, valor] of Object.entries(no)) {
+        const completa = prefixo + chave;
+        if (valor !== null && typeof valor === "object" && !ePlural(valor)) {
+            achatar(valor, `${completa}.`, textos);
+        } else {
+            textos.set(completa, valor);
+        }
+    }
+    return textos;
+}
+
+/**
+ * @param {string|Record<string, string>} texto
+ * @returns {string} Os `{valores}` do texto (de todas as formas do
+ *          plural), ordenados, para comparar entre idiomas.
+ */
+function valoresDoTexto(texto) {
+    const partes = typeof texto === "string" ? [texto] : Object.values(texto);
+    const nomes = new Set();
+    for (const parte of partes) {
+        for (const [, nome] of String(parte).matchAll(/\{(\w+)\}/g)) {
+            nomes.add(nome);
+        }
+    }
+    return [...nomes].sort().join(", ");
+}
+
+/**
+ * Ficheiros `.js` e `.ejs` de uma pasta (e subpastas).
+ *
+ * @param {string} pasta
+ * @returns {string[]}
+ */
+function listarFicheiros(pasta) {
+    return fs.readdirSync(pasta, { withFileTypes: true }).flatMap((entrada) => {
+        const caminho = path.join(pasta, entrada.name);
+        if (entrada.isDirectory()) {
+            return listarFicheiros(caminho);
+        }
+        return /\.(js|ejs)$/.test(entrada.name) ? [caminho] : [];
+    });
+}
+
+/**
+ * Compara os catálogos entre si.
+ *
+ * @param {Record<string, Map<string, any>>} catalogos Achatados, por idioma.
+ * @returns {string[]} Problemas encontrados.
+ */
+function compararCatalogos(catalogos) {
+    const problemas = [];
+    const todas = new Set(
+        Object.values(catalogos).flatMap((textos) => [...textos.keys()])
+    );
+    const base = catalogos[LOCALE_OMISSAO];
+
+    for (const chave of [...todas].sort()) {
+        for (const locale of LOCALES) {
+            const texto = catalogos[locale].get(chave);
+            if (texto === undefined) {
+                problemas.push(`[${locale}] falta a chave "${chave}"`);
+                continue;
+            }
+            if (locale === LOCALE_OMISSAO || !base.has(chave)) {
+                continue;
+            }
+
+            const original = base.get(chave);
+            if (ePlural(original) !== ePlural(texto)) {
+                problemas.push(
+                    `[${locale}] "${chave}" ${
+                        ePlural(original) ? "devia" : "não devia"
+                    } ter formas de plural`
+                );
+            } else if (valoresDoTexto(original) !== valoresDoTexto(texto)) {
+                problemas.push(
+                    `[${locale}] "${chave}" tem os valores {${valoresDoTexto(
+                        texto
+                    )}} em vez de {${valoresDoTexto(original)}}`
+                );
+            }
+        }
+    }
+
+    return problemas;
+}
+
+/**
+ * Procura, no código, chaves que não existem no catálogo por omissão.
+ *
+ * @param {Map<string, any>} base Catálogo por omissão, achatado.
+ * @returns {string[]} Problemas encontrados.
+ */
+function procurarChavesEmFalta(base) {
+    const problemas = [];
+    const chaves = [...base.keys()];
+
+    for (const ficheiro of listarFicheiros(PASTA_SRC)) {
+        const codigo = fs.readFileSync(ficheiro, "utf8");
+        const relativo = path.relative(path.join(PASTA_SRC, ".."), ficheiro);
+
+        for (const padrao of PADROES_CHAVE) {
+            for (const [, chave] of codigo.matchAll(padrao)) {
+                if (!base.has(chave)) {
+                    problemas.push(
+                        `${relativo}: a chave "${chave}" não existe`
+                    );
+                }
+            }
+        }
+        for (const padrao of PADROES_PREFIXO) {
+            for (const [, prefixo] of codigo.matchAll(padrao)) {
+                if (!chaves.some((chave) => chave.startsWith(prefixo))) {
+                    problemas.push(
+                        `${relativo}: não há chaves começadas por "${prefixo}"`
+                    );
+                }
+            }
+        }
+    }
+
+    return [...new Set(problemas)];
+}
+
+/**
+ * Função principal: mostra os problemas e define o código de saída.
+ */
+function runVerificacao() {
+    const catalogos = Object.fromEntries(
+        LOCALES.map((locale) => [locale, achatar(lerCatalogo(locale))])
+    );
+
+    const problemas = [
+        ...compararCatalogos(catalogos),
+        ...procurarChavesEmFalta(catalogos[LOCALE_OMISSAO]),
+    ];
+
+    if (problemas.length === 0) {
+        const total = catalogos[LOCALE_OMISSAO].size;
+        console.log(
+            `Traduções completas: ${total} chaves em ${LOCALES.join(", ")}.`
+        );
+        return;
+    }
+
+    for (const problema of problemas) {
+        console.error(problema);
+    }
+    console.error(`\nProblemas nas traduções: ${problemas.length}.`);
+    process.exitCode = 1;
+}
+
+runVerificacao();
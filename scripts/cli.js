@@ -0,0 +1,186 @@
+/**
+ * scripts/cli.js
+ * --------------
+ * Linha de comandos para gerir os dados do Conspira.
+ *
+ * COMO USAR:
+ * - `npm run cli -- help`
+ * - `npm run seed` (= `node scripts/cli.js seed`)
+ *
+ * Cada comando está em `scripts/commands/`; aqui só se leem e confirmam os
+ * argumentos (antes de ligar ao MongoDB), se abre e fecha a ligação e se
+ * mostram os erros.
+ */
+
+import "dotenv/config";
+import { parseArgs } from "util";
+
+import mongoose from "mongoose";
+
+import { connectToDatabase } from "../src/config/database.js";
+import { exportar, validarOpcoesExportacao } from "./commands/export.js";
+import { importar } from "./commands/import.js";
+import { escolherConjunto, seed } from "./commands/seed.js";
+import { FIXTURES } from "./fixtures/index.js";
+
+const AJUDA = `Uso: node scripts/cli.js <comando> [opções]
+
+Comandos:
+  seed      Cria ou atualiza os dados de um conjunto (não apaga nada).
+              --fixture <nome>  Conjunto a usar (por omissão: demo).
+              --count <n>       Número de teorias (conjuntos gerados).
+              --reset           Apaga antes as contas, as teorias e o que
+                                depende delas.
+  export    Exporta contas (sem passwords), teorias e comentários.
+              --format <f>      json (por omissão) ou ndjson.
+              --out <ficheiro>  Por omissão: conspira-export-<data>.<formato>.
+              --only <lista>    Só algumas coleções (ex.: users,theories).
+  import    Importa um ficheiro do export (JSON ou NDJSON).
+              <ficheiro>        Ficheiro a importar.
+              --dry-run         Só mostra o relatório; não grava nada.
+  help      Mostra esta ajuda.
+
+Conjuntos:
+${Object.entries(FIXTURES)
+    .map(([nome, f]) => `  ${nome.padEnd(12)}${f.descricao}`)
+    .join("\n")}
+`;
+
+/**
+ * Opções de cada comando (formato de `util.parseArgs`).
+ */
+const OPCOES = {
+    seed: {
+        fixture: { type: "string", default: "demo" },
+        count: { type: "string" },
+        reset: { type: "boolean", default: false },
+    },
+    export: {
+        format: { type: "string", default: "json" },
+        out: { type: "string" },
+        only: { type: "string" },
+    },
+    import: {
+        "dry-run": { type: "boolean", default: false },
+    },
+};
+
+/**
+ * Lê e confirma as opções de um comando, antes de abrir a ligação à base
+ * de dados (um erro de escrita não precisa do MongoDB para ser apanhado).
+ *
+ * @param {string} comando
+ * @param {{ values: object, positionals: string[] }} argumentos
+ * @returns {object} Opções para `correr`.
+ * @throws {Error} Opção inválida.
+ */
+function prepararOpcoes(comando, { values, positionals }) {
+    if (comando === "seed") {
+        const count =
+            values.count === undefined ? undefined : Number(values.count);
+        if (count !== undefined && !(Number.isInteger(count) && count > 0)) {
+            throw new Error("--count tem de ser um número inteiro positivo.");
+        }
+        escolherConjunto(values.fixture);
+        return { fixture: values.fixture, count, reset: values.reset };
+    }
+
+    if (comando === "export") {
+        const opcoes = {
+            ficheiro:
+                values.out ||
+                `conspira-export-${new Date().toISOString().slice(0, 10)}.${
+                    values.format
+                }`,
+            formato: values.format,
+            colecoes: values.only
+                ? values.only.split(",").map((nome) => nome.trim())
+                : undefined,
+        };
+        validarOpcoesExportacao(opcoes);
+        return opcoes;
+    }
+
+    const [ficheiro] = positionals;
+    if (!ficheiro) {
+        throw new Error("Indica o ficheiro a importar.");
+    }
+    return { ficheiro, dryRun: values["dry-run"] };
+}
+
+/**
+ * Corre um comando (já com a ligação à base de dados aberta).
+ *
+ * @param {string} comando
+ * @param {object} opcoes Resultado de `prepararOpcoes`.
+ * @returns {Promise<void>}
+ */
+async function correr(comando, opcoes) {
+    if (comando === "seed") {
+        await seed(opcoes);
+        return;
+    }
+
+    if (comando === "export") {
+        const totais = await exportar(opcoes);
+        console.log(
+            `Exportado para ${opcoes.ficheiro}: ${Object.entries(totais)
+                .map(([nome, total]) => `${total} ${nome}`)
+                .join(", ")}.`
+        );
+        return;
+    }
+
+    const { invalidos } = await importar(opcoes.ficheiro, {
+        dryRun: opcoes.dryRun,
+    });
+    if (invalidos > 0) {
+        process.exitCode = 1;
+    }
+}
+
+/**
+ * Função principal: lê os argumentos e corre o comando pedido.
+ *
+ * @returns {Promise<void>}
+ */
+async function main() {
+    const [comando = "help", ...resto] = process.argv.slice(2);
+
+    if (!Object.hasOwn(OPCOES, comando)) {
+        if (comando !== "help" && comando !== "--help") {
+            console.error(`Comando "${comando}" desconhecido.\n`);
+            process.exitCode = 1;
+        }
+        console.log(AJUDA);
+        return;
+    }
+
+    let opcoes;
+    try {
+        opcoes = prepararOpcoes(
+            comando,
+            parseArgs({
+                args: resto,
+                options: OPCOES[comando],
+                allowPositionals: comando === "import",
+            })
+        );
+    } catch (error) {
+        console.error(`${error.message}\n\n${AJUDA}`);
+        process.exitCode = 1;
+        return;
+    }
+
+    try {
+        await connectToDatabase();
+        await correr(comando, opcoes);
+    } catch (error) {
+        console.error(`Erro no comando ${comando}:`, error.message);
+        process.exitCode = 1;
+    } finally {
+        await mongoose.disconnect();
+    }
+}
+
+main();
@@ -0,0 +1,156 @@
+/**
+ * scripts/commands/export.js
+ * --------------------------
+ * Comando `export`: grava as contas, as teorias e os comentários num
+ * ficheiro JSON ou NDJSON (uma linha JSON por registo), que o comando
+ * `import` sabe ler.
+ *
+ * - As contas saem sem o hash da password.
+ * - Os registos saem como estão na base de dados (com `_id`, datas, ...),
+ *   para o `import` conseguir ligar os comentários às teorias e às contas.
+ * - Os documentos são lidos com um cursor e escritos um a um, por isso o
+ *   tamanho da base de dados não pesa na memória.
+ *
+ * FORMATOS:
+ * - json   → `{ format, version, exportedAt, users: [...], theories: [...],
+ *             comments: [...] }`
+ * - ndjson → uma primeira linha `{ format, version, exportedAt }` e depois
+ *            uma linha `{ type: "user"|"theory"|"comment", data }` por
+ *            registo.
+ */
+
+import fs from "fs";
+import { once } from "events";
+
+import Comment from "../../src/models/Comment.js";
+import Theory from "../../src/models/Theory.js";
+import User from "../../src/models/User.js";
+
+export const FORMATO_EXPORTACAO = "conspira-export";
+export const VERSAO_EXPORTACAO = 1;
+
+/**
+ * O que pode ser exportado: nome no ficheiro → `type` das linhas NDJSON,
+ * model e campos a deixar de fora.
+ */
+export const COLECOES_EXPORTACAO = {
+    users: { tipo: "user", Model: User, excluir: "-passwordHash" },
+    theories: { tipo: "theory", Model: Theory, excluir: "" },
+    comments: { tipo: "comment", Model: Comment, excluir: "" },
+};
+
+/**
+ * Escreve num stream, esperando quando o buffer estiver cheio.
+ *
+ * @param {import("stream").Writable} saida
+ * @param {string} texto
+ * @returns {Promise<void>}
+ */
+async function escrever(saida, texto) {
+    if (!saida.write(texto)) {
+        await once(saida, "drain");
+    }
+}
+
+/**
+ * Confirma as opções do export antes de se tocar na base de dados (a CLI
+ * chama-a antes de abrir a ligação).
+ *
+ * @param {{ formato?: string, colecoes?: string[] }} opcoes
+ * @returns {void}
+ * @throws {Error} Formato ou coleção desconhecidos.
+ */
+export function validarOpcoesExportacao({
+    formato = "json",
+    colecoes = Object.keys(COLECOES_EXPORTACAO),
+}) {
+    if (!["json", "ndjson"].includes(formato)) {
+        throw new Error(`Formato "${formato}" desconhecido (json ou ndjson).`);
+    }
+    const desconhecidas = colecoes.filter(
+        (nome) => !Object.hasOwn(COLECOES_EXPORTACAO, nome)
+    );
+    if (desconhecidas.length > 0) {
+        throw new Error(
+            `Coleção desconhecida: ${desconhecidas.join(
+                ", "
+            )}. Existem: ${Object.keys(COLECOES_EXPORTACAO).join(", ")}.`
+        );
+    }
+}
+
+/**
+ * Exporta os dados para um ficheiro.
+ *
+ * @param {{ ficheiro: string, formato?: "json"|"ndjson",
+ *           colecoes?: string[] }} opcoes `colecoes` → nomes de
+ *        `COLECOES_EXPORTACAO` (todas por omissão).
+ * @returns {Promise<Record<string, number>>} Registos exportados de cada
+ *          coleção.
+ * @throws {Error} Formato ou coleção desconhecidos.
+ */
+export async function exportar({
+    ficheiro,
+    formato = "json",
+    colecoes = Object.keys(COLECOES_EXPORTACAO),
+}) {
+    validarOpcoesExportacao({ formato, colecoes });
+
+    const cabecalho = {
+        format: FORMATO_EXPORTACAO,
+        version: VERSAO_EXPORTACAO,
+        exportedAt: new Date().toISOString(),
+    };
+    const saida = fs.createWriteStream(ficheiro);
+    const totais = {};
+
+    try {
+        if (formato === "ndjson") {
+            await escrever(saida, `${JSON.stringify(cabecalho)}\n`);
+        } else {
+            await escrever(saida, JSON.stringify(cabecalho).slice(0, -1));
+        }
+
+        for (const nome of colecoes) {
+            const { tipo, Model, excluir } = COLECOES_EXPORTACAO[nome];
+            totais[nome] = 0;
+
+            if (formato === "json") {
+                await escrever(saida, `,\n"${nome}":[`);
+            }
+
+            const cursor = Model.find()
+                .select(excluir)
+                .sort({ _id: 1 })
+                .lean()
+                .cursor();
+            for await (const doc of cursor) {
+                if (formato === "ndjson") {
+                    await escrever(
+                        saida,
+                        `${JSON.stringify({ type: tipo, data: doc })}\n`
+                    );
+                } else {
+                    await escrever(
+                        saida,
+                        `${totais[nome] > 0 ? "," : ""}\n${JSON.stringify(doc)}`
+                    );
+                }
+                totais[nome] += 1;
+            }
+
+            if (formato === "json") {
+                await escrever(saida, "\n]");
+            }
+        }
+
+        if (formato === "json") {
+            await escrever(saida, "}\n");
+        }
+    } finally {
+        saida.end();
+        await once(saida, "close");
+    }
+
+    return totais;
+}
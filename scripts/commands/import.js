@@ -0,0 +1,607 @@
+/**
+ * scripts/commands/import.js
+ * --------------------------
+ * Comando `import`: lê um ficheiro do comando `export` (JSON ou NDJSON) e
+ * grava as contas, as teorias e os comentários que traz.
+ *
+ * COMO FUNCIONA:
+ * 1. Lê o ficheiro todo e valida cada registo com os schemas dos models.
+ * 2. Decide o que fazer a cada um, sem gravar nada:
+ *    - contas → pelo email;
+ *    - teorias → pelo slug;
+ *    - comentários → pelo `_id`.
+ *    O que já existe é atualizado (só se mudar alguma coisa) e o que falta
+ *    é criado.
+ * 3. Mostra o relatório (a criar, a atualizar, iguais e inválidos, com os
+ *    erros de cada registo inválido).
+ * 4. Só grava se não for `--dry-run` e se nenhum registo for inválido:
+ *    um ficheiro com erros não é importado pela metade.
+ *
+ * REFERÊNCIAS:
+ * - Os ids do ficheiro (autor de uma teoria, teoria e autor de um
+ *   comentário, ...) são traduzidos para os registos correspondentes
+ *   nesta base de dados: os do próprio ficheiro ou, se não vierem nele,
+ *   os que já cá existem com esse `_id`.
+ * - Os registos novos ficam com o `_id` do ficheiro, se estiver livre.
+ *
+ * O QUE NÃO É IMPORTADO:
+ * - Passwords: o export não as tem. As contas novas ficam com uma password
+ *   aleatória (entram com "Esqueci-me da password") e as que já existem
+ *   mantêm a sua.
+ * - Contadores (`commentCount`, `favoriteCount`, reações): são calculados
+ *   aqui a partir do que fica na base de dados.
+ */
+
+import crypto from "crypto";
+import fs from "fs/promises";
+import path from "path";
+
+import mongoose from "mongoose";
+
+import Comment from "../../src/models/Comment.js";
+import Theory from "../../src/models/Theory.js";
+import User from "../../src/models/User.js";
+import { gerarPasswordHash } from "../../src/services/authService.js";
+import {
+    garantirRevisaoInicial,
+    registarRevisao,
+} from "../../src/services/revisionService.js";
+import { sincronizarTags } from "../../src/services/tagService.js";
+import { gerarSlug } from "../../src/utils/slug.js";
+import { mensagensDeValidacao } from "../../src/utils/validation.js";
+import { FORMATO_EXPORTACAO, VERSAO_EXPORTACAO } from "./export.js";
+
+/**
+ * Campos importados de cada tipo de registo (os ids são tratados à parte).
+ */
+const CAMPOS_UTILIZADOR = [
+    "displayName",
+    "role",
+    "emailVerifiedAt",
+    "deactivatedAt",
+];
+const CAMPOS_TEORIA = [
+    "title",
+    "summary",
+    "content",
+    "complexityLevel",
+    "tags",
+    "status",
+    "publishAt",
+    "publishedAt",
+    "commentsLocked",
+];
+const CAMPOS_COMENTARIO = ["text", "status", "moderatedAt", "removedAt"];
+
+/**
+ * Tipo das linhas NDJSON → chave no ficheiro JSON.
+ */
+const COLECAO_DO_TIPO = {
+    user: "users",
+    theory: "theories",
+    comment: "comments",
+};
+
+/**
+ * Lê um ficheiro do export. NDJSON se a extensão for `.ndjson` ou
+ * `.jsonl`; JSON nos outros casos.
+ *
+ * @param {string} ficheiro Caminho do ficheiro.
+ * @returns {Promise<{ users: object[], theories: object[],
+ *                     comments: object[] }>}
+ * @throws {Error} Ficheiro que não é JSON válido ou não vem do export.
+ */
+async function lerFicheiro(ficheiro) {
+    const texto = (await fs.readFile(ficheiro, "utf8")).replace(/^\uFEFF/, "");
+    const dados = { users: [], theories: [], comments: [] };
+    let cabecalho;
+
+    if ([".ndjson", ".jsonl"].includes(path.extname(ficheiro).toLowerCase())) {
+        const linhas = texto.split("\n");
+        for (const [i, linha] of linhas.entries()) {
+            if (!linha.trim()) {
+                continue;
+            }
+
+            let valor;
+            try {
+                valor = JSON.parse(linha);
+            } catch (error) {
+                throw new Error(
+                    `Linha ${i + 1} não é JSON válido: ${error.message}`
+                );
+            }
+
+            if (cabecalho === undefined) {
+                cabecalho = valor;
+            } else if (!Object.hasOwn(COLECAO_DO_TIPO, valor?.type)) {
+                throw new Error(
+                    `Linha ${i + 1}: tipo "${valor?.type}" desconhecido.`
+                );
+            } else {
+                dados[COLECAO_DO_TIPO[valor.type]].push(valor.data);
+            }
+        }
+    } else {
+        try {
+            cabecalho = JSON.parse(texto);
+        } catch (error) {
+            throw new Error(`O ficheiro não é JSON válido: ${error.message}`);
+        }
+        for (const nome of Object.keys(dados)) {
+            if (cabecalho?.[nome] !== undefined) {
+                if (!Array.isArray(cabecalho[nome])) {
+                    throw new Error(`"${nome}" tem de ser uma lista.`);
+                }
+                dados[nome] = cabecalho[nome];
+            }
+        }
+    }
+
+    if (cabecalho?.format !== FORMATO_EXPORTACAO) {
+        throw new Error(
+            `O ficheiro não foi criado pelo export (falta "format": "${FORMATO_EXPORTACAO}").`
+        );
+    }
+    if (cabecalho.version !== VERSAO_EXPORTACAO) {
+        throw new Error(
+            `Versão ${cabecalho.version} do export não suportada (esperada: ${VERSAO_EXPORTACAO}).`
+        );
+    }
+
+    return dados;
+}
+
+/**
+ * Copia de `registo` os campos da lista que lá existem.
+ *
+ * @param {object} registo
+ * @param {string[]} campos
+ * @returns {object}
+ */
+function escolherCampos(registo, campos) {
+    return Object.fromEntries(
+        campos
+            .filter((campo) => Object.hasOwn(registo, campo))
+            .map((campo) => [campo, registo[campo]])
+    );
+}
+
+/**
+ * `_id` do ficheiro como texto (ou `null` se não for um ObjectId).
+ *
+ * @param {unknown} id
+ * @returns {string|null}
+ */
+function idDoFicheiro(id) {
+    return mongoose.isValidObjectId(id) ? String(id) : null;
+}
+
+/**
+ * Dos ids dados, os que existem na coleção do model.
+ *
+ * @param {import("mongoose").Model} Model
+ * @param {Iterable<string>} ids
+ * @returns {Promise<Set<string>>}
+ */
+async function idsExistentes(Model, ids) {
+    const validos = [...new Set(ids)].filter((id) =>
+        mongoose.isValidObjectId(id)
+    );
+    if (validos.length === 0) {
+        return new Set();
+    }
+
+    const docs = await Model.find({ _id: { $in: validos } })
+        .select("_id")
+        .lean();
+    return new Set(docs.map((d) => String(d._id)));
+}
+
+/**
+ * Cria um relatório vazio para uma coleção.
+ *
+ * @returns {{ criar: object[], atualizar: object[], iguais: number,
+ *             invalidos: number }}
+ */
+function novoPlano() {
+    return { criar: [], atualizar: [], iguais: 0, invalidos: 0 };
+}
+
+/**
+ * Mensagens de erro de validação de um documento (ou `[]`).
+ *
+ * @param {import("mongoose").Document} doc
+ * @returns {string[]}
+ */
+function errosDeValidacao(doc) {
+    const erro = doc.validateSync();
+    return erro ? mensagensDeValidacao(erro) : [];
+}
+
+/**
+ * Decide o que fazer a cada registo, sem gravar nada.
+ *
+ * @param {Awaited<ReturnType<typeof lerFicheiro>>} dados
+ * @returns {Promise<{ users: ReturnType<typeof novoPlano>,
+ *                     theories: ReturnType<typeof novoPlano>,
+ *                     comments: ReturnType<typeof novoPlano>,
+ *                     erros: Array<{ colecao: string, registo: string,
+ *                                    mensagens: string[] }> }>}
+ *          `criar` → documentos novos; `atualizar` → documentos já com as
+ *          alterações.
+ */
+async function planear(dados) {
+    const plano = {
+        users: novoPlano(),
+        theories: novoPlano(),
+        comments: novoPlano(),
+        erros: [],
+    };
+    const invalido = (colecao, registo, mensagens) => {
+        plano[colecao].invalidos += 1;
+        plano.erros.push({ colecao, registo, mensagens });
+    };
+
+    // Ids do ficheiro → ids nesta base de dados.
+    const idUtilizador = new Map();
+    const idTeoria = new Map();
+
+    // --- Contas ------------------------------------------------------------
+    const emails = dados.users.map((u) =>
+        typeof u?.email === "string" ? u.email.trim().toLowerCase() : ""
+    );
+    const contas = new Map(
+        (await User.find({ email: { $in: emails.filter(Boolean) } })).map(
+            (u) => [u.email, u]
+        )
+    );
+    const idsUtilizadorOcupados = await idsExistentes(
+        User,
+        dados.users.map((u) => idDoFicheiro(u?._id)).filter(Boolean)
+    );
+    const emailsVistos = new Set();
+
+    dados.users.forEach((registo, i) => {
+        const email = emails[i];
+        const nome = email || `#${i + 1}`;
+        if (emailsVistos.has(email) && email) {
+            invalido("users", nome, ["Email repetido no ficheiro."]);
+            return;
+        }
+        emailsVistos.add(email);
+
+        const campos = escolherCampos(registo || {}, CAMPOS_UTILIZADOR);
+        const idOriginal = idDoFicheiro(registo?._id);
+        let user = contas.get(email);
+
+        if (user) {
+            user.set(campos);
+        } else {
+            user = new User({
+                ...campos,
+                email,
+                // Placeholder, para a validação; o hash verdadeiro é gerado
+                // só na gravação (ver `gravar`).
+                passwordHash: "-",
+                createdAt: registo?.createdAt,
+            });
+            if (idOriginal && !idsUtilizadorOcupados.has(idOriginal)) {
+                user._id = idOriginal;
+            }
+        }
+
+        const mensagens = errosDeValidacao(user);
+        if (mensagens.length > 0) {
+            invalido("users", nome, mensagens);
+            return;
+        }
+
+        if (idOriginal) {
+            idUtilizador.set(idOriginal, String(user._id));
+        }
+        if (user.isNew) {
+            plano.users.criar.push(user);
+        } else if (user.isModified()) {
+            plano.users.atualizar.push(user);
+        } else {
+            plano.users.iguais += 1;
+        }
+    });
+
+    // Referências a contas que não vêm no ficheiro.
+    const referidos = [
+        ...dados.theories.map((t) => t?.author),
+        ...dados.theories.map((t) => t?.review?.by),
+        ...dados.comments.map((c) => c?.author),
+        ...dados.comments.map((c) => c?.moderatedBy),
+    ]
+        .map(idDoFicheiro)
+        .filter((id) => id && !idUtilizador.has(id));
+    (await idsExistentes(User, referidos)).forEach((id) =>
+        idUtilizador.set(id, id)
+    );
+
+    // --- Teorias -----------------------------------------------------------
+    const slugs = dados.theories.map((t) =>
+        typeof t?.slug === "string" && t.slug
+            ? t.slug
+            : gerarSlug(typeof t?.title === "string" ? t.title : "")
+    );
+    const teorias = new Map(
+        (await Theory.find({ slug: { $in: slugs.filter(Boolean) } })).map(
+            (t) => [t.slug, t]
+        )
+    );
+    const idsTeoriaOcupados = await idsExistentes(
+        Theory,
+        dados.theories.map((t) => idDoFicheiro(t?._id)).filter(Boolean)
+    );
+    const slugsVistos = new Set();
+
+    dados.theories.forEach((registo, i) => {
+        const slug = slugs[i];
+        const nome = slug || `#${i + 1}`;
+        if (slugsVistos.has(slug) && slug) {
+            invalido("theories", nome, ["Slug repetido no ficheiro."]);
+            return;
+        }
+        slugsVistos.add(slug);
+
+        const campos = escolherCampos(registo || {}, CAMPOS_TEORIA);
+        const idOriginal = idDoFicheiro(registo?._id);
+        let theory = teorias.get(slug);
+
+        if (theory) {
+            theory.$locals.original = theory.toObject();
+            theory.set(campos);
+        } else {
+            const autor = idUtilizador.get(idDoFicheiro(registo?.author));
+            theory = new Theory({
+                ...campos,
+                slug,
+                author: autor || null,
+                authorName: registo?.authorName || "",
+                review: {
+                    ...(registo?.review || {}),
+                    by: idUtilizador.get(idDoFicheiro(registo?.review?.by)),
+                },
+                createdAt: registo?.createdAt,
+            });
+            if (idOriginal && !idsTeoriaOcupados.has(idOriginal)) {
+                theory._id = idOriginal;
+            }
+        }
+
+        const mensagens = errosDeValidacao(theory);
+        if (mensagens.length > 0) {
+            invalido("theories", nome, mensagens);
+            return;
+        }
+
+        if (idOriginal) {
+            idTeoria.set(idOriginal, String(theory._id));
+        }
+        if (theory.isNew) {
+            plano.theories.criar.push(theory);
+        } else if (theory.isModified()) {
+            plano.theories.atualizar.push(theory);
+        } else {
+            plano.theories.iguais += 1;
+        }
+    });
+
+    (
+        await idsExistentes(
+            Theory,
+            dados.comments
+                .map((c) => idDoFicheiro(c?.theory))
+                .filter((id) => id && !idTeoria.has(id))
+        )
+    ).forEach((id) => idTeoria.set(id, id));
+
+    // --- Comentários -------------------------------------------------------
+    // Os comentários mantêm o `_id`, por isso as respostas podem apontar
+    // para comentários do ficheiro ou para os que já cá estão.
+    const idsComentarios = dados.comments
+        .map((c) => idDoFicheiro(c?._id))
+        .filter(Boolean);
+    const comentarios = new Map(
+        (await Comment.find({ _id: { $in: idsComentarios } })).map((c) => [
+            String(c._id),
+            c,
+        ])
+    );
+    const comentariosConhecidos = new Set([
+        ...idsComentarios,
+        ...(await idsExistentes(
+            Comment,
+            dados.comments.flatMap((c) =>
+                [c?.parent, ...(c?.ancestors || [])]
+                    .map(idDoFicheiro)
+                    .filter(Boolean)
+            )
+        )),
+    ]);
+    const idsVistos = new Set();
+
+    dados.comments.forEach((registo, i) => {
+        const id = idDoFicheiro(registo?._id);
+        const nome = id || `#${i + 1}`;
+        if (!id) {
+            invalido("comments", nome, ["Falta o _id do comentário."]);
+            return;
+        }
+        if (idsVistos.has(id)) {
+            invalido("comments", nome, ["_id repetido no ficheiro."]);
+            return;
+        }
+        idsVistos.add(id);
+
+        const campos = escolherCampos(registo, CAMPOS_COMENTARIO);
+        const moderador = idUtilizador.get(idDoFicheiro(registo.moderatedBy));
+        let comment = comentarios.get(id);
+
+        if (comment) {
+            comment.set({ ...campos, moderatedBy: moderador || null });
+        } else {
+            const mensagens = [];
+            const theory = idTeoria.get(idDoFicheiro(registo.theory));
+            const author = idUtilizador.get(idDoFicheiro(registo.author));
+            const antepassados = [
+                ...(registo.ancestors || []),
+                ...(registo.parent ? [registo.parent] : []),
+            ].map(idDoFicheiro);
+
+            if (!theory) {
+                mensagens.push(`Teoria ${registo.theory} desconhecida.`);
+            }
+            if (!author) {
+                mensagens.push(`Autor ${registo.author} desconhecido.`);
+            }
+            if (antepassados.some((a) => !comentariosConhecidos.has(a))) {
+                mensagens.push("Responde a um comentário desconhecido.");
+            }
+            if (mensagens.length > 0) {
+                invalido("comments", nome, mensagens);
+                return;
+            }
+
+            comment = new Comment({
+                ...campos,
+                _id: id,
+                theory,
+                author,
+                authorName: registo.authorName,
+                parent: registo.parent || null,
+                ancestors: registo.ancestors || [],
+                depth: registo.depth,
+                moderatedBy: moderador || null,
+                createdAt: registo.createdAt,
+            });
+        }
+
+        const mensagens = errosDeValidacao(comment);
+        if (mensagens.length > 0) {
+            invalido("comments", nome, mensagens);
+            return;
+        }
+
+        if (comment.isNew) {
+            plano.comments.criar.push(comment);
+        } else if (comment.isModified()) {
+            plano.comments.atualizar.push(comment);
+        } else {
+            plano.comments.iguais += 1;
+        }
+    });
+
+    return plano;
+}
+
+/**
+ * Grava o plano.
+ *
+ * @param {Awaited<ReturnType<typeof planear>>} plano
+ * @returns {Promise<void>}
+ */
+async function gravar(plano) {
+    for (const user of plano.users.criar) {
+        user.passwordHash = await gerarPasswordHash(
+            crypto.randomBytes(32).toString("hex")
+        );
+    }
+    await User.insertMany(plano.users.criar);
+    for (const user of plano.users.atualizar) {
+        await user.save();
+    }
+
+    await Theory.insertMany(plano.theories.criar);
+    for (const theory of plano.theories.criar) {
+        await registarRevisao(theory, null, "import");
+    }
+    for (const theory of plano.theories.atualizar) {
+        await garantirRevisaoInicial(theory.$locals.original);
+        await theory.save();
+        await registarRevisao(theory, null, "import");
+    }
+
+    await Comment.insertMany(plano.comments.criar);
+    for (const comment of plano.comments.atualizar) {
+        await comment.save();
+    }
+
+    // Contagem de comentários aprovados das teorias com comentários novos
+    // ou alterados.
+    const tocadas = new Set(
+        [...plano.comments.criar, ...plano.comments.atualizar].map((c) =>
+            String(c.theory)
+        )
+    );
+    for (const theoryId of tocadas) {
+        await Theory.updateOne(
+            { _id: theoryId },
+            {
+                $set: {
+                    commentCount: await Comment.countDocuments({
+                        theory: theoryId,
+                        status: "approved",
+                        removedAt: null,
+                    }),
+                },
+            },
+            { timestamps: false }
+        );
+    }
+
+    await sincronizarTags();
+}
+
+/**
+ * Importa um ficheiro do export.
+ *
+ * @param {string} ficheiro Caminho do ficheiro (`.json`, `.ndjson` ou
+ *        `.jsonl`).
+ * @param {{ dryRun?: boolean }} [opcoes] `dryRun` → só mostra o relatório.
+ * @returns {Promise<{ gravado: boolean, invalidos: number }>} `gravado` é
+ *          `false` em dry-run ou se houver registos inválidos.
+ * @throws {Error} Ficheiro ilegível ou que não vem do export.
+ */
+export async function importar(ficheiro, { dryRun = false } = {}) {
+    const dados = await lerFicheiro(ficheiro);
+    const plano = await planear(dados);
+
+    console.log(`Relatório de ${ficheiro}${dryRun ? " (dry-run)" : ""}:`);
+    for (const [nome, rotulo] of [
+        ["users", "Contas"],
+        ["theories", "Teorias"],
+        ["comments", "Comentários"],
+    ]) {
+        const p = plano[nome];
+        console.log(
+            `  ${rotulo}: ${p.criar.length} a criar, ${p.atualizar.length} a atualizar, ${p.iguais} iguais, ${p.invalidos} inválidos`
+        );
+    }
+
+    const invalidos = plano.erros.length;
+    if (invalidos > 0) {
+        console.log(`\n${invalidos} registos inválidos:`);
+        plano.erros.forEach((e) => {
+            console.log(
+                ` - ${e.colecao} ${e.registo}: ${e.mensagens.join(" ")}`
+            );
+        });
+        console.log(
+            "\nNada foi gravado. Corrige o ficheiro e tenta outra vez."
+        );
+        return { gravado: false, invalidos };
+    }
+    if (dryRun) {
+        console.log("\nDry-run: nada foi gravado.");
+        return { gravado: false, invalidos };
+    }
+
+    await gravar(plano);
+    console.log("\nImportação concluída.");
+    return { gravado: true, invalidos };
+}
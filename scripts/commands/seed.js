@@ -0,0 +1,390 @@
+/**
+ * scripts/commands/seed.js
+ * ------------------------
+ * Comando `seed`: cria (ou atualiza) os dados de um conjunto de
+ * `scripts/fixtures/`.
+ *
+ * SEM APAGAR NADA:
+ * - As contas são identificadas pelo email e as teorias pelo slug (atual ou
+ *   antigo, se o título foi editado entretanto). O que já existe é
+ *   atualizado com os valores do conjunto (nome e role das contas;
+ *   título, resumo, conteúdo, nível e tags das teorias) e o que falta é
+ *   criado. Correr o seed duas vezes dá o mesmo resultado que uma.
+ * - As passwords de contas que já existem não mudam.
+ * - Os comentários do conjunto só são criados se a teoria ainda não tiver
+ *   um comentário igual (mesmo autor e texto).
+ * - Tudo o resto da base de dados (outras contas, teorias, comentários,
+ *   favoritos, ...) fica como estava.
+ *
+ * `--reset` é a exceção, e tem de ser pedido: apaga antes as contas, as
+ * teorias e tudo o que depende delas (ver `COLECOES_RESET`). O log de
+ * auditoria nunca é apagado.
+ */
+
+import crypto from "crypto";
+
+import bcrypt from "bcrypt";
+
+import ApiToken from "../../src/models/ApiToken.js";
+import AuthToken from "../../src/models/AuthToken.js";
+import Comment from "../../src/models/Comment.js";
+import Favorite from "../../src/models/Favorite.js";
+import Reaction from "../../src/models/Reaction.js";
+import ReadingList from "../../src/models/ReadingList.js";
+import Tag from "../../src/models/Tag.js";
+import Theory from "../../src/models/Theory.js";
+import TheoryRevision from "../../src/models/TheoryRevision.js";
+import User from "../../src/models/User.js";
+import {
+    garantirRevisaoInicial,
+    registarRevisao,
+} from "../../src/services/revisionService.js";
+import { sincronizarTags } from "../../src/services/tagService.js";
+import { gerarSlug } from "../../src/utils/slug.js";
+import { FIXTURES } from "../fixtures/index.js";
+
+/**
+ * Coleções apagadas com `--reset`.
+ */
+export const COLECOES_RESET = [
+    User,
+    ApiToken,
+    AuthToken,
+    Theory,
+    Comment,
+    Reaction,
+    TheoryRevision,
+    Tag,
+    Favorite,
+    ReadingList,
+];
+
+/**
+ * Teorias gravadas de cada vez (o conjunto "performance" pode ter milhares).
+ */
+const TAMANHO_LOTE = 200;
+
+/**
+ * Campos das teorias que o seed atualiza nas que já existem.
+ */
+const CAMPOS_TEORIA = [
+    "title",
+    "summary",
+    "content",
+    "complexityLevel",
+    "tags",
+];
+
+/**
+ * Apaga as coleções de `COLECOES_RESET`.
+ *
+ * @returns {Promise<void>}
+ */
+async function apagarTudo() {
+    for (const Model of COLECOES_RESET) {
+        const { deletedCount } = await Model.deleteMany({});
+        console.log(`  ${Model.collection.name}: ${deletedCount} apagados`);
+    }
+}
+
+/**
+ * Cria ou atualiza as contas do conjunto, mais as contas de comentador
+ * para os autores de comentários que não são nenhuma delas.
+ *
+ * @param {import("../fixtures/index.js").Fixture} dados
+ * @returns {Promise<{ porNome: Map<string, object>, criados: number,
+ *                     atualizados: number }>} `porNome`: `displayName` →
+ *          conta (lean).
+ */
+async function gravarUtilizadores(dados) {
+    const nomes = new Set(dados.users.map((u) => u.displayName));
+    const comentadores = [
+        ...new Set(
+            dados.theories.flatMap((t) =>
+                (t.comments || []).map((c) => c.authorName)
+            )
+        ),
+    ]
+        .filter((nome) => !nomes.has(nome))
+        .map((nome) => ({
+            email: `${gerarSlug(nome)}@comentadores.conspira.local`,
+            displayName: nome,
+            role: "user",
+        }));
+    const todos = [...dados.users, ...comentadores];
+
+    const existentes = new Map(
+        (
+            await User.find({ email: { $in: todos.map((u) => u.email) } })
+                .select("-passwordHash")
+                .lean()
+        ).map((u) => [u.email, u])
+    );
+
+    // Um hash por password diferente (o bcrypt é lento de propósito).
+    const hashes = new Map();
+    const hashDe = async (password) => {
+        if (!hashes.has(password)) {
+            hashes.set(password, await bcrypt.hash(password, 10));
+        }
+        return hashes.get(password);
+    };
+
+    const novos = [];
+    let atualizados = 0;
+    for (const u of todos) {
+        const role = u.role || "user";
+        const existente = existentes.get(u.email);
+
+        if (!existente) {
+            novos.push({
+                email: u.email,
+                displayName: u.displayName,
+                role,
+                passwordHash: await hashDe(
+                    u.password || crypto.randomBytes(24).toString("hex")
+                ),
+                // Contas de teste já com o email confirmado.
+                emailVerifiedAt: new Date(),
+            });
+        } else if (
+            existente.displayName !== u.displayName ||
+            existente.role !== role
+        ) {
+            await User.updateOne(
+                { _id: existente._id },
+                { $set: { displayName: u.displayName, role } },
+                { runValidators: true }
+            );
+            atualizados += 1;
+        }
+    }
+    await User.insertMany(novos);
+
+    const contas = await User.find({
+        email: { $in: todos.map((u) => u.email) },
+    })
+        .select("-passwordHash")
+        .lean();
+
+    return {
+        porNome: new Map(contas.map((u) => [u.displayName, u])),
+        criados: novos.length,
+        atualizados,
+    };
+}
+
+/**
+ * Cria ou atualiza um lote de teorias (e os seus comentários).
+ *
+ * @param {import("../fixtures/index.js").Fixture["theories"]} lote
+ * @param {{ id: string, displayName: string }|null} autor Admin que fica
+ *        como autor das teorias novas (e das revisões).
+ * @param {Map<string, object>} contasPorNome Autores dos comentários.
+ * @returns {Promise<{ criadas: number, atualizadas: number,
+ *                     comentarios: number }>}
+ */
+async function gravarLoteTeorias(lote, autor, contasPorNome) {
+    const slugs = lote.map((t) => gerarSlug(t.title));
+    const encontradas = await Theory.find({
+        $or: [{ slug: { $in: slugs } }, { previousSlugs: { $in: slugs } }],
+    });
+
+    // Slug do conjunto → teoria, pelo slug atual ou por um antigo (o título
+    // foi editado depois do seed). O slug atual ganha a um antigo.
+    const porSlug = new Map();
+    for (const theory of encontradas) {
+        (theory.previousSlugs || []).forEach((slug) =>
+            porSlug.set(slug, theory)
+        );
+    }
+    encontradas.forEach((theory) => porSlug.set(theory.slug, theory));
+    const existentes = new Map(
+        slugs
+            .filter((slug) => porSlug.has(slug))
+            .map((slug) => [slug, porSlug.get(slug)])
+    );
+
+    const novas = lote.filter((t) => !existentes.has(gerarSlug(t.title)));
+    const criadas = await Theory.insertMany(
+        novas.map(({ comments, ...t }) => ({
+            ...t,
+            commentCount: (comments || []).length,
+            // As teorias do seed já entram publicadas.
+            status: "published",
+            publishedAt: new Date(),
+            author: autor ? autor.id : null,
+            authorName: autor ? autor.displayName : "",
+        }))
+    );
+    for (const theory of criadas) {
+        await registarRevisao(theory, autor, "create");
+    }
+
+    let atualizadas = 0;
+    for (const t of lote) {
+        const theory = existentes.get(gerarSlug(t.title));
+        if (!theory) {
+            continue;
+        }
+
+        const original = theory.toObject();
+        theory.set(
+            Object.fromEntries(
+                CAMPOS_TEORIA.filter((campo) => campo in t).map((campo) => [
+                    campo,
+                    t[campo],
+                ])
+            )
+        );
+        if (theory.isModified()) {
+            await garantirRevisaoInicial(original);
+            await theory.save();
+            await registarRevisao(theory, autor, "update");
+            atualizadas += 1;
+        }
+    }
+
+    // Comentários: todos nas teorias novas; nas outras, só os que faltam.
+    const teoriaDe = new Map([
+        ...criadas.map((t) => [t.slug, t]),
+        ...existentes,
+    ]);
+    const jaExistem = new Set(
+        (
+            await Comment.find({
+                theory: { $in: [...existentes.values()].map((t) => t._id) },
+            })
+                .select("theory author text")
+                .lean()
+        ).map((c) => `${c.theory}:${c.author}:${c.text}`)
+    );
+
+    const comentarios = lote.flatMap((t) => {
+        const theory = teoriaDe.get(gerarSlug(t.title));
+        return (t.comments || [])
+            .map((c) => {
+                const conta = contasPorNome.get(c.authorName);
+                return {
+                    theory: theory._id,
+                    text: c.text,
+                    author: conta._id,
+                    authorName: conta.displayName,
+                    status: "approved",
+                };
+            })
+            .filter((c) => !jaExistem.has(`${c.theory}:${c.author}:${c.text}`));
+    });
+    await Comment.insertMany(comentarios);
+
+    // Contagem de comentários aprovados das teorias que já existiam.
+    for (const theory of existentes.values()) {
+        await Theory.updateOne(
+            { _id: theory._id },
+            {
+                $set: {
+                    commentCount: await Comment.countDocuments({
+                        theory: theory._id,
+                        status: "approved",
+                        removedAt: null,
+                    }),
+                },
+            },
+            { timestamps: false }
+        );
+    }
+
+    return {
+        criadas: criadas.length,
+        atualizadas,
+        comentarios: comentarios.length,
+    };
+}
+
+/**
+ * Procura um conjunto pelo nome (a CLI chama-a antes de abrir a ligação à
+ * base de dados).
+ *
+ * @param {string} fixture Nome do conjunto (ver `FIXTURES`).
+ * @returns {{ descricao: string,
+ *             gerar: (opcoes?: { count?: number }) =>
+ *                 import("../fixtures/index.js").Fixture }} O conjunto.
+ * @throws {Error} Conjunto desconhecido.
+ */
+export function escolherConjunto(fixture) {
+    if (!Object.hasOwn(FIXTURES, fixture)) {
+        throw new Error(
+            `Conjunto "${fixture}" desconhecido. Existem: ${Object.keys(
+                FIXTURES
+            ).join(", ")}.`
+        );
+    }
+    return FIXTURES[fixture];
+}
+
+/**
+ * Corre o seed.
+ *
+ * @param {{ fixture?: string, count?: number, reset?: boolean }} opcoes
+ *        `fixture` → nome do conjunto (ver `FIXTURES`); `count` → número
+ *        de teorias, nos conjuntos gerados.
+ * @returns {Promise<void>}
+ * @throws {Error} Conjunto desconhecido.
+ */
+export async function seed({ fixture = "demo", count, reset = false } = {}) {
+    const conjunto = escolherConjunto(fixture);
+
+    if (reset) {
+        console.log("--reset: a apagar os dados atuais...");
+        await apagarTudo();
+    }
+
+    const dados = conjunto.gerar(count ? { count } : {});
+    console.log(
+        `A gravar o conjunto "${fixture}" (${dados.users.length} contas, ${dados.theories.length} teorias)...`
+    );
+
+    const contas = await gravarUtilizadores(dados);
+    const admin = dados.users.find((u) => u.role === "admin");
+    const contaAdmin = admin ? contas.porNome.get(admin.displayName) : null;
+    const autor = contaAdmin
+        ? {
+              id: contaAdmin._id.toString(),
+              displayName: contaAdmin.displayName,
+          }
+        : null;
+
+    const total = { criadas: 0, atualizadas: 0, comentarios: 0 };
+    for (let i = 0; i < dados.theories.length; i += TAMANHO_LOTE) {
+        const resultado = await gravarLoteTeorias(
+            dados.theories.slice(i, i + TAMANHO_LOTE),
+            autor,
+            contas.porNome
+        );
+        total.criadas += resultado.criadas;
+        total.atualizadas += resultado.atualizadas;
+        total.comentarios += resultado.comentarios;
+    }
+
+    const totalTags = await sincronizarTags();
+
+    console.log(
+        `Contas: ${contas.criados} criadas, ${contas.atualizados} atualizadas.`
+    );
+    console.log(
+        `Teorias: ${total.criadas} criadas, ${total.atualizadas} atualizadas; ${total.comentarios} comentários novos; ${totalTags} tags em uso.`
+    );
+
+    const comPassword = dados.users.filter((u) => u.password);
+    if (comPassword.length > 0) {
+        console.log(
+            "Contas para entrar (as que já existiam mantêm a password):"
+        );
+        comPassword.slice(0, 3).forEach((u) => {
+            console.log(` - ${u.email} / ${u.password} (${u.role || "user"})`);
+        });
+        if (comPassword.length > 3) {
+            console.log(` - ... e mais ${comPassword.length - 3}`);
+        }
+    }
+}
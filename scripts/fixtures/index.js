@@ -0,0 +1,36 @@
+/**
+ * scripts/fixtures/index.js
+ * -------------------------
+ * Conjuntos de dados ("fixtures") que o `seed` sabe criar.
+ *
+ * Cada conjunto é um módulo com `descricao` e `gerar(opcoes)`, que devolve
+ * os dados em memória; quem os grava é `commands/seed.js`. Para juntar um
+ * conjunto novo, basta criá-lo nesta pasta e acrescentá-lo a `FIXTURES`.
+ */
+
+import * as demo from "./demo.js";
+import * as performance from "./performance.js";
+
+/**
+ * Dados de um conjunto.
+ *
+ * - Os utilizadores são identificados pelo `email`; sem `password`, a
+ *   conta fica com uma password aleatória (não dá para fazer login).
+ * - As teorias são identificadas pelo slug do `title`.
+ * - `comments[].authorName` é o `displayName` de um dos utilizadores; os
+ *   nomes que não forem de ninguém ganham uma conta de comentador.
+ *
+ * @typedef {{
+ *     users: Array<{ email: string, displayName: string,
+ *                    password?: string, role?: string }>,
+ *     theories: Array<{ title: string, summary: string, content: string,
+ *                       complexityLevel?: string, tags?: string[],
+ *                       comments?: Array<{ authorName: string,
+ *                                          text: string }> }>
+ * }} Fixture
+ */
+
+/**
+ * Conjuntos conhecidos, pelo nome usado em `--fixture`.
+ */
+export const FIXTURES = { demo, performance };
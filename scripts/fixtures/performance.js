@@ -0,0 +1,177 @@
+/**
+ * scripts/fixtures/performance.js
+ * -------------------------------
+ * Conjunto "performance": muitos dados gerados, para ver como a app se
+ * porta com uma base de dados cheia (listas, pesquisa, tags, paginação).
+ *
+ * - Os dados saem sempre iguais para as mesmas opções (gerador de números
+ *   com semente fixa), por isso correr o seed outra vez não duplica nada.
+ * - `--count` escolhe o número de teorias (1000 por omissão).
+ * - As contas de leitores (leitor-001@perf.conspira.local, ...) têm todas
+ *   a password "perf1234". O admin é o mesmo do conjunto "demo".
+ */
+
+export const descricao =
+    "Dados gerados em quantidade (admin, 50 leitores, --count teorias).";
+
+export const TEORIAS_POR_OMISSAO = 1000;
+const TOTAL_LEITORES = 50;
+
+const SUJEITOS = [
+    "Os pombos",
+    "As máquinas de venda automática",
+    "Os semáforos",
+    "As impressoras do escritório",
+    "Os gatos de rua",
+    "As trotinetas elétricas",
+    "Os frigoríficos inteligentes",
+    "As gaivotas",
+    "Os elevadores",
+    "As torradeiras",
+    "Os guarda-chuvas esquecidos",
+    "As plantas de interior",
+];
+
+const ACOES = [
+    "comunicam em segredo com",
+    "foram programados para vigiar",
+    "trabalham às escondidas para",
+    "guardam os segredos de",
+    "recebem ordens de",
+    "sabotam discretamente",
+];
+
+const ALVOS = [
+    "as câmaras municipais",
+    "os operadores de telemóveis",
+    "uma sociedade secreta de padeiros",
+    "os fabricantes de meias",
+    "a agência meteorológica",
+    "as lojas de ferragens",
+    "os organizadores de reuniões",
+    "os vendedores de castanhas",
+];
+
+const FRASES = [
+    "Ninguém sabe ao certo quando tudo começou, mas os sinais estão por todo o lado.",
+    "Testemunhas garantem ter visto padrões que não podem ser coincidência.",
+    "Os registos oficiais, curiosamente, não dizem nada sobre o assunto.",
+    "Um denunciante anónimo afirma ter documentos que provam tudo.",
+    "Os horários batem certo demasiadas vezes para ser acaso.",
+    "Quem faz perguntas recebe sempre a mesma resposta evasiva.",
+    "Os especialistas ouvidos preferiram não comentar.",
+    "Há quem diga que tudo se explica com um simples mapa da cidade.",
+    "A explicação oficial muda de ano para ano.",
+    "Os defensores da teoria reúnem-se todas as quintas-feiras num café do bairro.",
+];
+
+const TAGS = [
+    "vigilancia",
+    "animais",
+    "cidades",
+    "tecnologia",
+    "dados",
+    "tempo",
+    "economia",
+    "casa",
+    "transito",
+    "escritorio",
+    "sono",
+    "clima",
+    "comida",
+    "governo",
+    "misterio",
+];
+
+const COMENTARIOS = [
+    "Sempre desconfiei disto.",
+    "Isto explica muita coisa lá no meu bairro.",
+    "Preciso de fontes, mas faz sentido.",
+    "Vou passar a olhar para isto de outra maneira.",
+    "Já tinha reparado no mesmo!",
+    "Parece-me exagerado, mas quem sabe.",
+];
+
+const NIVEIS = ["low", "medium", "high"];
+
+/**
+ * Gerador de números pseudo-aleatórios com semente (mulberry32): a mesma
+ * semente dá sempre a mesma sequência.
+ *
+ * @param {number} semente
+ * @returns {() => number} Números entre 0 (incluído) e 1.
+ */
+function criarAleatorio(semente) {
+    let estado = semente >>> 0;
+    return () => {
+        estado = (estado + 0x6d2b79f5) >>> 0;
+        let t = estado;
+        t = Math.imul(t ^ (t >>> 15), t | 1);
+        t ^= t + Math.imul(t ^ (t >>> 7), t | 61);
+        return ((t ^ (t >>> 14)) >>> 0) / 4294967296;
+    };
+}
+
+/**
+ * @param {{ count?: number }} [opcoes] `count` → número de teorias.
+ * @returns {import("./index.js").Fixture}
+ */
+export function gerar({ count = TEORIAS_POR_OMISSAO } = {}) {
+    const aleatorio = criarAleatorio(20240501);
+    const escolher = (lista) => lista[Math.floor(aleatorio() * lista.length)];
+
+    const leitores = Array.from({ length: TOTAL_LEITORES }, (_, i) => {
+        const numero = String(i + 1).padStart(3, "0");
+        return {
+            email: `leitor-${numero}@perf.conspira.local`,
+            displayName: `Leitor ${numero}`,
+            password: "perf1234",
+            role: "user",
+        };
+    });
+
+    const theories = Array.from({ length: count }, (_, i) => {
+        const frases = Array.from(
+            { length: 4 + Math.floor(aleatorio() * 8) },
+            () => escolher(FRASES)
+        );
+        const tags = [
+            ...new Set(
+                Array.from({ length: 1 + Math.floor(aleatorio() * 3) }, () =>
+                    escolher(TAGS)
+                )
+            ),
+        ];
+
+        return {
+            // O número no fim garante títulos (e slugs) diferentes.
+            title: `${escolher(SUJEITOS)} ${escolher(ACOES)} ${escolher(
+                ALVOS
+            )} (n.º ${i + 1})`,
+            summary: frases.slice(0, 2).join(" "),
+            content: frases.join(" "),
+            complexityLevel: escolher(NIVEIS),
+            tags,
+            comments: Array.from(
+                { length: Math.floor(aleatorio() * 6) },
+                () => ({
+                    authorName: escolher(leitores).displayName,
+                    text: escolher(COMENTARIOS),
+                })
+            ),
+        };
+    });
+
+    return {
+        users: [
+            {
+                email: "admin@conspira.local",
+                displayName: "Administrador das Teorias",
+                password: "admin123",
+                role: "admin",
+            },
+            ...leitores,
+        ],
+        theories,
+    };
+}
@@ -0,0 +1,139 @@
+/**
+ * scripts/migrate-comments.js
+ * ---------------------------
+ * Migração única: passa os comentários que estavam embebidos em cada
+ * teoria (`theories.comments`) para a coleção própria `comments`.
+ *
+ * O QUE FAZ:
+ * - Para cada teoria que ainda tenha o array `comments`:
+ *     - cria um documento `Comment` por comentário, mantendo o `_id`, as
+ *       datas e o estado de moderação (os antigos sem estado ficam
+ *       aprovados, como eram mostrados);
+ *     - tira o array `comments` da teoria e atualiza o `commentCount`.
+ * - Comentários sem autor (anteriores às contas) não podem ser migrados:
+ *   são ignorados com um aviso no terminal.
+ *
+ * COMO USAR:
+ * - `npm run migrate:comments`
+ * - Pode ser corrido mais do que uma vez: comentários já migrados (mesmo
+ *   `_id`) são ignorados.
+ */
+
+import "dotenv/config";
+import mongoose from "mongoose";
+
+import { connectToDatabase } from "../src/config/database.js";
+import Theory from "../src/models/Theory.js";
+import Comment, { ESTADOS_COMENTARIO } from "../src/models/Comment.js";
+
+/**
+ * Converte um comentário embebido no documento da nova coleção.
+ *
+ * @param {Record<string, any>} theory Teoria (documento "cru" do MongoDB).
+ * @param {Record<string, any>} c Comentário embebido.
+ * @returns {Record<string, any>}
+ */
+function converterComentario(theory, c) {
+    const createdAt = c.createdAt || theory.createdAt || new Date();
+
+    return {
+        _id: c._id,
+        theory: theory._id,
+        parent: null,
+        ancestors: [],
+        depth: 0,
+        author: c.author,
+        authorName: c.authorName,
+        text: c.text,
+        status: ESTADOS_COMENTARIO.includes(c.status) ? c.status : "approved",
+        moderatedBy: c.moderatedBy || null,
+        moderatedAt: c.moderatedAt || null,
+        createdAt,
+        updatedAt: c.updatedAt || createdAt,
+    };
+}
+
+/**
+ * Migra os comentários de uma teoria.
+ *
+ * @param {Record<string, any>} theory Teoria (documento "cru" do MongoDB).
+ * @returns {Promise<{ migrados: number, ignorados: number }>}
+ */
+async function migrarTeoria(theory) {
+    const comentarios = [];
+    let ignorados = 0;
+
+    for (const c of theory.comments) {
+        if (!c.author) {
+            console.warn(
+                ` ! "${theory.title}": comentário ${c._id} sem autor, ignorado.`
+            );
+            ignorados += 1;
+            continue;
+        }
+        comentarios.push(converterComentario(theory, c));
+    }
+
+    if (comentarios.length > 0) {
+        // `timestamps: false` para manter as datas originais.
+        await Comment.bulkWrite(
+            comentarios.map((doc) => ({
+                updateOne: {
+                    filter: { _id: doc._id },
+                    update: { $setOnInsert: doc },
+                    upsert: true,
+                },
+            })),
+            { timestamps: false }
+        );
+    }
+
+    const commentCount = await Comment.countDocuments({
+        theory: theory._id,
+        status: "approved",
+    });
+
+    await Theory.collection.updateOne(
+        { _id: theory._id },
+        { $unset: { comments: "" }, $set: { commentCount } }
+    );
+
+    return { migrados: comentarios.length, ignorados };
+}
+
+/**
+ * Função principal: percorre as teorias com comentários embebidos.
+ *
+ * @returns {Promise<void>}
+ */
+async function runMigracao() {
+    try {
+        await connectToDatabase();
+
+        // Pela coleção "crua": o schema `Theory` já não conhece `comments`.
+        const teorias = await Theory.collection
+            .find({ comments: { $exists: true } })
+            .project({ title: 1, createdAt: 1, comments: 1 })
+            .toArray();
+
+        let migrados = 0;
+        let ignorados = 0;
+
+        for (const theory of teorias) {
+            const resultado = await migrarTeoria(theory);
+            migrados += resultado.migrados;
+            ignorados += resultado.ignorados;
+        }
+
+        console.log(
+            `${teorias.length} teorias revistas: ${migrados} comentários migrados, ${ignorados} ignorados.`
+        );
+    } catch (error) {
+        console.error("Erro durante a migração:", error);
+        process.exitCode = 1;
+    } finally {
+        await mongoose.disconnect();
+    }
+}
+
+runMigracao();
@@ -0,0 +1,74 @@
+/**
+ * scripts/migrate-theory-authors.js
+ * ---------------------------------
+ * Migração única: preenche o autor (`author`, `authorName`) das teorias
+ * criadas antes de o guardarmos na própria teoria.
+ *
+ * O QUE FAZ:
+ * - Para cada teoria sem `author`, procura a revisão "create" (quem a
+ *   criou) e copia o `author` e o `authorName` dessa revisão.
+ * - Teorias sem revisão "create" (ex.: importadas no arranque do
+ *   histórico) ficam sem autor e não aparecem em nenhum perfil.
+ *
+ * COMO USAR:
+ * - `npm run migrate:authors`
+ * - Pode ser corrido mais do que uma vez: só mexe em teorias sem autor.
+ */
+
+import "dotenv/config";
+import mongoose from "mongoose";
+
+import { connectToDatabase } from "../src/config/database.js";
+import Theory from "../src/models/Theory.js";
+import TheoryRevision from "../src/models/TheoryRevision.js";
+
+/**
+ * Função principal: copia o autor da revisão "create" para cada teoria.
+ *
+ * @returns {Promise<void>}
+ */
+async function runMigracao() {
+    try {
+        await connectToDatabase();
+
+        const semAutor = await Theory.find({ author: null })
+            .select("_id")
+            .lean();
+
+        const revisoes = await TheoryRevision.find({
+            theory: { $in: semAutor.map((t) => t._id) },
+            action: "create",
+            author: { $ne: null },
+        })
+            .select("theory author authorName")
+            .lean();
+
+        // Pela coleção "crua", para não mexer no `updatedAt`.
+        let atualizadas = 0;
+        for (const revisao of revisoes) {
+            const { modifiedCount } = await Theory.collection.updateOne(
+                { _id: revisao.theory, author: null },
+                {
+                    $set: {
+                        author: revisao.author,
+                        authorName: revisao.authorName,
+                    },
+                }
+            );
+            atualizadas += modifiedCount;
+        }
+
+        console.log(
+            `${atualizadas} teorias com autor; ${
+                semAutor.length - atualizadas
+            } sem autor conhecido.`
+        );
+    } catch (error) {
+        console.error("Erro durante a migração:", error);
+        process.exitCode = 1;
+    } finally {
+        await mongoose.disconnect();
+    }
+}
+
+runMigracao();
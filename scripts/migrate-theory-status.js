@@ -0,0 +1,59 @@
+/**
+ * scripts/migrate-theory-status.js
+ * --------------------------------
+ * Migração única: dá um estado às teorias criadas antes do fluxo de
+ * publicação.
+ *
+ * O QUE FAZ:
+ * - Teorias sem `status` eram todas públicas, por isso ficam "published",
+ *   com `publishedAt` igual à data de criação.
+ * - Sem esta migração, essas teorias deixavam de aparecer na zona pública
+ *   (que só mostra `status: "published"`).
+ *
+ * COMO USAR:
+ * - `npm run migrate:status`
+ * - Pode ser corrido mais do que uma vez: só mexe em teorias sem estado.
+ */
+
+import "dotenv/config";
+import mongoose from "mongoose";
+
+import { connectToDatabase } from "../src/config/database.js";
+import Theory from "../src/models/Theory.js";
+
+/**
+ * Função principal: marca as teorias sem estado como publicadas.
+ *
+ * @returns {Promise<void>}
+ */
+async function runMigracao() {
+    try {
+        await connectToDatabase();
+
+        // Pela coleção "crua" e com um pipeline, para copiar `createdAt`
+        // de cada teoria (e sem mexer no `updatedAt`).
+        const resultado = await Theory.collection.updateMany(
+            { status: { $exists: false } },
+            [
+                {
+                    $set: {
+                        status: "published",
+                        publishedAt: { $ifNull: ["$createdAt", "$$NOW"] },
+                        publishAt: null,
+                    },
+                },
+            ]
+        );
+
+        console.log(
+            `${resultado.modifiedCount} teorias marcadas como publicadas.`
+        );
+    } catch (error) {
+        console.error("Erro durante a migração:", error);
+        process.exitCode = 1;
+    } finally {
+        await mongoose.disconnect();
+    }
+}
+
+runMigracao();
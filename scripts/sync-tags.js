@@ -0,0 +1,42 @@
+/**
+ * scripts/sync-tags.js
+ * --------------------
+ * Reconstrói o registo de tags (`Tag`) a partir das teorias.
+ *
+ * QUANDO USAR:
+ * - Uma vez, numa base de dados criada antes do registo de tags (as tags
+ *   das teorias entram no registo com a contagem certa).
+ * - Depois de mexer nas teorias diretamente na base de dados.
+ *
+ * COMO USAR:
+ * - `npm run tags:sync`
+ * - Pode ser corrido as vezes que for preciso: não apaga nomes a mostrar,
+ *   descrições, nomes antigos nem bloqueios.
+ */
+
+import "dotenv/config";
+import mongoose from "mongoose";
+
+import { connectToDatabase } from "../src/config/database.js";
+import { sincronizarTags } from "../src/services/tagService.js";
+
+/**
+ * Função principal: recalcula as contagens de todas as tags.
+ *
+ * @returns {Promise<void>}
+ */
+async function runSincronizacao() {
+    try {
+        await connectToDatabase();
+
+        const total = await sincronizarTags();
+        console.log(`${total} tags em uso registadas.`);
+    } catch (error) {
+        console.error("Erro ao sincronizar tags:", error);
+        process.exitCode = 1;
+    } finally {
+        await mongoose.disconnect();
+    }
+}
+
+runSincronizacao();
@@ -2,23 +2,118 @@ import express from "express";
 import path from "path";
 import { fileURLToPath } from "url";
 
+import { config } from "./config/env.js";
+import { criarMiddlewareSessao } from "./config/session.js";
+import { anexarUtilizadorAsViews } from "./middlewares/authMiddleware.js";
+import {
+    paginaNaoEncontrada,
+    tratarErros,
+} from "./middlewares/errorMiddleware.js";
+import {
+    aplicarIdiomaDaConta,
+    escolherLocale,
+} from "./middlewares/localeMiddleware.js";
+import { identificarPedido } from "./middlewares/requestMiddleware.js";
+import {
+    cabecalhosSeguranca,
+    protegerCsrf,
+} from "./middlewares/securityMiddleware.js";
+import accountRoutes from "./routes/accountRoutes.js";
+import adminRoutes from "./routes/adminRoutes.js";
+import apiDocsRoutes from "./routes/apiDocsRoutes.js";
+import apiRoutes from "./routes/apiRoutes.js";
+import authRoutes from "./routes/authRoutes.js";
+import feedRoutes from "./routes/feedRoutes.js";
+import healthRoutes from "./routes/healthRoutes.js";
+import localeRoutes from "./routes/localeRoutes.js";
+import tagRoutes from "./routes/tagRoutes.js";
+import theoryRoutes from "./routes/theoryRoutes.js";
+import userRoutes from "./routes/userRoutes.js";
+import vendorRoutes from "./routes/vendorRoutes.js";
+
 const __filename = fileURLToPath(import.meta.url);
 const __dirname = path.dirname(__filename);
 
 const app = express();
 
+// Não anunciar a stack no cabeçalho `X-Powered-By: Express`.
+app.disable("x-powered-by");
+
+// Atrás de um proxy HTTPS (ex.: Render, Railway), confiar no 1.º proxy para
+// o Express saber que o pedido é seguro (necessário para cookies `secure`).
+if (config.producao) {
+    app.set("trust proxy", 1);
+}
+
+// ID de cada pedido e log no fim (antes de tudo, para os logs dos
+// middlewares seguintes já levarem o ID)
+app.use(identificarPedido);
 
+// CSP, HSTS, proteção contra iframes, ... (em todas as respostas)
+app.use(cabecalhosSeguranca);
 
+// Vistas EJS (src/views)
+app.set("view engine", "ejs");
+app.set("views", path.join(__dirname, "views"));
 
+// Health checks (/healthz e /readyz), antes das sessões
+app.use(healthRoutes);
 
+// Ficheiros estáticos (public/style.css → /style.css)
+app.use(express.static(path.join(__dirname, "..", "public")));
+// Bootstrap, fonte e ícones (pacotes npm, sem CDN)
+app.use("/vendor", vendorRoutes);
 
+// Idioma do pedido (cookie / Accept-Language) e helpers `t`, `formatarData`,
+// ... das vistas (antes dos formulários, para os erros deles também saírem
+// no idioma certo)
+app.use(escolherLocale);
 
+// Feeds (Atom e JSON Feed) e sitemap.xml, antes das sessões (leitores de
+// feeds e crawlers não têm sessão)
+app.use(feedRoutes);
 
+// Dados de formulários (req.body)
+app.use(express.urlencoded({ extended: true }));
 
+// Sessões (guardadas no MongoDB) + utilizador autenticado nas views
+app.use(criarMiddlewareSessao());
+app.use(anexarUtilizadorAsViews);
+// O idioma guardado na conta ganha ao do browser
+app.use(aplicarIdiomaDaConta);
 
+// Token CSRF nos formulários e verificação nos POST/PATCH/DELETE
+app.use(protegerCsrf);
 
+// A página inicial é a lista pública de teorias
 app.get("/", (req, res) => {
-    res.send("Servidor a funcionar!");
+    res.redirect("/teorias");
 });
 
-export default app;
\ No newline at end of file
+// Login, logout e registo
+app.use(authRoutes);
+
+// Mudar de idioma (seletor do rodapé)
+app.use(localeRoutes);
+
+// Rotas públicas das teorias
+app.use("/teorias", theoryRoutes);
+app.use("/tags", tagRoutes);
+app.use("/utilizadores", userRoutes);
+
+// Área de gestão (exige login como admin)
+app.use("/admin", adminRoutes);
+
+// Conta do utilizador (definições, favoritos, listas e tokens de API)
+app.use("/conta", accountRoutes);
+
+// API JSON (tokens de API ou sessão) e a sua documentação
+app.use("/api/v1", apiRoutes);
+app.use("/api/docs", apiDocsRoutes);
+
+// Nenhuma rota respondeu → 404; erros passados com `next(error)` → página
+// (ou JSON) de erro
+app.use(paginaNaoEncontrada);
+app.use(tratarErros);
+
+export default app;
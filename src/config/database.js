@@ -1,22 +1,50 @@
 import mongoose from "mongoose";
+
+import { logger } from "../utils/logger.js";
+import { config } from "./env.js";
+
+/**
+ * Nomes dos estados da ligação do Mongoose (`mongoose.connection.readyState`),
+ * para os health checks e os logs.
+ */
+const ESTADOS_LIGACAO = {
+    0: "disconnected",
+    1: "connected",
+    2: "connecting",
+    3: "disconnecting",
+};
+
+/**
+ * Abre a ligação ao MongoDB (`MONGODB_URI` e `MONGODB_DB_NAME`).
+ *
+ * @returns {Promise<void>}
+ * @throws {Error} `MONGODB_URI` em falta ou a ligação falhou.
+ */
 export async function connectToDatabase() {
-    const uri = process.env.MONGODB_URI;
+    const { uri, dbName } = config.mongodb;
 
     if (!uri) {
         throw new Error(
-            "A Variável de ambiente MONGO_DB não existe."
+            "A variável de ambiente MONGODB_URI não existe ou não é válida."
         );
     }
-    const dbName = process.env.MONGODB_DB_NAME || "ficha5_conspirações";
 
     try {
         await mongoose.connect(uri, {
             dbName,
         });
-        console.log("Ligação ao mongo foi feita");
-    }
-    catch (error) {
-        console.log("Erro ao ligar á base de dados", error);
+        logger.info("Ligação ao mongo foi feita", { dbName });
+    } catch (error) {
+        logger.error("Erro ao ligar á base de dados", { error });
         throw error;
     }
-}
\ No newline at end of file
+}
+
+/**
+ * Estado atual da ligação ao MongoDB.
+ *
+ * @returns {"disconnected"|"connected"|"connecting"|"disconnecting"}
+ */
+export function estadoLigacao() {
+    return ESTADOS_LIGACAO[mongoose.connection.readyState] || "disconnected";
+}
@@ -0,0 +1,259 @@
+/**
+ * src/config/env.js
+ * -----------------
+ * Configuração da aplicação, lida das variáveis de ambiente (`.env`).
+ *
+ * IDEIA:
+ * - Todas as variáveis do `.env.example` são lidas aqui, uma vez, e
+ *   convertidas para o tipo certo (números, booleanos, listas de valores).
+ *   O resto do código usa `config` e nunca `process.env`.
+ * - Um valor inválido não rebenta a importação: fica o valor por omissão
+ *   e o problema é guardado. No arranque, `validarConfiguracao()` mostra
+ *   todos os problemas de uma vez (em vez de se descobrirem um a um).
+ *
+ * O `.env` tem de ser carregado (`import "dotenv/config"`) antes de este
+ * módulo ser importado.
+ */
+
+/**
+ * Valor do `.env.example` para o SESSION_SECRET (não pode ser usado).
+ */
+const SESSION_SECRET_EXEMPLO =
+    "troca_esta_frase_por_uma_coisa_grande_e_dificil";
+
+export const SESSION_SECRET_TAMANHO_MINIMO = 32;
+
+/**
+ * Configuração inválida (com a lista de todos os problemas).
+ */
+export class ConfigError extends Error {
+    /**
+     * @param {string[]} problemas Um problema por variável.
+     */
+    constructor(problemas) {
+        super(
+            `Configuração inválida (ver .env.example):\n${problemas
+                .map((p) => ` - ${p}`)
+                .join("\n")}`
+        );
+        this.name = "ConfigError";
+        this.problemas = problemas;
+    }
+}
+
+/**
+ * Conversores: recebem o texto da variável (já sem espaços; nunca vazio)
+ * e devolvem o valor, ou lançam um `Error` com o que está mal.
+ */
+const texto = () => (valor) => valor;
+
+const inteiro =
+    ({ min = -Infinity, max = Infinity } = {}) =>
+    (valor) => {
+        const numero = Number(valor);
+        if (!Number.isInteger(numero) || numero < min || numero > max) {
+            throw new Error(
+                `tem de ser um número inteiro${
+                    Number.isFinite(min) ? ` ≥ ${min}` : ""
+                }${Number.isFinite(max) ? ` e ≤ ${max}` : ""}`
+            );
+        }
+        return numero;
+    };
+
+const booleano = () => (valor) => {
+    if (!["true", "false"].includes(valor.toLowerCase())) {
+        throw new Error('tem de ser "true" ou "false"');
+    }
+    return valor.toLowerCase() === "true";
+};
+
+const umDe = (valores) => (valor) => {
+    if (!valores.includes(valor.toLowerCase())) {
+        throw new Error(`tem de ser um de: ${valores.join(", ")}`);
+    }
+    return valor.toLowerCase();
+};
+
+const url =
+    ({ protocolos }) =>
+    (valor) => {
+        let resultado;
+        try {
+            resultado = new URL(valor);
+        } catch {
+            throw new Error("não é um URL válido");
+        }
+        if (!protocolos.includes(resultado.protocol)) {
+            throw new Error(
+                `tem de começar por ${protocolos
+                    .map((protocolo) => `${protocolo}//`)
+                    .join(" ou ")}`
+            );
+        }
+        return valor;
+    };
+
+/**
+ * Variáveis conhecidas: conversor, se é obrigatória e o valor por
+ * omissão (usado quando falta ou é inválida).
+ */
+const VARIAVEIS = {
+    NODE_ENV: {
+        converter: umDe(["development", "production", "test"]),
+        omissao: "development",
+    },
+    PORT: { converter: inteiro({ min: 1, max: 65535 }), omissao: 3000 },
+    MONGODB_URI: {
+        converter: url({ protocolos: ["mongodb:", "mongodb+srv:"] }),
+        obrigatoria: true,
+    },
+    MONGODB_DB_NAME: { converter: texto(), omissao: "ficha5_conspirações" },
+    SESSION_SECRET: { converter: texto(), obrigatoria: true },
+    APP_URL: { converter: url({ protocolos: ["http:", "https:"] }) },
+    MAIL_TRANSPORT: {
+        converter: umDe(["outbox", "console", "smtp"]),
+        omissao: "outbox",
+    },
+    MAIL_OUTBOX_DIR: { converter: texto(), omissao: "outbox" },
+    MAIL_FROM: {
+        converter: texto(),
+        omissao: "Conspira <no-reply@conspira.local>",
+    },
+    SMTP_HOST: { converter: texto() },
+    SMTP_PORT: { converter: inteiro({ min: 1, max: 65535 }), omissao: 587 },
+    SMTP_SECURE: { converter: booleano(), omissao: false },
+    SMTP_USER: { converter: texto() },
+    SMTP_PASS: { converter: texto() },
+    COMMENTS_MAX_DEPTH: { converter: inteiro({ min: 1 }), omissao: 3 },
+    SCHEDULER_INTERVAL_SECONDS: {
+        converter: inteiro({ min: 1 }),
+        omissao: 60,
+    },
+    AUDIT_RETENTION_DAYS: { converter: inteiro({ min: 1 }), omissao: 365 },
+    LOG_LEVEL: {
+        converter: umDe(["debug", "info", "warn", "error", "silent"]),
+        omissao: "info",
+    },
+    SHUTDOWN_TIMEOUT_SECONDS: { converter: inteiro({ min: 1 }), omissao: 10 },
+};
+
+/**
+ * Problemas do SESSION_SECRET (com ele dá para forjar cookies de sessão).
+ *
+ * @param {string} segredo
+ * @returns {string[]}
+ */
+function problemasSessionSecret(segredo) {
+    if (segredo === SESSION_SECRET_EXEMPLO) {
+        return ["SESSION_SECRET ainda é o valor do .env.example."];
+    }
+    if (segredo.length < SESSION_SECRET_TAMANHO_MINIMO) {
+        return [
+            `SESSION_SECRET tem de ter pelo menos ${SESSION_SECRET_TAMANHO_MINIMO} caracteres (tem ${segredo.length}).`,
+        ];
+    }
+    if (new Set(segredo).size < 10) {
+        return [
+            "SESSION_SECRET é demasiado repetitivo (usa pelo menos 10 caracteres diferentes).",
+        ];
+    }
+    return [];
+}
+
+/**
+ * Lê e valida as variáveis de ambiente.
+ *
+ * @param {Record<string, string|undefined>} [ambiente]
+ * @returns {{ valores: Record<string, any>, problemas: string[] }}
+ *          `valores`: um por variável (o por omissão, ou `undefined`, se
+ *          faltar ou for inválida).
+ */
+export function lerConfiguracao(ambiente = process.env) {
+    const valores = {};
+    const problemas = [];
+
+    for (const [nome, { converter, obrigatoria, omissao }] of Object.entries(
+        VARIAVEIS
+    )) {
+        const bruto = (ambiente[nome] ?? "").trim();
+        valores[nome] = omissao;
+
+        if (!bruto) {
+            if (obrigatoria) {
+                problemas.push(`${nome} é obrigatória.`);
+            }
+            continue;
+        }
+
+        try {
+            valores[nome] = converter(bruto);
+        } catch (error) {
+            problemas.push(`${nome} ${error.message} (recebido: "${bruto}").`);
+        }
+    }
+
+    if (valores.SESSION_SECRET) {
+        problemas.push(...problemasSessionSecret(valores.SESSION_SECRET));
+    }
+    if (valores.MAIL_TRANSPORT === "smtp" && !valores.SMTP_HOST) {
+        problemas.push('SMTP_HOST é obrigatória com MAIL_TRANSPORT="smtp".');
+    }
+    // Os links dos emails (ex.: recuperação de password) usam o APP_URL e
+    // nunca o `Host` do pedido (ver `utils/url.js`).
+    if (valores.NODE_ENV === "production" && !ambiente.APP_URL?.trim()) {
+        problemas.push('APP_URL é obrigatória com NODE_ENV="production".');
+    }
+
+    return { valores, problemas };
+}
+
+const { valores, problemas } = lerConfiguracao();
+
+/**
+ * Problemas encontrados ao ler o ambiente deste processo.
+ */
+export const problemasConfiguracao = Object.freeze(problemas);
+
+/**
+ * Configuração da aplicação.
+ */
+export const config = Object.freeze({
+    nodeEnv: valores.NODE_ENV,
+    producao: valores.NODE_ENV === "production",
+    port: valores.PORT,
+    mongodb: Object.freeze({
+        uri: valores.MONGODB_URI,
+        dbName: valores.MONGODB_DB_NAME,
+    }),
+    sessionSecret: valores.SESSION_SECRET,
+    appUrl: valores.APP_URL ? valores.APP_URL.replace(/\/+$/, "") : null,
+    mail: Object.freeze({
+        transport: valores.MAIL_TRANSPORT,
+        outboxDir: valores.MAIL_OUTBOX_DIR,
+        from: valores.MAIL_FROM,
+        smtp: Object.freeze({
+            host: valores.SMTP_HOST,
+            port: valores.SMTP_PORT,
+            secure: valores.SMTP_SECURE,
+            user: valores.SMTP_USER,
+            pass: valores.SMTP_PASS,
+        }),
+    }),
+    commentsMaxDepth: valores.COMMENTS_MAX_DEPTH,
+    schedulerIntervalSeconds: valores.SCHEDULER_INTERVAL_SECONDS,
+    auditRetentionDays: valores.AUDIT_RETENTION_DAYS,
+    logLevel: valores.LOG_LEVEL,
+    shutdownTimeoutSeconds: valores.SHUTDOWN_TIMEOUT_SECONDS,
+});
+
+/**
+ * Garante que a configuração é válida (chamar no arranque do servidor).
+ *
+ * @throws {ConfigError} Com todos os problemas encontrados.
+ */
+export function validarConfiguracao() {
+    if (problemasConfiguracao.length > 0) {
+        throw new ConfigError([...problemasConfiguracao]);
+    }
+}
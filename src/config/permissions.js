@@ -0,0 +1,61 @@
+/**
+ * src/config/permissions.js
+ * -------------------------
+ * Modelo de permissões da aplicação (autorização).
+ *
+ * IDEIA:
+ * - Em vez de espalhar `if (role === "admin")` pelo código, damos nomes às
+ *   coisas que se podem fazer ("capacidades"), por exemplo `theory:create`.
+ * - Cada role (`User.role`) tem uma lista de capacidades.
+ * - As rotas pedem capacidades (`exigirPermissao("theory:delete")`) e as
+ *   vistas perguntam `pode("theory:delete")` para esconder botões.
+ * - Para mudar o que um role pode fazer, basta mexer neste ficheiro.
+ */
+
+/**
+ * Todas as capacidades conhecidas.
+ */
+export const PERMISSOES = Object.freeze({
+    THEORY_CREATE: "theory:create",
+    THEORY_UPDATE: "theory:update",
+    THEORY_DELETE: "theory:delete",
+    // Aprovar/rejeitar teorias em revisão, agendar e arquivar.
+    THEORY_REVIEW: "theory:review",
+    // Editar, renomear, fundir e bloquear tags (mexe em todas as teorias).
+    TAG_MANAGE: "tag:manage",
+    COMMENT_CREATE: "comment:create",
+    COMMENT_MODERATE: "comment:moderate",
+    USER_MANAGE: "user:manage",
+    // Consultar e exportar o log de auditoria.
+    AUDIT_READ: "audit:read",
+});
+
+/**
+ * Capacidades de cada role.
+ */
+export const PERMISSOES_POR_ROLE = Object.freeze({
+    admin: Object.values(PERMISSOES),
+    user: [PERMISSOES.COMMENT_CREATE],
+});
+
+/**
+ * Devolve a lista de capacidades de um role (vazia se o role não existir).
+ *
+ * @param {string|undefined|null} role Role do utilizador ("admin", "user").
+ * @returns {string[]}
+ */
+export function permissoesDoRole(role) {
+    return [...(PERMISSOES_POR_ROLE[role] || [])];
+}
+
+/**
+ * Indica se um role tem TODAS as capacidades pedidas.
+ *
+ * @param {string|undefined|null} role Role do utilizador.
+ * @param {...string} permissoes Capacidades a verificar.
+ * @returns {boolean}
+ */
+export function roleTemPermissao(role, ...permissoes) {
+    const doRole = PERMISSOES_POR_ROLE[role] || [];
+    return permissoes.every((p) => doRole.includes(p));
+}
@@ -0,0 +1,69 @@
+/**
+ * src/config/session.js
+ * ---------------------
+ * Configuração das sessões (express-session + connect-mongo).
+ *
+ * IDEIA:
+ * - O browser guarda apenas um cookie com o ID da sessão.
+ * - Os dados da sessão (`userId`, `role`) ficam na coleção `sessions`
+ *   do MongoDB, por isso sobrevivem a reinícios do servidor.
+ * - Reutilizamos a ligação do Mongoose (`mongoose.connection`) em vez de
+ *   abrir uma segunda ligação só para as sessões.
+ */
+
+import MongoStore from "connect-mongo";
+import session from "express-session";
+import mongoose from "mongoose";
+
+import { config } from "./env.js";
+
+const UM_DIA_EM_MS = 1000 * 60 * 60 * 24;
+
+/**
+ * Devolve uma Promise com o `MongoClient` do Mongoose, que só resolve
+ * depois de o `connectToDatabase()` abrir a ligação.
+ *
+ * @returns {Promise<import("mongodb").MongoClient>}
+ */
+function esperarClienteMongo() {
+    const { connection } = mongoose;
+
+    if (connection.readyState === mongoose.ConnectionStates.connected) {
+        return Promise.resolve(connection.getClient());
+    }
+
+    return new Promise((resolve) => {
+        connection.once("open", () => resolve(connection.getClient()));
+    });
+}
+
+/**
+ * Cria o middleware de sessões a usar em `app.js`.
+ *
+ * @returns {import("express").RequestHandler}
+ */
+export function criarMiddlewareSessao() {
+    const store = MongoStore.create({
+        clientPromise: esperarClienteMongo(),
+        dbName: config.mongodb.dbName,
+        collectionName: "sessions",
+    });
+
+    return session({
+        // Nome próprio em vez do genérico "connect.sid" (não anuncia a stack).
+        name: "conspira.sid",
+        secret: config.sessionSecret,
+        resave: false,
+        saveUninitialized: false,
+        store,
+        cookie: {
+            // O JavaScript da página não consegue ler o cookie.
+            httpOnly: true,
+            // O cookie não vai em POSTs vindos de outros sites.
+            sameSite: "lax",
+            // Em produção (HTTPS), o cookie só viaja em ligações seguras.
+            secure: config.producao,
+            maxAge: UM_DIA_EM_MS,
+        },
+    });
+}
@@ -0,0 +1,257 @@
+/**
+ * src/controllers/accountController.js
+ * ------------------------------------
+ * Páginas da conta do utilizador autenticado (`/conta`).
+ *
+ * - Definições (`/conta/definicoes`): nome a mostrar, idioma e password.
+ * - Gestão dos tokens pessoais de API (`/conta/tokens`).
+ *
+ * Os favoritos e as listas de leitura têm controladores próprios
+ * (`favoriteController.js` e `readingListController.js`).
+ */
+
+import * as apiTokenService from "../services/apiTokenService.js";
+import { AuthError, alterarPassword } from "../services/authService.js";
+import {
+    atualizarIdioma,
+    atualizarPerfil,
+} from "../services/profileService.js";
+import { normalizarLocale, t } from "../utils/i18n.js";
+import { eErroDeValidacao, mensagensDeValidacao } from "../utils/validation.js";
+import { guardarCookieLocale } from "./localeController.js";
+
+/**
+ * Mostra a página de definições.
+ *
+ * @param {import("express").Response} res Resposta HTTP.
+ * @param {{ status?: number, erros?: string[], sucesso?: string|null,
+ *           valorNome?: string }} [opcoes] `valorNome` repõe o nome escrito
+ *        (quando há erros).
+ */
+function renderizarDefinicoes(res, opcoes = {}) {
+    const {
+        status = 200,
+        erros = [],
+        sucesso = null,
+        valorNome = res.locals.currentUser.displayName,
+    } = opcoes;
+
+    res.status(status).render("account/settings", {
+        tituloPagina: t("conta.definicoes.titulo"),
+        valorNome,
+        sucesso,
+        erros,
+    });
+}
+
+/**
+ * GET /conta/definicoes → formulários do nome e da password.
+ *
+ * @param {import("express").Request} req Pedido HTTP.
+ * @param {import("express").Response} res Resposta HTTP.
+ */
+export function mostrarDefinicoes(req, res) {
+    const sucessos = ["perfil", "idioma", "password"];
+
+    renderizarDefinicoes(res, {
+        sucesso: sucessos.includes(req.query.ok)
+            ? t(`conta.definicoes.sucesso.${req.query.ok}`)
+            : null,
+    });
+}
+
+/**
+ * POST /conta/definicoes/perfil → muda o nome a mostrar (`displayName`).
+ *
+ * @param {import("express").Request} req Pedido HTTP.
+ * @param {import("express").Response} res Resposta HTTP.
+ * @param {import("express").NextFunction} next Próximo middleware.
+ */
+export async function guardarPerfil(req, res, next) {
+    const displayName =
+        typeof req.body.displayName === "string" ? req.body.displayName : "";
+
+    try {
+        try {
+            await atualizarPerfil(res.locals.currentUser.id, { displayName });
+            res.redirect("/conta/definicoes?ok=perfil");
+        } catch (error) {
+            if (!eErroDeValidacao(error)) {
+                throw error;
+            }
+            renderizarDefinicoes(res, {
+                status: 422,
+                erros: mensagensDeValidacao(error),
+                valorNome: displayName,
+            });
+        }
+    } catch (error) {
+        next(error);
+    }
+}
+
+/**
+ * POST /conta/definicoes/idioma → muda o idioma da conta (`locale`; vazio
+ * → o do browser).
+ *
+ * @param {import("express").Request} req Pedido HTTP.
+ * @param {import("express").Response} res Resposta HTTP.
+ * @param {import("express").NextFunction} next Próximo middleware.
+ */
+export async function guardarIdioma(req, res, next) {
+    // Um valor desconhecido fica como "o do browser".
+    const locale = normalizarLocale(req.body.locale);
+
+    try {
+        await atualizarIdioma(res.locals.currentUser.id, locale);
+        guardarCookieLocale(res, locale);
+        res.redirect("/conta/definicoes?ok=idioma");
+    } catch (error) {
+        next(error);
+    }
+}
+
+/**
+ * POST /conta/definicoes/password → muda a password (`passwordAtual`,
+ * `password`, `passwordConfirm`).
+ *
+ * As outras sessões terminam (ver `alterarPassword`); esta continua,
+ * porque a data do login é renovada.
+ *
+ * @param {import("express").Request} req Pedido HTTP.
+ * @param {import("express").Response} res Resposta HTTP.
+ * @param {import("express").NextFunction} next Próximo middleware.
+ */
+export async function guardarPassword(req, res, next) {
+    try {
+        try {
+            await alterarPassword(res.locals.currentUser.id, {
+                passwordAtual: req.body.passwordAtual,
+                password: req.body.password,
+                passwordConfirm: req.body.passwordConfirm,
+            });
+        } catch (error) {
+            if (!(error instanceof AuthError)) {
+                throw error;
+            }
+            return renderizarDefinicoes(res, {
+                status: 422,
+                erros: error.erros,
+            });
+        }
+
+        req.session.loginAt = Date.now();
+        res.redirect("/conta/definicoes?ok=password");
+    } catch (error) {
+        next(error);
+    }
+}
+
+/**
+ * Mostra a lista de tokens (com erros ou o token acabado de criar).
+ *
+ * @param {import("express").Response} res Resposta HTTP.
+ * @param {{ status?: number, erros?: string[], tokenNovo?: string|null,
+ *           valorNome?: string }} [opcoes] `tokenNovo` é o token em claro,
+ *        mostrado uma única vez.
+ * @returns {Promise<void>}
+ */
+async function renderizarTokens(res, opcoes = {}) {
+    const {
+        status = 200,
+        erros = [],
+        tokenNovo = null,
+        valorNome = "",
+    } = opcoes;
+
+    const tokens = await apiTokenService.listarApiTokens(
+        res.locals.currentUser.id
+    );
+
+    res.status(status).render("account/api-tokens", {
+        tituloPagina: t("conta.tokens.titulo"),
+        tokens,
+        maximoTokens: apiTokenService.MAXIMO_TOKENS_POR_UTILIZADOR,
+        tokenNovo,
+        valorNome,
+        erros,
+    });
+}
+
+/**
+ * GET /conta/tokens → lista dos tokens de API do utilizador.
+ *
+ * @param {import("express").Request} req Pedido HTTP.
+ * @param {import("express").Response} res Resposta HTTP.
+ * @param {import("express").NextFunction} next Próximo middleware.
+ */
+export async function mostrarTokens(req, res, next) {
+    try {
+        await renderizarTokens(res);
+    } catch (error) {
+        next(error);
+    }
+}
+
+/**
+ * POST /conta/tokens → cria um token e mostra-o (só desta vez).
+ *
+ * @param {import("express").Request} req Pedido HTTP (`name`).
+ * @param {import("express").Response} res Resposta HTTP.
+ * @param {import("express").NextFunction} next Próximo middleware.
+ */
+export async function criarToken(req, res, next) {
+    const nome = typeof req.body.name === "string" ? req.body.name : "";
+
+    try {
+        try {
+            const { token } = await apiTokenService.criarApiToken(
+                res.locals.currentUser.id,
+                nome
+            );
+            return await renderizarTokens(res, {
+                status: 201,
+                tokenNovo: token,
+            });
+        } catch (error) {
+            const recusado = error instanceof apiTokenService.ApiTokenError;
+            if (!eErroDeValidacao(error) && !recusado) {
+                throw error;
+            }
+
+            return await renderizarTokens(res, {
+                status: recusado ? 409 : 422,
+                erros: recusado ? [error.message] : mensagensDeValidacao(error),
+                valorNome: nome,
+            });
+        }
+    } catch (error) {
+        next(error);
+    }
+}
+
+/**
+ * POST /conta/tokens/:id/apagar → revoga um token.
+ *
+ * @param {import("express").Request} req Pedido HTTP.
+ * @param {import("express").Response} res Resposta HTTP.
+ * @param {import("express").NextFunction} next Próximo middleware.
+ */
+export async function apagarToken(req, res, next) {
+    try {
+        const existia = await apiTokenService.revogarApiToken(
+            res.locals.currentUser.id,
+            req.params.id
+        );
+
+        if (!existia) {
+            return res.status(404).render("404", {
+                tituloPagina: t("conta.tokens.naoEncontrado"),
+            });
+        }
+
+        res.redirect("/conta/tokens");
+    } catch (error) {
+        next(error);
+    }
+}
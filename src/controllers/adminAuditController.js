@@ -0,0 +1,128 @@
+/**
+ * src/controllers/adminAuditController.js
+ * ---------------------------------------
+ * Controladores do log de auditoria (`/admin/auditoria`): consultar com
+ * filtros e paginação, e exportar em CSV com os mesmos filtros.
+ */
+
+import { Readable } from "stream";
+import { pipeline } from "stream/promises";
+
+import { ACOES_AUDITORIA } from "../models/AuditLog.js";
+import * as auditService from "../services/auditService.js";
+import { formatarData, localeAtual, t } from "../utils/i18n.js";
+import { logger } from "../utils/logger.js";
+import { construirPaginacao } from "./theoryController.js";
+
+/**
+ * Constrói a query string do log a partir dos filtros ativos.
+ *
+ * @param {ReturnType<typeof auditService.lerFiltrosAuditoria>} filtros
+ * @param {Record<string, unknown>} [alteracoes] Valores a substituir.
+ * @returns {string} Ex.: "?acao=auth.login&page=2" (ou "" se vazio).
+ */
+function construirQueryString(filtros, alteracoes = {}) {
+    const valores = { ...filtros, ...alteracoes };
+    const params = new URLSearchParams();
+
+    if (valores.acao) params.set("acao", valores.acao);
+    if (valores.q) params.set("q", valores.q);
+    if (valores.de) params.set("de", valores.de);
+    if (valores.ate) params.set("ate", valores.ate);
+    if (valores.page > 1) params.set("page", String(valores.page));
+
+    const texto = params.toString();
+    return texto ? `?${texto}` : "";
+}
+
+/**
+ * Mostra um valor de `before`/`after` de forma legível.
+ *
+ * @param {unknown} valor Valor guardado no registo.
+ * @returns {string}
+ */
+function formatarValor(valor) {
+    if (valor === null || valor === undefined || valor === "") {
+        return "—";
+    }
+    if (Array.isArray(valor)) {
+        return valor.length > 0 ? valor.join(", ") : "—";
+    }
+    if (valor instanceof Date) {
+        return formatarData(localeAtual(), valor, "dataHora");
+    }
+    if (typeof valor === "object") {
+        return JSON.stringify(valor);
+    }
+    return String(valor);
+}
+
+/**
+ * GET /admin/auditoria → registos mais recentes primeiro, com filtros
+ * (`acao`, `q`, `de`, `ate`) e paginação.
+ *
+ * @param {import("express").Request} req Pedido HTTP.
+ * @param {import("express").Response} res Resposta HTTP.
+ * @param {import("express").NextFunction} next Próximo middleware.
+ */
+export async function listarAuditoria(req, res, next) {
+    try {
+        const filtros = auditService.lerFiltrosAuditoria(req.query);
+        const resultado = await auditService.listarAuditoria(filtros);
+        const filtrosAtivos = { ...filtros, page: resultado.page };
+
+        res.render("admin/audit-log", {
+            tituloPagina: t("admin.auditoria.titulo"),
+            registos: resultado.registos,
+            total: resultado.total,
+            filtros: filtrosAtivos,
+            paginacao: construirPaginacao(
+                resultado.page,
+                resultado.pages,
+                (numero) =>
+                    construirQueryString(filtrosAtivos, { page: numero })
+            ),
+            caminhoExportar: `/admin/auditoria/exportar${construirQueryString(
+                filtrosAtivos,
+                { page: 1 }
+            )}`,
+            acoes: ACOES_AUDITORIA,
+            formatarValor,
+            erros: [],
+        });
+    } catch (error) {
+        next(error);
+    }
+}
+
+/**
+ * GET /admin/auditoria/exportar → CSV com todos os registos dos filtros
+ * (sem paginação), enviado aos poucos.
+ *
+ * @param {import("express").Request} req Pedido HTTP.
+ * @param {import("express").Response} res Resposta HTTP.
+ */
+export async function exportarAuditoria(req, res) {
+    const filtros = auditService.lerFiltrosAuditoria(req.query);
+    const hoje = new Date().toISOString().slice(0, 10);
+
+    try {
+        res.set({
+            "Content-Type": "text/csv; charset=utf-8",
+            "Content-Disposition": `attachment; filename="auditoria-${hoje}.csv"`,
+        });
+        await pipeline(
+            Readable.from(auditService.exportarAuditoriaCsv(filtros)),
+            res
+        );
+    } catch (error) {
+        logger.error("Erro ao exportar o log de auditoria", { error });
+        // A meio do envio já não dá para mostrar a página de erro.
+        if (!res.headersSent) {
+            res.status(500).render("500", {
+                tituloPagina: t("admin.auditoria.erroExportarTitulo"),
+                erros: [t("admin.auditoria.erroExportar")],
+            });
+        }
+    }
+}
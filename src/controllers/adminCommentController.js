@@ -0,0 +1,150 @@
+/**
+ * src/controllers/adminCommentController.js
+ * -----------------------------------------
+ * Controladores da moderação de comentários (`/admin/comentarios`) e do
+ * bloqueio de comentários por teoria.
+ */
+
+import { ESTADOS_COMENTARIO } from "../models/Comment.js";
+import { contextoDoPedido } from "../services/auditService.js";
+import * as commentService from "../services/commentService.js";
+import { t } from "../utils/i18n.js";
+import { logger } from "../utils/logger.js";
+import { construirPaginacao } from "./theoryController.js";
+
+/**
+ * @param {import("express").Request} req Pedido HTTP.
+ * @returns {string} Estado pedido na query string (por omissão "pending").
+ */
+function lerEstado(req) {
+    return ESTADOS_COMENTARIO.includes(req.query.estado)
+        ? req.query.estado
+        : "pending";
+}
+
+/**
+ * @param {unknown} valor `page` da query string ou do body.
+ * @returns {number} Página pedida (1 se não for válida).
+ */
+function lerPagina(valor) {
+    return Math.max(Number.parseInt(valor, 10) || 1, 1);
+}
+
+/**
+ * @param {string} estado Separador.
+ * @param {number} page Página.
+ * @returns {string} Query string da fila nesse separador e página (ex.:
+ *          "?estado=approved&page=2").
+ */
+function queryFila(estado, page) {
+    return `?estado=${estado}${page > 1 ? `&page=${page}` : ""}`;
+}
+
+/**
+ * GET /admin/comentarios?estado=pending&page=2 → fila de moderação (com
+ * paginação).
+ *
+ * @param {import("express").Request} req Pedido HTTP.
+ * @param {import("express").Response} res Resposta HTTP.
+ */
+export async function listarComentarios(req, res) {
+    const estado = lerEstado(req);
+
+    try {
+        const resultado = await commentService.listarFilaModeracao(
+            estado,
+            lerPagina(req.query.page)
+        );
+
+        res.render("admin/comments-queue", {
+            tituloPagina: t("admin.comentarios.titulo"),
+            estado,
+            estados: ESTADOS_COMENTARIO,
+            itens: resultado.itens,
+            total: resultado.total,
+            page: resultado.page,
+            paginacao: construirPaginacao(
+                resultado.page,
+                resultado.pages,
+                (numero) => queryFila(estado, numero)
+            ),
+            erros: [],
+        });
+    } catch (error) {
+        logger.error("Erro ao carregar a fila de moderação", { error });
+        res.status(500).render("admin/comments-queue", {
+            tituloPagina: t("admin.comentarios.titulo"),
+            estado,
+            estados: ESTADOS_COMENTARIO,
+            itens: [],
+            total: 0,
+            page: 1,
+            paginacao: null,
+            erros: [t("admin.comentarios.erroCarregar")],
+        });
+    }
+}
+
+/**
+ * POST /admin/comentarios/:id/:acao → aprova, oculta ou apaga um
+ * comentário (apagar leva as respostas) e volta à fila de onde veio.
+ *
+ * @param {import("express").Request} req Pedido HTTP (`estado` e `page`
+ *        no body, para voltar ao mesmo separador e página).
+ * @param {import("express").Response} res Resposta HTTP.
+ * @param {import("express").NextFunction} next Próximo middleware.
+ */
+export async function moderarComentario(req, res, next) {
+    const { id, acao } = req.params;
+    const estado = ESTADOS_COMENTARIO.includes(req.body.estado)
+        ? req.body.estado
+        : "pending";
+
+    const contexto = contextoDoPedido(req, res);
+
+    try {
+        const existia =
+            acao === "apagar"
+                ? await commentService.apagarComentario(id, contexto)
+                : await commentService.moderarComentario(id, acao, contexto);
+
+        if (!existia) {
+            return res.status(404).render("404", {
+                tituloPagina: t("comentarios.naoEncontrado"),
+            });
+        }
+
+        res.redirect(
+            `/admin/comentarios${queryFila(estado, lerPagina(req.body.page))}`
+        );
+    } catch (error) {
+        next(error);
+    }
+}
+
+/**
+ * POST /admin/teorias/:id/comentarios/bloqueio → abre/fecha os
+ * comentários de uma teoria.
+ *
+ * @param {import("express").Request} req Pedido HTTP (usa `req.params.id`).
+ * @param {import("express").Response} res Resposta HTTP.
+ * @param {import("express").NextFunction} next Próximo middleware.
+ */
+export async function alternarBloqueio(req, res, next) {
+    try {
+        const bloqueado = await commentService.alternarBloqueioComentarios(
+            req.params.id,
+            contextoDoPedido(req, res)
+        );
+
+        if (bloqueado === null) {
+            return res.status(404).render("404", {
+                tituloPagina: t("teorias.naoEncontrada"),
+            });
+        }
+
+        res.redirect("/admin/teorias");
+    } catch (error) {
+        next(error);
+    }
+}
@@ -0,0 +1,546 @@
+/**
+ * src/controllers/adminController.js
+ * ----------------------------------
+ * Controladores da área de gestão das teorias (`/admin/teorias`).
+ *
+ * RESPONSABILIDADES:
+ * - Listar, criar, editar e apagar teorias (CRUD).
+ * - Histórico de revisões: comparar duas versões e repor uma antiga.
+ * - Fluxo de publicação: filtrar a lista por estado e enviar para revisão,
+ *   aprovar, rejeitar, arquivar ou reabrir (ver `workflowService.js`).
+ * - Quando a validação do Mongoose falha, voltar a mostrar o formulário
+ *   com as mensagens de erro (`erros`) e os valores já preenchidos
+ *   (`valores`), para o utilizador não perder o que escreveu.
+ * - O mesmo quando outra pessoa gravou a teoria entretanto (conflito):
+ *   o formulário volta com o texto do utilizador e uma ligação para o
+ *   histórico, onde se vê o que a outra pessoa mudou.
+ *
+ * NOTA:
+ * - Todas estas rotas estão protegidas em `adminRoutes.js`
+ *   (`exigirAutenticacao` + `exigirPermissao(...)`).
+ */
+
+import mongoose from "mongoose";
+
+import Theory, { ESTADOS_TEORIA } from "../models/Theory.js";
+import { contextoDoPedido } from "../services/auditService.js";
+import * as revisionService from "../services/revisionService.js";
+import * as theoryService from "../services/theoryService.js";
+import * as workflowService from "../services/workflowService.js";
+import { t } from "../utils/i18n.js";
+import { logger } from "../utils/logger.js";
+import { eErroDeValidacao, mensagensDeValidacao } from "../utils/validation.js";
+import { construirPaginacao } from "./theoryController.js";
+
+/** Teorias por página na lista de gestão. */
+const TEORIAS_POR_PAGINA = 20;
+
+/**
+ * Converte os dados de uma teoria nos `valores` esperados pelo formulário.
+ * As tags voltam a ser uma string separada por vírgulas.
+ *
+ * @param {object} dados Teoria (ou dados lidos do body).
+ * @param {number|null} [versao] Versão (`__v`) da teoria em edição.
+ * @returns {{ title: string, summary: string, content: string,
+ *             complexityLevel: string, tags: string, publishAt: string,
+ *             version: number|null }}
+ */
+function paraValoresFormulario(dados = {}, versao = null) {
+    return {
+        title: dados.title || "",
+        summary: dados.summary || "",
+        content: dados.content || "",
+        complexityLevel: dados.complexityLevel || "medium",
+        tags: (dados.tags || []).join(", "),
+        publishAt: paraDataLocal(dados.publishAt),
+        version: versao,
+    };
+}
+
+/**
+ * Formata uma data para um `<input type="datetime-local">`
+ * ("AAAA-MM-DDTHH:MM", na hora local do servidor).
+ *
+ * @param {Date|string|null|undefined} valor Data (ou o texto já escrito).
+ * @returns {string}
+ */
+function paraDataLocal(valor) {
+    if (!valor) {
+        return "";
+    }
+    if (typeof valor === "string") {
+        return valor;
+    }
+
+    const data = new Date(valor);
+    const dois = (n) => String(n).padStart(2, "0");
+    return (
+        `${data.getFullYear()}-${dois(data.getMonth() + 1)}-` +
+        `${dois(data.getDate())}T${dois(data.getHours())}:` +
+        dois(data.getMinutes())
+    );
+}
+
+/**
+ * @param {unknown} valor Campo `version` do formulário.
+ * @returns {number|undefined} Versão, ou `undefined` se não vier (ou for
+ *          inválida) — nesse caso não há verificação de conflito.
+ */
+function lerVersao(valor) {
+    const versao = Number.parseInt(valor, 10);
+    return Number.isInteger(versao) && versao >= 0 ? versao : undefined;
+}
+
+/**
+ * Mostra o formulário de teoria (criação ou edição).
+ *
+ * @param {import("express").Response} res Resposta HTTP.
+ * @param {object} opcoes
+ * @param {"create"|"edit"} opcoes.mode Modo do formulário.
+ * @param {string} opcoes.action URL para onde o formulário faz POST.
+ * @param {object} [opcoes.valores] Valores a preencher.
+ * @param {number|null} [opcoes.versao] Versão da teoria (só na edição).
+ * @param {string[]} [opcoes.erros] Mensagens de erro.
+ * @param {string|null} [opcoes.historico] URL do histórico (em conflito).
+ * @param {number} [opcoes.status] Status HTTP (422 quando há erros).
+ */
+function renderFormulario(
+    res,
+    {
+        mode,
+        action,
+        valores = {},
+        versao = null,
+        erros = [],
+        historico = null,
+        status = 200,
+    }
+) {
+    res.status(status).render("admin/theory-form", {
+        tituloPagina:
+            mode === "create"
+                ? t("admin.teorias.nova")
+                : t("admin.teorias.editar"),
+        mode,
+        action,
+        valores: paraValoresFormulario(valores, versao),
+        erros,
+        historico,
+    });
+}
+
+/**
+ * @param {unknown} valor Estado pedido (query string ou formulário).
+ * @returns {string} Estado válido, ou "" (todas as teorias).
+ */
+function lerEstado(valor) {
+    return ESTADOS_TEORIA.includes(valor) ? valor : "";
+}
+
+/**
+ * @param {unknown} valor `page` da query string ou do body.
+ * @returns {number} Página pedida (1 se não for válida).
+ */
+function lerPagina(valor) {
+    return Math.max(Number.parseInt(valor, 10) || 1, 1);
+}
+
+/**
+ * @param {string} estado Separador ("" = todas).
+ * @param {number} page Página.
+ * @returns {string} Query string da lista nesse separador e página (ex.:
+ *          "?estado=review&page=2"), ou "" se não houver nada.
+ */
+function queryLista(estado, page) {
+    const params = new URLSearchParams();
+    if (estado) params.set("estado", estado);
+    if (page > 1) params.set("page", String(page));
+    const texto = params.toString();
+    return texto ? `?${texto}` : "";
+}
+
+/**
+ * Mostra a lista de gestão, paginada (usada também para mostrar os erros
+ * das ações do fluxo de publicação).
+ *
+ * @param {import("express").Response} res Resposta HTTP.
+ * @param {object} opcoes
+ * @param {string} opcoes.estado Separador ("" = todas).
+ * @param {number} [opcoes.pagina] Página pedida (acima da última → a
+ *        última).
+ * @param {string[]} [opcoes.erros] Mensagens de erro.
+ * @param {number} [opcoes.status] Status HTTP.
+ */
+async function renderizarLista(
+    res,
+    { estado, pagina = 1, erros = [], status = 200 }
+) {
+    const filtro = estado ? { status: estado } : {};
+    const [total, contagens] = await Promise.all([
+        Theory.countDocuments(filtro),
+        Theory.aggregate([{ $group: { _id: "$status", total: { $sum: 1 } } }]),
+    ]);
+
+    const pages = Math.max(1, Math.ceil(total / TEORIAS_POR_PAGINA));
+    const page = Math.min(pagina, pages);
+    const theories = await Theory.find(filtro)
+        .sort({ createdAt: -1, _id: -1 })
+        .skip((page - 1) * TEORIAS_POR_PAGINA)
+        .limit(TEORIAS_POR_PAGINA)
+        .lean();
+
+    const porEstado = Object.fromEntries(
+        ESTADOS_TEORIA.map((e) => [
+            e,
+            contagens.find((c) => c._id === e)?.total || 0,
+        ])
+    );
+
+    res.status(status).render("admin/theories-list", {
+        tituloPagina: t("admin.teorias.titulo"),
+        theories: theories.map((teoria) => ({
+            ...teoria,
+            acoes: workflowService.acoesDisponiveis(
+                teoria,
+                res.locals.currentUser
+            ),
+        })),
+        total,
+        page,
+        primeiroNumero: (page - 1) * TEORIAS_POR_PAGINA + 1,
+        paginacao: construirPaginacao(page, pages, (numero) =>
+            queryLista(estado, numero)
+        ),
+        estado,
+        porEstado,
+        estados: ESTADOS_TEORIA,
+        erros,
+    });
+}
+
+/**
+ * GET /admin/teorias?estado=review&page=2 → lista de gestão (mais
+ * recentes primeiro, com paginação), de todas as teorias ou só das que
+ * estão num estado.
+ *
+ * @param {import("express").Request} req Pedido HTTP.
+ * @param {import("express").Response} res Resposta HTTP.
+ */
+export async function listarTeorias(req, res) {
+    const estado = lerEstado(req.query.estado);
+
+    try {
+        await renderizarLista(res, {
+            estado,
+            pagina: lerPagina(req.query.page),
+        });
+    } catch (error) {
+        logger.error("Erro ao listar teorias (admin)", { error });
+        res.status(500).render("admin/theories-list", {
+            tituloPagina: t("admin.teorias.titulo"),
+            theories: [],
+            total: 0,
+            page: 1,
+            primeiroNumero: 1,
+            paginacao: null,
+            estado,
+            porEstado: {},
+            estados: ESTADOS_TEORIA,
+            erros: [t("teorias.erros.carregar")],
+        });
+    }
+}
+
+/**
+ * POST /admin/teorias/:id/estado → aplica uma ação do fluxo de publicação
+ * (`acao` e, para rejeitar, `nota` no body) e volta ao separador e à
+ * página de onde veio (`estado` e `page`).
+ *
+ * Ação recusada (sem permissão, estado errado, falta a nota) → a lista
+ * volta a aparecer com a explicação.
+ *
+ * @param {import("express").Request} req Pedido HTTP.
+ * @param {import("express").Response} res Resposta HTTP.
+ * @param {import("express").NextFunction} next Próximo middleware.
+ */
+export async function mudarEstado(req, res, next) {
+    const estado = lerEstado(req.body.estado);
+    const pagina = lerPagina(req.body.page);
+
+    try {
+        try {
+            const theory = await workflowService.aplicarTransicao(
+                req.params.id,
+                req.body.acao,
+                res.locals.currentUser,
+                { nota: req.body.nota, contexto: contextoDoPedido(req, res) }
+            );
+
+            if (!theory) {
+                return res.status(404).render("404", {
+                    tituloPagina: t("teorias.naoEncontrada"),
+                });
+            }
+
+            res.redirect(`/admin/teorias${queryLista(estado, pagina)}`);
+        } catch (error) {
+            if (!(error instanceof workflowService.WorkflowError)) {
+                throw error;
+            }
+
+            await renderizarLista(res, {
+                estado,
+                pagina,
+                erros: [error.message],
+                status: error.status,
+            });
+        }
+    } catch (error) {
+        next(error);
+    }
+}
+
+/**
+ * GET /admin/teorias/nova → formulário vazio.
+ *
+ * @param {import("express").Request} req Pedido HTTP.
+ * @param {import("express").Response} res Resposta HTTP.
+ */
+export function mostrarFormularioNova(req, res) {
+    renderFormulario(res, { mode: "create", action: "/admin/teorias/nova" });
+}
+
+/**
+ * POST /admin/teorias/nova → cria a teoria (como rascunho).
+ *
+ * - Sucesso → redirect para os rascunhos.
+ * - Erro de validação → volta a mostrar o formulário (status 422).
+ *
+ * @param {import("express").Request} req Pedido HTTP (dados em `req.body`).
+ * @param {import("express").Response} res Resposta HTTP.
+ */
+export async function criarTeoria(req, res) {
+    const dados = theoryService.lerDadosTeoria(req.body);
+
+    try {
+        await theoryService.criarTeoria(dados, contextoDoPedido(req, res));
+        res.redirect("/admin/teorias?estado=draft");
+    } catch (error) {
+        if (eErroDeValidacao(error)) {
+            return renderFormulario(res, {
+                mode: "create",
+                action: "/admin/teorias/nova",
+                valores: dados,
+                erros: mensagensDeValidacao(error),
+                status: 422,
+            });
+        }
+
+        logger.error("Erro ao criar teoria", { error });
+        renderFormulario(res, {
+            mode: "create",
+            action: "/admin/teorias/nova",
+            valores: dados,
+            erros: [t("admin.teorias.erros.criar")],
+            status: 500,
+        });
+    }
+}
+
+/**
+ * GET /admin/teorias/:id/editar → formulário preenchido com a teoria.
+ *
+ * @param {import("express").Request} req Pedido HTTP (usa `req.params.id`).
+ * @param {import("express").Response} res Resposta HTTP.
+ * @param {import("express").NextFunction} next Próximo middleware.
+ */
+export async function mostrarFormularioEditar(req, res, next) {
+    const { id } = req.params;
+
+    try {
+        const theory = await Theory.findById(id).lean();
+
+        if (!theory) {
+            return res.status(404).render("404", {
+                tituloPagina: t("teorias.naoEncontrada"),
+            });
+        }
+
+        renderFormulario(res, {
+            mode: "edit",
+            action: `/admin/teorias/${theory._id}/editar`,
+            valores: theory,
+            versao: theory.__v ?? 0,
+        });
+    } catch (error) {
+        next(error);
+    }
+}
+
+/**
+ * POST /admin/teorias/:id/editar → guarda as alterações.
+ *
+ * - Conflito (outra pessoa gravou depois de o formulário ter sido aberto)
+ *   → volta a mostrar o formulário (status 409), já com a versão atual:
+ *   gravar outra vez substitui, conscientemente, a versão da outra pessoa.
+ *
+ * @param {import("express").Request} req Pedido HTTP (`version` no body).
+ * @param {import("express").Response} res Resposta HTTP.
+ * @param {import("express").NextFunction} next Próximo middleware.
+ */
+export async function atualizarTeoria(req, res, next) {
+    const { id } = req.params;
+    const dados = theoryService.lerDadosTeoria(req.body);
+    const versao = lerVersao(req.body.version);
+    const action = `/admin/teorias/${id}/editar`;
+
+    try {
+        const theory = await theoryService.atualizarTeoria(id, dados, {
+            contexto: contextoDoPedido(req, res),
+            versao,
+        });
+
+        if (!theory) {
+            return res.status(404).render("404", {
+                tituloPagina: t("teorias.naoEncontrada"),
+            });
+        }
+
+        res.redirect("/admin/teorias");
+    } catch (error) {
+        if (error instanceof theoryService.TheoryConflictError) {
+            return renderFormulario(res, {
+                mode: "edit",
+                action,
+                valores: dados,
+                versao: error.theory.__v ?? 0,
+                erros: [error.message],
+                historico: `/admin/teorias/${id}/historico`,
+                status: 409,
+            });
+        }
+
+        if (eErroDeValidacao(error)) {
+            return renderFormulario(res, {
+                mode: "edit",
+                action,
+                valores: dados,
+                versao,
+                erros: mensagensDeValidacao(error),
+                status: 422,
+            });
+        }
+
+        // Ex.: `:id` que não é um ObjectId (`CastError` → 404).
+        next(error);
+    }
+}
+
+/**
+ * POST /admin/teorias/:id/apagar → apaga a teoria.
+ *
+ * @param {import("express").Request} req Pedido HTTP.
+ * @param {import("express").Response} res Resposta HTTP.
+ * @param {import("express").NextFunction} next Próximo middleware.
+ */
+export async function apagarTeoria(req, res, next) {
+    try {
+        await theoryService.apagarTeoria(
+            req.params.id,
+            contextoDoPedido(req, res)
+        );
+        res.redirect("/admin/teorias");
+    } catch (error) {
+        next(error);
+    }
+}
+
+/**
+ * @param {unknown} valor Número de revisão vindo da query string.
+ * @returns {number|null}
+ */
+function lerNumeroRevisao(valor) {
+    const numero = Number.parseInt(valor, 10);
+    return Number.isInteger(numero) && numero >= 1 ? numero : null;
+}
+
+/**
+ * GET /admin/teorias/:id/historico?de=N&para=M → lista de revisões e
+ * comparação lado a lado entre duas delas.
+ *
+ * Sem `de`/`para`, compara a revisão mais recente com a anterior.
+ *
+ * @param {import("express").Request} req Pedido HTTP.
+ * @param {import("express").Response} res Resposta HTTP.
+ * @param {import("express").NextFunction} next Próximo middleware.
+ */
+export async function mostrarHistorico(req, res, next) {
+    const { id } = req.params;
+
+    try {
+        const theory = mongoose.isValidObjectId(id)
+            ? await Theory.findById(id).lean()
+            : null;
+
+        if (!theory) {
+            return res.status(404).render("404", {
+                tituloPagina: t("teorias.naoEncontrada"),
+            });
+        }
+
+        const revisoes = await revisionService.listarRevisoes(theory._id);
+        const porNumero = new Map(revisoes.map((r) => [r.number, r]));
+
+        // Por omissão: a última revisão contra a penúltima.
+        const para =
+            porNumero.get(lerNumeroRevisao(req.query.para)) || revisoes[0];
+        const de =
+            porNumero.get(lerNumeroRevisao(req.query.de)) ||
+            revisoes.find((r) => para && r.number < para.number) ||
+            para;
+
+        res.render("admin/theory-history", {
+            tituloPagina: t("admin.historico.titulo"),
+            theory,
+            revisoes,
+            de: de || null,
+            para: para || null,
+            comparacao:
+                de && para ? revisionService.compararRevisoes(de, para) : [],
+            erros: [],
+        });
+    } catch (error) {
+        next(error);
+    }
+}
+
+/**
+ * POST /admin/teorias/:id/historico/:numero/restaurar → repõe a revisão
+ * (que fica registada como uma revisão nova) e volta ao histórico.
+ *
+ * @param {import("express").Request} req Pedido HTTP.
+ * @param {import("express").Response} res Resposta HTTP.
+ * @param {import("express").NextFunction} next Próximo middleware.
+ */
+export async function restaurarRevisao(req, res, next) {
+    const { id } = req.params;
+    const numero = lerNumeroRevisao(req.params.numero);
+
+    try {
+        const theory = await theoryService.restaurarRevisao(
+            id,
+            numero,
+            contextoDoPedido(req, res)
+        );
+
+        if (!theory) {
+            return res.status(404).render("404", {
+                tituloPagina: t("admin.historico.revisaoNaoEncontrada"),
+            });
+        }
+
+        res.redirect(`/admin/teorias/${theory._id}/historico`);
+    } catch (error) {
+        next(error);
+    }
+}
@@ -0,0 +1,171 @@
+/**
+ * src/controllers/adminTagController.js
+ * -------------------------------------
+ * Controladores da gestão de tags (`/admin/tags`).
+ *
+ * RESPONSABILIDADES:
+ * - Listar o registo de tags (com o número de teorias de cada uma).
+ * - Editar o nome a mostrar e a descrição; renomear, fundir e bloquear
+ *   (estas três mexem nas teorias — ver `tagService.js`).
+ * - Sugestões para o campo de tags do formulário de teorias (JSON).
+ *
+ * Quando uma ação é recusada (ex.: fundir numa tag bloqueada), a lista
+ * volta a aparecer com a explicação.
+ */
+
+import * as tagService from "../services/tagService.js";
+import { t } from "../utils/i18n.js";
+import { logger } from "../utils/logger.js";
+import { eErroDeValidacao, mensagensDeValidacao } from "../utils/validation.js";
+
+/**
+ * Mostra a lista de gestão das tags.
+ *
+ * @param {import("express").Response} res Resposta HTTP.
+ * @param {{ erros?: string[], status?: number }} [opcoes]
+ */
+async function renderizarLista(res, { erros = [], status = 200 } = {}) {
+    const tags = await tagService.listarTags();
+
+    res.status(status).render("admin/tags-list", {
+        tituloPagina: t("admin.tags.titulo"),
+        tags,
+        erros,
+    });
+}
+
+/**
+ * Executa uma ação de gestão e volta à lista.
+ *
+ * - Tag inexistente (a ação devolve `null`) → 404.
+ * - `TagError` ou erro de validação → lista com a mensagem.
+ *
+ * @param {import("express").Response} res Resposta HTTP.
+ * @param {import("express").NextFunction} next Próximo middleware.
+ * @param {() => Promise<unknown>} acao Ação a executar.
+ */
+async function executarAcao(res, next, acao) {
+    try {
+        try {
+            const resultado = await acao();
+
+            if (resultado === null) {
+                return res.status(404).render("404", {
+                    tituloPagina: t("tags.naoEncontrada"),
+                });
+            }
+
+            res.redirect("/admin/tags");
+        } catch (error) {
+            if (error instanceof tagService.TagError) {
+                return await renderizarLista(res, {
+                    erros: [error.message],
+                    status: error.status,
+                });
+            }
+            if (eErroDeValidacao(error)) {
+                return await renderizarLista(res, {
+                    erros: mensagensDeValidacao(error),
+                    status: 422,
+                });
+            }
+            throw error;
+        }
+    } catch (error) {
+        next(error);
+    }
+}
+
+/**
+ * GET /admin/tags → registo de tags.
+ *
+ * @param {import("express").Request} req Pedido HTTP.
+ * @param {import("express").Response} res Resposta HTTP.
+ */
+export async function listarTags(req, res) {
+    try {
+        await renderizarLista(res);
+    } catch (error) {
+        logger.error("Erro ao listar tags", { error });
+        res.status(500).render("admin/tags-list", {
+            tituloPagina: t("admin.tags.titulo"),
+            tags: [],
+            erros: [t("tags.erros.carregar")],
+        });
+    }
+}
+
+/**
+ * POST /admin/tags/:tag/editar → nome a mostrar e descrição.
+ *
+ * @param {import("express").Request} req Pedido HTTP.
+ * @param {import("express").Response} res Resposta HTTP.
+ * @param {import("express").NextFunction} next Próximo middleware.
+ */
+export async function atualizarTag(req, res, next) {
+    await executarAcao(res, next, () =>
+        tagService.atualizarTag(req.params.tag, {
+            displayName: req.body.displayName,
+            description: req.body.description,
+        })
+    );
+}
+
+/**
+ * POST /admin/tags/:tag/renomear → muda o nome (`novoNome`) em todas as
+ * teorias.
+ *
+ * @param {import("express").Request} req Pedido HTTP.
+ * @param {import("express").Response} res Resposta HTTP.
+ * @param {import("express").NextFunction} next Próximo middleware.
+ */
+export async function renomearTag(req, res, next) {
+    await executarAcao(res, next, () =>
+        tagService.renomearTag(req.params.tag, req.body.novoNome)
+    );
+}
+
+/**
+ * POST /admin/tags/fundir → funde as tags escolhidas (`origens`) na tag
+ * `destino`.
+ *
+ * @param {import("express").Request} req Pedido HTTP.
+ * @param {import("express").Response} res Resposta HTTP.
+ * @param {import("express").NextFunction} next Próximo middleware.
+ */
+export async function fundirTags(req, res, next) {
+    await executarAcao(res, next, () =>
+        tagService.fundirTags(req.body.origens, req.body.destino)
+    );
+}
+
+/**
+ * POST /admin/tags/:tag/bloquear → bloqueia (`bloquear=1`) ou desbloqueia
+ * (`bloquear=0`).
+ *
+ * @param {import("express").Request} req Pedido HTTP.
+ * @param {import("express").Response} res Resposta HTTP.
+ * @param {import("express").NextFunction} next Próximo middleware.
+ */
+export async function bloquearTag(req, res, next) {
+    await executarAcao(res, next, () =>
+        tagService.bloquearTag(req.params.tag, req.body.bloquear === "1")
+    );
+}
+
+/**
+ * GET /admin/tags/sugestoes?q=vig → `{ data: ["vigilância", ...] }`, para
+ * o autocompletar do formulário de teorias.
+ *
+ * @param {import("express").Request} req Pedido HTTP.
+ * @param {import("express").Response} res Resposta HTTP.
+ */
+export async function sugerirTags(req, res) {
+    try {
+        const texto = typeof req.query.q === "string" ? req.query.q : "";
+        res.json({ data: await tagService.sugerirTags(texto) });
+    } catch (error) {
+        logger.error("Erro ao sugerir tags", { error });
+        res.status(500).json({ data: [] });
+    }
+}
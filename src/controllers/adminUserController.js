@@ -0,0 +1,284 @@
+/**
+ * src/controllers/adminUserController.js
+ * --------------------------------------
+ * Controladores da área de gestão de utilizadores (`/admin/utilizadores`).
+ *
+ * RESPONSABILIDADES:
+ * - Lista de contas (pesquisa, filtros e paginação) e as ações sobre cada
+ *   uma: mudar o role, desativar/reativar e obrigar a escolher uma
+ *   password nova (ver `userService.js`).
+ * - Convidar pessoas (a conta é criada e a pessoa recebe um link).
+ * - Ver e levantar os bloqueios de login (força bruta).
+ *
+ * Depois de cada ação, volta à lista com os filtros que estavam ativos
+ * (campo `voltar` dos formulários).
+ */
+
+import { contextoDoPedido } from "../services/auditService.js";
+import * as loginThrottle from "../services/loginThrottleService.js";
+import * as userService from "../services/userService.js";
+import { t } from "../utils/i18n.js";
+import { logger } from "../utils/logger.js";
+import { caminhoLocal, urlBaseEmails } from "../utils/url.js";
+import { eErroDeValidacao, mensagensDeValidacao } from "../utils/validation.js";
+import { construirPaginacao } from "./theoryController.js";
+
+const CAMINHO_LISTA = "/admin/utilizadores";
+
+/**
+ * Constrói a query string da lista de contas a partir dos filtros ativos.
+ *
+ * @param {ReturnType<typeof userService.lerFiltrosUtilizadores>} filtros
+ * @param {Record<string, unknown>} [alteracoes] Valores a substituir.
+ * @returns {string} Ex.: "?q=ana&role=admin&page=2" (ou "" se vazio).
+ */
+function construirQueryString(filtros, alteracoes = {}) {
+    const valores = { ...filtros, ...alteracoes };
+    const params = new URLSearchParams();
+
+    if (valores.q) params.set("q", valores.q);
+    if (valores.role) params.set("role", valores.role);
+    if (valores.estado) params.set("estado", valores.estado);
+    if (valores.page > 1) params.set("page", String(valores.page));
+
+    const texto = params.toString();
+    return texto ? `?${texto}` : "";
+}
+
+/**
+ * Mostra a lista de contas (com os filtros do URL).
+ *
+ * @param {import("express").Request} req Pedido HTTP.
+ * @param {import("express").Response} res Resposta HTTP.
+ * @param {{ status?: number, erros?: string[],
+ *           convite?: ReturnType<typeof userService.lerDadosConvite> }}
+ *        [opcoes] `convite` repõe o formulário de convite.
+ * @returns {Promise<void>}
+ */
+async function renderizarLista(req, res, opcoes = {}) {
+    const { status = 200, erros = [], convite = null } = opcoes;
+
+    const filtros = userService.lerFiltrosUtilizadores(req.query);
+    const resultado = await userService.listarUtilizadores(filtros);
+    const filtrosAtivos = { ...filtros, page: resultado.page };
+
+    res.status(status).render("admin/users-list", {
+        tituloPagina: t("admin.utilizadores.titulo"),
+        users: resultado.users,
+        total: resultado.total,
+        filtros: filtrosAtivos,
+        paginacao: construirPaginacao(
+            resultado.page,
+            resultado.pages,
+            (numero) => construirQueryString(filtrosAtivos, { page: numero })
+        ),
+        voltar: CAMINHO_LISTA + construirQueryString(filtrosAtivos),
+        roles: userService.ROLES,
+        estados: userService.ESTADOS_CONTA,
+        convite: convite || { displayName: "", email: "", role: "user" },
+        erros,
+    });
+}
+
+/**
+ * Executa uma ação sobre uma conta e volta à lista.
+ *
+ * - Conta inexistente (a ação devolve `null`) → 404.
+ * - `UserError` ou erro de validação → lista com a mensagem.
+ *
+ * @param {import("express").Request} req Pedido HTTP (usa `voltar`).
+ * @param {import("express").Response} res Resposta HTTP.
+ * @param {import("express").NextFunction} next Próximo middleware.
+ * @param {() => Promise<unknown>} acao Ação a executar.
+ * @param {{ destino?: string, convite?: object }} [opcoes]
+ */
+async function executarAcao(req, res, next, acao, opcoes = {}) {
+    try {
+        try {
+            const resultado = await acao();
+
+            if (resultado === null) {
+                return res.status(404).render("404", {
+                    tituloPagina: t("utilizadores.naoEncontrado"),
+                });
+            }
+
+            res.redirect(
+                opcoes.destino || caminhoLocal(req.body.voltar, CAMINHO_LISTA)
+            );
+        } catch (error) {
+            if (error instanceof userService.UserError) {
+                return await renderizarLista(req, res, {
+                    status: error.status,
+                    erros: [error.message],
+                    convite: opcoes.convite,
+                });
+            }
+            if (eErroDeValidacao(error)) {
+                return await renderizarLista(req, res, {
+                    status: 422,
+                    erros: mensagensDeValidacao(error),
+                    convite: opcoes.convite,
+                });
+            }
+            throw error;
+        }
+    } catch (error) {
+        next(error);
+    }
+}
+
+/**
+ * GET /admin/utilizadores → lista de contas.
+ *
+ * EXEMPLOS:
+ * - `/admin/utilizadores?q=ana`
+ * - `/admin/utilizadores?role=admin&estado=active&page=2`
+ *
+ * @param {import("express").Request} req Pedido HTTP.
+ * @param {import("express").Response} res Resposta HTTP.
+ * @param {import("express").NextFunction} next Próximo middleware.
+ */
+export async function listarUtilizadores(req, res, next) {
+    try {
+        await renderizarLista(req, res);
+    } catch (error) {
+        next(error);
+    }
+}
+
+/**
+ * POST /admin/utilizadores/convidar → cria a conta (`displayName`,
+ * `email`, `role`) e envia o convite; depois mostra a conta nova na lista.
+ *
+ * @param {import("express").Request} req Pedido HTTP.
+ * @param {import("express").Response} res Resposta HTTP.
+ * @param {import("express").NextFunction} next Próximo middleware.
+ */
+export async function convidarUtilizador(req, res, next) {
+    const convite = userService.lerDadosConvite(req.body);
+
+    await executarAcao(
+        req,
+        res,
+        next,
+        () =>
+            userService.convidarUtilizador(
+                convite,
+                contextoDoPedido(req, res),
+                urlBaseEmails()
+            ),
+        {
+            destino: CAMINHO_LISTA + construirQueryString({ q: convite.email }),
+            convite,
+        }
+    );
+}
+
+/**
+ * POST /admin/utilizadores/:id/role → muda o role (`role`).
+ *
+ * @param {import("express").Request} req Pedido HTTP.
+ * @param {import("express").Response} res Resposta HTTP.
+ * @param {import("express").NextFunction} next Próximo middleware.
+ */
+export async function mudarRole(req, res, next) {
+    await executarAcao(req, res, next, () =>
+        userService.mudarRole(
+            req.params.id,
+            req.body.role,
+            contextoDoPedido(req, res)
+        )
+    );
+}
+
+/**
+ * POST /admin/utilizadores/:id/desativar → desativa a conta.
+ *
+ * @param {import("express").Request} req Pedido HTTP.
+ * @param {import("express").Response} res Resposta HTTP.
+ * @param {import("express").NextFunction} next Próximo middleware.
+ */
+export async function desativarUtilizador(req, res, next) {
+    await executarAcao(req, res, next, () =>
+        userService.desativarUtilizador(
+            req.params.id,
+            contextoDoPedido(req, res)
+        )
+    );
+}
+
+/**
+ * POST /admin/utilizadores/:id/reativar → reativa a conta.
+ *
+ * @param {import("express").Request} req Pedido HTTP.
+ * @param {import("express").Response} res Resposta HTTP.
+ * @param {import("express").NextFunction} next Próximo middleware.
+ */
+export async function reativarUtilizador(req, res, next) {
+    await executarAcao(req, res, next, () =>
+        userService.reativarUtilizador(
+            req.params.id,
+            contextoDoPedido(req, res)
+        )
+    );
+}
+
+/**
+ * POST /admin/utilizadores/:id/nova-password → invalida a password atual
+ * e envia à pessoa um link para escolher outra.
+ *
+ * @param {import("express").Request} req Pedido HTTP.
+ * @param {import("express").Response} res Resposta HTTP.
+ * @param {import("express").NextFunction} next Próximo middleware.
+ */
+export async function forcarNovaPassword(req, res, next) {
+    await executarAcao(req, res, next, () =>
+        userService.forcarNovaPassword(
+            req.params.id,
+            contextoDoPedido(req, res),
+            urlBaseEmails()
+        )
+    );
+}
+
+/**
+ * GET /admin/utilizadores/bloqueios → emails e IPs bloqueados neste momento.
+ *
+ * @param {import("express").Request} req Pedido HTTP.
+ * @param {import("express").Response} res Resposta HTTP.
+ */
+export async function listarBloqueios(req, res) {
+    try {
+        const bloqueios = await loginThrottle.listarBloqueios();
+
+        res.render("admin/login-locks", {
+            tituloPagina: t("admin.bloqueios.titulo"),
+            bloqueios,
+            erros: [],
+        });
+    } catch (error) {
+        logger.error("Erro ao listar bloqueios de login", { error });
+        res.status(500).render("admin/login-locks", {
+            tituloPagina: t("admin.bloqueios.titulo"),
+            bloqueios: [],
+            erros: [t("admin.bloqueios.erroCarregar")],
+        });
+    }
+}
+
+/**
+ * POST /admin/utilizadores/bloqueios/:id/desbloquear → levanta um bloqueio.
+ *
+ * @param {import("express").Request} req Pedido HTTP (usa `req.params.id`).
+ * @param {import("express").Response} res Resposta HTTP.
+ * @param {import("express").NextFunction} next Próximo middleware.
+ */
+export async function desbloquear(req, res, next) {
+    try {
+        await loginThrottle.desbloquear(req.params.id);
+        res.redirect("/admin/utilizadores/bloqueios");
+    } catch (error) {
+        next(error);
+    }
+}
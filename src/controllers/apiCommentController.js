@@ -0,0 +1,119 @@
+/**
+ * src/controllers/apiCommentController.js
+ * ---------------------------------------
+ * API JSON dos comentários (`/api/v1/theories/:id/comments`).
+ *
+ * As regras (moderação, profundidade das respostas, comentários fechados)
+ * são as do `commentService`, tal como nas páginas HTML.
+ */
+
+import * as commentService from "../services/commentService.js";
+import { responderErroApi } from "../utils/apiErrors.js";
+import { t } from "../utils/i18n.js";
+import { carregarTeoria } from "./apiTheoryController.js";
+
+/**
+ * Converte um comentário (e as respostas, se as tiver) para JSON.
+ *
+ * Um comentário removido pelo autor vai sem autor e com o texto
+ * "[removido]" no idioma do pedido (`removed: true`).
+ *
+ * @param {object} c Comentário (lean ou preparado para a vista).
+ * @returns {object}
+ */
+function serializarComentario(c) {
+    const removido = Boolean(c.removedAt);
+    const dados = {
+        id: c._id.toString(),
+        parentId: c.parent ? c.parent.toString() : null,
+        depth: c.depth,
+        author: removido
+            ? null
+            : {
+                  id: c.author.toString(),
+                  displayName: c.authorName,
+              },
+        text: removido ? t("comentarios.removido") : c.text,
+        removed: removido,
+        status: c.status,
+        reactionCounts: c.reactionCounts,
+        reactionTotal: c.reactionTotal || 0,
+        createdAt: c.createdAt,
+        updatedAt: c.updatedAt,
+    };
+
+    if (c.respostas) {
+        dados.myReaction = c.minhaReacao;
+        dados.replies = c.respostas.map(serializarComentario);
+    }
+
+    return dados;
+}
+
+/**
+ * GET /api/v1/theories/:id/comments → comentários em árvore (`replies`).
+ *
+ * - Mostra os aprovados e, a quem estiver autenticado, os seus pendentes.
+ * - `?sort=` → "newest" | "oldest" | "most-reactions".
+ *
+ * @param {import("express").Request} req Pedido HTTP.
+ * @param {import("express").Response} res Resposta HTTP.
+ */
+export async function listarComentarios(req, res) {
+    try {
+        const theory = await carregarTeoria(
+            req.params.id,
+            res.locals.currentUser
+        );
+        const sort = commentService.lerOrdenacaoComentarios(req.query.sort);
+        const comentarios = await commentService.carregarComentariosParaVista(
+            theory,
+            res.locals.currentUser,
+            sort
+        );
+
+        res.json({
+            data: comentarios.map(serializarComentario),
+            meta: {
+                approvedCount: theory.commentCount || 0,
+                sort,
+                locked: Boolean(theory.commentsLocked),
+            },
+        });
+    } catch (error) {
+        responderErroApi(res, error, "Erro ao listar comentários (API)");
+    }
+}
+
+/**
+ * POST /api/v1/theories/:id/comments → novo comentário (`text`) ou
+ * resposta (`text` + `parentId`). 201 com o comentário criado (que pode
+ * ficar "pending" até ser moderado).
+ *
+ * @param {import("express").Request} req Pedido HTTP.
+ * @param {import("express").Response} res Resposta HTTP.
+ */
+export async function criarComentario(req, res) {
+    const body = req.body && typeof req.body === "object" ? req.body : {};
+
+    try {
+        const theory = await carregarTeoria(
+            req.params.id,
+            res.locals.currentUser
+        );
+        const comment = await commentService.criarComentario(
+            theory.slug,
+            res.locals.currentUser,
+            typeof body.text === "string" ? body.text : "",
+            typeof body.parentId === "string" && body.parentId
+                ? body.parentId
+                : undefined
+        );
+
+        res.status(201).json({
+            data: serializarComentario(comment.toObject()),
+        });
+    } catch (error) {
+        responderErroApi(res, error, "Erro ao publicar comentário (API)");
+    }
+}
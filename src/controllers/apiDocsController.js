@@ -0,0 +1,33 @@
+/**
+ * src/controllers/apiDocsController.js
+ * ------------------------------------
+ * Especificação OpenAPI (`/api/v1/openapi.json`) e a página de
+ * documentação navegável (`/api/docs`, com o Swagger UI servido
+ * localmente a partir do pacote `swagger-ui-dist`).
+ */
+
+import { obterEspecificacaoOpenApi } from "../services/openapiService.js";
+import { t } from "../utils/i18n.js";
+
+/**
+ * GET /api/v1/openapi.json → especificação OpenAPI 3.0.
+ *
+ * @param {import("express").Request} req Pedido HTTP.
+ * @param {import("express").Response} res Resposta HTTP.
+ */
+export function mostrarEspecificacao(req, res) {
+    res.json(obterEspecificacaoOpenApi());
+}
+
+/**
+ * GET /api/docs → documentação navegável (Swagger UI).
+ *
+ * @param {import("express").Request} req Pedido HTTP.
+ * @param {import("express").Response} res Resposta HTTP.
+ */
+export function mostrarDocumentacao(req, res) {
+    res.render("api/docs", {
+        tituloPagina: t("api.documentacao"),
+        urlEspecificacao: "/api/v1/openapi.json",
+    });
+}
@@ -0,0 +1,295 @@
+/**
+ * src/controllers/apiTheoryController.js
+ * --------------------------------------
+ * API JSON das teorias (`/api/v1/theories`).
+ *
+ * NOTA:
+ * - O corpo dos pedidos já chega validado contra a especificação OpenAPI
+ *   (`validarPedidoApi` em `apiRoutes.js`).
+ * - Usa os mesmos services que as páginas HTML (`theoryService`), por isso
+ *   os filtros, a paginação e a validação são exatamente os mesmos.
+ * - As teorias podem ser indicadas pelo `_id` ou pelo slug (slugs antigos
+ *   também funcionam; a resposta traz sempre o slug atual).
+ * - `version` é a versão da teoria: enviada no PATCH, faz o pedido falhar
+ *   com 409 se outra pessoa tiver alterado a teoria entretanto.
+ * - Teorias não publicadas só existem (na lista e por `_id`/slug) para
+ *   quem as pode editar; o estado muda com `POST .../transitions`.
+ */
+
+import mongoose from "mongoose";
+
+import Theory from "../models/Theory.js";
+import { contextoDoPedido } from "../services/auditService.js";
+import { obterRelacionadas } from "../services/relatedService.js";
+import * as theoryService from "../services/theoryService.js";
+import {
+    aplicarTransicao,
+    estaPublicada,
+    podeVerNaoPublicadas,
+} from "../services/workflowService.js";
+import { ApiError, responderErroApi } from "../utils/apiErrors.js";
+import { t } from "../utils/i18n.js";
+
+/**
+ * Converte uma teoria no formato JSON da API.
+ *
+ * @param {object} theory Teoria (lean ou documento).
+ * @param {{ completa?: boolean }} [opcoes] Sem `completa`, o `content`
+ *        fica de fora (usado nas listas).
+ * @returns {object}
+ */
+export function serializarTeoria(theory, { completa = true } = {}) {
+    const dados = {
+        id: theory._id.toString(),
+        slug: theory.slug,
+        title: theory.title,
+        summary: theory.summary,
+        complexityLevel: theory.complexityLevel,
+        tags: theory.tags || [],
+        commentCount: theory.commentCount || 0,
+        commentsLocked: Boolean(theory.commentsLocked),
+        favoriteCount: theory.favoriteCount || 0,
+        author: theory.author
+            ? {
+                  id: theory.author.toString(),
+                  displayName: theory.authorName || "",
+              }
+            : null,
+        status: theory.status,
+        publishAt: theory.publishAt ?? null,
+        publishedAt: theory.publishedAt ?? null,
+        version: theory.__v ?? 0,
+        createdAt: theory.createdAt,
+        updatedAt: theory.updatedAt,
+    };
+
+    if (completa) {
+        dados.content = theory.content;
+    }
+
+    return dados;
+}
+
+/**
+ * Carrega uma teoria pelo `_id` ou pelo slug (atual ou antigo).
+ *
+ * @param {string} idOuSlug Valor vindo do URL.
+ * @param {object|null} [currentUser] Utilizador autenticado (quem pode
+ *        editar teorias também vê as que não estão publicadas).
+ * @returns {Promise<object>} Teoria (lean).
+ * @throws {ApiError} 404 se não existir (ou não a puder ver).
+ */
+export async function carregarTeoria(idOuSlug, currentUser = null) {
+    let theory = null;
+
+    if (mongoose.isObjectIdOrHexString(idOuSlug)) {
+        theory = await Theory.findById(idOuSlug).lean();
+    }
+
+    if (!theory) {
+        const resultado = await Theory.procurarPorSlug(idOuSlug);
+        theory = resultado.redirectSlug
+            ? await Theory.findOne({ slug: resultado.redirectSlug }).lean()
+            : resultado.theory;
+    }
+
+    if (
+        !theory ||
+        (!estaPublicada(theory) && !podeVerNaoPublicadas(currentUser))
+    ) {
+        throw new ApiError(404, t("teorias.naoEncontrada"));
+    }
+    return theory;
+}
+
+/**
+ * GET /api/v1/theories → lista com filtros e paginação (os mesmos
+ * parâmetros da lista pública: `q`, `tags`, `complexityLevel`, `sort`,
+ * `page`, `limit`). Uma pesquisa sem resultados pode trazer
+ * `meta.suggestion` (pesquisa alternativa).
+ *
+ * @param {import("express").Request} req Pedido HTTP.
+ * @param {import("express").Response} res Resposta HTTP.
+ */
+export async function listarTeorias(req, res) {
+    try {
+        const filtros = theoryService.lerFiltrosPublicos(req.query);
+        const resultado = await theoryService.pesquisarTeorias(filtros);
+
+        res.json({
+            data: resultado.theories.map((t) =>
+                serializarTeoria(t, { completa: false })
+            ),
+            meta: {
+                total: resultado.total,
+                page: resultado.page,
+                pages: resultado.pages,
+                limit: resultado.limit,
+                ...(resultado.sugestao && { suggestion: resultado.sugestao }),
+            },
+        });
+    } catch (error) {
+        responderErroApi(res, error, "Erro ao listar teorias (API)");
+    }
+}
+
+/**
+ * GET /api/v1/theories/:id → uma teoria (por `_id` ou slug).
+ *
+ * @param {import("express").Request} req Pedido HTTP.
+ * @param {import("express").Response} res Resposta HTTP.
+ */
+export async function obterTeoria(req, res) {
+    try {
+        const theory = await carregarTeoria(
+            req.params.id,
+            res.locals.currentUser
+        );
+        res.json({ data: serializarTeoria(theory) });
+    } catch (error) {
+        responderErroApi(res, error, "Erro ao carregar teoria (API)");
+    }
+}
+
+/**
+ * GET /api/v1/theories/:id/related → teorias relacionadas (as mesmas do
+ * fim da página da teoria), com o porquê de cada uma em `relation`.
+ * `?limit=` escolhe quantas (4 por omissão).
+ *
+ * @param {import("express").Request} req Pedido HTTP.
+ * @param {import("express").Response} res Resposta HTTP.
+ */
+export async function listarRelacionadas(req, res) {
+    try {
+        const theory = await carregarTeoria(
+            req.params.id,
+            res.locals.currentUser
+        );
+        const relacionadas = await obterRelacionadas(theory, {
+            limite: Number.parseInt(req.query.limit, 10) || undefined,
+        });
+
+        res.json({
+            data: relacionadas.map(({ relacao, ...t }) => ({
+                ...serializarTeoria(t, { completa: false }),
+                relation: relacao,
+            })),
+        });
+    } catch (error) {
+        responderErroApi(res, error, "Erro ao carregar relacionadas (API)");
+    }
+}
+
+/**
+ * POST /api/v1/theories → cria uma teoria (201 + `Location`).
+ *
+ * @param {import("express").Request} req Pedido HTTP (JSON com `title`,
+ *        `summary`, `content`, `complexityLevel`, `tags`).
+ * @param {import("express").Response} res Resposta HTTP.
+ */
+export async function criarTeoria(req, res) {
+    try {
+        const dados = theoryService.lerDadosTeoria(req.body);
+        const theory = await theoryService.criarTeoria(
+            dados,
+            contextoDoPedido(req, res)
+        );
+
+        res.status(201)
+            .location(`/api/v1/theories/${theory._id}`)
+            .json({ data: serializarTeoria(theory) });
+    } catch (error) {
+        responderErroApi(res, error, "Erro ao criar teoria (API)");
+    }
+}
+
+/**
+ * PATCH /api/v1/theories/:id → altera só os campos enviados.
+ *
+ * Com `version` no corpo, responde 409 se a teoria já não estiver nessa
+ * versão (em vez de apagar as alterações de outra pessoa).
+ *
+ * @param {import("express").Request} req Pedido HTTP.
+ * @param {import("express").Response} res Resposta HTTP.
+ */
+export async function atualizarTeoria(req, res) {
+    try {
+        const body = req.body;
+        const existente = await carregarTeoria(
+            req.params.id,
+            res.locals.currentUser
+        );
+
+        const lidos = theoryService.lerDadosTeoria(body);
+        const dados = Object.fromEntries(
+            theoryService.CAMPOS_EDITAVEIS_TEORIA.filter((campo) =>
+                Object.hasOwn(body, campo)
+            ).map((campo) => [campo, lidos[campo] ?? body[campo]])
+        );
+
+        const theory = await theoryService.atualizarTeoria(
+            existente._id,
+            dados,
+            { contexto: contextoDoPedido(req, res), versao: body.version }
+        );
+        if (!theory) {
+            throw new ApiError(404, t("teorias.naoEncontrada"));
+        }
+
+        res.json({ data: serializarTeoria(theory) });
+    } catch (error) {
+        responderErroApi(res, error, "Erro ao atualizar teoria (API)");
+    }
+}
+
+/**
+ * DELETE /api/v1/theories/:id → apaga a teoria (e os comentários). 204.
+ *
+ * @param {import("express").Request} req Pedido HTTP.
+ * @param {import("express").Response} res Resposta HTTP.
+ */
+export async function apagarTeoria(req, res) {
+    try {
+        const theory = await carregarTeoria(
+            req.params.id,
+            res.locals.currentUser
+        );
+        await theoryService.apagarTeoria(
+            theory._id,
+            contextoDoPedido(req, res)
+        );
+        res.status(204).end();
+    } catch (error) {
+        responderErroApi(res, error, "Erro ao apagar teoria (API)");
+    }
+}
+
+/**
+ * POST /api/v1/theories/:id/transitions → muda o estado da teoria
+ * (`action`: "submit", "approve", "reject", "archive" ou "reopen"; `note`
+ * é obrigatória para "reject"). A capacidade exigida depende da ação.
+ *
+ * @param {import("express").Request} req Pedido HTTP.
+ * @param {import("express").Response} res Resposta HTTP.
+ */
+export async function aplicarTransicaoTeoria(req, res) {
+    try {
+        const existente = await carregarTeoria(
+            req.params.id,
+            res.locals.currentUser
+        );
+        const theory = await aplicarTransicao(
+            existente._id,
+            req.body.action,
+            res.locals.currentUser,
+            { nota: req.body.note, contexto: contextoDoPedido(req, res) }
+        );
+        if (!theory) {
+            throw new ApiError(404, t("teorias.naoEncontrada"));
+        }
+
+        res.json({ data: serializarTeoria(theory) });
+    } catch (error) {
+        responderErroApi(res, error, "Erro ao mudar estado da teoria (API)");
+    }
+}
@@ -0,0 +1,21 @@
+/**
+ * src/controllers/apiUserController.js
+ * ------------------------------------
+ * API JSON do utilizador autenticado (`/api/v1/me`).
+ */
+
+/**
+ * GET /api/v1/me → quem está autenticado (pela sessão ou pelo token) e o
+ * que pode fazer.
+ *
+ * @param {import("express").Request} req Pedido HTTP.
+ * @param {import("express").Response} res Resposta HTTP.
+ */
+export function mostrarUtilizadorAtual(req, res) {
+    const { id, displayName, email, role, emailVerified, permissions } =
+        res.locals.currentUser;
+
+    res.json({
+        data: { id, displayName, email, role, emailVerified, permissions },
+    });
+}
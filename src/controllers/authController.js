@@ -0,0 +1,498 @@
+/**
+ * src/controllers/authController.js
+ * ---------------------------------
+ * Controladores de autenticação: login, logout, registo, recuperação de
+ * password e verificação de email.
+ *
+ * SEGURANÇA:
+ * - Depois de um login (ou registo) com sucesso, o ID da sessão é
+ *   regenerado (`req.session.regenerate`). Assim, um ID de sessão que
+ *   alguém tenha conseguido "plantar" no browser antes do login deixa de
+ *   servir para nada (ataque de "session fixation").
+ * - A mensagem de erro do login é sempre a mesma, quer o email exista
+ *   ou não, para não revelar que contas existem.
+ * - Falhas repetidas bloqueiam temporariamente o email e/ou o IP
+ *   (ver `services/loginThrottleService.js`).
+ * - O pedido de recuperação de password responde sempre da mesma forma,
+ *   exista ou não uma conta com aquele email.
+ * - Logins (com sucesso ou falhados) e logouts ficam no log de auditoria.
+ */
+
+import { registarAuditoria } from "../services/auditService.js";
+import * as authService from "../services/authService.js";
+import * as loginThrottle from "../services/loginThrottleService.js";
+import * as tokenService from "../services/tokenService.js";
+import { t } from "../utils/i18n.js";
+import { logger } from "../utils/logger.js";
+import { urlBaseEmails } from "../utils/url.js";
+
+/**
+ * Garante que o URL de retorno é um caminho local da app (ex.: "/admin"),
+ * para o login não poder ser usado para redirecionar para outro site.
+ *
+ * @param {unknown} url URL guardado na sessão.
+ * @returns {string} URL seguro (por omissão "/teorias").
+ */
+function urlDeRetornoSegura(url) {
+    if (
+        typeof url === "string" &&
+        url.startsWith("/") &&
+        !url.startsWith("//") &&
+        !url.startsWith("/\\")
+    ) {
+        return url;
+    }
+    return "/teorias";
+}
+
+/**
+ * Inicia a sessão de um utilizador, com um ID de sessão novo.
+ *
+ * @param {import("express").Request} req Pedido HTTP.
+ * @param {import("mongoose").Document} user Utilizador autenticado.
+ * @returns {Promise<string>} URL para onde redirecionar.
+ */
+function iniciarSessao(req, user) {
+    const returnTo = urlDeRetornoSegura(req.session.returnTo);
+
+    return new Promise((resolve, reject) => {
+        req.session.regenerate((erroRegenerar) => {
+            if (erroRegenerar) {
+                return reject(erroRegenerar);
+            }
+
+            req.session.userId = user._id.toString();
+            req.session.role = user.role;
+            // Sessões iniciadas antes de uma mudança de password deixam de
+            // valer (ver `anexarUtilizadorAsViews`).
+            req.session.loginAt = Date.now();
+
+            // Gravar já, para a sessão existir quando o redirect chegar.
+            req.session.save((erroGravar) =>
+                erroGravar ? reject(erroGravar) : resolve(returnTo)
+            );
+        });
+    });
+}
+
+/**
+ * Regista no log de auditoria um login recusado.
+ *
+ * @param {import("express").Request} req Pedido HTTP.
+ * @param {string} email Email tentado.
+ * @param {"credentials"|"locked"|"deactivated"} motivo Porque foi recusado.
+ * @param {import("mongoose").Document|null} [user] Conta (só quando a
+ *        password estava certa).
+ * @returns {Promise<void>}
+ */
+function registarLoginFalhado(req, email, motivo, user = null) {
+    return registarAuditoria(
+        "auth.login-failed",
+        { ator: null, ip: req.ip },
+        {
+            kind: "user",
+            id: user ? user._id : null,
+            label: email.trim().toLowerCase(),
+        },
+        { depois: { reason: motivo } }
+    );
+}
+
+/**
+ * GET /login → formulário de login.
+ *
+ * @param {import("express").Request} req Pedido HTTP.
+ * @param {import("express").Response} res Resposta HTTP.
+ */
+export function mostrarLogin(req, res) {
+    if (req.session.userId) {
+        return res.redirect("/teorias");
+    }
+
+    res.render("auth/login", {
+        tituloPagina: t("auth.login.titulo"),
+        erros: [],
+        valores: { email: "" },
+    });
+}
+
+/**
+ * POST /login → verifica as credenciais e inicia a sessão.
+ *
+ * @param {import("express").Request} req Pedido HTTP (`email`, `password`).
+ * @param {import("express").Response} res Resposta HTTP.
+ */
+export async function login(req, res) {
+    const email = typeof req.body.email === "string" ? req.body.email : "";
+    const password =
+        typeof req.body.password === "string" ? req.body.password : "";
+
+    try {
+        const bloqueadoAte = await loginThrottle.verificarBloqueio(
+            email,
+            req.ip
+        );
+
+        if (bloqueadoAte) {
+            await registarLoginFalhado(req, email, "locked");
+            const minutos = Math.ceil((bloqueadoAte - Date.now()) / 60000);
+            return res.status(429).render("auth/login", {
+                tituloPagina: t("auth.login.titulo"),
+                erros: [
+                    t("auth.erros.demasiadasTentativas", { count: minutos }),
+                ],
+                valores: { email },
+            });
+        }
+
+        const user = await authService.verificarCredenciais(email, password);
+
+        if (!user) {
+            await loginThrottle.registarFalha(email, req.ip);
+            await registarLoginFalhado(req, email, "credentials");
+            return res.status(401).render("auth/login", {
+                tituloPagina: t("auth.login.titulo"),
+                erros: [t("auth.erros.credenciais")],
+                valores: { email },
+            });
+        }
+
+        // Só o dizemos a quem acertou na password.
+        if (user.deactivatedAt) {
+            await registarLoginFalhado(req, email, "deactivated", user);
+            return res.status(403).render("auth/login", {
+                tituloPagina: t("auth.login.titulo"),
+                erros: [t("auth.erros.contaDesativada")],
+                valores: { email },
+            });
+        }
+
+        await loginThrottle.limparFalhas(email);
+        const destino = await iniciarSessao(req, user);
+        await registarAuditoria(
+            "auth.login",
+            {
+                ator: {
+                    id: user._id.toString(),
+                    displayName: user.displayName,
+                },
+                ip: req.ip,
+            },
+            { kind: "user", id: user._id, label: user.email }
+        );
+        res.redirect(destino);
+    } catch (error) {
+        logger.error("Erro no login", { error });
+        res.status(500).render("auth/login", {
+            tituloPagina: t("auth.login.titulo"),
+            erros: [t("auth.erros.login")],
+            valores: { email },
+        });
+    }
+}
+
+/**
+ * POST /logout → termina a sessão e apaga o cookie.
+ *
+ * @param {import("express").Request} req Pedido HTTP.
+ * @param {import("express").Response} res Resposta HTTP.
+ */
+export async function logout(req, res) {
+    const { currentUser } = res.locals;
+    if (currentUser) {
+        await registarAuditoria(
+            "auth.logout",
+            { ator: currentUser, ip: req.ip },
+            { kind: "user", id: currentUser.id, label: currentUser.email }
+        );
+    }
+
+    req.session.destroy((error) => {
+        if (error) {
+            logger.error("Erro ao terminar sessão", { error });
+        }
+
+        res.clearCookie("conspira.sid");
+        res.redirect("/teorias");
+    });
+}
+
+/**
+ * GET /registo → formulário de criação de conta.
+ *
+ * @param {import("express").Request} req Pedido HTTP.
+ * @param {import("express").Response} res Resposta HTTP.
+ */
+export function mostrarRegisto(req, res) {
+    if (req.session.userId) {
+        return res.redirect("/teorias");
+    }
+
+    res.render("auth/register", {
+        tituloPagina: t("auth.registo.titulo"),
+        erros: [],
+        valores: { displayName: "", email: "" },
+    });
+}
+
+/**
+ * Mostra a página de informação genérica das rotas de conta
+ * (ex.: "verifica o teu email", "link expirado").
+ *
+ * @param {import("express").Response} res Resposta HTTP.
+ * @param {{ titulo: string, mensagem: string, erros?: string[],
+ *           status?: number }} opcoes Conteúdo da página.
+ */
+function mostrarInfo(res, { titulo, mensagem, erros = [], status = 200 }) {
+    res.status(status).render("auth/info", {
+        tituloPagina: titulo,
+        mensagem,
+        erros,
+    });
+}
+
+/**
+ * POST /registo → cria a conta (role "user"), envia o email de
+ * verificação e inicia logo a sessão.
+ *
+ * @param {import("express").Request} req Pedido HTTP.
+ * @param {import("express").Response} res Resposta HTTP.
+ */
+export async function registar(req, res) {
+    const texto = (valor) => (typeof valor === "string" ? valor : "");
+    const dados = {
+        displayName: texto(req.body.displayName),
+        email: texto(req.body.email),
+        password: texto(req.body.password),
+        passwordConfirm: texto(req.body.passwordConfirm),
+    };
+    const valores = { displayName: dados.displayName, email: dados.email };
+
+    try {
+        const user = await authService.registarUtilizador(dados);
+
+        try {
+            await authService.enviarEmailVerificacao(user, urlBaseEmails());
+        } catch (error) {
+            // A conta já existe: o utilizador pode pedir outro email depois.
+            logger.error("Erro ao enviar email de verificação", { error });
+        }
+
+        res.redirect(await iniciarSessao(req, user));
+    } catch (error) {
+        if (error instanceof authService.AuthError) {
+            return res.status(422).render("auth/register", {
+                tituloPagina: t("auth.registo.titulo"),
+                erros: error.erros,
+                valores,
+            });
+        }
+
+        logger.error("Erro no registo", { error });
+        res.status(500).render("auth/register", {
+            tituloPagina: t("auth.registo.titulo"),
+            erros: [t("auth.erros.registo")],
+            valores,
+        });
+    }
+}
+
+/**
+ * GET /recuperar-password → formulário "esqueci-me da password".
+ *
+ * @param {import("express").Request} req Pedido HTTP.
+ * @param {import("express").Response} res Resposta HTTP.
+ */
+export function mostrarRecuperarPassword(req, res) {
+    res.render("auth/forgot-password", {
+        tituloPagina: t("auth.recuperar.titulo"),
+        erros: [],
+        valores: { email: "" },
+    });
+}
+
+/**
+ * POST /recuperar-password → envia o link de recuperação (se a conta
+ * existir) e mostra SEMPRE a mesma mensagem.
+ *
+ * @param {import("express").Request} req Pedido HTTP (`email`).
+ * @param {import("express").Response} res Resposta HTTP.
+ */
+export async function pedirRecuperacaoPassword(req, res) {
+    const email = typeof req.body.email === "string" ? req.body.email : "";
+
+    if (!email.trim()) {
+        return res.status(422).render("auth/forgot-password", {
+            tituloPagina: t("auth.recuperar.titulo"),
+            erros: [t("auth.erros.emailEmFalta")],
+            valores: { email },
+        });
+    }
+
+    try {
+        await authService.pedirRecuperacaoPassword(email, urlBaseEmails());
+    } catch (error) {
+        // Não mostramos o erro: a resposta tem de ser igual em todos os casos.
+        logger.error("Erro no pedido de recuperação de password", { error });
+    }
+
+    mostrarInfo(res, {
+        titulo: t("auth.info.verificaEmail"),
+        mensagem: t("auth.info.recuperacaoEnviada"),
+    });
+}
+
+/**
+ * GET /redefinir-password/:token → formulário da password nova.
+ *
+ * @param {import("express").Request} req Pedido HTTP.
+ * @param {import("express").Response} res Resposta HTTP.
+ */
+export async function mostrarRedefinirPassword(req, res) {
+    try {
+        const valido = await tokenService.tokenEValido(
+            req.params.token,
+            "password-reset"
+        );
+
+        if (!valido) {
+            return mostrarInfo(res, {
+                titulo: t("auth.info.linkInvalido"),
+                mensagem: t("auth.info.recuperacaoInvalida"),
+                status: 410,
+            });
+        }
+
+        res.render("auth/reset-password", {
+            tituloPagina: t("auth.redefinir.titulo"),
+            erros: [],
+            token: req.params.token,
+        });
+    } catch (error) {
+        logger.error("Erro ao validar link de recuperação", { error });
+        mostrarInfo(res, {
+            titulo: t("auth.info.erro"),
+            mensagem: t("auth.info.erroAbrirLink"),
+            status: 500,
+        });
+    }
+}
+
+/**
+ * POST /redefinir-password/:token → grava a password nova.
+ *
+ * Depois disto, as sessões abertas com a password antiga terminam e o
+ * contador de logins falhados do email é limpo.
+ *
+ * @param {import("express").Request} req Pedido HTTP (`password`,
+ *        `passwordConfirm`).
+ * @param {import("express").Response} res Resposta HTTP.
+ */
+export async function redefinirPassword(req, res) {
+    const texto = (valor) => (typeof valor === "string" ? valor : "");
+
+    try {
+        const user = await authService.redefinirPassword(
+            req.params.token,
+            texto(req.body.password),
+            texto(req.body.passwordConfirm)
+        );
+
+        await loginThrottle.limparFalhas(user.email);
+
+        mostrarInfo(res, {
+            titulo: t("auth.info.passwordAlterada"),
+            mensagem: t("auth.info.passwordAlteradaMensagem"),
+        });
+    } catch (error) {
+        if (error instanceof authService.AuthError) {
+            return res.status(422).render("auth/reset-password", {
+                tituloPagina: t("auth.redefinir.titulo"),
+                erros: error.erros,
+                token: req.params.token,
+            });
+        }
+
+        logger.error("Erro ao redefinir password", { error });
+        res.status(500).render("auth/reset-password", {
+            tituloPagina: t("auth.redefinir.titulo"),
+            erros: [t("auth.erros.alterarPassword")],
+            token: req.params.token,
+        });
+    }
+}
+
+/**
+ * GET /verificar-email/:token → confirma o email da conta.
+ *
+ * @param {import("express").Request} req Pedido HTTP.
+ * @param {import("express").Response} res Resposta HTTP.
+ */
+export async function verificarEmail(req, res) {
+    try {
+        const verificado = await authService.verificarEmail(req.params.token);
+
+        if (!verificado) {
+            return mostrarInfo(res, {
+                titulo: t("auth.info.linkInvalido"),
+                mensagem: t("auth.info.verificacaoInvalida"),
+                status: 410,
+            });
+        }
+
+        mostrarInfo(res, {
+            titulo: t("auth.info.emailConfirmado"),
+            mensagem: t("auth.info.emailConfirmadoMensagem"),
+        });
+    } catch (error) {
+        logger.error("Erro ao verificar email", { error });
+        mostrarInfo(res, {
+            titulo: t("auth.info.erro"),
+            mensagem: t("auth.info.erroVerificar"),
+            status: 500,
+        });
+    }
+}
+
+/**
+ * POST /verificar-email/reenviar → envia outro link de verificação ao
+ * utilizador autenticado (o anterior deixa de funcionar).
+ *
+ * @param {import("express").Request} req Pedido HTTP.
+ * @param {import("express").Response} res Resposta HTTP.
+ */
+export async function reenviarVerificacao(req, res) {
+    const currentUser = res.locals.currentUser;
+
+    if (currentUser.emailVerified) {
+        return mostrarInfo(res, {
+            titulo: t("auth.info.emailConfirmado"),
+            mensagem: t("auth.info.emailJaConfirmado"),
+        });
+    }
+
+    try {
+        await authService.enviarEmailVerificacao(
+            {
+                _id: currentUser.id,
+                email: currentUser.email,
+                displayName: currentUser.displayName,
+            },
+            urlBaseEmails()
+        );
+
+        mostrarInfo(res, {
+            titulo: t("auth.info.verificaEmail"),
+            mensagem: t("auth.info.verificacaoEnviada", {
+                email: currentUser.email,
+            }),
+        });
+    } catch (error) {
+        logger.error("Erro ao reenviar email de verificação", { error });
+        mostrarInfo(res, {
+            titulo: t("auth.info.erro"),
+            mensagem: t("auth.info.erroEnviar"),
+            status: 500,
+        });
+    }
+}
@@ -0,0 +1,242 @@
+/**
+ * src/controllers/commentController.js
+ * ------------------------------------
+ * Controladores dos comentários na zona pública
+ * (`/teorias/:slug/comments/...`): publicar, responder, editar, apagar e
+ * reagir.
+ *
+ * As regras (quem pode, até quando, moderação) estão em
+ * `services/commentService.js`.
+ */
+
+import Theory from "../models/Theory.js";
+import * as commentService from "../services/commentService.js";
+import { t } from "../utils/i18n.js";
+import { eErroDeValidacao, mensagensDeValidacao } from "../utils/validation.js";
+import { renderizarDetalhe } from "./theoryController.js";
+
+/**
+ * @param {unknown} valor Valor vindo do formulário.
+ * @returns {string}
+ */
+function lerTexto(valor) {
+    return typeof valor === "string" ? valor : "";
+}
+
+/**
+ * @param {string} slug Slug da teoria.
+ * @param {unknown} [commentId] Comentário para onde saltar.
+ * @returns {string} URL do detalhe, já na secção dos comentários.
+ */
+function urlDosComentarios(slug, commentId) {
+    const ancora = commentId ? `comentario-${commentId}` : "comentarios";
+    return `/teorias/${encodeURIComponent(slug)}#${ancora}`;
+}
+
+/**
+ * Responde a um `CommentError` com a página 403/404 adequada.
+ *
+ * @param {import("express").Response} res Resposta HTTP.
+ * @param {commentService.CommentError} error Erro de negócio.
+ */
+function responderErroComentario(res, error) {
+    if (error.status === 404) {
+        return res.status(404).render("404", {
+            tituloPagina: error.message,
+        });
+    }
+
+    res.status(error.status).render("403", {
+        tituloPagina: t("comentarios.acaoNaoPermitida"),
+        mensagem: error.message,
+    });
+}
+
+/**
+ * POST /teorias/:slug/comments → publica um comentário (ou uma resposta,
+ * se vier `parentId` no formulário).
+ *
+ * Só chega aqui quem tem a capacidade `comment:create` e o email
+ * confirmado (ver `theoryRoutes.js`). O autor é o utilizador da sessão.
+ *
+ * @param {import("express").Request} req Pedido HTTP (`text`, `parentId`).
+ * @param {import("express").Response} res Resposta HTTP.
+ * @param {import("express").NextFunction} next Próximo middleware.
+ */
+export async function criarComentario(req, res, next) {
+    const { slug } = req.params;
+    const text = lerTexto(req.body.text);
+    const parentId = lerTexto(req.body.parentId);
+
+    try {
+        try {
+            const comment = await commentService.criarComentario(
+                slug,
+                res.locals.currentUser,
+                text,
+                parentId || undefined
+            );
+            return res.redirect(urlDosComentarios(slug, comment._id));
+        } catch (error) {
+            const invalido = eErroDeValidacao(error);
+            const recusado =
+                error instanceof commentService.CommentError &&
+                error.status === 403;
+
+            if (!invalido && !recusado) {
+                throw error;
+            }
+
+            // Voltar a mostrar a teoria, com o erro e o texto escrito.
+            const { theory } = await Theory.procurarPorSlug(slug);
+            return await renderizarDetalhe(req, res, theory, {
+                status: invalido ? 422 : 403,
+                erros: invalido ? mensagensDeValidacao(error) : [error.message],
+                commentValue: text,
+                replyTo: parentId,
+            });
+        }
+    } catch (error) {
+        if (error instanceof commentService.CommentError) {
+            return responderErroComentario(res, error);
+        }
+
+        next(error);
+    }
+}
+
+/**
+ * GET /teorias/:slug/comments/:commentId/editar → formulário de edição.
+ *
+ * @param {import("express").Request} req Pedido HTTP.
+ * @param {import("express").Response} res Resposta HTTP.
+ * @param {import("express").NextFunction} next Próximo middleware.
+ */
+export async function mostrarFormularioEditar(req, res, next) {
+    try {
+        const { theory, comment } =
+            await commentService.obterComentarioParaEditar(
+                req.params.slug,
+                req.params.commentId,
+                res.locals.currentUser
+            );
+
+        res.render("theories/comment-edit", {
+            tituloPagina: t("comentarios.editar.titulo"),
+            theory,
+            comment,
+            erros: [],
+            valorTexto: comment.text,
+        });
+    } catch (error) {
+        if (error instanceof commentService.CommentError) {
+            return responderErroComentario(res, error);
+        }
+
+        next(error);
+    }
+}
+
+/**
+ * POST /teorias/:slug/comments/:commentId/editar → grava o texto novo.
+ *
+ * @param {import("express").Request} req Pedido HTTP (`text`).
+ * @param {import("express").Response} res Resposta HTTP.
+ * @param {import("express").NextFunction} next Próximo middleware.
+ */
+export async function editarComentario(req, res, next) {
+    const { slug, commentId } = req.params;
+    const text = lerTexto(req.body.text);
+
+    try {
+        try {
+            await commentService.editarComentario(
+                slug,
+                commentId,
+                res.locals.currentUser,
+                text
+            );
+            return res.redirect(urlDosComentarios(slug, commentId));
+        } catch (error) {
+            if (!eErroDeValidacao(error)) {
+                throw error;
+            }
+
+            const { theory, comment } =
+                await commentService.obterComentarioParaEditar(
+                    slug,
+                    commentId,
+                    res.locals.currentUser
+                );
+
+            return res.status(422).render("theories/comment-edit", {
+                tituloPagina: t("comentarios.editar.titulo"),
+                theory,
+                comment,
+                erros: mensagensDeValidacao(error),
+                valorTexto: text,
+            });
+        }
+    } catch (error) {
+        if (error instanceof commentService.CommentError) {
+            return responderErroComentario(res, error);
+        }
+
+        next(error);
+    }
+}
+
+/**
+ * POST /teorias/:slug/comments/:commentId/apagar → o autor apaga o seu
+ * comentário.
+ *
+ * @param {import("express").Request} req Pedido HTTP.
+ * @param {import("express").Response} res Resposta HTTP.
+ * @param {import("express").NextFunction} next Próximo middleware.
+ */
+export async function apagarComentario(req, res, next) {
+    const { slug, commentId } = req.params;
+
+    try {
+        await commentService.apagarComentarioDoAutor(
+            slug,
+            commentId,
+            res.locals.currentUser
+        );
+        res.redirect(urlDosComentarios(slug));
+    } catch (error) {
+        if (error instanceof commentService.CommentError) {
+            return responderErroComentario(res, error);
+        }
+
+        next(error);
+    }
+}
+
+/**
+ * POST /teorias/:slug/comments/:commentId/reacoes → reage a um comentário
+ * (`type` = "believe" | "doubt" | "lol"). Repetir a mesma reação retira-a.
+ *
+ * @param {import("express").Request} req Pedido HTTP (`type`).
+ * @param {import("express").Response} res Resposta HTTP.
+ * @param {import("express").NextFunction} next Próximo middleware.
+ */
+export async function reagir(req, res, next) {
+    const { slug, commentId } = req.params;
+
+    try {
+        await commentService.reagir(
+            slug,
+            commentId,
+            res.locals.currentUser,
+            lerTexto(req.body.type)
+        );
+        res.redirect(urlDosComentarios(slug, commentId));
+    } catch (error) {
+        if (error instanceof commentService.CommentError) {
+            return responderErroComentario(res, error);
+        }
+
+        next(error);
+    }
+}
@@ -0,0 +1,82 @@
+/**
+ * src/controllers/favoriteController.js
+ * -------------------------------------
+ * Favoritos: o botão nas listas e no detalhe das teorias
+ * (`POST /teorias/:slug/favorito`) e a página "Os meus favoritos"
+ * (`/conta/favoritos`).
+ */
+
+import * as favoriteService from "../services/favoriteService.js";
+import { t } from "../utils/i18n.js";
+import { caminhoLocal } from "../utils/url.js";
+import { caminhoTag } from "./tagController.js";
+import { construirPaginacao } from "./theoryController.js";
+
+/**
+ * POST /teorias/:slug/favorito → marca (`favorito=1`) ou desmarca
+ * (`favorito=0`) e volta à página de onde veio (`voltar`).
+ *
+ * @param {import("express").Request} req Pedido HTTP.
+ * @param {import("express").Response} res Resposta HTTP.
+ * @param {import("express").NextFunction} next Próximo middleware.
+ */
+export async function marcarFavorito(req, res, next) {
+    const { slug } = req.params;
+
+    try {
+        const resultado = await favoriteService.marcarFavorito(
+            slug,
+            res.locals.currentUser.id,
+            req.body.favorito === "1"
+        );
+
+        if (!resultado) {
+            return res.status(404).render("404", {
+                tituloPagina: t("teorias.naoEncontrada"),
+            });
+        }
+
+        res.redirect(
+            caminhoLocal(
+                req.body.voltar,
+                `/teorias/${encodeURIComponent(resultado.theory.slug)}`
+            )
+        );
+    } catch (error) {
+        next(error);
+    }
+}
+
+/**
+ * GET /conta/favoritos → teorias favoritas (publicadas), mais recentes
+ * primeiro, com paginação (`?page=`).
+ *
+ * @param {import("express").Request} req Pedido HTTP.
+ * @param {import("express").Response} res Resposta HTTP.
+ * @param {import("express").NextFunction} next Próximo middleware.
+ */
+export async function listarFavoritos(req, res, next) {
+    try {
+        const resultado = await favoriteService.listarFavoritos(
+            res.locals.currentUser.id,
+            { page: Number.parseInt(req.query.page, 10) || 1 }
+        );
+
+        res.render("account/favorites", {
+            tituloPagina: t("conta.favoritos.titulo"),
+            theories: resultado.theories,
+            total: resultado.total,
+            primeiroIndice: (resultado.page - 1) * resultado.limit,
+            paginacao: construirPaginacao(
+                resultado.page,
+                resultado.pages,
+                (numero) => (numero > 1 ? `?page=${numero}` : "")
+            ),
+            caminhoTag,
+            voltar: req.originalUrl,
+            erros: [],
+        });
+    } catch (error) {
+        next(error);
+    }
+}
@@ -0,0 +1,223 @@
+/**
+ * src/controllers/feedController.js
+ * ---------------------------------
+ * Feeds (Atom e JSON Feed) e sitemap.xml (ver `services/feedService.js`).
+ *
+ * IDIOMA:
+ * - Os títulos e descrições dos feeds saem no idioma do pedido, que vem
+ *   do cookie `conspira.locale` ou do `Accept-Language`: as respostas
+ *   levam `Vary` com os dois, para uma cache partilhada não servir o
+ *   feed de um idioma a quem pediu outro.
+ *
+ * PEDIDOS CONDICIONAIS:
+ * - Todas as respostas levam `ETag` (hash do conteúdo) e `Last-Modified`
+ *   (alteração mais recente do que está no feed).
+ * - Um leitor que envie `If-None-Match` / `If-Modified-Since` com esses
+ *   valores recebe 304 sem corpo: os leitores de feeds perguntam de poucos
+ *   em poucos minutos e quase sempre não há nada de novo.
+ */
+
+import crypto from "crypto";
+
+import Theory from "../models/Theory.js";
+import * as feedService from "../services/feedService.js";
+import { procurarTag } from "../services/tagService.js";
+import { estaPublicada } from "../services/workflowService.js";
+import { obterUrlBase } from "../utils/url.js";
+
+/**
+ * Cache nos leitores e proxies: 5 minutos; depois, pedido condicional.
+ */
+const CACHE_FEEDS = "public, max-age=300";
+
+/**
+ * Caminho (sem extensão) do feed das últimas teorias.
+ */
+export const CAMINHO_FEED_TEORIAS = "/feeds/teorias";
+
+/**
+ * @param {string} nome Tag.
+ * @returns {string} Caminho (sem extensão) do feed da tag.
+ */
+export function caminhoFeedTag(nome) {
+    return `/feeds/tags/${encodeURIComponent(nome)}`;
+}
+
+/**
+ * @param {string} slug Slug da teoria.
+ * @returns {string} Caminho (sem extensão) do feed de comentários.
+ */
+export function caminhoFeedComentarios(slug) {
+    return `/feeds/teorias/${encodeURIComponent(slug)}/comentarios`;
+}
+
+/**
+ * Envia o corpo com `ETag` e `Last-Modified`, ou 304 se o cliente já tiver
+ * esta versão.
+ *
+ * @param {import("express").Request} req Pedido HTTP.
+ * @param {import("express").Response} res Resposta HTTP.
+ * @param {{ tipo: string, corpo: string, atualizadoEm: Date|null }} dados
+ */
+function enviarComValidacao(req, res, { tipo, corpo, atualizadoEm }) {
+    const hash = crypto.createHash("sha1").update(corpo).digest("base64url");
+
+    res.type(tipo);
+    res.set("Cache-Control", CACHE_FEEDS);
+    // O `Accept-Language` já está no `Vary` (ver `escolherLocale`).
+    res.vary("Cookie");
+    res.set("ETag", `"${hash}"`);
+    if (atualizadoEm) {
+        res.set("Last-Modified", atualizadoEm.toUTCString());
+    }
+
+    // `req.fresh` compara o `If-None-Match` / `If-Modified-Since` do pedido
+    // com os cabeçalhos acima.
+    if (req.fresh) {
+        return res.status(304).end();
+    }
+    res.send(corpo);
+}
+
+/**
+ * Responde com um feed no formato do URL (`.atom` ou `.json`).
+ *
+ * @param {import("express").Request} req Pedido HTTP (`req.params.formato`).
+ * @param {import("express").Response} res Resposta HTTP.
+ * @param {object} feed Feed (ver `feedService`).
+ */
+function enviarFeed(req, res, feed) {
+    const { formato } = req.params;
+    const urlFeed = obterUrlBase(req) + req.path;
+
+    const corpo =
+        formato === "atom"
+            ? feedService.gerarAtom(feed, urlFeed)
+            : JSON.stringify(feedService.gerarJsonFeed(feed, urlFeed));
+
+    enviarComValidacao(req, res, {
+        tipo: feedService.TIPOS_FEED[formato],
+        corpo,
+        atualizadoEm: feed.atualizadoEm,
+    });
+}
+
+/**
+ * Links `<link rel="alternate">` e "Subscrever" de uma página (ver
+ * `partials/_head.ejs` e `partials/_feed.ejs`).
+ *
+ * @param {string} caminho Caminho do feed, sem extensão.
+ * @param {string} titulo Título do feed.
+ * @returns {{ titulo: string, atom: string, json: string }}
+ */
+export function linksFeed(caminho, titulo) {
+    return { titulo, atom: `${caminho}.atom`, json: `${caminho}.json` };
+}
+
+/**
+ * GET /feeds/teorias.(atom|json) → últimas teorias publicadas.
+ *
+ * @param {import("express").Request} req Pedido HTTP.
+ * @param {import("express").Response} res Resposta HTTP.
+ * @param {import("express").NextFunction} next Próximo middleware.
+ */
+export async function feedTeorias(req, res, next) {
+    try {
+        enviarFeed(req, res, await feedService.feedTeorias(obterUrlBase(req)));
+    } catch (error) {
+        next(error);
+    }
+}
+
+/**
+ * GET /feeds/tags/:tag.(atom|json) → últimas teorias publicadas com a tag.
+ *
+ * - Nome antigo de uma tag renomeada/fundida → redirect 301 para o feed
+ *   da tag atual.
+ * - Tag bloqueada ou sem teorias → 404.
+ *
+ * @param {import("express").Request} req Pedido HTTP.
+ * @param {import("express").Response} res Resposta HTTP.
+ * @param {import("express").NextFunction} next Próximo middleware.
+ */
+export async function feedTag(req, res, next) {
+    try {
+        const { tag, redirectName } = await procurarTag(req.params.tag);
+
+        if (redirectName) {
+            return res.redirect(
+                301,
+                `${caminhoFeedTag(redirectName)}.${req.params.formato}`
+            );
+        }
+        if (!tag) {
+            return next();
+        }
+
+        enviarFeed(req, res, await feedService.feedTag(tag, obterUrlBase(req)));
+    } catch (error) {
+        next(error);
+    }
+}
+
+/**
+ * GET /feeds/teorias/:slug/comentarios.(atom|json) → últimos comentários
+ * aprovados de uma teoria publicada.
+ *
+ * - Slug antigo de uma teoria publicada → redirect 301 para o feed com o
+ *   slug atual.
+ * - Teoria inexistente ou por publicar → 404.
+ *
+ * @param {import("express").Request} req Pedido HTTP.
+ * @param {import("express").Response} res Resposta HTTP.
+ * @param {import("express").NextFunction} next Próximo middleware.
+ */
+export async function feedComentarios(req, res, next) {
+    try {
+        const { theory, redirectSlug, redirectTheory } =
+            await Theory.procurarPorSlug(req.params.slug);
+
+        // Só redireciona para teorias publicadas (o redirect de uma teoria
+        // por publicar revelava o título novo).
+        if (redirectSlug && estaPublicada(redirectTheory)) {
+            return res.redirect(
+                301,
+                `${caminhoFeedComentarios(redirectSlug)}.${req.params.formato}`
+            );
+        }
+        if (!estaPublicada(theory)) {
+            return next();
+        }
+
+        enviarFeed(
+            req,
+            res,
+            await feedService.feedComentarios(theory, obterUrlBase(req))
+        );
+    } catch (error) {
+        next(error);
+    }
+}
+
+/**
+ * GET /sitemap.xml → URLs de todas as teorias publicadas, para crawlers.
+ *
+ * @param {import("express").Request} req Pedido HTTP.
+ * @param {import("express").Response} res Resposta HTTP.
+ * @param {import("express").NextFunction} next Próximo middleware.
+ */
+export async function sitemap(req, res, next) {
+    try {
+        const { xml, atualizadoEm } = await feedService.gerarSitemap(
+            obterUrlBase(req)
+        );
+
+        enviarComValidacao(req, res, {
+            tipo: "application/xml; charset=utf-8",
+            corpo: xml,
+            atualizadoEm,
+        });
+    } catch (error) {
+        next(error);
+    }
+}
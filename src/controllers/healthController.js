@@ -0,0 +1,43 @@
+/**
+ * src/controllers/healthController.js
+ * -----------------------------------
+ * Health checks, para o orquestrador e o balanceador (ver
+ * `services/healthService.js`). Respostas JSON e nunca em cache.
+ */
+
+import { obterEstadoSaude } from "../services/healthService.js";
+
+/**
+ * GET /healthz → 200 enquanto o processo responder (com o estado da
+ * ligação ao MongoDB, só para informação).
+ *
+ * @param {import("express").Request} req Pedido HTTP.
+ * @param {import("express").Response} res Resposta HTTP.
+ */
+export function verificarVida(req, res) {
+    const { mongo, uptime } = obterEstadoSaude();
+
+    res.set("Cache-Control", "no-store").json({ status: "ok", mongo, uptime });
+}
+
+/**
+ * GET /readyz → 200 se a app puder receber pedidos (MongoDB ligado e sem
+ * estar a encerrar); 503 se não.
+ *
+ * @param {import("express").Request} req Pedido HTTP.
+ * @param {import("express").Response} res Resposta HTTP.
+ */
+export function verificarProntidao(req, res) {
+    const { pronta, aEncerrar, mongo } = obterEstadoSaude();
+
+    let status = "ready";
+    if (aEncerrar) {
+        status = "shutting-down";
+    } else if (!pronta) {
+        status = "unavailable";
+    }
+
+    res.status(pronta ? 200 : 503)
+        .set("Cache-Control", "no-store")
+        .json({ status, mongo });
+}
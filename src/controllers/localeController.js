@@ -0,0 +1,63 @@
+/**
+ * src/controllers/localeController.js
+ * -----------------------------------
+ * Mudar de idioma (`/idioma`, seletor do rodapé).
+ *
+ * - Fica sempre num cookie (vale também antes do login).
+ * - Com sessão iniciada e por POST (com token CSRF), fica também guardado
+ *   na conta, porque a preferência da conta ganha ao cookie (ver
+ *   `middlewares/localeMiddleware.js`).
+ */
+
+import { config } from "../config/env.js";
+import { COOKIE_LOCALE } from "../middlewares/localeMiddleware.js";
+import { atualizarIdioma } from "../services/profileService.js";
+import { normalizarLocale } from "../utils/i18n.js";
+import { caminhoLocal } from "../utils/url.js";
+
+const UM_ANO_EM_MS = 1000 * 60 * 60 * 24 * 365;
+
+/**
+ * Guarda (ou apaga, com `locale` a `null`) o cookie do idioma.
+ *
+ * @param {import("express").Response} res Resposta HTTP.
+ * @param {string|null} locale
+ */
+export function guardarCookieLocale(res, locale) {
+    const opcoes = { httpOnly: true, sameSite: "lax", secure: config.producao };
+
+    if (locale) {
+        res.cookie(COOKIE_LOCALE, locale, { ...opcoes, maxAge: UM_ANO_EM_MS });
+    } else {
+        res.clearCookie(COOKIE_LOCALE, opcoes);
+    }
+}
+
+/**
+ * GET/POST /idioma → muda de idioma (`locale`) e volta à página de onde
+ * veio (`voltar`).
+ *
+ * @param {import("express").Request} req Pedido HTTP.
+ * @param {import("express").Response} res Resposta HTTP.
+ * @param {import("express").NextFunction} next Próximo middleware.
+ */
+export async function mudarIdioma(req, res, next) {
+    const dados = req.method === "POST" ? req.body : req.query;
+    const locale = normalizarLocale(dados.locale);
+    const destino = caminhoLocal(dados.voltar, "/");
+
+    try {
+        if (locale) {
+            guardarCookieLocale(res, locale);
+
+            const { currentUser } = res.locals;
+            if (req.method === "POST" && currentUser) {
+                await atualizarIdioma(currentUser.id, locale);
+            }
+        }
+
+        res.redirect(destino);
+    } catch (error) {
+        next(error);
+    }
+}
@@ -0,0 +1,52 @@
+/**
+ * src/controllers/profileController.js
+ * ------------------------------------
+ * Perfis públicos (`/utilizadores/:id`): as teorias que a pessoa criou, os
+ * comentários recentes e as listas de leitura partilhadas.
+ */
+
+import { idsFavoritos } from "../services/favoriteService.js";
+import { obterPerfilPublico } from "../services/profileService.js";
+import { t } from "../utils/i18n.js";
+import { caminhoLista } from "./readingListController.js";
+import { caminhoTag } from "./tagController.js";
+
+/**
+ * GET /utilizadores/:id → perfil público.
+ *
+ * @param {import("express").Request} req Pedido HTTP.
+ * @param {import("express").Response} res Resposta HTTP.
+ * @param {import("express").NextFunction} next Próximo middleware.
+ */
+export async function mostrarPerfil(req, res, next) {
+    try {
+        const perfil = await obterPerfilPublico(req.params.id);
+
+        if (!perfil) {
+            return res.status(404).render("404", {
+                tituloPagina: t("utilizadores.naoEncontrado"),
+            });
+        }
+
+        const { currentUser } = res.locals;
+        const favoritos = await idsFavoritos(
+            currentUser?.id,
+            perfil.theories.map((teoria) => teoria._id)
+        );
+
+        res.render("users/profile", {
+            tituloPagina: perfil.user.displayName,
+            ...perfil,
+            proprio: Boolean(
+                currentUser && currentUser.id === perfil.user._id.toString()
+            ),
+            favoritos,
+            voltar: req.originalUrl,
+            caminhoLista,
+            caminhoTag,
+            erros: [],
+        });
+    } catch (error) {
+        next(error);
+    }
+}
@@ -0,0 +1,269 @@
+/**
+ * src/controllers/readingListController.js
+ * ----------------------------------------
+ * Listas de leitura.
+ *
+ * RESPONSABILIDADES:
+ * - Gestão das listas do utilizador (`/conta/listas`): criar, editar,
+ *   apagar, guardar teorias e tirá-las.
+ * - Página de uma lista (`/utilizadores/:id/listas/:listaId`): pública se
+ *   a lista for partilhada; privada só para o dono.
+ *
+ * Quando uma ação é recusada (ex.: nome inválido), a página das listas
+ * volta a aparecer com a explicação.
+ */
+
+import { idsFavoritos } from "../services/favoriteService.js";
+import * as readingListService from "../services/readingListService.js";
+import { t } from "../utils/i18n.js";
+import { eErroDeValidacao, mensagensDeValidacao } from "../utils/validation.js";
+import { caminhoTag } from "./tagController.js";
+
+/**
+ * @param {string} ownerId Dono.
+ * @param {string} listaId Lista.
+ * @returns {string} Caminho da página da lista.
+ */
+export function caminhoLista(ownerId, listaId) {
+    return `/utilizadores/${ownerId}/listas/${listaId}`;
+}
+
+/**
+ * Mostra a página de gestão das listas.
+ *
+ * @param {import("express").Response} res Resposta HTTP.
+ * @param {{ status?: number, erros?: string[],
+ *           valores?: ReturnType<typeof readingListService.lerDadosLista> }}
+ *        [opcoes] `valores` preenche o formulário de lista nova.
+ * @returns {Promise<void>}
+ */
+async function renderizarListas(res, opcoes = {}) {
+    const { status = 200, erros = [], valores = null } = opcoes;
+
+    const listas = await readingListService.listarListas(
+        res.locals.currentUser.id
+    );
+
+    res.status(status).render("account/reading-lists", {
+        tituloPagina: t("conta.listas.titulo"),
+        listas,
+        maximoListas: readingListService.MAXIMO_LISTAS_POR_UTILIZADOR,
+        visibilidades: readingListService.VISIBILIDADES,
+        caminhoLista,
+        valores: valores || {
+            name: "",
+            description: "",
+            visibility: "private",
+        },
+        erros,
+    });
+}
+
+/**
+ * Executa uma ação sobre as listas e redireciona.
+ *
+ * - Lista ou teoria inexistente (a ação devolve `null`/`false`) → 404.
+ * - `ReadingListError` ou erro de validação → página das listas com a
+ *   mensagem.
+ *
+ * @param {import("express").Response} res Resposta HTTP.
+ * @param {import("express").NextFunction} next Próximo middleware.
+ * @param {() => Promise<unknown>} acao Ação a executar.
+ * @param {string|((resultado: any) => string)} destino Para onde ir depois.
+ * @param {object} [valores] Valores do formulário (para os repor).
+ */
+async function executarAcao(res, next, acao, destino, valores) {
+    try {
+        try {
+            const resultado = await acao();
+
+            if (resultado === null || resultado === false) {
+                return res.status(404).render("404", {
+                    tituloPagina: t("listas.naoEncontrada"),
+                });
+            }
+
+            res.redirect(
+                typeof destino === "function" ? destino(resultado) : destino
+            );
+        } catch (error) {
+            if (error instanceof readingListService.ReadingListError) {
+                return await renderizarListas(res, {
+                    status: error.status,
+                    erros: [error.message],
+                    valores,
+                });
+            }
+            if (eErroDeValidacao(error)) {
+                return await renderizarListas(res, {
+                    status: 422,
+                    erros: mensagensDeValidacao(error),
+                    valores,
+                });
+            }
+            throw error;
+        }
+    } catch (error) {
+        next(error);
+    }
+}
+
+/**
+ * GET /conta/listas → listas do utilizador e formulário de lista nova.
+ *
+ * @param {import("express").Request} req Pedido HTTP.
+ * @param {import("express").Response} res Resposta HTTP.
+ * @param {import("express").NextFunction} next Próximo middleware.
+ */
+export async function listarListas(req, res, next) {
+    try {
+        await renderizarListas(res);
+    } catch (error) {
+        next(error);
+    }
+}
+
+/**
+ * POST /conta/listas → cria uma lista (`name`, `description`,
+ * `visibility`).
+ *
+ * @param {import("express").Request} req Pedido HTTP.
+ * @param {import("express").Response} res Resposta HTTP.
+ * @param {import("express").NextFunction} next Próximo middleware.
+ */
+export async function criarLista(req, res, next) {
+    const dados = readingListService.lerDadosLista(req.body);
+
+    await executarAcao(
+        res,
+        next,
+        () => readingListService.criarLista(res.locals.currentUser.id, dados),
+        "/conta/listas",
+        dados
+    );
+}
+
+/**
+ * POST /conta/listas/:id/editar → muda o nome, a descrição ou a
+ * visibilidade.
+ *
+ * @param {import("express").Request} req Pedido HTTP.
+ * @param {import("express").Response} res Resposta HTTP.
+ * @param {import("express").NextFunction} next Próximo middleware.
+ */
+export async function atualizarLista(req, res, next) {
+    await executarAcao(
+        res,
+        next,
+        () =>
+            readingListService.atualizarLista(
+                req.params.id,
+                res.locals.currentUser.id,
+                readingListService.lerDadosLista(req.body)
+            ),
+        "/conta/listas"
+    );
+}
+
+/**
+ * POST /conta/listas/:id/apagar → apaga a lista.
+ *
+ * @param {import("express").Request} req Pedido HTTP.
+ * @param {import("express").Response} res Resposta HTTP.
+ * @param {import("express").NextFunction} next Próximo middleware.
+ */
+export async function apagarLista(req, res, next) {
+    await executarAcao(
+        res,
+        next,
+        () =>
+            readingListService.apagarLista(
+                req.params.id,
+                res.locals.currentUser.id
+            ),
+        "/conta/listas"
+    );
+}
+
+/**
+ * POST /conta/listas/teorias → guarda a teoria `slug` na lista `lista` e
+ * volta à teoria (o formulário está na página de detalhe).
+ *
+ * @param {import("express").Request} req Pedido HTTP.
+ * @param {import("express").Response} res Resposta HTTP.
+ * @param {import("express").NextFunction} next Próximo middleware.
+ */
+export async function acrescentarTeoria(req, res, next) {
+    const slug = typeof req.body.slug === "string" ? req.body.slug : "";
+
+    await executarAcao(
+        res,
+        next,
+        () =>
+            readingListService.acrescentarTeoria(
+                req.body.lista,
+                res.locals.currentUser.id,
+                slug
+            ),
+        ({ theory }) => `/teorias/${encodeURIComponent(theory.slug)}`
+    );
+}
+
+/**
+ * POST /conta/listas/:id/teorias/:theoryId/remover → tira uma teoria da
+ * lista e volta à página da lista.
+ *
+ * @param {import("express").Request} req Pedido HTTP.
+ * @param {import("express").Response} res Resposta HTTP.
+ * @param {import("express").NextFunction} next Próximo middleware.
+ */
+export async function tirarTeoria(req, res, next) {
+    const { id, theoryId } = req.params;
+    const ownerId = res.locals.currentUser.id;
+
+    await executarAcao(
+        res,
+        next,
+        () => readingListService.tirarTeoria(id, ownerId, theoryId),
+        caminhoLista(ownerId, id)
+    );
+}
+
+/**
+ * GET /utilizadores/:id/listas/:listaId → página de uma lista (404 se for
+ * privada e não for de quem está a ver).
+ *
+ * @param {import("express").Request} req Pedido HTTP.
+ * @param {import("express").Response} res Resposta HTTP.
+ * @param {import("express").NextFunction} next Próximo middleware.
+ */
+export async function mostrarLista(req, res, next) {
+    try {
+        const resultado = await readingListService.obterLista(
+            req.params.id,
+            req.params.listaId,
+            res.locals.currentUser
+        );
+
+        if (!resultado) {
+            return res.status(404).render("404", {
+                tituloPagina: t("listas.naoEncontrada"),
+            });
+        }
+
+        res.render("users/reading-list", {
+            tituloPagina: resultado.lista.name,
+            ...resultado,
+            caminhoPerfil: `/utilizadores/${resultado.lista.owner}`,
+            caminhoTag,
+            favoritos: await idsFavoritos(
+                res.locals.currentUser?.id,
+                resultado.theories.map((teoria) => teoria._id)
+            ),
+            voltar: req.originalUrl,
+            erros: [],
+        });
+    } catch (error) {
+        next(error);
+    }
+}
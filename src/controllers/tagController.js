@@ -0,0 +1,127 @@
+/**
+ * src/controllers/tagController.js
+ * --------------------------------
+ * Páginas públicas das tags (`/tags`): a nuvem de tags e a página de cada
+ * tag, com as teorias publicadas que a usam.
+ */
+
+import { idsFavoritos } from "../services/favoriteService.js";
+import * as tagService from "../services/tagService.js";
+import {
+    lerFiltrosPublicos,
+    pesquisarTeorias,
+} from "../services/theoryService.js";
+import { t } from "../utils/i18n.js";
+import { logger } from "../utils/logger.js";
+import { caminhoFeedTag, linksFeed } from "./feedController.js";
+import { construirPaginacao } from "./theoryController.js";
+
+/**
+ * @param {string} nome Tag.
+ * @returns {string} Caminho da página da tag (ex.: "/tags/vigil%C3%A2ncia").
+ */
+export function caminhoTag(nome) {
+    return `/tags/${encodeURIComponent(nome)}`;
+}
+
+/**
+ * GET /tags → nuvem com as tags das teorias publicadas (as mais usadas
+ * aparecem maiores).
+ *
+ * @param {import("express").Request} req Pedido HTTP.
+ * @param {import("express").Response} res Resposta HTTP.
+ */
+export async function mostrarNuvem(req, res) {
+    try {
+        const nuvem = await tagService.calcularNuvemTags();
+
+        res.render("tags/index", {
+            tituloPagina: t("tags.titulo"),
+            nuvem,
+            caminhoTag,
+            erros: [],
+        });
+    } catch (error) {
+        logger.error("Erro ao carregar a nuvem de tags", { error });
+        res.status(500).render("tags/index", {
+            tituloPagina: t("tags.titulo"),
+            nuvem: [],
+            caminhoTag,
+            erros: [t("tags.erros.carregar")],
+        });
+    }
+}
+
+/**
+ * GET /tags/:tag → teorias publicadas com esta tag (com paginação e
+ * `?sort=` como na lista pública).
+ *
+ * - Nome antigo de uma tag renomeada/fundida → redirect 301 para a atual.
+ * - Tag bloqueada ou sem teorias → 404.
+ *
+ * @param {import("express").Request} req Pedido HTTP.
+ * @param {import("express").Response} res Resposta HTTP.
+ * @param {import("express").NextFunction} next Próximo middleware.
+ */
+export async function mostrarTag(req, res, next) {
+    try {
+        const { tag, redirectName } = await tagService.procurarTag(
+            req.params.tag
+        );
+
+        if (redirectName) {
+            return res.redirect(301, caminhoTag(redirectName));
+        }
+        if (!tag) {
+            return res.status(404).render("404", {
+                tituloPagina: t("tags.naoEncontrada"),
+            });
+        }
+
+        const filtros = {
+            ...lerFiltrosPublicos({
+                sort: req.query.sort,
+                page: req.query.page,
+            }),
+            tags: [tag.name],
+        };
+        const resultado = await pesquisarTeorias(filtros);
+
+        const paginacao = construirPaginacao(
+            resultado.page,
+            resultado.pages,
+            (numero) => {
+                const params = new URLSearchParams();
+                if (filtros.sort !== "newest") params.set("sort", filtros.sort);
+                if (numero > 1) params.set("page", String(numero));
+                const texto = params.toString();
+                return texto ? `?${texto}` : "";
+            }
+        );
+
+        const favoritos = await idsFavoritos(
+            res.locals.currentUser?.id,
+            resultado.theories.map((teoria) => teoria._id)
+        );
+
+        res.render("tags/detail", {
+            tituloPagina: `#${tagService.nomeParaMostrar(tag)}`,
+            tag,
+            nomeTag: tagService.nomeParaMostrar(tag),
+            theories: resultado.theories,
+            total: resultado.total,
+            filtros: { ...filtros, page: resultado.page },
+            paginacao,
+            caminhoTag,
+            feed: linksFeed(
+                caminhoFeedTag(tag.name),
+                t("feeds.tag.titulo", { tag: tagService.nomeParaMostrar(tag) })
+            ),
+            favoritos,
+            voltar: req.originalUrl,
+            erros: [],
+        });
+    } catch (error) {
+        next(error);
+    }
+}
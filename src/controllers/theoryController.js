@@ -0,0 +1,320 @@
+/**
+ * src/controllers/theoryController.js
+ * -----------------------------------
+ * Controladores da zona pública das teorias (`/teorias`).
+ *
+ * RESPONSABILIDADES:
+ * - Ir buscar as teorias à base de dados (via model `Theory`).
+ * - Escolher a vista EJS certa e enviar-lhe os dados.
+ */
+
+import Theory from "../models/Theory.js";
+import {
+    PROFUNDIDADE_MAXIMA,
+    carregarComentariosParaVista,
+    lerOrdenacaoComentarios,
+} from "../services/commentService.js";
+import { idsFavoritos } from "../services/favoriteService.js";
+import { listarListas } from "../services/readingListService.js";
+import { obterRelacionadas } from "../services/relatedService.js";
+import {
+    LIMITE_POR_OMISSAO,
+    lerFiltrosPublicos,
+    ordenacaoPorOmissao,
+    pesquisarTeorias,
+} from "../services/theoryService.js";
+import {
+    estaPublicada,
+    podeVerNaoPublicadas,
+} from "../services/workflowService.js";
+import { t } from "../utils/i18n.js";
+import { logger } from "../utils/logger.js";
+import {
+    CAMINHO_FEED_TEORIAS,
+    caminhoFeedComentarios,
+    linksFeed,
+} from "./feedController.js";
+
+/**
+ * Constrói a query string da lista a partir dos filtros ativos.
+ *
+ * Serve para os links de paginação (e de tags) manterem os filtros:
+ * ir para a página 2 de `?tags=animais` dá `?tags=animais&page=2`.
+ * Valores por omissão não entram no URL, para o manter curto.
+ *
+ * @param {ReturnType<typeof lerFiltrosPublicos>} filtros Filtros ativos.
+ * @param {Record<string, unknown>} [alteracoes] Valores a substituir.
+ * @returns {string} Ex.: "?q=patos&tags=animais&page=2" (ou "" se vazio).
+ */
+function construirQueryString(filtros, alteracoes = {}) {
+    const valores = { ...filtros, ...alteracoes };
+    const params = new URLSearchParams();
+
+    if (valores.q) params.set("q", valores.q);
+    valores.tags.forEach((tag) => params.append("tags", tag));
+    if (valores.complexityLevel) {
+        params.set("complexityLevel", valores.complexityLevel);
+    }
+    if (valores.sort && valores.sort !== ordenacaoPorOmissao(valores.q)) {
+        params.set("sort", valores.sort);
+    }
+    if (valores.limit && valores.limit !== LIMITE_POR_OMISSAO) {
+        params.set("limit", String(valores.limit));
+    }
+    if (valores.page && valores.page > 1) {
+        params.set("page", String(valores.page));
+    }
+
+    const texto = params.toString();
+    return texto ? `?${texto}` : "";
+}
+
+/**
+ * Páginas mostradas de cada lado da página atual (ver `construirPaginacao`).
+ */
+const PAGINAS_VIZINHAS = 2;
+
+/**
+ * Constrói os links de paginação para o partial `_pagination.ejs`.
+ *
+ * Com muitas páginas, mostra só a primeira, a última e as
+ * `PAGINAS_VIZINHAS` de cada lado da atual; os intervalos escondidos
+ * ficam como `{ reticencias: true }`. Ex.: página 10 de 40 →
+ * `1 … 8 9 10 11 12 … 40`.
+ *
+ * @param {number} page Página atual.
+ * @param {number} pages Número de páginas.
+ * @param {(numero: number) => string} hrefPagina Query string de cada
+ *        página (com os filtros ativos).
+ * @returns {{ page: number, pages: number, anterior: string|null,
+ *             seguinte: string|null,
+ *             paginas: Array<{ numero: number, href: string,
+ *                              atual: boolean }|{ reticencias: true }> }}
+ */
+export function construirPaginacao(page, pages, hrefPagina) {
+    const inicio = Math.max(1, page - PAGINAS_VIZINHAS);
+    const fim = Math.min(pages, page + PAGINAS_VIZINHAS);
+
+    const numeros = [];
+    for (let numero = inicio; numero <= fim; numero += 1) {
+        numeros.push(numero);
+    }
+    // Um intervalo de uma só página mostra-se (ocupa o mesmo que "…").
+    if (inicio > 1) {
+        numeros.unshift(...(inicio === 3 ? [1, 2] : [1]));
+    }
+    if (fim < pages) {
+        numeros.push(...(fim === pages - 2 ? [pages - 1, pages] : [pages]));
+    }
+
+    const paginas = [];
+    numeros.forEach((numero, i) => {
+        if (i > 0 && numero > numeros[i - 1] + 1) {
+            paginas.push({ reticencias: true });
+        }
+        paginas.push({
+            numero,
+            href: hrefPagina(numero),
+            atual: numero === page,
+        });
+    });
+
+    return {
+        page,
+        pages,
+        anterior: page > 1 ? hrefPagina(page - 1) : null,
+        seguinte: page < pages ? hrefPagina(page + 1) : null,
+        paginas,
+    };
+}
+
+/**
+ * Lista pública de teorias, com filtros, ordenação e paginação.
+ *
+ * EXEMPLOS:
+ * - `/teorias?q=pombos`
+ * - `/teorias?tags=animais&tags=cidades&complexityLevel=medium`
+ * - `/teorias?sort=most-commented&page=2&limit=5`
+ *
+ * A vista recebe, além das teorias, os `filtros` ativos (para preencher o
+ * formulário) e a `paginacao` com os links já construídos. Uma pesquisa
+ * sem resultados pode trazer uma `sugestao` ("Querias dizer ...?").
+ *
+ * @param {import("express").Request} req Pedido HTTP (usa `req.query`).
+ * @param {import("express").Response} res Resposta HTTP.
+ */
+export async function listarTeoriasPublicas(req, res) {
+    const filtros = lerFiltrosPublicos(req.query);
+
+    try {
+        const resultado = await pesquisarTeorias(filtros);
+        const { page, pages } = resultado;
+
+        const paginacao = construirPaginacao(page, pages, (numero) =>
+            construirQueryString(filtros, { page: numero })
+        );
+        const favoritos = await idsFavoritos(
+            res.locals.currentUser?.id,
+            resultado.theories.map((teoria) => teoria._id)
+        );
+
+        res.render("theories/list", {
+            tituloPagina: t("teorias.titulo"),
+            theories: resultado.theories,
+            total: resultado.total,
+            filtros: { ...filtros, page },
+            paginacao,
+            favoritos,
+            voltar: req.originalUrl,
+            feed: linksFeed(CAMINHO_FEED_TEORIAS, t("feeds.teorias.titulo")),
+            linkTag: (tag) =>
+                construirQueryString(filtros, { tags: [tag], page: 1 }),
+            sugestao: resultado.sugestao
+                ? {
+                      texto: resultado.sugestao,
+                      href: construirQueryString(filtros, {
+                          q: resultado.sugestao,
+                          page: 1,
+                      }),
+                  }
+                : null,
+            erros: [],
+        });
+    } catch (error) {
+        logger.error("Erro ao listar teorias", { error });
+        res.status(500).render("theories/list", {
+            tituloPagina: t("teorias.titulo"),
+            theories: [],
+            total: 0,
+            filtros,
+            paginacao: null,
+            favoritos: new Set(),
+            voltar: req.originalUrl,
+            linkTag: () => "",
+            sugestao: null,
+            erros: [t("teorias.erros.carregar")],
+        });
+    }
+}
+
+/**
+ * Mostra a página de detalhe de uma teoria (ou a 404 se `theory` for nulo).
+ *
+ * Também é usada pelos controladores dos comentários, para voltar a
+ * mostrar a teoria com erros e o texto que o utilizador escreveu.
+ *
+ * Uma teoria ainda não publicada só chega aqui para quem a pode
+ * pré-visualizar; a vista mostra um aviso e não deixa comentar.
+ *
+ * No fim da página aparecem as teorias relacionadas (ver
+ * `relatedService.js`). Quem tem sessão iniciada vê também o botão de
+ * favorito e pode guardar a teoria numa das suas listas de leitura.
+ *
+ * @param {import("express").Request} req Pedido HTTP.
+ * @param {import("express").Response} res Resposta HTTP.
+ * @param {object|null} theory Teoria (lean).
+ * @param {{ status?: number, erros?: string[], commentValue?: string,
+ *           replyTo?: string }} [opcoes] `replyTo` é o `_id` do comentário
+ *        a que o utilizador estava a responder (para reabrir esse formulário).
+ * @returns {Promise<void>}
+ */
+export async function renderizarDetalhe(req, res, theory, opcoes = {}) {
+    const {
+        status = 200,
+        erros = [],
+        commentValue = "",
+        replyTo = "",
+    } = opcoes;
+
+    if (!theory) {
+        return res.status(404).render("theories/detail", {
+            tituloPagina: t("teorias.naoEncontrada"),
+            theory: null,
+            comentarios: [],
+            erros,
+            commentValue: "",
+        });
+    }
+
+    const ordenacaoComentarios = lerOrdenacaoComentarios(req.query.sort);
+    const comentarios = await carregarComentariosParaVista(
+        theory,
+        res.locals.currentUser,
+        ordenacaoComentarios
+    );
+    const relacionadas = await obterRelacionadas(theory);
+
+    // Favorito e listas de leitura de quem está a ver.
+    const { currentUser } = res.locals;
+    const favorito = currentUser
+        ? (await idsFavoritos(currentUser.id, [theory._id])).size > 0
+        : false;
+    const listas = currentUser ? await listarListas(currentUser.id) : [];
+
+    res.status(status).render("theories/detail", {
+        tituloPagina: theory.title,
+        theory,
+        preVisualizacao: !estaPublicada(theory),
+        // Feed dos comentários (só existe para teorias publicadas).
+        feed: estaPublicada(theory)
+            ? linksFeed(
+                  caminhoFeedComentarios(theory.slug),
+                  t("feeds.comentarios.titulo", { titulo: theory.title })
+              )
+            : null,
+        comentarios,
+        ordenacaoComentarios,
+        profundidadeMaxima: PROFUNDIDADE_MAXIMA,
+        relacionadas,
+        favorito,
+        listas,
+        erros,
+        commentValue,
+        replyTo,
+    });
+}
+
+/**
+ * Mostra o detalhe de uma teoria a partir do slug.
+ *
+ * FLUXO:
+ * 1. Procura a teoria pelo slug atual.
+ * 2. Se não existir, mas o slug for antigo (a teoria mudou de título),
+ *    responde com um redirect 301 para o slug atual — assim os links
+ *    partilhados e os favoritos continuam a funcionar. Só se a teoria
+ *    puder ser vista por quem pede: senão é um 404 como os outros (o
+ *    redirect revelava que existe e o título novo).
+ * 3. Se não existir de todo, mostra a vista de detalhe com `theory = null`
+ *    e status 404. O mesmo para teorias ainda não publicadas, exceto para
+ *    quem as pode editar (pré-visualização no URL que vão ter).
+ * 4. Os comentários mostrados dependem de quem vê e vêm em árvore
+ *    (ver `carregarComentariosParaVista`); `?sort=` escolhe a ordem
+ *    ("newest", "oldest" ou "most-reactions").
+ *
+ * @param {import("express").Request} req Pedido HTTP (usa `req.params.slug`).
+ * @param {import("express").Response} res Resposta HTTP.
+ * @param {import("express").NextFunction} next Próximo middleware.
+ */
+export async function mostrarTeoria(req, res, next) {
+    const { slug } = req.params;
+
+    try {
+        const { theory, redirectSlug, redirectTheory } =
+            await Theory.procurarPorSlug(slug);
+
+        const podeVer = (teoria) =>
+            estaPublicada(teoria) ||
+            podeVerNaoPublicadas(res.locals.currentUser);
+
+        if (redirectSlug && podeVer(redirectTheory)) {
+            return res.redirect(
+                301,
+                `/teorias/${encodeURIComponent(redirectSlug)}`
+            );
+        }
+
+        await renderizarDetalhe(req, res, podeVer(theory) ? theory : null);
+    } catch (error) {
+        next(error);
+    }
+}
@@ -0,0 +1,362 @@
+/**
+ * src/middlewares/apiMiddleware.js
+ * --------------------------------
+ * Middlewares da API JSON (`/api/v1`).
+ *
+ * AUTENTICAÇÃO:
+ * - Clientes "máquina" (scripts, app mobile) enviam um token pessoal:
+ *       Authorization: Bearer cspk_...
+ *   (os tokens criam-se em `/conta/tokens`).
+ * - Sem cabeçalho `Authorization`, vale a sessão do browser (o
+ *   `anexarUtilizadorAsViews` já correu no `app.js`).
+ * - Em ambos os casos o resultado é o mesmo `res.locals.currentUser`, por
+ *   isso as capacidades (`config/permissions.js`) são as mesmas do HTML.
+ *
+ * VALIDAÇÃO:
+ * - `validarPedidoApi` valida a query string e o corpo contra a
+ *   especificação OpenAPI (gerada a partir dos models), por isso uma
+ *   regra nova num model chega logo à validação da API.
+ * - As mensagens de erro saem no idioma do pedido (`Accept-Language`,
+ *   cookie ou conta; ver `middlewares/localeMiddleware.js`).
+ *
+ * DIFERENÇA PARA O `authMiddleware.js`:
+ * - Aqui nunca há redirects nem vistas: os erros são sempre JSON
+ *   (401 sem autenticação, 403 sem autorização).
+ */
+
+import Ajv from "ajv";
+
+import { roleTemPermissao } from "../config/permissions.js";
+import { autenticarApiToken } from "../services/apiTokenService.js";
+import { obterEspecificacaoOpenApi } from "../services/openapiService.js";
+import { enviarErroApi } from "../utils/apiErrors.js";
+import { t } from "../utils/i18n.js";
+import { logger } from "../utils/logger.js";
+import { construirUtilizadorAtual } from "./authMiddleware.js";
+
+/**
+ * Validadores JSON Schema (ajv) com a especificação OpenAPI carregada,
+ * para os `$ref` ("#/components/schemas/...") funcionarem.
+ * - `ajvCorpo`: o corpo tem de ter os tipos certos (nada de conversões).
+ * - `ajvQuery`: na query string tudo chega como texto, por isso deixamos
+ *   converter ("2" → 2, "a" → ["a"]).
+ */
+const ID_ESPECIFICACAO = "openapi";
+const opcoesAjv = { allErrors: true, strict: false, verbose: true };
+const ajvCorpo = new Ajv(opcoesAjv);
+const ajvQuery = new Ajv({ ...opcoesAjv, coerceTypes: "array" });
+for (const ajv of [ajvCorpo, ajvQuery]) {
+    // Datas ("date-time"): basta que o `Date` do JavaScript as perceba.
+    ajv.addFormat("date-time", (valor) => !Number.isNaN(Date.parse(valor)));
+    ajv.addSchema(obterEspecificacaoOpenApi(), ID_ESPECIFICACAO);
+}
+
+/**
+ * Tipos do JSON Schema com nome nos catálogos (`api.validacao.tipos.*`).
+ */
+const TIPOS_JSON = [
+    "string",
+    "number",
+    "integer",
+    "boolean",
+    "array",
+    "object",
+];
+
+/**
+ * Autentica o pedido pelo token de API, se vier um.
+ *
+ * - Cabeçalho mal formado ou token desconhecido → 401 (não cai para a
+ *   sessão: quem manda um token espera que seja esse a contar).
+ *
+ * @param {import("express").Request} req Pedido HTTP.
+ * @param {import("express").Response} res Resposta HTTP.
+ * @param {import("express").NextFunction} next Próximo middleware.
+ */
+export async function autenticarApi(req, res, next) {
+    const cabecalho = req.get("authorization");
+    if (!cabecalho) {
+        return next();
+    }
+
+    const [esquema, token] = cabecalho.trim().split(/\s+/);
+    if (!/^bearer$/i.test(esquema) || !token) {
+        return enviarErroApi(res, 401, t("api.erros.cabecalhoAutorizacao"));
+    }
+
+    try {
+        const user = await autenticarApiToken(token);
+        if (!user) {
+            return enviarErroApi(res, 401, t("api.erros.tokenInvalido"));
+        }
+
+        res.locals.currentUser = construirUtilizadorAtual(user);
+        next();
+    } catch (error) {
+        logger.error("Erro ao autenticar token de API", { error });
+        enviarErroApi(res, 500, t("erros.mensagens.500"));
+    }
+}
+
+/**
+ * Equivalente JSON do `exigirPermissao`: 401 sem utilizador, 403 se faltar
+ * alguma das capacidades pedidas.
+ *
+ * @param {...string} permissoes Capacidades exigidas.
+ * @returns {import("express").RequestHandler}
+ */
+export function exigirPermissaoApi(...permissoes) {
+    return function verificarPermissaoApi(req, res, next) {
+        const currentUser = res.locals.currentUser;
+
+        if (!currentUser) {
+            return enviarErroApi(
+                res,
+                401,
+                t("api.erros.autenticacaoNecessaria")
+            );
+        }
+
+        if (!roleTemPermissao(currentUser.role, ...permissoes)) {
+            return enviarErroApi(res, 403, t("erros.mensagens.403"));
+        }
+
+        next();
+    };
+}
+
+/**
+ * Equivalente JSON do `exigirAutenticacao`.
+ *
+ * @param {import("express").Request} req Pedido HTTP.
+ * @param {import("express").Response} res Resposta HTTP.
+ * @param {import("express").NextFunction} next Próximo middleware.
+ */
+export function exigirAutenticacaoApi(req, res, next) {
+    if (!res.locals.currentUser) {
+        return enviarErroApi(res, 401, t("api.erros.autenticacaoNecessaria"));
+    }
+
+    next();
+}
+
+/**
+ * Equivalente JSON do `exigirEmailVerificado`.
+ *
+ * @param {import("express").Request} req Pedido HTTP.
+ * @param {import("express").Response} res Resposta HTTP.
+ * @param {import("express").NextFunction} next Próximo middleware.
+ */
+export function exigirEmailVerificadoApi(req, res, next) {
+    const currentUser = res.locals.currentUser;
+
+    if (!currentUser) {
+        return enviarErroApi(res, 401, t("api.erros.autenticacaoNecessaria"));
+    }
+
+    if (!currentUser.emailVerified) {
+        return enviarErroApi(res, 403, t("api.erros.emailPorConfirmar"));
+    }
+
+    next();
+}
+
+/**
+ * Converte um erro do ajv no formato `{ field, message }` da API.
+ *
+ * Usa, quando existe, a mensagem definida no model (a chave do catálogo
+ * em `x-mensagens`, ver `utils/jsonSchema.js`), para a API dizer o mesmo
+ * que os formulários HTML.
+ *
+ * @param {import("ajv").ErrorObject} erro Erro do ajv.
+ * @returns {{ field: string, message: string }}
+ */
+function traduzirErroAjv(erro) {
+    const caminho = erro.instancePath.split("/").filter(Boolean).join(".");
+
+    if (erro.keyword === "required") {
+        const campo = [caminho, erro.params.missingProperty]
+            .filter(Boolean)
+            .join(".");
+        const schemaCampo =
+            erro.parentSchema?.properties?.[erro.params.missingProperty];
+        const chave = schemaCampo?.["x-mensagens"]?.required;
+        return {
+            field: campo,
+            message: chave ? t(chave) : t("api.validacao.required", { campo }),
+        };
+    }
+
+    if (erro.keyword === "additionalProperties") {
+        const campo = [caminho, erro.params.additionalProperty]
+            .filter(Boolean)
+            .join(".");
+        return {
+            field: campo,
+            message: t("api.validacao.additionalProperties", { campo }),
+        };
+    }
+
+    if (erro.keyword === "minProperties") {
+        return { field: caminho, message: t("api.validacao.minProperties") };
+    }
+
+    const personalizada = erro.parentSchema?.["x-mensagens"]?.[erro.keyword];
+    if (personalizada) {
+        return { field: caminho, message: t(personalizada) };
+    }
+
+    const valores = {
+        campo: caminho,
+        // Texto, e não número: "maxLength" de 2000 fica "2000" e não "2 000".
+        limite: String(erro.params.limit),
+        valores: erro.params.allowedValues?.join(", "),
+        tipo: TIPOS_JSON.includes(erro.params.type)
+            ? t(`api.validacao.tipos.${erro.params.type}`)
+            : erro.params.type,
+    };
+    const conhecidas = [
+        "type",
+        "minLength",
+        "maxLength",
+        "minimum",
+        "maximum",
+        "enum",
+        "pattern",
+        "format",
+    ];
+
+    return {
+        field: caminho,
+        message: conhecidas.includes(erro.keyword)
+            ? t(`api.validacao.${erro.keyword}`, valores)
+            : t("validacao.valorInvalido", valores),
+    };
+}
+
+/**
+ * @param {object} schema Schema (da especificação).
+ * @returns {object} O mesmo schema, com o `$ref` de topo a apontar para a
+ *          especificação carregada no ajv.
+ */
+function apontarParaEspecificacao(schema) {
+    return schema.$ref?.startsWith("#")
+        ? { $ref: ID_ESPECIFICACAO + schema.$ref }
+        : schema;
+}
+
+/**
+ * Fábrica de middlewares que validam um pedido contra a operação
+ * `metodo` + `caminho` da especificação OpenAPI.
+ *
+ * - Parâmetros da query string inválidos → 400.
+ * - Corpo que não é um objeto JSON → 400.
+ * - Corpo com campos inválidos → 422 com os erros por campo.
+ *
+ * Os validadores são compilados quando a rota é definida (um erro na
+ * especificação aparece logo no arranque).
+ *
+ * EXEMPLO:
+ *     router.post(
+ *         "/theories",
+ *         validarPedidoApi("post", "/theories"),
+ *         apiTheoryController.criarTeoria
+ *     );
+ *
+ * @param {string} metodo Método HTTP, em minúsculas.
+ * @param {string} caminho Caminho no formato OpenAPI ("/theories/{id}").
+ * @returns {import("express").RequestHandler}
+ */
+export function validarPedidoApi(metodo, caminho) {
+    const itemCaminho = obterEspecificacaoOpenApi().paths[caminho];
+    const operacao = itemCaminho?.[metodo];
+    if (!operacao) {
+        throw new Error(`Operação ${metodo} ${caminho} não existe no OpenAPI.`);
+    }
+
+    const parametrosQuery = [
+        ...(itemCaminho.parameters || []),
+        ...(operacao.parameters || []),
+    ].filter((p) => p.in === "query");
+
+    const validarQuery =
+        parametrosQuery.length > 0
+            ? ajvQuery.compile({
+                  type: "object",
+                  properties: Object.fromEntries(
+                      parametrosQuery.map((p) => [p.name, p.schema])
+                  ),
+              })
+            : null;
+
+    const schemaCorpo =
+        operacao.requestBody?.content?.["application/json"]?.schema;
+    const validarCorpo = schemaCorpo
+        ? ajvCorpo.compile(apontarParaEspecificacao(schemaCorpo))
+        : null;
+
+    return function validarPedido(req, res, next) {
+        // Validamos uma cópia: as conversões do ajv não mexem no `req.query`.
+        if (validarQuery && !validarQuery({ ...req.query })) {
+            return enviarErroApi(
+                res,
+                400,
+                t("api.erros.parametrosInvalidos"),
+                validarQuery.errors.map(traduzirErroAjv)
+            );
+        }
+
+        if (validarCorpo) {
+            const body = req.body;
+            if (!body || typeof body !== "object" || Array.isArray(body)) {
+                return enviarErroApi(res, 400, t("api.erros.corpoNaoObjeto"));
+            }
+
+            if (!validarCorpo(body)) {
+                return enviarErroApi(
+                    res,
+                    422,
+                    t("erros.mensagens.422"),
+                    validarCorpo.errors.map(traduzirErroAjv)
+                );
+            }
+        }
+
+        next();
+    };
+}
+
+/**
+ * Rotas da API que não existem → 404 em JSON (e não a página HTML).
+ *
+ * @param {import("express").Request} req Pedido HTTP.
+ * @param {import("express").Response} res Resposta HTTP.
+ */
+export function rotaApiNaoEncontrada(req, res) {
+    enviarErroApi(
+        res,
+        404,
+        t("erros.rotaNaoEncontrada", { rota: `${req.method} ${req.path}` })
+    );
+}
+
+/**
+ * Error handler da API (tem 4 argumentos). Trata o JSON mal formado no
+ * corpo do pedido (erro lançado pelo `express.json()`); o resto segue para
+ * o error handler da app (`tratarErros`), que também responde em JSON.
+ *
+ * @param {any} error Erro.
+ * @param {import("express").Request} req Pedido HTTP.
+ * @param {import("express").Response} res Resposta HTTP.
+ * @param {import("express").NextFunction} next Próximo middleware.
+ */
+export function tratarErroApi(error, req, res, next) {
+    if (error.type === "entity.parse.failed") {
+        return enviarErroApi(res, 400, t("api.erros.corpoJsonInvalido"));
+    }
+    if (error.type === "entity.too.large") {
+        return enviarErroApi(res, 400, t("api.erros.corpoDemasiadoGrande"));
+    }
+
+    next(error);
+}
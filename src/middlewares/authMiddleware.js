@@ -24,14 +24,28 @@
  *   1) anexarUtilizadorAsViews
  *      - Lê o `req.session.userId`.
  *      - Se existir, vai buscar o utilizador à base de dados.
- *      - Guarda um objeto “seguro” (sem password) em `res.locals.currentUser`.
- *      - O EJS consegue aceder a `currentUser` em qualquer vista.
+ *      - Guarda um objeto “seguro” (sem password) em `res.locals.currentUser`,
+ *        incluindo a lista de capacidades (`permissions`) do seu role.
+ *      - Cria a função `pode("capacidade")` em `res.locals`, para as vistas
+ *        esconderem botões que o utilizador não pode usar.
+ *      - O EJS consegue aceder a `currentUser` e `pode` em qualquer vista.
  *
  *   2) exigirAutenticacao
  *      - Verifica se existe `req.session.userId`.
- *      - Se não existir, o utilizador não está autenticado → redireciona para /login.
+ *      - Se não existir, o utilizador não está autenticado → guarda o URL
+ *        pedido (`req.session.returnTo`) e redireciona para /login.
  *      - Se existir, deixa passar para o próximo middleware/rota (next()).
  *
+ *   3) exigirPermissao(...capacidades)
+ *      - Fábrica de middlewares: verifica se o role do utilizador tem as
+ *        capacidades pedidas (ex.: "theory:delete"), definidas em
+ *        `src/config/permissions.js`.
+ *      - Se não tiver, responde 403 (página "Acesso negado").
+ *
+ *   4) exigirEmailVerificado
+ *      - Só deixa passar utilizadores que já confirmaram o email
+ *        (ex.: para comentar).
+ *
  * IDEIAS IMPORTANTES PARA OS ALUNOS:
  * - `req.session` guarda informação persistente entre pedidos HTTP.
  * - `res.locals` é um “saco” de variáveis que passam automaticamente
@@ -40,7 +54,30 @@
  *   dados para que os controladores e as views funcionem.
  */
 
+import { permissoesDoRole, roleTemPermissao } from "../config/permissions.js";
 import User from "../models/User.js";
+import { t } from "../utils/i18n.js";
+import { logger } from "../utils/logger.js";
+
+/**
+ * Guarda o URL pedido na sessão e redireciona para `/login`.
+ *
+ * PORQUÊ?
+ * - Se alguém abre `/admin/teorias` sem sessão, depois do login deve voltar
+ *   a `/admin/teorias` (e não ir parar sempre à mesma página).
+ * - Só guardamos pedidos GET: não faz sentido "repetir" um POST depois
+ *   do login (o formulário original já se perdeu).
+ *
+ * @param {import("express").Request} req Objeto do pedido HTTP.
+ * @param {import("express").Response} res Objeto da resposta HTTP.
+ */
+function redirecionarParaLogin(req, res) {
+    if (req.method === "GET") {
+        req.session.returnTo = req.originalUrl;
+    }
+
+    return res.redirect("/login");
+}
 
 /**
  * Middleware que garante que uma rota só é acessível por utilizadores autenticados.
@@ -49,6 +86,7 @@ import User from "../models/User.js";
  * 1. Verifica se existe `req.session.userId`.
  * 2. Se NÃO existir:
  *      - Assume que não há ninguém autenticado.
+ *      - Guarda o URL original em `req.session.returnTo` (só pedidos GET).
  *      - Redireciona o utilizador para `/login`.
  * 3. Se existir:
  *      - Chama `next()` e deixa o pedido seguir para o controlador.
@@ -64,15 +102,118 @@ import User from "../models/User.js";
 export function exigirAutenticacao(req, res, next) {
     // Se a sessão não tiver userId, o utilizador não fez login.
     if (!req.session.userId) {
-        // Poderíamos guardar a URL original para redirecionar depois do login,
-        // mas para manter esta ficha simples, redirecionamos sempre para /login.
-        return res.redirect("/login");
+        // Guardamos a URL original para voltar a ela depois do login.
+        return redirecionarParaLogin(req, res);
     }
 
     // Caso haja userId na sessão, deixamos o pedido continuar.
     next();
 }
 
+/**
+ * Fábrica de middlewares de autorização por capacidades.
+ *
+ * PORQUÊ UMA "FÁBRICA"?
+ * - Cada rota precisa de capacidades diferentes (criar, apagar, moderar...).
+ * - Em vez de escrever um middleware por caso, chamamos esta função com as
+ *   capacidades pretendidas e ela DEVOLVE o middleware certo.
+ *
+ * FLUXO DO MIDDLEWARE DEVOLVIDO:
+ * 1. Sem utilizador autenticado → redireciona para `/login`.
+ * 2. Utilizador autenticado mas sem TODAS as capacidades pedidas →
+ *    responde 403 com a vista `403.ejs` (não adianta mandar para o login:
+ *    a pessoa já está autenticada, só não tem autorização).
+ * 3. Caso contrário → `next()`.
+ *
+ * NOTA:
+ * - Usa o `res.locals.currentUser` preparado por `anexarUtilizadorAsViews`
+ *   (carregado da BD em cada pedido), por isso uma mudança de role tem
+ *   efeito imediato, sem ser preciso voltar a fazer login.
+ *
+ * EXEMPLO DE USO:
+ *     router.post(
+ *         "/teorias/:id/apagar",
+ *         exigirPermissao("theory:delete"),
+ *         adminController.apagarTeoria
+ *     );
+ *
+ * @param {...string} permissoes Capacidades exigidas (ver `config/permissions.js`).
+ * @returns {import("express").RequestHandler} Middleware de autorização.
+ */
+export function exigirPermissao(...permissoes) {
+    return function verificarPermissao(req, res, next) {
+        const currentUser = res.locals.currentUser;
+
+        if (!currentUser) {
+            return redirecionarParaLogin(req, res);
+        }
+
+        if (!roleTemPermissao(currentUser.role, ...permissoes)) {
+            return res.status(403).render("403", {
+                tituloPagina: t("erros.acessoNegado"),
+            });
+        }
+
+        next();
+    };
+}
+
+/**
+ * Middleware que só deixa passar utilizadores com o email confirmado.
+ *
+ * - Sem utilizador autenticado → redireciona para `/login`.
+ * - Email por confirmar → 403 com uma mensagem a explicar o que fazer
+ *   (o link de verificação pode ser reenviado no detalhe da teoria).
+ *
+ * Deve ser usado depois de `anexarUtilizadorAsViews` (precisa do
+ * `res.locals.currentUser`).
+ *
+ * @param {import("express").Request} req Objeto do pedido HTTP.
+ * @param {import("express").Response} res Objeto da resposta HTTP.
+ * @param {import("express").NextFunction} next Função para passar ao próximo middleware.
+ */
+export function exigirEmailVerificado(req, res, next) {
+    const currentUser = res.locals.currentUser;
+
+    if (!currentUser) {
+        return redirecionarParaLogin(req, res);
+    }
+
+    if (!currentUser.emailVerified) {
+        return res.status(403).render("403", {
+            tituloPagina: t("auth.emailPorConfirmar"),
+            mensagem: t("auth.confirmarAntesDeComentar"),
+        });
+    }
+
+    next();
+}
+
+/**
+ * Constrói o objeto "seguro" do utilizador autenticado (`currentUser`).
+ *
+ * Não inclui a passwordHash nem outros campos sensíveis. É usado tanto
+ * para a sessão (aqui) como para os tokens de API (`apiMiddleware.js`),
+ * para as duas formas de autenticação darem exatamente as mesmas
+ * capacidades.
+ *
+ * @param {import("mongoose").Document} user Utilizador carregado da BD.
+ * @returns {{ id: string, displayName: string, email: string, role: string,
+ *             emailVerified: boolean, locale: string|null,
+ *             permissions: string[] }}
+ */
+export function construirUtilizadorAtual(user) {
+    return {
+        id: user._id.toString(),
+        displayName: user.displayName,
+        email: user.email,
+        role: user.role,
+        emailVerified: Boolean(user.emailVerifiedAt),
+        locale: user.locale ?? null,
+        permissions: permissoesDoRole(user.role),
+    };
+}
+
 /**
  * Middleware que carrega o utilizador autenticado (se existir na sessão)
  * e o expõe às views através de `res.locals.currentUser`.
@@ -91,8 +232,14 @@ export function exigirAutenticacao(req, res, next) {
  * 3. Se existir:
  *      - Faz `User.findById(req.session.userId)` para carregar o utilizador.
  *      - Se o utilizador for encontrado:
+ *          - Se a password tiver sido mudada depois do login
+ *            (`passwordChangedAt` > `req.session.loginAt`), a sessão é
+ *            terminada: quem tinha a password antiga deixa de entrar.
+ *          - Se a conta tiver sido desativada por um admin
+ *            (`deactivatedAt`), a sessão também é terminada.
  *          - Cria um objeto “seguro” apenas com os campos necessários
- *            (id, displayName, email, role).
+ *            (id, displayName, email, role, emailVerified, locale,
+ *            permissions).
  *          - Atribui-o a `res.locals.currentUser`.
  *      - Se não for encontrado ou der erro, mantém `currentUser = null`.
  *
@@ -113,6 +260,11 @@ export async function anexarUtilizadorAsViews(req, res, next) {
     // Por omissão, assumimos que não há utilizador autenticado.
     res.locals.currentUser = null;
 
+    // Nas vistas: <% if (pode("theory:delete")) { %> ... <% } %>
+    res.locals.pode = (...permissoes) =>
+        Boolean(res.locals.currentUser) &&
+        permissoes.every((p) => res.locals.currentUser.permissions.includes(p));
+
     // Se não houver userId na sessão, não vale a pena ir à base de dados.
     if (!req.session.userId) {
         return next();
@@ -130,16 +282,24 @@ export async function anexarUtilizadorAsViews(req, res, next) {
             return next();
         }
 
+        // Password alterada depois deste login (ex.: recuperação de
+        // password noutro browser) → esta sessão já não é válida.
+        // Conta desativada entretanto → idem.
+        if (
+            user.deactivatedAt ||
+            (user.passwordChangedAt &&
+                user.passwordChangedAt.getTime() > (req.session.loginAt || 0))
+        ) {
+            req.session.userId = undefined;
+            req.session.role = undefined;
+            req.session.loginAt = undefined;
+            return next();
+        }
+
         // Construímos um objeto "seguro" para expor às views.
-        // Não incluímos a passwordHash nem outros campos sensíveis.
-        res.locals.currentUser = {
-            id: user._id.toString(),
-            displayName: user.displayName,
-            email: user.email,
-            role: user.role,
-        };
+        res.locals.currentUser = construirUtilizadorAtual(user);
     } catch (error) {
-        console.error("Erro ao carregar utilizador da sessão:", error);
+        logger.error("Erro ao carregar utilizador da sessão", { error });
         // Em caso de erro, não bloqueamos a app — seguimos como anónimo.
         res.locals.currentUser = null;
     }
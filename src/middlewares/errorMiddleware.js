@@ -0,0 +1,165 @@
+/**
+ * src/middlewares/errorMiddleware.js
+ * ----------------------------------
+ * Fim da cadeia de middlewares: páginas que não existem (404) e erros que
+ * os controladores não trataram (`next(error)`).
+ *
+ * STATUS:
+ * - `CastError` do Mongoose (ex.: `/admin/teorias/abc/editar`, um `:id`
+ *   que não é um ObjectId) → 404: um id que nem é válido também não
+ *   existe.
+ * - `ValidationError` do Mongoose → 422, com as mensagens por campo.
+ * - Erros com `status` (erros de negócio, erros do `express.json()`,
+ *   ...) → esse status.
+ * - Tudo o resto → 500, com o erro no log (e o ID do pedido na página,
+ *   para o encontrar).
+ *
+ * RESPOSTA:
+ * - API (`/api/...`) e clientes que pedem JSON → JSON no formato de
+ *   `utils/apiErrors.js`.
+ * - Browsers → as vistas `404.ejs` e `500.ejs`.
+ */
+
+import mongoose from "mongoose";
+
+import { CODIGOS_ERRO, enviarErroApi } from "../utils/apiErrors.js";
+import { t } from "../utils/i18n.js";
+import { logger } from "../utils/logger.js";
+import { eErroDeValidacao, mapearErrosValidacao } from "../utils/validation.js";
+
+/**
+ * Status com título e mensagem genérica próprios (em `erros.titulos.*` e
+ * `erros.mensagens.*` dos catálogos; a mensagem técnica do erro nunca
+ * chega ao cliente).
+ */
+const STATUS_CONHECIDOS = new Set([400, 401, 403, 404, 409, 413, 422, 500]);
+
+/**
+ * Texto genérico de um status (os desconhecidos usam o 400 ou o 500).
+ *
+ * @param {"titulos"|"mensagens"} tipo
+ * @param {number} status
+ * @returns {string}
+ */
+function textoDoStatus(tipo, status) {
+    const chave = STATUS_CONHECIDOS.has(status)
+        ? status
+        : status < 500
+        ? 400
+        : 500;
+    return t(`erros.${tipo}.${chave}`);
+}
+
+/**
+ * Status HTTP de um erro.
+ *
+ * @param {unknown} error
+ * @returns {number}
+ */
+export function statusDoErro(error) {
+    if (error instanceof mongoose.Error.CastError) {
+        return 404;
+    }
+    if (eErroDeValidacao(error)) {
+        return 422;
+    }
+
+    const status = error?.status ?? error?.statusCode;
+    return Number.isInteger(status) && status >= 400 && status < 600
+        ? status
+        : 500;
+}
+
+/**
+ * Indica se a resposta deve ser JSON (API ou cliente que prefere JSON).
+ *
+ * @param {import("express").Request} req Pedido HTTP.
+ * @returns {boolean}
+ */
+function querJson(req) {
+    return (
+        req.originalUrl.startsWith("/api/") ||
+        req.accepts(["html", "json"]) === "json"
+    );
+}
+
+/**
+ * Rotas que não existem → 404.
+ *
+ * @param {import("express").Request} req Pedido HTTP.
+ * @param {import("express").Response} res Resposta HTTP.
+ */
+export function paginaNaoEncontrada(req, res) {
+    if (querJson(req)) {
+        return enviarErroApi(
+            res,
+            404,
+            t("erros.rotaNaoEncontrada", {
+                rota: `${req.method} ${req.path}`,
+            })
+        );
+    }
+
+    res.status(404).render("404", {
+        tituloPagina: textoDoStatus("titulos", 404),
+    });
+}
+
+/**
+ * Error handler da app (tem 4 argumentos): responde conforme o status do
+ * erro (ver o topo do ficheiro).
+ *
+ * @param {any} error Erro.
+ * @param {import("express").Request} req Pedido HTTP.
+ * @param {import("express").Response} res Resposta HTTP.
+ * @param {import("express").NextFunction} next Próximo middleware.
+ */
+export function tratarErros(error, req, res, next) {
+    const status = statusDoErro(error);
+
+    if (status >= 500) {
+        logger.error("Erro inesperado", { error });
+    }
+
+    // A resposta já começou (ex.: a meio de um download): o Express fecha
+    // a ligação.
+    if (res.headersSent) {
+        return next(error);
+    }
+
+    const detalhes = eErroDeValidacao(error) ? mapearErrosValidacao(error) : [];
+    // Só os erros de negócio (com `status`) trazem mensagens para o
+    // utilizador; os outros ficam com a mensagem genérica (os do
+    // `express.urlencoded()`/`express.json()`, que têm `type`, vêm em
+    // inglês).
+    const mensagem =
+        Number.isInteger(error?.status) &&
+        status < 500 &&
+        !error.type &&
+        error.message
+            ? error.message
+            : textoDoStatus("mensagens", status);
+
+    if (querJson(req)) {
+        return enviarErroApi(
+            res,
+            CODIGOS_ERRO[status] ? status : status < 500 ? 400 : 500,
+            mensagem,
+            detalhes.map((e) => ({ field: e.campo, message: e.mensagem }))
+        );
+    }
+
+    const tituloPagina = textoDoStatus("titulos", status);
+
+    if (status === 404) {
+        return res.status(404).render("404", { tituloPagina });
+    }
+
+    res.status(status).render("500", {
+        tituloPagina,
+        status,
+        erros: detalhes.map((e) => e.mensagem),
+        mensagem: detalhes.length > 0 ? "" : mensagem,
+        errorId: req.id,
+    });
+}
@@ -0,0 +1,119 @@
+/**
+ * src/middlewares/localeMiddleware.js
+ * -----------------------------------
+ * Escolha do idioma de cada pedido (ver `utils/i18n.js`).
+ *
+ * ORDEM:
+ * 1. A preferência guardada na conta (definições ou rodapé), para quem tem
+ *    sessão iniciada;
+ * 2. o cookie `conspira.locale` (escolha feita no rodapé, sem sessão);
+ * 3. o cabeçalho `Accept-Language` do browser;
+ * 4. português.
+ *
+ * Os passos 2–4 correm logo no início (`escolherLocale`, para as páginas de
+ * erro também saírem no idioma certo); o 1 só depois de se saber quem é o
+ * utilizador (`aplicarIdiomaDaConta`).
+ */
+
+import {
+    LOCALES,
+    LOCALE_OMISSAO,
+    formatarData,
+    formatarNumero,
+    normalizarLocale,
+    traduzir,
+} from "../utils/i18n.js";
+
+export const COOKIE_LOCALE = "conspira.locale";
+
+/**
+ * Idiomas para o seletor do rodapé, cada um com o nome no próprio idioma.
+ */
+const IDIOMAS = LOCALES.map((locale) => ({
+    locale,
+    nome: traduzir(locale, "idioma.nome"),
+}));
+
+/**
+ * Lê um cookie do pedido (a app não usa o `cookie-parser`).
+ *
+ * @param {import("express").Request} req Pedido HTTP.
+ * @param {string} nome
+ * @returns {string|null}
+ */
+function lerCookie(req, nome) {
+    for (const parte of (req.headers.cookie || "").split(";")) {
+        const [chave, ...valor] = parte.trim().split("=");
+        if (chave === nome) {
+            try {
+                return decodeURIComponent(valor.join("="));
+            } catch {
+                return null;
+            }
+        }
+    }
+    return null;
+}
+
+/**
+ * Muda o idioma do pedido (e o que as vistas veem).
+ *
+ * @param {import("express").Request} req Pedido HTTP.
+ * @param {import("express").Response} res Resposta HTTP.
+ * @param {string} locale Um de `LOCALES`.
+ */
+function definirLocale(req, res, locale) {
+    req.locale = locale;
+    res.locals.locale = locale;
+    res.setHeader("Content-Language", locale);
+}
+
+/**
+ * Escolhe o idioma pelo cookie ou pelo `Accept-Language` e cria os
+ * helpers das vistas em `res.locals`:
+ * - `t(chave, valores)` → texto traduzido;
+ * - `formatarData(data, formato)` → "19/10/2026" / "10/19/2026", ...;
+ * - `formatarNumero(numero)`;
+ * - `idiomas` e `caminhoAtual` → seletor de idioma do rodapé.
+ *
+ * @param {import("express").Request} req Pedido HTTP.
+ * @param {import("express").Response} res Resposta HTTP.
+ * @param {import("express").NextFunction} next Próximo middleware.
+ */
+export function escolherLocale(req, res, next) {
+    definirLocale(
+        req,
+        res,
+        normalizarLocale(lerCookie(req, COOKIE_LOCALE)) ||
+            req.acceptsLanguages(...LOCALES) ||
+            LOCALE_OMISSAO
+    );
+    // A mesma página muda com o idioma do browser.
+    res.vary("Accept-Language");
+
+    // Leem `req.locale` quando são chamados (a conta pode mudá-lo depois).
+    res.locals.t = (chave, valores) => traduzir(req.locale, chave, valores);
+    res.locals.formatarData = (data, formato) =>
+        formatarData(req.locale, data, formato);
+    res.locals.formatarNumero = (numero) => formatarNumero(req.locale, numero);
+    res.locals.idiomas = IDIOMAS;
+    // Para onde voltar depois de mudar de idioma (um POST não se repete).
+    res.locals.caminhoAtual = req.method === "GET" ? req.originalUrl : "/";
+
+    next();
+}
+
+/**
+ * Aplica o idioma preferido da conta (depois de `anexarUtilizadorAsViews`).
+ *
+ * @param {import("express").Request} req Pedido HTTP.
+ * @param {import("express").Response} res Resposta HTTP.
+ * @param {import("express").NextFunction} next Próximo middleware.
+ */
+export function aplicarIdiomaDaConta(req, res, next) {
+    const preferido = res.locals.currentUser?.locale;
+    if (preferido) {
+        definirLocale(req, res, preferido);
+    }
+    next();
+}
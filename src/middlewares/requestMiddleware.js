@@ -0,0 +1,84 @@
+/**
+ * src/middlewares/requestMiddleware.js
+ * ------------------------------------
+ * Identificação e log de cada pedido HTTP.
+ *
+ * - Cada pedido recebe um ID (`req.id`), devolvido no cabeçalho
+ *   `X-Request-Id` e mostrado na página de erro: com ele, um erro que
+ *   alguém reporte encontra-se logo nos logs.
+ * - Se o pedido já trouxer um `X-Request-Id` (ex.: posto pelo proxy), é
+ *   esse que se usa, para o mesmo ID aparecer nos logs dos dois.
+ * - No fim de cada pedido fica uma linha de log com o status e o tempo de
+ *   resposta (ver `utils/logger.js`).
+ */
+
+import crypto from "crypto";
+
+import { correrNoPedido, logger } from "../utils/logger.js";
+
+/**
+ * IDs aceites no cabeçalho `X-Request-Id` (o que não servir é trocado por
+ * um novo, para ninguém pôr texto arbitrário nos logs).
+ */
+const FORMATO_ID_PEDIDO = /^[\w.:-]{1,100}$/;
+
+/**
+ * Dá um ID ao pedido, corre o resto do pedido com esse contexto (para os
+ * logs) e regista o pedido quando a resposta termina.
+ *
+ * Deve ser o primeiro middleware da app.
+ *
+ * @param {import("express").Request} req Pedido HTTP.
+ * @param {import("express").Response} res Resposta HTTP.
+ * @param {import("express").NextFunction} next Próximo middleware.
+ */
+export function identificarPedido(req, res, next) {
+    const recebido = req.get("X-Request-Id");
+    const requestId =
+        recebido && FORMATO_ID_PEDIDO.test(recebido)
+            ? recebido
+            : crypto.randomUUID();
+    const inicio = process.hrtime.bigint();
+
+    req.id = requestId;
+    res.locals.requestId = requestId;
+    res.setHeader("X-Request-Id", requestId);
+
+    const contexto = { requestId, req, res, route: null };
+
+    // O Express põe a rota em `req.route` quando a encontra; é nesse
+    // momento que `req.baseUrl` tem o prefixo certo (`/admin`, ...), que é
+    // reposto quando um erro sai do router com `next(error)`.
+    let rota;
+    Object.defineProperty(req, "route", {
+        configurable: true,
+        enumerable: true,
+        get: () => rota,
+        set: (valor) => {
+            rota = valor;
+            contexto.route = valor ? `${req.baseUrl}${valor.path}` : null;
+        },
+    });
+
+    res.on("finish", () => {
+        const latencyMs =
+            Math.round(Number(process.hrtime.bigint() - inicio) / 1e4) / 100;
+        const nivel =
+            res.statusCode >= 500
+                ? "error"
+                : res.statusCode >= 400
+                ? "warn"
+                : "info";
+
+        correrNoPedido(contexto, () =>
+            logger[nivel]("Pedido HTTP", {
+                // Sem a query string (pode ter tokens, emails, ...).
+                path: req.originalUrl.split("?")[0],
+                status: res.statusCode,
+                latencyMs,
+            })
+        );
+    });
+
+    correrNoPedido(contexto, next);
+}
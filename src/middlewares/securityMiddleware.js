@@ -0,0 +1,163 @@
+/**
+ * src/middlewares/securityMiddleware.js
+ * -------------------------------------
+ * Cabeçalhos de segurança e proteção contra CSRF.
+ *
+ * CABEÇALHOS:
+ * - Content Security Policy estrita: scripts, estilos, fontes e imagens só
+ *   da própria app (o Bootstrap, a fonte e os ícones são servidos
+ *   localmente, ver `routes/vendorRoutes.js`). Por isso as vistas não
+ *   podem ter `<script>` inline, `onclick=`/`onsubmit=` nem `style=`: o
+ *   JavaScript vive em `public/js/` e os estilos em `public/style.css`.
+ * - A app não pode ser mostrada dentro de um `<iframe>` de outro site
+ *   (clickjacking).
+ * - Em HTTPS, `Strict-Transport-Security` diz ao browser para nunca mais
+ *   usar HTTP neste domínio.
+ *
+ * CSRF (Cross-Site Request Forgery):
+ * - Sem proteção, uma página de outro site pode ter um formulário que faz
+ *   POST para `/admin/teorias/:id/apagar`: o browser envia o cookie da
+ *   sessão e o pedido passa como se fosse do admin.
+ * - Cada sessão tem um token aleatório. As vistas põem-no em todos os
+ *   formulários POST (`partials/_csrf.ejs`, campo `_csrf`) e os pedidos
+ *   `fetch` enviam-no no cabeçalho `X-CSRF-Token`. Outro site não
+ *   consegue ler o token, por isso não consegue forjar o pedido.
+ * - Pedidos à API com `Authorization: Bearer ...` não usam o cookie da
+ *   sessão (ver `autenticarApi`), por isso não precisam do token.
+ */
+
+import crypto from "crypto";
+
+import { t } from "../utils/i18n.js";
+
+/**
+ * Content Security Policy (uma diretiva por linha, para ser fácil de ler).
+ */
+const POLITICA_CONTEUDO = [
+    "default-src 'self'",
+    "script-src 'self'",
+    "style-src 'self'",
+    // `data:`: os ícones SVG do Bootstrap (ex.: a seta dos `<select>`).
+    "img-src 'self' data:",
+    "font-src 'self'",
+    "connect-src 'self'",
+    "object-src 'none'",
+    "base-uri 'self'",
+    "form-action 'self'",
+    "frame-ancestors 'none'",
+].join("; ");
+
+/**
+ * HSTS: 180 dias, também nos subdomínios.
+ */
+const HSTS = "max-age=15552000; includeSubDomains";
+
+/**
+ * Métodos que não alteram nada (não precisam do token CSRF).
+ */
+const METODOS_SEGUROS = new Set(["GET", "HEAD", "OPTIONS"]);
+
+/**
+ * Pedido POST/PUT/PATCH/DELETE sem o token CSRF certo.
+ */
+export class CsrfError extends Error {
+    constructor() {
+        super(t("erros.csrf"));
+        this.name = "CsrfError";
+        this.status = 403;
+    }
+}
+
+/**
+ * Põe os cabeçalhos de segurança em todas as respostas.
+ *
+ * @param {import("express").Request} req Pedido HTTP.
+ * @param {import("express").Response} res Resposta HTTP.
+ * @param {import("express").NextFunction} next Próximo middleware.
+ */
+export function cabecalhosSeguranca(req, res, next) {
+    res.setHeader("Content-Security-Policy", POLITICA_CONTEUDO);
+    // Browsers antigos, que não conhecem o `frame-ancestors`.
+    res.setHeader("X-Frame-Options", "DENY");
+    res.setHeader("X-Content-Type-Options", "nosniff");
+    // Outros sites só veem a origem (nunca caminhos com tokens, emails...).
+    res.setHeader("Referrer-Policy", "strict-origin-when-cross-origin");
+    res.setHeader("Cross-Origin-Opener-Policy", "same-origin");
+
+    // `req.secure` só é verdade atrás do proxy HTTPS se o `trust proxy`
+    // estiver ligado (ver `app.js`).
+    if (req.secure) {
+        res.setHeader("Strict-Transport-Security", HSTS);
+    }
+
+    next();
+}
+
+/**
+ * Token CSRF da sessão (criado na primeira vez que é pedido).
+ *
+ * @param {import("express").Request} req Pedido HTTP.
+ * @returns {string} Vazio se não houver sessão.
+ */
+function obterTokenCsrf(req) {
+    if (!req.session) {
+        return "";
+    }
+    if (!req.session.csrfToken) {
+        req.session.csrfToken = crypto.randomBytes(32).toString("base64url");
+    }
+    return req.session.csrfToken;
+}
+
+/**
+ * Compara dois tokens em tempo constante (não deixa adivinhar o token
+ * pelo tempo de resposta).
+ *
+ * @param {unknown} recebido
+ * @param {string} esperado
+ * @returns {boolean}
+ */
+function tokensIguais(recebido, esperado) {
+    if (typeof recebido !== "string" || !esperado) {
+        return false;
+    }
+
+    const a = Buffer.from(recebido);
+    const b = Buffer.from(esperado);
+    return a.length === b.length && crypto.timingSafeEqual(a, b);
+}
+
+/**
+ * Proteção CSRF (depois das sessões e do `express.urlencoded()`):
+ *
+ * - Cria `csrfToken()` em `res.locals`, para as vistas porem o token nos
+ *   formulários. É uma função para a sessão (e o token) só ser criada nas
+ *   páginas que têm formulários.
+ * - Nos pedidos que alteram dados, exige o token no campo `_csrf` ou no
+ *   cabeçalho `X-CSRF-Token`; sem ele → 403 (`CsrfError`).
+ *
+ * @param {import("express").Request} req Pedido HTTP.
+ * @param {import("express").Response} res Resposta HTTP.
+ * @param {import("express").NextFunction} next Próximo middleware.
+ */
+export function protegerCsrf(req, res, next) {
+    res.locals.csrfToken = () => obterTokenCsrf(req);
+
+    if (METODOS_SEGUROS.has(req.method)) {
+        return next();
+    }
+    if (req.path.startsWith("/api/") && req.get("authorization")) {
+        return next();
+    }
+
+    const recebido = req.body?._csrf ?? req.get("X-CSRF-Token");
+    if (!tokensIguais(recebido, req.session?.csrfToken)) {
+        return next(new CsrfError());
+    }
+
+    // O token não faz parte dos dados do formulário.
+    if (req.body) {
+        delete req.body._csrf;
+    }
+    next();
+}
@@ -0,0 +1,51 @@
+import mongoose from "mongoose";
+
+const { Schema } = mongoose;
+
+/**
+ * Tokens pessoais de API (`Authorization: Bearer <token>` em `/api/v1`).
+ *
+ * SEGURANÇA:
+ * - Tal como nos `AuthToken`, só guardamos o HASH (SHA-256) do token; o
+ *   token em claro só é mostrado uma vez, quando é criado.
+ * - `prefix` (o início do token) serve apenas para o utilizador o
+ *   reconhecer na lista.
+ * - Um token dá os mesmos poderes que a conta do dono (o role é lido da BD
+ *   em cada pedido). Apagar o token revoga-o.
+ */
+const apiTokenSchema = new Schema(
+    {
+        user: {
+            type: Schema.Types.ObjectId,
+            ref: "User",
+            required: true,
+            index: true,
+        },
+        name: {
+            type: String,
+            required: [true, "validacao.token.nomeObrigatorio"],
+            trim: true,
+            minlength: [2, "validacao.token.nomeCurto"],
+            maxlength: [60, "validacao.token.nomeLongo"],
+        },
+        tokenHash: {
+            type: String,
+            required: true,
+            unique: true,
+        },
+        prefix: {
+            type: String,
+            required: true,
+        },
+        lastUsedAt: {
+            type: Date,
+            default: null,
+        },
+    },
+    {
+        timestamps: true,
+    }
+);
+
+const ApiToken = mongoose.model("ApiToken", apiTokenSchema);
+export default ApiToken;
@@ -0,0 +1,140 @@
+import mongoose from "mongoose";
+
+import { config } from "../config/env.js";
+
+const { Schema } = mongoose;
+
+/**
+ * Ações registadas no log de auditoria.
+ */
+export const ACOES_AUDITORIA = [
+    "auth.login",
+    "auth.login-failed",
+    "auth.logout",
+    "user.invite",
+    "user.role",
+    "user.deactivate",
+    "user.reactivate",
+    "user.password-reset",
+    "theory.create",
+    "theory.update",
+    "theory.delete",
+    "theory.status",
+    "comment.approve",
+    "comment.hide",
+    "comment.delete",
+    "comment.lock",
+    "comment.unlock",
+];
+
+/**
+ * Durante quantos dias se guardam os registos (`AUDIT_RETENTION_DAYS`,
+ * 365 por omissão). Os mais antigos são apagados pelo próprio MongoDB
+ * (índice TTL em `createdAt`).
+ *
+ * NOTA: o MongoDB não muda sozinho um índice que já existe. O arranque
+ * do servidor ajusta-o com `collMod` quando este valor muda (ver
+ * `ajustarRetencaoAuditoria` em `auditService.js`).
+ */
+export const DIAS_RETENCAO_AUDITORIA = config.auditRetentionDays;
+
+/** A mesma retenção, em segundos (`expireAfterSeconds` do índice TTL). */
+export const SEGUNDOS_RETENCAO_AUDITORIA =
+    DIAS_RETENCAO_AUDITORIA * 24 * 60 * 60;
+
+/**
+ * Registo de uma ação (quem, sobre quê, quando e de onde): logins,
+ * gestão de contas, teorias e moderação de comentários.
+ *
+ * - Os registos só se acrescentam: as operações que alteram ou apagam
+ *   registos são recusadas (ver os hooks abaixo). Só a retenção os apaga.
+ * - `actorName` e `target.label` guardam os nomes dessa altura: o registo
+ *   continua a fazer sentido mesmo que a conta ou a teoria mudem de nome
+ *   ou sejam apagadas.
+ * - `before` e `after` são resumos pequenos do que mudou (ex.:
+ *   `{ role: "user" }` → `{ role: "admin" }`), nunca documentos inteiros.
+ */
+const auditLogSchema = new Schema(
+    {
+        action: {
+            type: String,
+            enum: ACOES_AUDITORIA,
+            required: true,
+        },
+        actor: {
+            type: Schema.Types.ObjectId,
+            ref: "User",
+            default: null,
+        },
+        actorName: {
+            type: String,
+            default: "",
+        },
+        target: {
+            kind: { type: String, default: "" },
+            id: { type: Schema.Types.ObjectId, default: null },
+            label: { type: String, default: "" },
+        },
+        ip: {
+            type: String,
+            default: "",
+        },
+        before: {
+            type: Schema.Types.Mixed,
+            default: null,
+        },
+        after: {
+            type: Schema.Types.Mixed,
+            default: null,
+        },
+    },
+    {
+        timestamps: { createdAt: true, updatedAt: false },
+        minimize: false,
+    }
+);
+
+/**
+ * Operações de query que alterariam ou apagariam registos.
+ */
+const OPERACOES_PROIBIDAS = [
+    "updateOne",
+    "updateMany",
+    "findOneAndUpdate",
+    "findOneAndReplace",
+    "replaceOne",
+    "deleteOne",
+    "deleteMany",
+    "findOneAndDelete",
+];
+
+/**
+ * @throws {Error} Sempre: os registos não se alteram.
+ */
+function recusarAlteracao() {
+    throw new Error("O log de auditoria não pode ser alterado nem apagado.");
+}
+
+auditLogSchema.pre(OPERACOES_PROIBIDAS, recusarAlteracao);
+auditLogSchema.pre(
+    ["updateOne", "deleteOne"],
+    { document: true, query: false },
+    recusarAlteracao
+);
+auditLogSchema.pre("save", function () {
+    if (!this.isNew) {
+        recusarAlteracao();
+    }
+});
+
+// Serve também para ordenar (mais recentes primeiro) e para a retenção.
+auditLogSchema.index(
+    { createdAt: 1 },
+    { expireAfterSeconds: SEGUNDOS_RETENCAO_AUDITORIA }
+);
+auditLogSchema.index({ action: 1, createdAt: -1 });
+auditLogSchema.index({ "target.id": 1, createdAt: -1 });
+auditLogSchema.index({ actor: 1, createdAt: -1 });
+
+const AuditLog = mongoose.model("AuditLog", auditLogSchema);
+export default AuditLog;
@@ -0,0 +1,50 @@
+import mongoose from "mongoose";
+
+const { Schema } = mongoose;
+
+export const TIPOS_TOKEN = ["password-reset", "email-verification"];
+
+/**
+ * Tokens de uso único enviados por email (recuperar password, verificar email).
+ *
+ * SEGURANÇA:
+ * - Só guardamos o HASH (SHA-256) do token. Quem tiver acesso à BD não
+ *   consegue usar os links que foram enviados por email.
+ * - `usedAt` marca o token como gasto (uso único).
+ * - O índice TTL em `expiresAt` apaga os tokens expirados automaticamente.
+ */
+const authTokenSchema = new Schema(
+    {
+        user: {
+            type: Schema.Types.ObjectId,
+            ref: "User",
+            required: true,
+            index: true,
+        },
+        type: {
+            type: String,
+            enum: TIPOS_TOKEN,
+            required: true,
+        },
+        tokenHash: {
+            type: String,
+            required: true,
+            unique: true,
+        },
+        usedAt: {
+            type: Date,
+            default: null,
+        },
+        expiresAt: {
+            type: Date,
+            required: true,
+            index: { expires: 0 },
+        },
+    },
+    {
+        timestamps: true,
+    }
+);
+
+const AuthToken = mongoose.model("AuthToken", authTokenSchema);
+export default AuthToken;
@@ -0,0 +1,128 @@
+import mongoose from "mongoose";
+
+const { Schema } = mongoose;
+
+/**
+ * Estados de um comentário:
+ * - "pending"  → à espera de moderação (só o autor o vê);
+ * - "approved" → visível para todos;
+ * - "hidden"   → escondido por um moderador.
+ */
+export const ESTADOS_COMENTARIO = ["pending", "approved", "hidden"];
+
+/**
+ * Tipos de reação a um comentário.
+ */
+export const TIPOS_REACAO = ["believe", "doubt", "lol"];
+
+/**
+ * Texto guardado no lugar do de um comentário removido pelo autor (as
+ * vistas e a API mostram `comentarios.removido`, no idioma do pedido).
+ */
+export const TEXTO_REMOVIDO = "[removido]";
+
+/**
+ * Comentário de uma teoria.
+ *
+ * Os comentários têm a sua própria coleção (em vez de um array dentro da
+ * teoria), para que teorias muito comentadas não façam crescer o
+ * documento `Theory` sem limite.
+ *
+ * RESPOSTAS:
+ * - `parent` aponta para o comentário a que se responde (`null` no topo).
+ * - `ancestors` guarda todos os "antepassados" (do topo para baixo), o que
+ *   permite apagar uma conversa inteira com uma só query.
+ * - `depth` é o nível da resposta (0 = comentário de topo).
+ * - Um comentário que o autor apaga quando já tem respostas fica no lugar
+ *   como "[removido]" (`removedAt`; o texto é trocado por
+ *   `TEXTO_REMOVIDO`): as respostas, que são de outras pessoas, não são
+ *   apagadas nem perdem o fio da conversa.
+ */
+const commentSchema = new Schema(
+    {
+        theory: {
+            type: Schema.Types.ObjectId,
+            ref: "Theory",
+            required: true,
+            index: true,
+        },
+        parent: {
+            type: Schema.Types.ObjectId,
+            ref: "Comment",
+            default: null,
+        },
+        ancestors: {
+            type: [Schema.Types.ObjectId],
+            default: [],
+            index: true,
+        },
+        depth: {
+            type: Number,
+            default: 0,
+            min: 0,
+        },
+        // Quem escreveu o comentário (a identidade verdadeira).
+        author: {
+            type: Schema.Types.ObjectId,
+            ref: "User",
+            required: [true, "validacao.comentario.autorObrigatorio"],
+        },
+        // Nome do autor no momento em que comentou (só para mostrar).
+        authorName: {
+            type: String,
+            required: [true, "validacao.comentario.nomeAutorObrigatorio"],
+            trim: true,
+            minlength: [2, "validacao.comentario.nomeAutorCurto"],
+        },
+        text: {
+            type: String,
+            required: [true, "validacao.comentario.textoObrigatorio"],
+            trim: true,
+            minlength: [2, "validacao.comentario.textoCurto"],
+            maxlength: [2000, "validacao.comentario.textoLongo"],
+        },
+        status: {
+            type: String,
+            enum: {
+                values: ESTADOS_COMENTARIO,
+                message: "validacao.comentario.estadoInvalido",
+            },
+            default: "pending",
+            index: true,
+        },
+        moderatedBy: {
+            type: Schema.Types.ObjectId,
+            ref: "User",
+            default: null,
+        },
+        moderatedAt: {
+            type: Date,
+            default: null,
+        },
+        // Contagens de reações (calculadas a partir de `Reaction`).
+        reactionCounts: {
+            believe: { type: Number, default: 0 },
+            doubt: { type: Number, default: 0 },
+            lol: { type: Number, default: 0 },
+        },
+        reactionTotal: {
+            type: Number,
+            default: 0,
+        },
+        // Apagado pelo autor, mas com respostas (ver acima).
+        removedAt: {
+            type: Date,
+            default: null,
+        },
+    },
+    {
+        timestamps: true,
+    }
+);
+
+commentSchema.index({ theory: 1, status: 1, createdAt: -1 });
+// Comentários recentes de cada pessoa (perfil público).
+commentSchema.index({ author: 1, status: 1, createdAt: -1 });
+
+const Comment = mongoose.model("Comment", commentSchema);
+export default Comment;
@@ -0,0 +1,36 @@
+import mongoose from "mongoose";
+
+const { Schema } = mongoose;
+
+/**
+ * Teoria marcada como favorita por um utilizador.
+ *
+ * Um documento por par (utilizador, teoria): o índice único impede que o
+ * mesmo favorito conte duas vezes (ex.: dois cliques seguidos). O total de
+ * cada teoria fica em `Theory.favoriteCount`.
+ */
+const favoriteSchema = new Schema(
+    {
+        user: {
+            type: Schema.Types.ObjectId,
+            ref: "User",
+            required: true,
+        },
+        theory: {
+            type: Schema.Types.ObjectId,
+            ref: "Theory",
+            required: true,
+            index: true,
+        },
+    },
+    {
+        timestamps: { createdAt: true, updatedAt: false },
+    }
+);
+
+favoriteSchema.index({ user: 1, theory: 1 }, { unique: true });
+// "Os meus favoritos", mais recentes primeiro.
+favoriteSchema.index({ user: 1, createdAt: -1 });
+
+const Favorite = mongoose.model("Favorite", favoriteSchema);
+export default Favorite;
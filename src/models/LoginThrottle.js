@@ -0,0 +1,52 @@
+import mongoose from "mongoose";
+
+const { Schema } = mongoose;
+
+/**
+ * Contador de tentativas de login falhadas.
+ *
+ * Cada documento corresponde a uma "chave":
+ * - "email:<email>" → tentativas contra uma conta (exista ou não);
+ * - "ip:<ip>"       → tentativas vindas de um endereço IP.
+ *
+ * Fica na BD (e não em memória) para o bloqueio sobreviver a reinícios.
+ * O índice TTL em `expiresAt` limpa automaticamente chaves antigas.
+ */
+const loginThrottleSchema = new Schema(
+    {
+        key: {
+            type: String,
+            required: true,
+            unique: true,
+        },
+        // Falhas seguidas dentro da janela atual.
+        failures: {
+            type: Number,
+            default: 0,
+        },
+        // Quantas vezes esta chave já foi bloqueada (para o cooldown exponencial).
+        lockCount: {
+            type: Number,
+            default: 0,
+        },
+        lockUntil: {
+            type: Date,
+            default: null,
+        },
+        lastFailureAt: {
+            type: Date,
+            default: null,
+        },
+        expiresAt: {
+            type: Date,
+            required: true,
+            index: { expires: 0 },
+        },
+    },
+    {
+        timestamps: true,
+    }
+);
+
+const LoginThrottle = mongoose.model("LoginThrottle", loginThrottleSchema);
+export default LoginThrottle;
@@ -0,0 +1,42 @@
+import mongoose from "mongoose";
+
+import { TIPOS_REACAO } from "./Comment.js";
+
+const { Schema } = mongoose;
+
+/**
+ * Reação de um utilizador a um comentário ("believe", "doubt", "lol").
+ *
+ * O índice único (comment + user) garante uma só reação por utilizador
+ * em cada comentário — mudar de reação atualiza o `type`.
+ */
+const reactionSchema = new Schema(
+    {
+        comment: {
+            type: Schema.Types.ObjectId,
+            ref: "Comment",
+            required: true,
+        },
+        user: {
+            type: Schema.Types.ObjectId,
+            ref: "User",
+            required: true,
+        },
+        type: {
+            type: String,
+            enum: {
+                values: TIPOS_REACAO,
+                message: "validacao.reacao.tipoInvalido",
+            },
+            required: true,
+        },
+    },
+    {
+        timestamps: true,
+    }
+);
+
+reactionSchema.index({ comment: 1, user: 1 }, { unique: true });
+
+const Reaction = mongoose.model("Reaction", reactionSchema);
+export default Reaction;
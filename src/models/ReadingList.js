@@ -0,0 +1,61 @@
+import mongoose from "mongoose";
+
+const { Schema } = mongoose;
+
+/**
+ * Visibilidade de uma lista de leitura:
+ * - "private" → só o dono a vê;
+ * - "shared"  → qualquer pessoa com o link a vê, e aparece no perfil
+ *               público do dono.
+ */
+export const VISIBILIDADES_LISTA = ["private", "shared"];
+
+/**
+ * Lista de leitura de um utilizador (ex.: "Para ler no fim de semana").
+ *
+ * `theories` guarda as teorias pela ordem em que foram acrescentadas. As
+ * que deixarem de estar publicadas continuam na lista, mas não aparecem a
+ * ninguém até voltarem a ser publicadas.
+ */
+const readingListSchema = new Schema(
+    {
+        owner: {
+            type: Schema.Types.ObjectId,
+            ref: "User",
+            required: true,
+            index: true,
+        },
+        name: {
+            type: String,
+            required: [true, "validacao.lista.nomeObrigatorio"],
+            trim: true,
+            minlength: [2, "validacao.lista.nomeCurto"],
+            maxlength: [80, "validacao.lista.nomeLongo"],
+        },
+        description: {
+            type: String,
+            trim: true,
+            maxlength: [500, "validacao.lista.descricaoLonga"],
+            default: "",
+        },
+        visibility: {
+            type: String,
+            enum: {
+                values: VISIBILIDADES_LISTA,
+                message: "validacao.lista.visibilidadeInvalida",
+            },
+            default: "private",
+        },
+        theories: {
+            type: [{ type: Schema.Types.ObjectId, ref: "Theory" }],
+            default: [],
+            index: true,
+        },
+    },
+    {
+        timestamps: true,
+    }
+);
+
+const ReadingList = mongoose.model("ReadingList", readingListSchema);
+export default ReadingList;
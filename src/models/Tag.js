@@ -0,0 +1,57 @@
+import mongoose from "mongoose";
+
+const { Schema } = mongoose;
+
+/**
+ * Registo de uma tag usada nas teorias.
+ *
+ * - `name` é o valor guardado em `Theory.tags` (minúsculas, ex.:
+ *   "vigilância urbana"); `displayName` é como aparece nas páginas.
+ * - `usageCount` conta as teorias (em qualquer estado) com esta tag; é
+ *   mantido pelo `tagService` sempre que uma teoria muda.
+ * - `aliases` guarda os nomes de tags renomeadas ou fundidas nesta, para
+ *   `/tags/<nome-antigo>` continuar a funcionar (redirect 301).
+ * - Uma tag bloqueada não pode voltar a ser usada nas teorias.
+ */
+const tagSchema = new Schema(
+    {
+        name: {
+            type: String,
+            required: [true, "validacao.tag.nomeObrigatorio"],
+            unique: true,
+            trim: true,
+            lowercase: true,
+        },
+        displayName: {
+            type: String,
+            trim: true,
+            maxlength: [60, "validacao.tag.nomeAMostrarLongo"],
+            default: "",
+        },
+        description: {
+            type: String,
+            trim: true,
+            maxlength: [500, "validacao.tag.descricaoLonga"],
+            default: "",
+        },
+        usageCount: {
+            type: Number,
+            default: 0,
+        },
+        aliases: {
+            type: [String],
+            index: true,
+            default: [],
+        },
+        blocked: {
+            type: Boolean,
+            default: false,
+        },
+    },
+    {
+        timestamps: true,
+    }
+);
+
+const Tag = mongoose.model("Tag", tagSchema);
+export default Tag;
@@ -1,50 +1,70 @@
 import mongoose from "mongoose";
+import { escaparRegex, escolherSlugLivre, gerarSlug } from "../utils/slug.js";
 const { Schema } = mongoose;
 
+/**
+ * Estados de uma teoria:
+ * - "draft"     → rascunho (só a equipa vê);
+ * - "review"    → à espera de revisão;
+ * - "scheduled" → aprovada, publica-se sozinha em `publishAt`;
+ * - "published" → pública;
+ * - "archived"  → retirada do site (mas não apagada).
+ *
+ * As passagens entre estados estão em `services/workflowService.js`.
+ */
+export const ESTADOS_TEORIA = [
+    "draft",
+    "review",
+    "scheduled",
+    "published",
+    "archived",
+];
 
-const commentSchema = new Schema({
-        authorName: {
-            type: String,
-            require: true,
-            trim: true,
-            minlength: 2,
-        },
-        text: {
-            type: String,
-            require: true,
-            trim: true,
-            minlength: 2,
-        },
-    },
-    {
-        _id: false,
-    }
-);
+/**
+ * Filtro das teorias visíveis na zona pública (lista, contagens, tags, API).
+ */
+export const FILTRO_PUBLICADAS = Object.freeze({ status: "published" });
 
 
 const theorySchema = new Schema(
         {
         title: {
             type: String,
-            require: true,
+            required: [true, "validacao.teoria.tituloObrigatorio"],
             trim: true,
-            minlength: 2,
+            minlength: [5, "validacao.teoria.tituloCurto"],
+        },
+        // Gerado automaticamente a partir do `title` (ver hook "pre validate").
+        slug: {
+            type: String,
+            unique: true,
+            trim: true,
+            lowercase: true,
+        },
+        // Slugs antigos (de títulos anteriores), para redirecionar links guardados.
+        previousSlugs: {
+            type: [String],
+            index: true,
+            default: [],
         },
         summary: {
             type: String,
-            require: true,
+            required: [true, "validacao.teoria.resumoObrigatorio"],
             trim: true,
-            minlength: 2,
+            minlength: [10, "validacao.teoria.resumoCurto"],
         },
         content: {
             type: String,
-            require: true,
+            required: [true, "validacao.teoria.conteudoObrigatorio"],
             trim: true,
-            minlength: 20,
+            minlength: [20, "validacao.teoria.conteudoCurto"],
         },
         complexityLevel: {
             type: String,
-            enum: ["low", "medium", "high"],
+            enum: {
+                values: ["low", "medium", "high"],
+                message: "validacao.teoria.complexidadeInvalida",
+            },
             default: "medium",
         },
         tags: [ 
@@ -54,12 +74,169 @@ const theorySchema = new Schema(
                 lowercase: true,
             },
         ],
-        comments: [commentSchema],
+        // Quem criou a teoria (aparece no perfil público) e o nome que tinha
+        // nessa altura. `null` nas teorias anteriores a este campo que a
+        // migração não conseguiu atribuir (ver `migrate-theory-authors.js`).
+        author: {
+            type: Schema.Types.ObjectId,
+            ref: "User",
+            default: null,
+            index: true,
+        },
+        authorName: {
+            type: String,
+            trim: true,
+            default: "",
+        },
+        // Quantas pessoas marcaram a teoria como favorita (os favoritos estão
+        // na coleção `Favorite`; este número é atualizado pelo
+        // `favoriteService`).
+        favoriteCount: {
+            type: Number,
+            default: 0,
+        },
+        // Comentários aprovados (os comentários estão na coleção `Comment`;
+        // este número é atualizado pelo `commentService`).
+        commentCount: {
+            type: Number,
+            default: 0,
+        },
+        // Quando `true`, ninguém pode comentar (nem editar comentários).
+        commentsLocked: {
+            type: Boolean,
+            default: false,
+        },
+        // Só as teorias "published" aparecem na zona pública.
+        status: {
+            type: String,
+            enum: {
+                values: ESTADOS_TEORIA,
+                message: "validacao.teoria.estadoInvalido",
+            },
+            default: "draft",
+        },
+        // Data pedida para a publicação (opcional). Uma teoria aprovada
+        // antes desta data fica "scheduled" até lá.
+        publishAt: {
+            type: Date,
+            default: null,
+        },
+        // Quando ficou pública (preenchido ao publicar).
+        publishedAt: {
+            type: Date,
+            default: null,
+        },
+        // Última decisão de revisão (aprovar/rejeitar) e a nota do revisor.
+        review: {
+            note: { type: String, trim: true, default: "" },
+            by: { type: Schema.Types.ObjectId, ref: "User", default: null },
+            byName: { type: String, default: "" },
+            at: { type: Date, default: null },
+        },
     },
     {
         timestamps: true,
+        // Cada `save()` incrementa `__v` e falha (VersionError) se a teoria
+        // tiver sido gravada por outra pessoa entretanto.
+        optimisticConcurrency: true,
     }
 );
 
+// Lista pública (por estado) e agendador (agendadas com data passada).
+theorySchema.index({ status: 1, publishAt: 1 });
+
+// Feeds e perfis: as publicadas mais recentemente primeiro.
+theorySchema.index({ status: 1, publishedAt: -1 });
+
+// Pesquisa de texto (`?q=`): o título conta mais do que as tags, as tags
+// mais do que o resumo e o resumo mais do que o conteúdo. Em português, o
+// índice ignora acentos ("vigilancia" encontra "vigilância") e reduz as
+// palavras à raiz ("drones" encontra "drone").
+theorySchema.index(
+    { title: "text", tags: "text", summary: "text", content: "text" },
+    {
+        name: "pesquisa_texto",
+        weights: { title: 10, tags: 5, summary: 3, content: 1 },
+        default_language: "portuguese",
+    }
+);
+
+/**
+ * Antes de validar, garante que a teoria tem um slug único.
+ *
+ * REGRAS:
+ * - Teoria nova (ou sem slug) → slug gerado a partir do título.
+ * - Título editado → novo slug; o antigo vai para `previousSlugs`, para que
+ *   `/teorias/<slug-antigo>` continue a funcionar (com redirect 301).
+ * - Se o slug base já estiver ocupado (por outra teoria, atual ou antigo),
+ *   acrescenta-se um sufixo: "titulo", "titulo-2", "titulo-3", ...
+ */
+theorySchema.pre("validate", async function () {
+    if (!this.isNew && this.slug && !this.isModified("title")) {
+        return;
+    }
+
+    const base = gerarSlug(this.title) || "teoria";
+
+    // Se o slug atual já corresponde ao título ("base" ou "base-N"), mantemos.
+    const padraoBase = new RegExp(`^${escaparRegex(base)}(-\\d+)?$`);
+    if (this.slug && padraoBase.test(this.slug)) {
+        return;
+    }
+
+    const outras = await this.constructor
+        .find({
+            _id: { $ne: this._id },
+            $or: [{ slug: padraoBase }, { previousSlugs: padraoBase }],
+        })
+        .select("slug previousSlugs")
+        .lean();
+
+    const ocupados = new Set();
+    outras.forEach((t) => {
+        ocupados.add(t.slug);
+        (t.previousSlugs || []).forEach((s) => ocupados.add(s));
+    });
+
+    const novoSlug = escolherSlugLivre(base, ocupados);
+    const slugAnterior = this.slug;
+
+    this.slug = novoSlug;
+    this.previousSlugs = (this.previousSlugs || []).filter(
+        (s) => s !== novoSlug
+    );
+    if (slugAnterior && slugAnterior !== novoSlug) {
+        this.previousSlugs.push(slugAnterior);
+    }
+});
+
+/**
+ * Procura uma teoria pelo slug atual ou por um slug antigo.
+ *
+ * @param {string} slug Slug recebido no URL.
+ * @returns {Promise<{ theory: object|null, redirectSlug: string|null,
+ *                     redirectTheory: object|null }>}
+ *          `redirectSlug` vem preenchido quando o slug pedido é antigo;
+ *          `redirectTheory` é essa teoria (`slug` e `status`): quem chama
+ *          só deve redirecionar se a puder mostrar (senão o redirect
+ *          revela que a teoria existe e o título novo).
+ */
+theorySchema.statics.procurarPorSlug = async function (slug) {
+    const theory = await this.findOne({ slug }).lean();
+    if (theory) {
+        return { theory, redirectSlug: null, redirectTheory: null };
+    }
+
+    const antiga = await this.findOne({ previousSlugs: slug })
+        .select("slug status")
+        .lean();
+
+    return {
+        theory: null,
+        redirectSlug: antiga ? antiga.slug : null,
+        redirectTheory: antiga,
+    };
+};
+
 const Theory = mongoose.model("Theory", theorySchema);
 export default Theory;
\ No newline at end of file
@@ -0,0 +1,79 @@
+import mongoose from "mongoose";
+
+const { Schema } = mongoose;
+
+/**
+ * O que originou cada revisão:
+ * - "create"  → teoria criada;
+ * - "update"  → teoria editada;
+ * - "restore" → uma revisão antiga foi reposta (ver `restoredFrom`);
+ * - "import"  → estado de uma teoria que já existia antes do histórico
+ *               (gravado na primeira edição, para haver com que comparar).
+ */
+export const ACOES_REVISAO = ["create", "update", "restore", "import"];
+
+/**
+ * Campos da teoria guardados em cada revisão.
+ */
+export const CAMPOS_REVISAO = [
+    "title",
+    "summary",
+    "content",
+    "complexityLevel",
+    "tags",
+];
+
+/**
+ * Revisão de uma teoria: uma "fotografia" dos campos editáveis depois de
+ * cada criação/edição, com quem a fez e quando (`createdAt`).
+ *
+ * `number` conta as revisões de cada teoria (1, 2, 3, ...).
+ */
+const theoryRevisionSchema = new Schema(
+    {
+        theory: {
+            type: Schema.Types.ObjectId,
+            ref: "Theory",
+            required: true,
+        },
+        number: {
+            type: Number,
+            required: true,
+            min: 1,
+        },
+        action: {
+            type: String,
+            enum: ACOES_REVISAO,
+            required: true,
+        },
+        restoredFrom: {
+            type: Number,
+            default: null,
+        },
+        // `null` nas revisões "import" (não sabemos quem fez a versão antiga).
+        author: {
+            type: Schema.Types.ObjectId,
+            ref: "User",
+            default: null,
+        },
+        authorName: {
+            type: String,
+            default: "",
+        },
+        snapshot: {
+            title: { type: String, required: true },
+            summary: { type: String, default: "" },
+            content: { type: String, default: "" },
+            complexityLevel: { type: String, default: "medium" },
+            tags: { type: [String], default: [] },
+        },
+    },
+    {
+        timestamps: { createdAt: true, updatedAt: false },
+    }
+);
+
+theoryRevisionSchema.index({ theory: 1, number: -1 }, { unique: true });
+
+const TheoryRevision = mongoose.model("TheoryRevision", theoryRevisionSchema);
+export default TheoryRevision;
@@ -1,36 +1,72 @@
 import mongoose from "mongoose";
 
+import { LOCALES } from "../utils/i18n.js";
+
 const { Schema } = mongoose;
 
-const userSchema = new Schema({
-            email: {
-                type: String,
-                require: true,
-                unique: true,
-                trim: true,
-                lowercase: true,
-                minlength: 5
+const userSchema = new Schema(
+    {
+        email: {
+            type: String,
+            required: [true, "validacao.utilizador.emailObrigatorio"],
+            unique: true,
+            trim: true,
+            lowercase: true,
+            minlength: [5, "validacao.utilizador.emailCurto"],
+            match: [
+                /^[^\s@]+@[^\s@]+\.[^\s@]+$/,
+                "validacao.utilizador.emailInvalido",
+            ],
         },
         displayName: {
             type: String,
-            require: true,
+            required: [true, "validacao.utilizador.nomeObrigatorio"],
             trim: true,
-            minlength: 2,
+            minlength: [2, "validacao.utilizador.nomeCurto"],
         },
         passwordHash: {
             type: String,
-            require: true,
+            required: true,
         },
         role: {
             type: String,
             enum: ["admin", "user"],
             default: "user",
         },
+        // `null` enquanto o utilizador não abrir o link de verificação.
+        emailVerifiedAt: {
+            type: Date,
+            default: null,
+        },
+        // Sessões iniciadas antes desta data deixam de ser aceites.
+        passwordChangedAt: {
+            type: Date,
+            default: null,
+        },
+        // Conta desativada por um admin: não entra, e as sessões e tokens
+        // de API que já tinha deixam de funcionar. `null` → ativa.
+        deactivatedAt: {
+            type: Date,
+            default: null,
+        },
+        // Admin que criou a conta por convite (`null` → registo normal).
+        invitedBy: {
+            type: Schema.Types.ObjectId,
+            ref: "User",
+            default: null,
+        },
+        // Idioma escolhido nas definições ou no rodapé (`null` → o do
+        // browser; ver `middlewares/localeMiddleware.js`).
+        locale: {
+            type: String,
+            enum: LOCALES,
+            default: null,
+        },
     },
     {
-      timestamps: true,  
+        timestamps: true,
     }
 );
 
 const User = mongoose.model("User", userSchema);
-export default User;
\ No newline at end of file
+export default User;
@@ -0,0 +1,45 @@
+/**
+ * src/routes/accountRoutes.js
+ * ---------------------------
+ * Rotas da conta do utilizador. Montado em `/conta` no `app.js`.
+ *
+ * Todas exigem sessão iniciada.
+ */
+
+import { Router } from "express";
+
+import * as accountController from "../controllers/accountController.js";
+import * as favoriteController from "../controllers/favoriteController.js";
+import * as readingListController from "../controllers/readingListController.js";
+import { exigirAutenticacao } from "../middlewares/authMiddleware.js";
+
+const router = Router();
+
+router.use(exigirAutenticacao);
+
+// Definições: nome a mostrar, idioma e password
+router.get("/definicoes", accountController.mostrarDefinicoes);
+router.post("/definicoes/perfil", accountController.guardarPerfil);
+router.post("/definicoes/idioma", accountController.guardarIdioma);
+router.post("/definicoes/password", accountController.guardarPassword);
+
+// Favoritos
+router.get("/favoritos", favoriteController.listarFavoritos);
+
+// Listas de leitura
+router.get("/listas", readingListController.listarListas);
+router.post("/listas", readingListController.criarLista);
+router.post("/listas/teorias", readingListController.acrescentarTeoria);
+router.post("/listas/:id/editar", readingListController.atualizarLista);
+router.post("/listas/:id/apagar", readingListController.apagarLista);
+router.post(
+    "/listas/:id/teorias/:theoryId/remover",
+    readingListController.tirarTeoria
+);
+
+// Tokens pessoais de API
+router.get("/tokens", accountController.mostrarTokens);
+router.post("/tokens", accountController.criarToken);
+router.post("/tokens/:id/apagar", accountController.apagarToken);
+
+export default router;
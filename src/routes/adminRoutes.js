@@ -0,0 +1,181 @@
+/**
+ * src/routes/adminRoutes.js
+ * -------------------------
+ * Rotas da área de gestão. Montado em `/admin` no `app.js`.
+ *
+ * Todas as rotas deste router exigem sessão iniciada; cada rota pede
+ * depois a capacidade de que precisa (ver `src/config/permissions.js`).
+ */
+
+import { Router } from "express";
+
+import { PERMISSOES } from "../config/permissions.js";
+import * as adminAuditController from "../controllers/adminAuditController.js";
+import * as adminCommentController from "../controllers/adminCommentController.js";
+import * as adminController from "../controllers/adminController.js";
+import * as adminTagController from "../controllers/adminTagController.js";
+import * as adminUserController from "../controllers/adminUserController.js";
+import {
+    exigirAutenticacao,
+    exigirPermissao,
+} from "../middlewares/authMiddleware.js";
+
+const router = Router();
+
+router.use(exigirAutenticacao);
+
+// GET /admin → atalho para a lista de gestão
+router.get("/", (req, res) => res.redirect("/admin/teorias"));
+
+router.get(
+    "/teorias",
+    exigirPermissao(PERMISSOES.THEORY_UPDATE),
+    adminController.listarTeorias
+);
+
+router.get(
+    "/teorias/nova",
+    exigirPermissao(PERMISSOES.THEORY_CREATE),
+    adminController.mostrarFormularioNova
+);
+router.post(
+    "/teorias/nova",
+    exigirPermissao(PERMISSOES.THEORY_CREATE),
+    adminController.criarTeoria
+);
+
+router.get(
+    "/teorias/:id/editar",
+    exigirPermissao(PERMISSOES.THEORY_UPDATE),
+    adminController.mostrarFormularioEditar
+);
+router.post(
+    "/teorias/:id/editar",
+    exigirPermissao(PERMISSOES.THEORY_UPDATE),
+    adminController.atualizarTeoria
+);
+
+// A capacidade exigida depende da ação (verificada em `workflowService`)
+router.post("/teorias/:id/estado", adminController.mudarEstado);
+
+router.get(
+    "/teorias/:id/historico",
+    exigirPermissao(PERMISSOES.THEORY_UPDATE),
+    adminController.mostrarHistorico
+);
+router.post(
+    "/teorias/:id/historico/:numero/restaurar",
+    exigirPermissao(PERMISSOES.THEORY_UPDATE),
+    adminController.restaurarRevisao
+);
+
+router.post(
+    "/teorias/:id/apagar",
+    exigirPermissao(PERMISSOES.THEORY_DELETE),
+    adminController.apagarTeoria
+);
+
+router.post(
+    "/teorias/:id/comentarios/bloqueio",
+    exigirPermissao(PERMISSOES.COMMENT_MODERATE),
+    adminCommentController.alternarBloqueio
+);
+
+router.get(
+    "/comentarios",
+    exigirPermissao(PERMISSOES.COMMENT_MODERATE),
+    adminCommentController.listarComentarios
+);
+router.post(
+    "/comentarios/:id/:acao(aprovar|ocultar|apagar)",
+    exigirPermissao(PERMISSOES.COMMENT_MODERATE),
+    adminCommentController.moderarComentario
+);
+
+// Sugestões para o campo de tags do formulário de teorias (JSON)
+router.get(
+    "/tags/sugestoes",
+    exigirPermissao(PERMISSOES.THEORY_UPDATE),
+    adminTagController.sugerirTags
+);
+
+router.get(
+    "/tags",
+    exigirPermissao(PERMISSOES.TAG_MANAGE),
+    adminTagController.listarTags
+);
+router.post(
+    "/tags/fundir",
+    exigirPermissao(PERMISSOES.TAG_MANAGE),
+    adminTagController.fundirTags
+);
+router.post(
+    "/tags/:tag/editar",
+    exigirPermissao(PERMISSOES.TAG_MANAGE),
+    adminTagController.atualizarTag
+);
+router.post(
+    "/tags/:tag/renomear",
+    exigirPermissao(PERMISSOES.TAG_MANAGE),
+    adminTagController.renomearTag
+);
+router.post(
+    "/tags/:tag/bloquear",
+    exigirPermissao(PERMISSOES.TAG_MANAGE),
+    adminTagController.bloquearTag
+);
+
+router.get(
+    "/utilizadores",
+    exigirPermissao(PERMISSOES.USER_MANAGE),
+    adminUserController.listarUtilizadores
+);
+router.post(
+    "/utilizadores/convidar",
+    exigirPermissao(PERMISSOES.USER_MANAGE),
+    adminUserController.convidarUtilizador
+);
+router.post(
+    "/utilizadores/:id/role",
+    exigirPermissao(PERMISSOES.USER_MANAGE),
+    adminUserController.mudarRole
+);
+router.post(
+    "/utilizadores/:id/desativar",
+    exigirPermissao(PERMISSOES.USER_MANAGE),
+    adminUserController.desativarUtilizador
+);
+router.post(
+    "/utilizadores/:id/reativar",
+    exigirPermissao(PERMISSOES.USER_MANAGE),
+    adminUserController.reativarUtilizador
+);
+router.post(
+    "/utilizadores/:id/nova-password",
+    exigirPermissao(PERMISSOES.USER_MANAGE),
+    adminUserController.forcarNovaPassword
+);
+
+router.get(
+    "/utilizadores/bloqueios",
+    exigirPermissao(PERMISSOES.USER_MANAGE),
+    adminUserController.listarBloqueios
+);
+router.post(
+    "/utilizadores/bloqueios/:id/desbloquear",
+    exigirPermissao(PERMISSOES.USER_MANAGE),
+    adminUserController.desbloquear
+);
+
+router.get(
+    "/auditoria",
+    exigirPermissao(PERMISSOES.AUDIT_READ),
+    adminAuditController.listarAuditoria
+);
+router.get(
+    "/auditoria/exportar",
+    exigirPermissao(PERMISSOES.AUDIT_READ),
+    adminAuditController.exportarAuditoria
+);
+
+export default router;
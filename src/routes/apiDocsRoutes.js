@@ -0,0 +1,24 @@
+/**
+ * src/routes/apiDocsRoutes.js
+ * ---------------------------
+ * Documentação da API. Montado em `/api/docs` no `app.js`.
+ *
+ * Os ficheiros do Swagger UI (JS/CSS) vêm do pacote `swagger-ui-dist` e
+ * são servidos pela própria app (`/api/docs/assets/...`), sem CDN.
+ */
+
+import express, { Router } from "express";
+import swaggerUiDist from "swagger-ui-dist";
+
+import * as apiDocsController from "../controllers/apiDocsController.js";
+
+const router = Router();
+
+router.use(
+    "/assets",
+    express.static(swaggerUiDist.getAbsoluteFSPath(), { index: false })
+);
+
+router.get("/", apiDocsController.mostrarDocumentacao);
+
+export default router;
@@ -0,0 +1,101 @@
+/**
+ * src/routes/apiRoutes.js
+ * -----------------------
+ * API JSON, versão 1. Montado em `/api/v1` no `app.js`.
+ *
+ * - Autenticação por token (`Authorization: Bearer ...`) ou pela sessão.
+ * - Cada rota pede a mesma capacidade que a página HTML equivalente.
+ * - Query string e corpo são validados contra a especificação OpenAPI
+ *   (`validarPedidoApi`); o caminho dado a cada validador tem de existir
+ *   em `services/openapiService.js`.
+ * - Respostas: `{ data }` (e `meta` nas listas); erros: `{ error }`
+ *   (ver `utils/apiErrors.js`).
+ */
+
+import express, { Router } from "express";
+
+import { PERMISSOES } from "../config/permissions.js";
+import * as apiCommentController from "../controllers/apiCommentController.js";
+import * as apiDocsController from "../controllers/apiDocsController.js";
+import * as apiTheoryController from "../controllers/apiTheoryController.js";
+import * as apiUserController from "../controllers/apiUserController.js";
+import {
+    autenticarApi,
+    exigirAutenticacaoApi,
+    exigirEmailVerificadoApi,
+    exigirPermissaoApi,
+    rotaApiNaoEncontrada,
+    tratarErroApi,
+    validarPedidoApi,
+} from "../middlewares/apiMiddleware.js";
+
+const router = Router();
+
+router.use(express.json({ limit: "100kb" }));
+router.use(autenticarApi);
+
+// Especificação OpenAPI (a documentação navegável está em /api/docs)
+router.get("/openapi.json", apiDocsController.mostrarEspecificacao);
+
+// Teorias
+router.get(
+    "/theories",
+    validarPedidoApi("get", "/theories"),
+    apiTheoryController.listarTeorias
+);
+router.post(
+    "/theories",
+    exigirPermissaoApi(PERMISSOES.THEORY_CREATE),
+    validarPedidoApi("post", "/theories"),
+    apiTheoryController.criarTeoria
+);
+router.get("/theories/:id", apiTheoryController.obterTeoria);
+router.patch(
+    "/theories/:id",
+    exigirPermissaoApi(PERMISSOES.THEORY_UPDATE),
+    validarPedidoApi("patch", "/theories/{id}"),
+    apiTheoryController.atualizarTeoria
+);
+router.delete(
+    "/theories/:id",
+    exigirPermissaoApi(PERMISSOES.THEORY_DELETE),
+    apiTheoryController.apagarTeoria
+);
+router.get(
+    "/theories/:id/related",
+    validarPedidoApi("get", "/theories/{id}/related"),
+    apiTheoryController.listarRelacionadas
+);
+// A capacidade depende da ação (verificada em `workflowService`)
+router.post(
+    "/theories/:id/transitions",
+    exigirAutenticacaoApi,
+    validarPedidoApi("post", "/theories/{id}/transitions"),
+    apiTheoryController.aplicarTransicaoTeoria
+);
+
+// Comentários
+router.get(
+    "/theories/:id/comments",
+    validarPedidoApi("get", "/theories/{id}/comments"),
+    apiCommentController.listarComentarios
+);
+router.post(
+    "/theories/:id/comments",
+    exigirPermissaoApi(PERMISSOES.COMMENT_CREATE),
+    exigirEmailVerificadoApi,
+    validarPedidoApi("post", "/theories/{id}/comments"),
+    apiCommentController.criarComentario
+);
+
+// Utilizador autenticado
+router.get(
+    "/me",
+    exigirAutenticacaoApi,
+    apiUserController.mostrarUtilizadorAtual
+);
+
+router.use(rotaApiNaoEncontrada);
+router.use(tratarErroApi);
+
+export default router;
@@ -0,0 +1,39 @@
+/**
+ * src/routes/authRoutes.js
+ * ------------------------
+ * Rotas de autenticação (login, logout, registo, recuperação de password
+ * e verificação de email). Montado em `/`.
+ */
+
+import { Router } from "express";
+
+import * as authController from "../controllers/authController.js";
+import { exigirAutenticacao } from "../middlewares/authMiddleware.js";
+
+const router = Router();
+
+router.get("/login", authController.mostrarLogin);
+router.post("/login", authController.login);
+
+router.post("/logout", authController.logout);
+
+router.get("/registo", authController.mostrarRegisto);
+router.post("/registo", authController.registar);
+
+router.get("/recuperar-password", authController.mostrarRecuperarPassword);
+router.post("/recuperar-password", authController.pedirRecuperacaoPassword);
+
+router.get(
+    "/redefinir-password/:token",
+    authController.mostrarRedefinirPassword
+);
+router.post("/redefinir-password/:token", authController.redefinirPassword);
+
+router.post(
+    "/verificar-email/reenviar",
+    exigirAutenticacao,
+    authController.reenviarVerificacao
+);
+router.get("/verificar-email/:token", authController.verificarEmail);
+
+export default router;
@@ -0,0 +1,31 @@
+/**
+ * src/routes/feedRoutes.js
+ * ------------------------
+ * Feeds (Atom e JSON Feed) e sitemap.xml. Montado na raiz no `app.js`,
+ * antes das sessões (leitores de feeds e crawlers não usam sessões).
+ *
+ * A extensão escolhe o formato: `.atom` ou `.json`.
+ */
+
+import { Router } from "express";
+
+import * as feedController from "../controllers/feedController.js";
+
+const router = Router();
+
+// GET /feeds/teorias.atom | .json → últimas teorias publicadas
+router.get("/feeds/teorias.:formato(atom|json)", feedController.feedTeorias);
+
+// GET /feeds/tags/:tag.atom | .json → últimas teorias com a tag
+router.get("/feeds/tags/:tag.:formato(atom|json)", feedController.feedTag);
+
+// GET /feeds/teorias/:slug/comentarios.atom | .json → últimos comentários
+router.get(
+    "/feeds/teorias/:slug/comentarios.:formato(atom|json)",
+    feedController.feedComentarios
+);
+
+// GET /sitemap.xml → teorias publicadas, para crawlers
+router.get("/sitemap.xml", feedController.sitemap);
+
+export default router;
@@ -0,0 +1,20 @@
+/**
+ * src/routes/healthRoutes.js
+ * --------------------------
+ * Health checks. Montado na raiz no `app.js`, antes das sessões (as
+ * sondas não abrem sessões nem dependem delas).
+ */
+
+import { Router } from "express";
+
+import * as healthController from "../controllers/healthController.js";
+
+const router = Router();
+
+// GET /healthz → o processo está vivo
+router.get("/healthz", healthController.verificarVida);
+
+// GET /readyz → pronta para receber pedidos (MongoDB ligado)
+router.get("/readyz", healthController.verificarProntidao);
+
+export default router;
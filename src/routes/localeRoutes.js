@@ -0,0 +1,18 @@
+/**
+ * src/routes/localeRoutes.js
+ * --------------------------
+ * Seletor de idioma do rodapé. Montado na raiz no `app.js`.
+ */
+
+import { Router } from "express";
+
+import * as localeController from "../controllers/localeController.js";
+
+const router = Router();
+
+// GET /idioma?locale=en → sem sessão (só o cookie)
+// POST /idioma → com sessão (também fica guardado na conta)
+router.get("/idioma", localeController.mudarIdioma);
+router.post("/idioma", localeController.mudarIdioma);
+
+export default router;
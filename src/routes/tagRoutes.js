@@ -0,0 +1,19 @@
+/**
+ * src/routes/tagRoutes.js
+ * -----------------------
+ * Rotas públicas das tags. Montado em `/tags` no `app.js`.
+ */
+
+import { Router } from "express";
+
+import * as tagController from "../controllers/tagController.js";
+
+const router = Router();
+
+// GET /tags → nuvem de tags
+router.get("/", tagController.mostrarNuvem);
+
+// GET /tags/:tag → teorias com a tag (redirect 301 a partir de nomes antigos)
+router.get("/:tag", tagController.mostrarTag);
+
+export default router;
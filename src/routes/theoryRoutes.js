@@ -0,0 +1,68 @@
+/**
+ * src/routes/theoryRoutes.js
+ * --------------------------
+ * Rotas públicas das teorias. Montado em `/teorias` no `app.js`.
+ */
+
+import { Router } from "express";
+
+import { PERMISSOES } from "../config/permissions.js";
+import * as commentController from "../controllers/commentController.js";
+import * as favoriteController from "../controllers/favoriteController.js";
+import * as theoryController from "../controllers/theoryController.js";
+import {
+    exigirAutenticacao,
+    exigirEmailVerificado,
+    exigirPermissao,
+} from "../middlewares/authMiddleware.js";
+
+const router = Router();
+
+// GET /teorias → lista pública (filtros, ordenação e paginação via query string)
+router.get("/", theoryController.listarTeoriasPublicas);
+
+// GET /teorias/:slug → detalhe (com redirect 301 a partir de slugs antigos)
+router.get("/:slug", theoryController.mostrarTeoria);
+
+// POST /teorias/:slug/favorito → marcar/desmarcar como favorita
+router.post(
+    "/:slug/favorito",
+    exigirAutenticacao,
+    favoriteController.marcarFavorito
+);
+
+// POST /teorias/:slug/comments → novo comentário ou resposta (só com o
+// email confirmado)
+router.post(
+    "/:slug/comments",
+    exigirPermissao(PERMISSOES.COMMENT_CREATE),
+    exigirEmailVerificado,
+    commentController.criarComentario
+);
+
+// Editar/apagar o próprio comentário (só nos primeiros minutos)
+router.get(
+    "/:slug/comments/:commentId/editar",
+    exigirAutenticacao,
+    commentController.mostrarFormularioEditar
+);
+router.post(
+    "/:slug/comments/:commentId/editar",
+    exigirAutenticacao,
+    commentController.editarComentario
+);
+router.post(
+    "/:slug/comments/:commentId/apagar",
+    exigirAutenticacao,
+    commentController.apagarComentario
+);
+
+// POST /teorias/:slug/comments/:commentId/reacoes → reagir (believe/doubt/lol)
+router.post(
+    "/:slug/comments/:commentId/reacoes",
+    exigirPermissao(PERMISSOES.COMMENT_CREATE),
+    exigirEmailVerificado,
+    commentController.reagir
+);
+
+export default router;
@@ -0,0 +1,21 @@
+/**
+ * src/routes/userRoutes.js
+ * ------------------------
+ * Perfis públicos. Montado em `/utilizadores` no `app.js`.
+ */
+
+import { Router } from "express";
+
+import * as profileController from "../controllers/profileController.js";
+import * as readingListController from "../controllers/readingListController.js";
+
+const router = Router();
+
+// GET /utilizadores/:id → perfil (teorias, comentários e listas partilhadas)
+router.get("/:id", profileController.mostrarPerfil);
+
+// GET /utilizadores/:id/listas/:listaId → lista de leitura (partilhada, ou
+// privada para o dono)
+router.get("/:id/listas/:listaId", readingListController.mostrarLista);
+
+export default router;
@@ -0,0 +1,49 @@
+/**
+ * src/routes/vendorRoutes.js
+ * --------------------------
+ * CSS, JS e fontes de pacotes npm, servidos pela própria app (sem CDN).
+ * Montado em `/vendor` no `app.js`.
+ *
+ * PORQUÊ?
+ * - A Content Security Policy só deixa carregar ficheiros da própria app
+ *   (ver `middlewares/securityMiddleware.js`).
+ * - A app funciona sem acesso à internet (ex.: numa sala de aulas).
+ *
+ * As versões são as do `package.json` (atualizar com `npm update`).
+ */
+
+import express, { Router } from "express";
+import path from "path";
+import { fileURLToPath } from "url";
+
+const __filename = fileURLToPath(import.meta.url);
+const __dirname = path.dirname(__filename);
+
+const PASTA_NODE_MODULES = path.join(__dirname, "..", "..", "node_modules");
+
+/**
+ * Caminho em `/vendor` → pasta do pacote com os ficheiros.
+ */
+const PACOTES = {
+    // bootstrap/css/bootstrap.min.css, bootstrap/js/bootstrap.bundle.min.js
+    "/bootstrap": "bootstrap/dist",
+    // space-grotesk/index.css (e as fontes em files/)
+    "/space-grotesk": "@fontsource-variable/space-grotesk",
+    // phosphor/regular/style.css, phosphor/bold/style.css, ...
+    "/phosphor": "@phosphor-icons/web/src",
+};
+
+const router = Router();
+
+for (const [caminho, pasta] of Object.entries(PACOTES)) {
+    router.use(
+        caminho,
+        express.static(path.join(PASTA_NODE_MODULES, pasta), {
+            index: false,
+            // Os ficheiros só mudam quando se atualiza o pacote.
+            maxAge: "7d",
+        })
+    );
+}
+
+export default router;
@@ -0,0 +1,136 @@
+/**
+ * src/services/apiTokenService.js
+ * -------------------------------
+ * Tokens pessoais de API: criar, listar, revogar e autenticar pedidos.
+ *
+ * FORMATO:
+ * - `cspk_` + 40 caracteres hexadecimais. O prefixo fixo ajuda a
+ *   reconhecer o token (ex.: se aparecer por engano num repositório).
+ */
+
+import crypto from "crypto";
+import mongoose from "mongoose";
+
+import ApiToken from "../models/ApiToken.js";
+import User from "../models/User.js";
+import { t } from "../utils/i18n.js";
+import { hashToken } from "./tokenService.js";
+
+export const PREFIXO_TOKEN_API = "cspk_";
+export const MAXIMO_TOKENS_POR_UTILIZADOR = 10;
+
+/**
+ * Intervalo mínimo entre atualizações de `lastUsedAt` (evita uma escrita
+ * na BD em cada pedido de um script que faz muitos pedidos seguidos).
+ */
+const INTERVALO_ULTIMO_USO_MS = 60 * 1000;
+
+/**
+ * Erro de negócio dos tokens (mensagens prontas a mostrar).
+ */
+export class ApiTokenError extends Error {
+    /**
+     * @param {string} mensagem Mensagem amigável.
+     */
+    constructor(mensagem) {
+        super(mensagem);
+        this.name = "ApiTokenError";
+    }
+}
+
+/**
+ * Cria um token novo para um utilizador.
+ *
+ * @param {import("mongoose").Types.ObjectId|string} userId Dono do token.
+ * @param {string} nome Nome escolhido (ex.: "Protótipo mobile").
+ * @returns {Promise<{ token: string, apiToken: import("mongoose").Document }>}
+ *          `token` é o valor em claro — só existe neste momento.
+ * @throws {ApiTokenError} Se o utilizador já tiver o máximo de tokens.
+ * @throws {import("mongoose").Error.ValidationError} Nome inválido.
+ */
+export async function criarApiToken(userId, nome) {
+    const existentes = await ApiToken.countDocuments({ user: userId });
+    if (existentes >= MAXIMO_TOKENS_POR_UTILIZADOR) {
+        throw new ApiTokenError(
+            t("conta.tokens.erros.maximo", {
+                maximo: MAXIMO_TOKENS_POR_UTILIZADOR,
+            })
+        );
+    }
+
+    const token = PREFIXO_TOKEN_API + crypto.randomBytes(20).toString("hex");
+
+    const apiToken = await ApiToken.create({
+        user: userId,
+        name: nome,
+        tokenHash: hashToken(token),
+        prefix: token.slice(0, PREFIXO_TOKEN_API.length + 6),
+    });
+
+    return { token, apiToken };
+}
+
+/**
+ * Lista os tokens de um utilizador (sem os hashes).
+ *
+ * @param {import("mongoose").Types.ObjectId|string} userId Dono.
+ * @returns {Promise<object[]>} Mais recentes primeiro.
+ */
+export async function listarApiTokens(userId) {
+    return ApiToken.find({ user: userId })
+        .select("-tokenHash")
+        .sort({ createdAt: -1 })
+        .lean();
+}
+
+/**
+ * Revoga (apaga) um token do próprio utilizador.
+ *
+ * @param {import("mongoose").Types.ObjectId|string} userId Dono.
+ * @param {string} tokenId `_id` do token.
+ * @returns {Promise<boolean>} `true` se o token existia.
+ */
+export async function revogarApiToken(userId, tokenId) {
+    if (!mongoose.isValidObjectId(tokenId)) {
+        return false;
+    }
+
+    const resultado = await ApiToken.deleteOne({ _id: tokenId, user: userId });
+    return resultado.deletedCount > 0;
+}
+
+/**
+ * Encontra o dono de um token (para autenticar um pedido à API).
+ *
+ * @param {string} token Token em claro (do cabeçalho `Authorization`).
+ * @returns {Promise<import("mongoose").Document|null>} O utilizador, ou
+ *          `null` se o token não existir (ou a conta estiver desativada).
+ */
+export async function autenticarApiToken(token) {
+    if (!String(token || "").startsWith(PREFIXO_TOKEN_API)) {
+        return null;
+    }
+
+    const apiToken = await ApiToken.findOne({
+        tokenHash: hashToken(token),
+    }).lean();
+    if (!apiToken) {
+        return null;
+    }
+
+    const agora = Date.now();
+    if (
+        !apiToken.lastUsedAt ||
+        agora - apiToken.lastUsedAt.getTime() > INTERVALO_ULTIMO_USO_MS
+    ) {
+        await ApiToken.updateOne(
+            { _id: apiToken._id },
+            { $set: { lastUsedAt: new Date(agora) } }
+        );
+    }
+
+    // Conta desativada → os tokens deixam de funcionar (sem os apagar:
+    // voltam a funcionar se a conta for reativada).
+    const user = await User.findById(apiToken.user);
+    return user && !user.deactivatedAt ? user : null;
+}
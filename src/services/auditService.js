@@ -0,0 +1,295 @@
+/**
+ * src/services/auditService.js
+ * ----------------------------
+ * Log de auditoria: quem fez o quê, sobre quem/o quê, quando e de onde.
+ *
+ * REGRAS:
+ * - Cada ação registada chama `registarAuditoria` depois de ter corrido
+ *   bem (o que falhou não fica registado). A exceção são os logins
+ *   recusados, que são eles próprios a coisa a registar.
+ * - Uma falha a gravar o registo é escrita no log do servidor mas não
+ *   desfaz a ação nem a faz falhar.
+ * - Os admins consultam o log em `/admin/auditoria` e exportam-no em CSV
+ *   com os mesmos filtros.
+ * - A retenção (`AUDIT_RETENTION_DAYS`) é um índice TTL; o arranque
+ *   ajusta-o quando o valor muda (`ajustarRetencaoAuditoria`).
+ */
+
+import AuditLog, {
+    ACOES_AUDITORIA,
+    SEGUNDOS_RETENCAO_AUDITORIA,
+} from "../models/AuditLog.js";
+import { logger } from "../utils/logger.js";
+import { escaparRegex } from "../utils/slug.js";
+
+export const REGISTOS_POR_PAGINA = 50;
+
+/**
+ * Contexto de uma ação: quem a faz e de onde.
+ *
+ * @typedef {{ ator: { id: string, displayName: string }|null,
+ *             ip?: string }} ContextoAuditoria
+ */
+
+/**
+ * Contexto das ações do agendador de publicações (não há pedido nem
+ * utilizador: fica registado sem `actor`, com este nome).
+ *
+ * @type {ContextoAuditoria}
+ */
+export const CONTEXTO_AGENDADOR = Object.freeze({
+    ator: Object.freeze({ id: null, displayName: "agendador" }),
+    ip: "",
+});
+
+/**
+ * Constrói o contexto de auditoria de um pedido.
+ *
+ * @param {import("express").Request} req Pedido HTTP.
+ * @param {import("express").Response} res Resposta HTTP (usa
+ *        `res.locals.currentUser`).
+ * @returns {ContextoAuditoria}
+ */
+export function contextoDoPedido(req, res) {
+    return { ator: res.locals.currentUser || null, ip: req.ip || "" };
+}
+
+/**
+ * Grava uma entrada no log de auditoria.
+ *
+ * @param {string} acao Uma de `ACOES_AUDITORIA` (ex.: "user.role").
+ * @param {ContextoAuditoria} contexto Quem fez e de onde.
+ * @param {{ kind: string, id?: any, label?: string }} alvo Sobre o quê.
+ * @param {{ antes?: object|null, depois?: object|null }} [mudanca] Resumo
+ *        do que mudou.
+ * @returns {Promise<void>}
+ */
+export async function registarAuditoria(acao, contexto, alvo, mudanca = {}) {
+    const { ator = null, ip = "" } = contexto || {};
+
+    try {
+        await AuditLog.create({
+            action: acao,
+            actor: ator ? ator.id : null,
+            actorName: ator ? ator.displayName : "",
+            target: {
+                kind: alvo.kind,
+                id: alvo.id ?? null,
+                label: alvo.label || "",
+            },
+            ip,
+            before: mudanca.antes ?? null,
+            after: mudanca.depois ?? null,
+        });
+    } catch (error) {
+        logger.error("Erro ao registar auditoria", { acao, error });
+    }
+}
+
+/**
+ * Põe o índice TTL do log de auditoria de acordo com `AUDIT_RETENTION_DAYS`
+ * (chamada no arranque, depois de ligar ao MongoDB).
+ *
+ * O Mongoose só cria índices que faltam: com o índice já criado com outra
+ * retenção, a criação falha (conflito de opções) e os registos
+ * continuariam a expirar ao fim do prazo antigo. Aqui muda-se o prazo do
+ * índice existente com `collMod`, sem o apagar nem o reconstruir.
+ *
+ * - Coleção ou índice ainda por criar → não há nada a ajustar (o Mongoose
+ *   cria-o já com o prazo certo).
+ * - Uma falha fica no log do servidor mas não impede o arranque.
+ *
+ * @returns {Promise<void>}
+ */
+export async function ajustarRetencaoAuditoria() {
+    try {
+        const indices = await AuditLog.collection.indexes();
+        const ttl = indices.find((indice) => indice.name === "createdAt_1");
+        if (!ttl || ttl.expireAfterSeconds === SEGUNDOS_RETENCAO_AUDITORIA) {
+            return;
+        }
+
+        await AuditLog.db.db.command({
+            collMod: AuditLog.collection.collectionName,
+            index: {
+                keyPattern: { createdAt: 1 },
+                expireAfterSeconds: SEGUNDOS_RETENCAO_AUDITORIA,
+            },
+        });
+        logger.info("Retenção do log de auditoria ajustada", {
+            antes: ttl.expireAfterSeconds ?? null,
+            depois: SEGUNDOS_RETENCAO_AUDITORIA,
+        });
+    } catch (error) {
+        // A coleção ainda não existe (base de dados nova).
+        if (error.codeName === "NamespaceNotFound") {
+            return;
+        }
+        logger.error("Erro ao ajustar a retenção do log de auditoria", {
+            error,
+        });
+    }
+}
+
+/**
+ * Lê uma data `AAAA-MM-DD` da query string.
+ *
+ * @param {unknown} valor Valor recebido.
+ * @returns {string} A data, ou "" se não for válida.
+ */
+function lerData(valor) {
+    return typeof valor === "string" &&
+        /^\d{4}-\d{2}-\d{2}$/.test(valor) &&
+        !Number.isNaN(Date.parse(valor))
+        ? valor
+        : "";
+}
+
+/**
+ * Lê os filtros do log vindos da query string.
+ *
+ * @param {Record<string, unknown>} query `req.query`.
+ * @returns {{ acao: string, q: string, de: string, ate: string,
+ *             page: number }} `de` e `ate` são dias (`AAAA-MM-DD`),
+ *          os dois incluídos.
+ */
+export function lerFiltrosAuditoria(query = {}) {
+    return {
+        acao: ACOES_AUDITORIA.includes(query.acao) ? query.acao : "",
+        q: typeof query.q === "string" ? query.q.trim().slice(0, 100) : "",
+        de: lerData(query.de),
+        ate: lerData(query.ate),
+        page: Math.max(Number.parseInt(query.page, 10) || 1, 1),
+    };
+}
+
+/**
+ * Filtro do MongoDB para os filtros do log.
+ *
+ * @param {ReturnType<typeof lerFiltrosAuditoria>} filtros `q` procura no
+ *        nome de quem fez, no alvo e no IP (sem distinguir maiúsculas).
+ * @returns {Record<string, unknown>}
+ */
+function construirFiltroAuditoria(filtros) {
+    const filtro = {};
+
+    if (filtros.acao) {
+        filtro.action = filtros.acao;
+    }
+    if (filtros.q) {
+        const padrao = new RegExp(escaparRegex(filtros.q), "i");
+        filtro.$or = [
+            { actorName: padrao },
+            { "target.label": padrao },
+            { ip: padrao },
+        ];
+    }
+    if (filtros.de || filtros.ate) {
+        filtro.createdAt = {};
+        if (filtros.de) {
+            filtro.createdAt.$gte = new Date(`${filtros.de}T00:00:00Z`);
+        }
+        if (filtros.ate) {
+            // Até ao fim do dia indicado.
+            const fim = new Date(`${filtros.ate}T00:00:00Z`);
+            fim.setUTCDate(fim.getUTCDate() + 1);
+            filtro.createdAt.$lt = fim;
+        }
+    }
+    return filtro;
+}
+
+/**
+ * Lista os registos, mais recentes primeiro.
+ *
+ * @param {ReturnType<typeof lerFiltrosAuditoria>} filtros
+ * @returns {Promise<{ registos: object[], total: number, page: number,
+ *                     pages: number, limit: number }>} Registos (lean).
+ */
+export async function listarAuditoria(filtros) {
+    const limit = REGISTOS_POR_PAGINA;
+    const filtro = construirFiltroAuditoria(filtros);
+
+    const total = await AuditLog.countDocuments(filtro);
+    const pages = Math.max(1, Math.ceil(total / limit));
+    const page = Math.min(filtros.page, pages);
+
+    const registos = await AuditLog.find(filtro)
+        .sort({ createdAt: -1, _id: -1 })
+        .skip((page - 1) * limit)
+        .limit(limit)
+        .lean();
+
+    return { registos, total, page, pages, limit };
+}
+
+/**
+ * Colunas do CSV exportado.
+ */
+const COLUNAS_CSV = [
+    "createdAt",
+    "action",
+    "actorId",
+    "actorName",
+    "targetKind",
+    "targetId",
+    "targetLabel",
+    "ip",
+    "before",
+    "after",
+];
+
+/**
+ * Escreve um valor como campo de CSV (entre aspas se for preciso).
+ *
+ * Valores que começam por `=`, `+`, `-` ou `@` levam um `'` à frente, para
+ * uma folha de cálculo não os tratar como fórmulas.
+ *
+ * @param {unknown} valor Valor.
+ * @returns {string}
+ */
+function campoCsv(valor) {
+    let texto = valor === null || valor === undefined ? "" : String(valor);
+
+    if (/^[=+\-@]/.test(texto)) {
+        texto = `'${texto}`;
+    }
+    return /[",\r\n]/.test(texto) ? `"${texto.replace(/"/g, '""')}"` : texto;
+}
+
+/**
+ * Exporta os registos em CSV (mais recentes primeiro), uma linha de cada
+ * vez, para não carregar o log inteiro em memória.
+ *
+ * @param {ReturnType<typeof lerFiltrosAuditoria>} filtros Os mesmos da
+ *        lista (a página é ignorada).
+ * @returns {AsyncGenerator<string>} Linhas do CSV (com `\r\n`), a começar
+ *          pelo cabeçalho. O ficheiro começa com um BOM, para o Excel
+ *          reconhecer os acentos (UTF-8).
+ */
+export async function* exportarAuditoriaCsv(filtros) {
+    yield `\uFEFF${COLUNAS_CSV.join(",")}\r\n`;
+
+    const cursor = AuditLog.find(construirFiltroAuditoria(filtros))
+        .sort({ createdAt: -1, _id: -1 })
+        .lean()
+        .cursor();
+
+    const json = (valor) => (valor == null ? "" : JSON.stringify(valor));
+
+    for await (const registo of cursor) {
+        const campos = [
+            new Date(registo.createdAt).toISOString(),
+            registo.action,
+            registo.actor,
+            registo.actorName,
+            registo.target?.kind,
+            registo.target?.id,
+            registo.target?.label,
+            registo.ip,
+            json(registo.before),
+            json(registo.after),
+        ];
+        yield `${campos.map(campoCsv).join(",")}\r\n`;
+    }
+}
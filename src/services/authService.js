@@ -0,0 +1,316 @@
+/**
+ * src/services/authService.js
+ * ---------------------------
+ * Lógica de autenticação: hashing de passwords, verificação de credenciais
+ * e criação de contas.
+ *
+ * LEMBRETE:
+ * - Nunca guardamos a password original; só o hash (bcrypt).
+ * - No login, o `bcrypt.compare` compara a password escrita com o hash.
+ */
+
+import bcrypt from "bcrypt";
+
+import User from "../models/User.js";
+import { t } from "../utils/i18n.js";
+import { eErroDeValidacao, mensagensDeValidacao } from "../utils/validation.js";
+import { enviarEmail } from "./mail/index.js";
+import * as tokenService from "./tokenService.js";
+
+export const SALT_ROUNDS = 10;
+export const PASSWORD_TAMANHO_MINIMO = 8;
+
+/**
+ * Hash usado quando o email não existe, para que o tempo de resposta do
+ * login seja parecido nos dois casos (não revela que emails existem).
+ */
+const HASH_FICTICIO = bcrypt.hashSync("password-que-nao-existe", SALT_ROUNDS);
+
+/**
+ * Erro de negócio com mensagens prontas a mostrar ao utilizador
+ * (no formato do array `erros` usado pelo `_alerts.ejs`).
+ */
+export class AuthError extends Error {
+    /**
+     * @param {string[]} erros Mensagens amigáveis.
+     */
+    constructor(erros) {
+        super(erros.join(" "));
+        this.name = "AuthError";
+        this.erros = erros;
+    }
+}
+
+/**
+ * Cria um hash de password seguro usando bcrypt.
+ *
+ * @param {string} plainPassword Password em texto simples.
+ * @returns {Promise<string>} Hash da password.
+ */
+export async function gerarPasswordHash(plainPassword) {
+    return bcrypt.hash(plainPassword, SALT_ROUNDS);
+}
+
+/**
+ * Verifica um par email/password.
+ *
+ * @param {string} email Email escrito no formulário.
+ * @param {string} password Password escrita no formulário.
+ * @returns {Promise<import("mongoose").Document|null>} O utilizador, ou
+ *          `null` se as credenciais estiverem erradas (sem dizer porquê).
+ */
+export async function verificarCredenciais(email, password) {
+    const emailNormalizado = String(email || "")
+        .trim()
+        .toLowerCase();
+    const user = emailNormalizado
+        ? await User.findOne({ email: emailNormalizado })
+        : null;
+
+    const passwordCorreta = await bcrypt.compare(
+        String(password || ""),
+        user ? user.passwordHash : HASH_FICTICIO
+    );
+
+    return user && passwordCorreta ? user : null;
+}
+
+/**
+ * Indica se um erro do MongoDB é de chave duplicada (E11000) no email.
+ *
+ * @param {any} error Erro apanhado num `catch`.
+ * @returns {boolean}
+ */
+export function eEmailDuplicado(error) {
+    return (
+        error?.code === 11000 &&
+        Boolean(error.keyPattern?.email || error.keyValue?.email)
+    );
+}
+
+/**
+ * Verifica as regras de uma password nova (registo ou recuperação).
+ *
+ * @param {string} password Password escolhida.
+ * @param {string} passwordConfirm Confirmação.
+ * @returns {string[]} Mensagens de erro (vazio se estiver tudo bem).
+ */
+export function validarNovaPassword(password, passwordConfirm) {
+    const erros = [];
+
+    if (String(password || "").length < PASSWORD_TAMANHO_MINIMO) {
+        erros.push(
+            t("auth.erros.passwordCurta", { minimo: PASSWORD_TAMANHO_MINIMO })
+        );
+    }
+
+    if (password !== passwordConfirm) {
+        erros.push(t("auth.erros.passwordsDiferentes"));
+    }
+
+    return erros;
+}
+
+/**
+ * Cria uma conta nova com o role por omissão ("user").
+ *
+ * REGRAS:
+ * - Password com pelo menos `PASSWORD_TAMANHO_MINIMO` caracteres.
+ * - Password e confirmação têm de ser iguais.
+ * - Nome e email validados pelo schema `User`.
+ * - Email único (E11000 é convertido numa mensagem amigável).
+ *
+ * Todos os problemas são reportados de uma vez (não só o primeiro).
+ *
+ * @param {{ displayName: string, email: string, password: string,
+ *           passwordConfirm: string }} dados Dados do formulário.
+ * @returns {Promise<import("mongoose").Document>} Utilizador criado.
+ * @throws {AuthError} Quando alguma regra falha.
+ */
+export async function registarUtilizador(dados) {
+    const password = String(dados.password || "");
+    const erros = validarNovaPassword(password, dados.passwordConfirm);
+
+    const user = new User({
+        displayName: dados.displayName,
+        email: dados.email,
+    });
+
+    try {
+        // Valida nome e email antes de gastar tempo com o bcrypt.
+        await user.validate(["displayName", "email"]);
+    } catch (error) {
+        if (!eErroDeValidacao(error)) {
+            throw error;
+        }
+        erros.push(...mensagensDeValidacao(error));
+    }
+
+    if (erros.length > 0) {
+        throw new AuthError(erros);
+    }
+
+    user.passwordHash = await gerarPasswordHash(password);
+
+    try {
+        await user.save();
+    } catch (error) {
+        if (eEmailDuplicado(error)) {
+            throw new AuthError([t("auth.erros.emailDuplicado")]);
+        }
+        throw error;
+    }
+
+    return user;
+}
+
+/**
+ * Envia (ou volta a enviar) o email com o link de verificação.
+ *
+ * @param {import("mongoose").Document} user Utilizador.
+ * @param {string} urlBase URL base da app (ver `urlBaseEmails`).
+ * @returns {Promise<void>}
+ */
+export async function enviarEmailVerificacao(user, urlBase) {
+    const token = await tokenService.criarToken(user._id, "email-verification");
+    const link = `${urlBase}/verificar-email/${token}`;
+
+    await enviarEmail({
+        to: user.email,
+        subject: t("emails.verificacao.assunto"),
+        text: t("emails.verificacao.texto", { nome: user.displayName, link }),
+    });
+}
+
+/**
+ * Marca o email como verificado a partir do token recebido no link.
+ *
+ * @param {string} token Token em claro (vem do URL).
+ * @returns {Promise<boolean>} `true` se o token era válido.
+ */
+export async function verificarEmail(token) {
+    const userId = await tokenService.consumirToken(
+        token,
+        "email-verification"
+    );
+    if (!userId) {
+        return false;
+    }
+
+    await User.updateOne(
+        { _id: userId, emailVerifiedAt: null },
+        { $set: { emailVerifiedAt: new Date() } }
+    );
+    return true;
+}
+
+/**
+ * Pedido de recuperação de password ("esqueci-me da password").
+ *
+ * NOTA:
+ * - Se o email não existir, não fazemos nada — mas também não dizemos
+ *   isso ao utilizador (o controlador mostra sempre a mesma mensagem).
+ *
+ * @param {string} email Email escrito no formulário.
+ * @param {string} urlBase URL base da app.
+ * @returns {Promise<void>}
+ */
+export async function pedirRecuperacaoPassword(email, urlBase) {
+    const user = await User.findOne({
+        email: String(email || "")
+            .trim()
+            .toLowerCase(),
+    });
+    // Contas desativadas não entram, por isso também não recuperam a
+    // password.
+    if (!user || user.deactivatedAt) {
+        return;
+    }
+
+    const token = await tokenService.criarToken(user._id, "password-reset");
+    const link = `${urlBase}/redefinir-password/${token}`;
+
+    await enviarEmail({
+        to: user.email,
+        subject: t("emails.recuperacao.assunto"),
+        text: t("emails.recuperacao.texto", { nome: user.displayName, link }),
+    });
+}
+
+/**
+ * Define uma password nova a partir de um token de recuperação.
+ *
+ * - O token é gasto (uso único).
+ * - `passwordChangedAt` é atualizado, o que termina as sessões abertas
+ *   antes desta altura (ver `anexarUtilizadorAsViews`).
+ * - Abrir o link do email também prova que o email é do utilizador, por
+ *   isso aproveitamos para o marcar como verificado.
+ *
+ * @param {string} token Token em claro (vem do URL).
+ * @param {string} password Password nova.
+ * @param {string} passwordConfirm Confirmação.
+ * @returns {Promise<import("mongoose").Document>} Utilizador atualizado.
+ * @throws {AuthError} Password inválida ou token inválido/expirado.
+ */
+export async function redefinirPassword(token, password, passwordConfirm) {
+    const erros = validarNovaPassword(password, passwordConfirm);
+    if (erros.length > 0) {
+        throw new AuthError(erros);
+    }
+
+    const userId = await tokenService.consumirToken(token, "password-reset");
+    const user = userId ? await User.findById(userId) : null;
+    if (!user) {
+        throw new AuthError([t("auth.erros.linkRecuperacaoInvalido")]);
+    }
+
+    user.passwordHash = await gerarPasswordHash(password);
+    user.passwordChangedAt = new Date();
+    if (!user.emailVerifiedAt) {
+        user.emailVerifiedAt = new Date();
+    }
+    await user.save();
+
+    return user;
+}
+
+/**
+ * Muda a password de quem tem sessão iniciada (página de definições).
+ *
+ * - Pede a password atual: uma sessão esquecida aberta num computador
+ *   partilhado não chega para ficar com a conta.
+ * - `passwordChangedAt` é atualizado, o que termina as outras sessões
+ *   abertas (quem chama deve renovar a sessão atual).
+ *
+ * @param {string} userId Utilizador da sessão.
+ * @param {{ passwordAtual: string, password: string,
+ *           passwordConfirm: string }} dados Dados do formulário.
+ * @returns {Promise<import("mongoose").Document>} Utilizador atualizado.
+ * @throws {AuthError} Password atual errada ou password nova inválida.
+ */
+export async function alterarPassword(userId, dados) {
+    const user = await User.findById(userId);
+    if (!user) {
+        throw new AuthError([t("auth.erros.sessaoTerminou")]);
+    }
+
+    const passwordAtualCorreta = await bcrypt.compare(
+        String(dados.passwordAtual || ""),
+        user.passwordHash
+    );
+    const erros = passwordAtualCorreta
+        ? []
+        : [t("auth.erros.passwordAtualErrada")];
+
+    const password = String(dados.password || "");
+    erros.push(...validarNovaPassword(password, dados.passwordConfirm));
+    if (erros.length > 0) {
+        throw new AuthError(erros);
+    }
+
+    user.passwordHash = await gerarPasswordHash(password);
+    user.passwordChangedAt = new Date();
+    await user.save();
+
+    return user;
+}
@@ -0,0 +1,783 @@
+/**
+ * src/services/commentService.js
+ * ------------------------------
+ * Lógica dos comentários das teorias (coleção `Comment`), das respostas
+ * e das reações.
+ *
+ * REGRAS:
+ * - Cada comentário pertence a um utilizador (`author`); o `authorName` é
+ *   só o nome que tinha quando comentou (para mostrar).
+ * - Comentários novos ficam "pending" até um moderador os aprovar. Os de
+ *   quem já tem a capacidade `comment:moderate` entram logo "approved".
+ * - O autor pode editar/apagar o seu comentário durante
+ *   `JANELA_EDICAO_MS` depois de o ter publicado. Uma edição volta a pôr
+ *   o comentário na fila de moderação. Se já tiver respostas, apagar
+ *   deixa-o como "[removido]" (`removedAt`) e as respostas ficam.
+ * - Só se comenta em teorias publicadas (`status: "published"`).
+ * - Numa teoria com `commentsLocked`, não se comenta, responde nem edita.
+ * - Só se responde a comentários aprovados, até `PROFUNDIDADE_MAXIMA`
+ *   níveis (configurável com `COMMENTS_MAX_DEPTH` no `.env`).
+ * - Cada utilizador tem no máximo uma reação por comentário.
+ * - `Theory.commentCount` guarda o número de comentários aprovados (sem
+ *   os removidos).
+ * - As ações de moderação (aprovar, ocultar, apagar, abrir/fechar os
+ *   comentários de uma teoria) ficam no log de auditoria.
+ */
+
+import mongoose from "mongoose";
+
+import { config } from "../config/env.js";
+import { PERMISSOES } from "../config/permissions.js";
+import Comment, {
+    ESTADOS_COMENTARIO,
+    TEXTO_REMOVIDO,
+    TIPOS_REACAO,
+} from "../models/Comment.js";
+import Reaction from "../models/Reaction.js";
+import Theory from "../models/Theory.js";
+import { t } from "../utils/i18n.js";
+import { registarAuditoria } from "./auditService.js";
+
+export const JANELA_EDICAO_MS = 15 * 60 * 1000;
+
+/**
+ * Número máximo de níveis de uma conversa (1 = sem respostas).
+ */
+export const PROFUNDIDADE_MAXIMA = config.commentsMaxDepth;
+
+/**
+ * Ordenações possíveis dos comentários de topo (as respostas aparecem
+ * sempre da mais antiga para a mais recente).
+ */
+export const ORDENACOES_COMENTARIOS = {
+    newest: { createdAt: -1, _id: -1 },
+    oldest: { createdAt: 1, _id: 1 },
+    "most-reactions": { reactionTotal: -1, createdAt: -1, _id: -1 },
+};
+
+/**
+ * Ações de moderação e o estado em que deixam o comentário.
+ */
+export const ACOES_MODERACAO = Object.freeze({
+    aprovar: "approved",
+    ocultar: "hidden",
+});
+
+/**
+ * Erro de negócio dos comentários, com o código HTTP a devolver.
+ */
+export class CommentError extends Error {
+    /**
+     * @param {string} mensagem Mensagem amigável.
+     * @param {number} [status] Código HTTP (403 por omissão).
+     */
+    constructor(mensagem, status = 403) {
+        super(mensagem);
+        this.name = "CommentError";
+        this.status = status;
+    }
+}
+
+/**
+ * @param {{ permissions: string[] }|null} currentUser Utilizador da sessão.
+ * @returns {boolean}
+ */
+function podeModerar(currentUser) {
+    return Boolean(
+        currentUser &&
+            currentUser.permissions.includes(PERMISSOES.COMMENT_MODERATE)
+    );
+}
+
+/**
+ * @param {{ author?: any }} comment Comentário.
+ * @param {{ id: string }|null} currentUser Utilizador da sessão.
+ * @returns {boolean}
+ */
+function eAutor(comment, currentUser) {
+    return Boolean(
+        currentUser &&
+            comment.author &&
+            comment.author.toString() === currentUser.id
+    );
+}
+
+/**
+ * Indica se ainda estamos dentro da janela de edição do comentário.
+ *
+ * @param {{ createdAt?: Date }} comment Comentário.
+ * @param {number} [agora] Instante de referência (ms).
+ * @returns {boolean}
+ */
+export function dentroDaJanelaDeEdicao(comment, agora = Date.now()) {
+    return (
+        Boolean(comment.createdAt) &&
+        agora - new Date(comment.createdAt).getTime() <= JANELA_EDICAO_MS
+    );
+}
+
+/**
+ * Lê a ordenação dos comentários a partir da query string.
+ *
+ * @param {unknown} valor Valor de `req.query.sort`.
+ * @returns {keyof typeof ORDENACOES_COMENTARIOS}
+ */
+export function lerOrdenacaoComentarios(valor) {
+    return Object.hasOwn(ORDENACOES_COMENTARIOS, valor) ? valor : "newest";
+}
+
+/**
+ * Recalcula `Theory.commentCount` (comentários aprovados).
+ *
+ * @param {import("mongoose").Types.ObjectId|string} theoryId Teoria.
+ * @returns {Promise<void>}
+ */
+async function atualizarContagem(theoryId) {
+    const commentCount = await Comment.countDocuments({
+        theory: theoryId,
+        status: "approved",
+        removedAt: null,
+    });
+    // Um comentário novo não é uma alteração da teoria: sem mexer no
+    // `updatedAt` (que os feeds e o sitemap usam como data de alteração).
+    await Theory.updateOne(
+        { _id: theoryId },
+        { $set: { commentCount } },
+        { timestamps: false }
+    );
+}
+
+/**
+ * Recalcula as contagens de reações de um comentário.
+ *
+ * @param {import("mongoose").Types.ObjectId|string} commentId Comentário.
+ * @returns {Promise<{ reactionCounts: Record<string, number>,
+ *                     reactionTotal: number }>}
+ */
+async function atualizarReacoes(commentId) {
+    const grupos = await Reaction.aggregate([
+        { $match: { comment: new mongoose.Types.ObjectId(commentId) } },
+        { $group: { _id: "$type", total: { $sum: 1 } } },
+    ]);
+
+    const reactionCounts = Object.fromEntries(
+        TIPOS_REACAO.map((tipo) => [tipo, 0])
+    );
+    grupos.forEach((g) => {
+        reactionCounts[g._id] = g.total;
+    });
+    const reactionTotal = grupos.reduce((soma, g) => soma + g.total, 0);
+
+    await Comment.updateOne(
+        { _id: commentId },
+        { $set: { reactionCounts, reactionTotal } }
+    );
+    return { reactionCounts, reactionTotal };
+}
+
+/**
+ * Apaga comentários (e as respostas a eles) e as reações respetivas.
+ *
+ * @param {object} filtro Filtro dos comentários de topo a apagar.
+ * @returns {Promise<number>} Número de comentários apagados.
+ */
+async function apagarComRespostas(filtro) {
+    const raizes = await Comment.find(filtro).select("_id").lean();
+    if (raizes.length === 0) {
+        return 0;
+    }
+
+    const idsRaiz = raizes.map((c) => c._id);
+    const todos = await Comment.find({
+        $or: [{ _id: { $in: idsRaiz } }, { ancestors: { $in: idsRaiz } }],
+    })
+        .select("_id")
+        .lean();
+    const ids = todos.map((c) => c._id);
+
+    await Reaction.deleteMany({ comment: { $in: ids } });
+    const resultado = await Comment.deleteMany({ _id: { $in: ids } });
+    return resultado.deletedCount;
+}
+
+/**
+ * Depois de apagar uma resposta, apaga os "[removido]" acima dela que
+ * ficaram sem respostas (já não seguram nenhuma conversa).
+ *
+ * @param {import("mongoose").Types.ObjectId[]} ancestors Antepassados do
+ *        comentário apagado (do topo para baixo).
+ * @returns {Promise<void>}
+ */
+async function apagarRemovidosSemRespostas(ancestors) {
+    for (const id of [...ancestors].reverse()) {
+        if (await Comment.exists({ ancestors: id })) {
+            return;
+        }
+        const { deletedCount } = await Comment.deleteOne({
+            _id: id,
+            removedAt: { $ne: null },
+        });
+        if (deletedCount === 0) {
+            return;
+        }
+    }
+}
+
+/**
+ * Carrega uma teoria publicada (lean) pelo slug atual.
+ *
+ * Teorias por publicar (ou arquivadas) não aceitam comentários: para
+ * quem comenta, é como se não existissem.
+ *
+ * @param {string} slug Slug da teoria.
+ * @returns {Promise<object>}
+ * @throws {CommentError} 404 se não existir.
+ */
+async function carregarTeoria(slug) {
+    const theory = await Theory.findOne({ slug, status: "published" })
+        .select("title slug commentsLocked")
+        .lean();
+    if (!theory) {
+        throw new CommentError(t("teorias.naoEncontrada"), 404);
+    }
+    return theory;
+}
+
+/**
+ * Carrega um comentário de uma teoria (documento Mongoose).
+ *
+ * @param {object} theory Teoria (lean).
+ * @param {string} commentId `_id` do comentário (vem do URL).
+ * @returns {Promise<import("mongoose").Document>}
+ * @throws {CommentError} 404 se não existir, estiver oculto ou removido
+ *         (ou o id for inválido).
+ */
+async function carregarComentario(theory, commentId) {
+    const comment = mongoose.isValidObjectId(commentId)
+        ? await Comment.findOne({ _id: commentId, theory: theory._id })
+        : null;
+
+    if (!comment || comment.status === "hidden" || comment.removedAt) {
+        throw new CommentError(t("comentarios.naoEncontrado"), 404);
+    }
+    return comment;
+}
+
+/**
+ * Carrega a teoria e um dos seus comentários, verificando que o
+ * utilizador é o autor e que ainda está dentro da janela de edição.
+ *
+ * @param {string} slug Slug da teoria.
+ * @param {string} commentId `_id` do comentário.
+ * @param {{ id: string }} currentUser Utilizador da sessão.
+ * @returns {Promise<{ theory: object, comment: import("mongoose").Document }>}
+ * @throws {CommentError} 404 (não existe) ou 403 (sem direito).
+ */
+async function carregarComentarioDoAutor(slug, commentId, currentUser) {
+    const theory = await carregarTeoria(slug);
+    const comment = await carregarComentario(theory, commentId);
+
+    if (!eAutor(comment, currentUser)) {
+        throw new CommentError(t("comentarios.erros.soOAutor"));
+    }
+
+    if (!dentroDaJanelaDeEdicao(comment)) {
+        throw new CommentError(
+            t("comentarios.erros.janelaEdicao", {
+                count: JANELA_EDICAO_MS / 60000,
+            })
+        );
+    }
+
+    return { theory, comment };
+}
+
+/**
+ * Carrega os comentários de uma teoria, em árvore, prontos para a vista.
+ *
+ * - Todos veem os aprovados; o autor vê também os seus pendentes.
+ * - Os ocultos não aparecem (nem as respostas a eles).
+ * - Os removidos aparecem sem autor (`removido: true`), só para segurar
+ *   as respostas.
+ * - Cada comentário leva `pendente`, `removido`, `podeEditar`,
+ *   `podeApagar`, `podeResponder`, `minhaReacao` e `respostas` (array).
+ *
+ * @param {object} theory Teoria (lean).
+ * @param {{ id: string, permissions: string[] }|null} currentUser
+ * @param {keyof typeof ORDENACOES_COMENTARIOS} [ordenacao]
+ * @returns {Promise<object[]>} Comentários de topo, ordenados.
+ */
+export async function carregarComentariosParaVista(
+    theory,
+    currentUser,
+    ordenacao = "newest"
+) {
+    const visiveis = [{ status: "approved" }];
+    if (currentUser) {
+        visiveis.push({ status: "pending", author: currentUser.id });
+    }
+
+    const filtro = { theory: theory._id, $or: visiveis };
+    const [topo, respostas] = await Promise.all([
+        Comment.find({ ...filtro, parent: null })
+            .sort(ORDENACOES_COMENTARIOS[ordenacao])
+            .lean(),
+        Comment.find({ ...filtro, parent: { $ne: null } })
+            .sort({ createdAt: 1, _id: 1 })
+            .lean(),
+    ]);
+    const comentarios = [...topo, ...respostas];
+
+    const minhasReacoes = new Map();
+    if (currentUser && comentarios.length > 0) {
+        const reacoes = await Reaction.find({
+            user: currentUser.id,
+            comment: { $in: comentarios.map((c) => c._id) },
+        }).lean();
+        reacoes.forEach((r) => minhasReacoes.set(r.comment.toString(), r.type));
+    }
+
+    const agora = Date.now();
+    const porId = new Map();
+    const preparar = (c) => {
+        const removido = Boolean(c.removedAt);
+        const podeMexer =
+            !removido &&
+            eAutor(c, currentUser) &&
+            dentroDaJanelaDeEdicao(c, agora);
+        const preparado = {
+            ...c,
+            ...(removido && {
+                authorName: "",
+                text: t("comentarios.removido"),
+            }),
+            pendente: c.status === "pending",
+            removido,
+            podeEditar: podeMexer && !theory.commentsLocked,
+            podeApagar: podeMexer,
+            podeResponder:
+                Boolean(currentUser) &&
+                !removido &&
+                c.status === "approved" &&
+                c.depth < PROFUNDIDADE_MAXIMA - 1 &&
+                !theory.commentsLocked,
+            minhaReacao: minhasReacoes.get(c._id.toString()) || null,
+            respostas: [],
+        };
+        porId.set(c._id.toString(), preparado);
+        return preparado;
+    };
+
+    const arvore = topo.map(preparar);
+
+    // As respostas vêm por ordem cronológica, por isso o "pai" de cada uma
+    // já foi preparado quando lá chegamos. Respostas a comentários que não
+    // se veem também não aparecem.
+    respostas.map(preparar).forEach((c) => {
+        const pai = porId.get(c.parent.toString());
+        if (pai) {
+            pai.respostas.push(c);
+        }
+    });
+
+    return arvore;
+}
+
+/**
+ * Publica um comentário novo (ou uma resposta, se `parentId` vier).
+ *
+ * @param {string} slug Slug da teoria.
+ * @param {{ id: string, displayName: string, permissions: string[] }} currentUser
+ * @param {string} text Texto do comentário.
+ * @param {string} [parentId] `_id` do comentário a que se responde.
+ * @returns {Promise<import("mongoose").Document>} Comentário criado.
+ * @throws {CommentError} Teoria/comentário inexistente, comentários
+ *         fechados ou profundidade máxima atingida.
+ * @throws {import("mongoose").Error.ValidationError} Texto inválido.
+ */
+export async function criarComentario(slug, currentUser, text, parentId) {
+    const theory = await carregarTeoria(slug);
+
+    if (theory.commentsLocked) {
+        throw new CommentError(t("comentarios.erros.fechados"));
+    }
+
+    let parent = null;
+    if (parentId) {
+        parent = await carregarComentario(theory, parentId);
+
+        if (parent.status !== "approved") {
+            throw new CommentError(t("comentarios.erros.soAprovados"));
+        }
+        if (parent.depth >= PROFUNDIDADE_MAXIMA - 1) {
+            throw new CommentError(t("comentarios.erros.profundidadeMaxima"));
+        }
+    }
+
+    const moderador = podeModerar(currentUser);
+    const comment = await Comment.create({
+        theory: theory._id,
+        parent: parent ? parent._id : null,
+        ancestors: parent ? [...parent.ancestors, parent._id] : [],
+        depth: parent ? parent.depth + 1 : 0,
+        author: currentUser.id,
+        authorName: currentUser.displayName,
+        text,
+        status: moderador ? "approved" : "pending",
+    });
+
+    if (comment.status === "approved") {
+        await atualizarContagem(theory._id);
+    }
+
+    return comment;
+}
+
+/**
+ * Mostra um comentário do próprio autor, para o formulário de edição.
+ *
+ * @param {string} slug Slug da teoria.
+ * @param {string} commentId `_id` do comentário.
+ * @param {{ id: string }} currentUser Utilizador da sessão.
+ * @returns {Promise<{ theory: object, comment: object }>} Dados simples.
+ * @throws {CommentError}
+ */
+export async function obterComentarioParaEditar(slug, commentId, currentUser) {
+    const { theory, comment } = await carregarComentarioDoAutor(
+        slug,
+        commentId,
+        currentUser
+    );
+
+    if (theory.commentsLocked) {
+        throw new CommentError(t("comentarios.erros.fechados"));
+    }
+
+    return { theory, comment: comment.toObject() };
+}
+
+/**
+ * Edita o texto de um comentário (só o autor, dentro da janela).
+ *
+ * @param {string} slug Slug da teoria.
+ * @param {string} commentId `_id` do comentário.
+ * @param {{ id: string, permissions: string[] }} currentUser
+ * @param {string} text Texto novo.
+ * @returns {Promise<import("mongoose").Document>} Comentário gravado.
+ * @throws {CommentError}
+ * @throws {import("mongoose").Error.ValidationError} Texto inválido.
+ */
+export async function editarComentario(slug, commentId, currentUser, text) {
+    const { theory, comment } = await carregarComentarioDoAutor(
+        slug,
+        commentId,
+        currentUser
+    );
+
+    if (theory.commentsLocked) {
+        throw new CommentError(t("comentarios.erros.fechados"));
+    }
+
+    comment.text = text;
+    // Texto novo → volta a precisar de aprovação (exceto moderadores).
+    if (!podeModerar(currentUser)) {
+        comment.status = "pending";
+    }
+
+    await comment.save();
+    await atualizarContagem(theory._id);
+    return comment;
+}
+
+/**
+ * Apaga um comentário a pedido do autor (dentro da janela).
+ *
+ * - Sem respostas → é apagado (com as reações).
+ * - Com respostas → fica como "[removido]": o texto é trocado, as
+ *   reações saem e o autor deixa de aparecer. As respostas são de outras
+ *   pessoas e ficam.
+ *
+ * @param {string} slug Slug da teoria.
+ * @param {string} commentId `_id` do comentário.
+ * @param {{ id: string }} currentUser Utilizador da sessão.
+ * @returns {Promise<void>}
+ * @throws {CommentError}
+ */
+export async function apagarComentarioDoAutor(slug, commentId, currentUser) {
+    const { theory, comment } = await carregarComentarioDoAutor(
+        slug,
+        commentId,
+        currentUser
+    );
+
+    if (await Comment.exists({ ancestors: comment._id })) {
+        await Reaction.deleteMany({ comment: comment._id });
+        // Sem timestamps, para não aparecer como "editado".
+        await Comment.updateOne(
+            { _id: comment._id },
+            {
+                $set: {
+                    removedAt: new Date(),
+                    text: TEXTO_REMOVIDO,
+                    reactionCounts: Object.fromEntries(
+                        TIPOS_REACAO.map((tipo) => [tipo, 0])
+                    ),
+                    reactionTotal: 0,
+                },
+            },
+            { timestamps: false }
+        );
+    } else {
+        await apagarComRespostas({ _id: comment._id });
+        await apagarRemovidosSemRespostas(comment.ancestors);
+    }
+    await atualizarContagem(theory._id);
+}
+
+/**
+ * Reage a um comentário aprovado. Repetir a mesma reação retira-a;
+ * escolher outra troca a anterior (uma reação por utilizador).
+ *
+ * @param {string} slug Slug da teoria.
+ * @param {string} commentId `_id` do comentário.
+ * @param {{ id: string }} currentUser Utilizador da sessão.
+ * @param {string} tipo "believe" | "doubt" | "lol".
+ * @returns {Promise<{ reactionCounts: Record<string, number>,
+ *                     reactionTotal: number }>} Contagens novas.
+ * @throws {CommentError}
+ */
+export async function reagir(slug, commentId, currentUser, tipo) {
+    if (!TIPOS_REACAO.includes(tipo)) {
+        throw new CommentError(t("validacao.reacao.tipoInvalido"), 400);
+    }
+
+    const theory = await carregarTeoria(slug);
+    const comment = await carregarComentario(theory, commentId);
+
+    if (comment.status !== "approved") {
+        throw new CommentError(t("comentarios.erros.reagirSoAprovados"));
+    }
+
+    const filtro = { comment: comment._id, user: currentUser.id };
+
+    // Cada passo é uma só operação no MongoDB (um duplo clique ou dois
+    // separadores não leem e escrevem por cima um do outro):
+    // 1. a mesma reação já existia → é retirada;
+    // 2. senão, cria ou troca a reação. Se dois pedidos criarem ao mesmo
+    //    tempo, o índice único recusa o segundo, que tenta outra vez e já
+    //    encontra a reação.
+    const retirada = await Reaction.findOneAndDelete({ ...filtro, type: tipo });
+    if (!retirada) {
+        for (let tentativa = 1; ; tentativa += 1) {
+            try {
+                await Reaction.updateOne(
+                    filtro,
+                    { $set: { type: tipo } },
+                    { upsert: true, runValidators: true }
+                );
+                break;
+            } catch (error) {
+                if (error?.code !== 11000 || tentativa >= 2) {
+                    throw error;
+                }
+            }
+        }
+    }
+
+    return atualizarReacoes(comment._id);
+}
+
+/**
+ * Comentários por página na fila de moderação.
+ */
+export const COMENTARIOS_POR_PAGINA = 30;
+
+/**
+ * Fila de moderação: comentários num dado estado, de todas as teorias,
+ * uma página de cada vez (o separador "approved" tem quase todos os
+ * comentários da BD).
+ *
+ * @param {string} estado "pending" | "approved" | "hidden".
+ * @param {number} [pagina] Página pedida (acima da última → a última).
+ * @returns {Promise<{ itens: Array<{ theory: { _id: any, title: string,
+ *                                              slug: string },
+ *                                    comment: object }>,
+ *                     total: number, page: number, pages: number,
+ *                     limit: number }>} Mais antigos primeiro.
+ */
+export async function listarFilaModeracao(estado, pagina = 1) {
+    const status = ESTADOS_COMENTARIO.includes(estado) ? estado : "pending";
+    const limit = COMENTARIOS_POR_PAGINA;
+
+    // Os removidos não têm nada para moderar.
+    const filtro = { status, removedAt: null };
+    const total = await Comment.countDocuments(filtro);
+    const pages = Math.max(1, Math.ceil(total / limit));
+    const page = Math.min(Math.max(pagina, 1), pages);
+
+    const comentarios = await Comment.find(filtro)
+        .sort({ createdAt: 1, _id: 1 })
+        .skip((page - 1) * limit)
+        .limit(limit)
+        .populate("theory", "title slug")
+        .lean();
+
+    const itens = comentarios
+        .filter((c) => c.theory)
+        .map((c) => ({ theory: c.theory, comment: c }));
+
+    return { itens, total, page, pages, limit };
+}
+
+/**
+ * Conta os comentários à espera de moderação.
+ *
+ * @returns {Promise<number>}
+ */
+export async function contarPendentes() {
+    return Comment.countDocuments({ status: "pending" });
+}
+
+/**
+ * Ação de auditoria de cada ação de moderação.
+ */
+const AUDITORIA_MODERACAO = {
+    aprovar: "comment.approve",
+    ocultar: "comment.hide",
+};
+
+/**
+ * Alvo de auditoria de um comentário (autor e início do texto).
+ *
+ * @param {{ _id: any, authorName?: string, text?: string }} comment
+ * @returns {{ kind: string, id: any, label: string }}
+ */
+function alvoComentario(comment) {
+    const texto = comment.text || "";
+    const inicio = texto.length > 60 ? `${texto.slice(0, 60)}…` : texto;
+
+    return {
+        kind: "comment",
+        id: comment._id,
+        label: `${comment.authorName}: ${inicio}`,
+    };
+}
+
+/**
+ * Aprova ou oculta um comentário.
+ *
+ * @param {string} commentId `_id` do comentário.
+ * @param {keyof typeof ACOES_MODERACAO} acao "aprovar" | "ocultar".
+ * @param {import("./auditService.js").ContextoAuditoria} contexto Quem
+ *        modera e de onde.
+ * @returns {Promise<boolean>} `true` se o comentário existia.
+ */
+export async function moderarComentario(commentId, acao, contexto) {
+    const status = ACOES_MODERACAO[acao];
+    if (!status) {
+        throw new CommentError(t("comentarios.erros.acaoDesconhecida"), 400);
+    }
+    if (!mongoose.isValidObjectId(commentId)) {
+        return false;
+    }
+
+    // Documento de antes da alteração (para o log de auditoria).
+    const anterior = await Comment.findByIdAndUpdate(commentId, {
+        $set: {
+            status,
+            moderatedBy: contexto.ator ? contexto.ator.id : null,
+            moderatedAt: new Date(),
+        },
+    }).lean();
+
+    if (!anterior) {
+        return false;
+    }
+
+    await atualizarContagem(anterior.theory);
+    await registarAuditoria(
+        AUDITORIA_MODERACAO[acao],
+        contexto,
+        alvoComentario(anterior),
+        { antes: { status: anterior.status }, depois: { status } }
+    );
+    return true;
+}
+
+/**
+ * Apaga um comentário e as respostas a ele (moderação; sem limite de
+ * tempo).
+ *
+ * @param {string} commentId `_id` do comentário.
+ * @param {import("./auditService.js").ContextoAuditoria} contexto Quem
+ *        apaga e de onde.
+ * @returns {Promise<boolean>} `true` se o comentário existia.
+ */
+export async function apagarComentario(commentId, contexto) {
+    if (!mongoose.isValidObjectId(commentId)) {
+        return false;
+    }
+
+    const comment = await Comment.findById(commentId)
+        .select("theory ancestors authorName text status")
+        .lean();
+    if (!comment) {
+        return false;
+    }
+
+    const apagados = await apagarComRespostas({ _id: comment._id });
+    await apagarRemovidosSemRespostas(comment.ancestors);
+    await atualizarContagem(comment.theory);
+    await registarAuditoria(
+        "comment.delete",
+        contexto,
+        alvoComentario(comment),
+        { antes: { status: comment.status, deletedCount: apagados } }
+    );
+    return true;
+}
+
+/**
+ * Apaga todos os comentários (e reações) de uma teoria.
+ *
+ * @param {import("mongoose").Types.ObjectId|string} theoryId Teoria.
+ * @returns {Promise<number>} Número de comentários apagados.
+ */
+export async function apagarComentariosDaTeoria(theoryId) {
+    return apagarComRespostas({ theory: theoryId });
+}
+
+/**
+ * Abre ou fecha os comentários de uma teoria.
+ *
+ * @param {string} theoryId `_id` da teoria.
+ * @param {import("./auditService.js").ContextoAuditoria} contexto Quem
+ *        abre/fecha e de onde.
+ * @returns {Promise<boolean|null>} Novo valor de `commentsLocked`, ou
+ *          `null` se a teoria não existir.
+ */
+export async function alternarBloqueioComentarios(theoryId, contexto) {
+    const theory = await Theory.findById(theoryId).select(
+        "title commentsLocked"
+    );
+    if (!theory) {
+        return null;
+    }
+
+    const bloqueado = !theory.commentsLocked;
+    await Theory.updateOne(
+        { _id: theoryId },
+        { $set: { commentsLocked: bloqueado } },
+        { timestamps: false }
+    );
+    await registarAuditoria(
+        bloqueado ? "comment.lock" : "comment.unlock",
+        contexto,
+        { kind: "theory", id: theory._id, label: theory.title },
+        {
+            antes: { commentsLocked: theory.commentsLocked },
+            depois: { commentsLocked: bloqueado },
+        }
+    );
+    return bloqueado;
+}
@@ -0,0 +1,147 @@
+/**
+ * src/services/favoriteService.js
+ * -------------------------------
+ * Favoritos: cada utilizador pode marcar teorias publicadas como
+ * favoritas (e desmarcar).
+ *
+ * REGRAS:
+ * - Só se marcam teorias publicadas; desmarcar funciona sempre.
+ * - O total de cada teoria (`Theory.favoriteCount`) é recontado a cada
+ *   mudança, em vez de somado/subtraído: dois cliques ao mesmo tempo não
+ *   deixam o número errado.
+ */
+
+import Favorite from "../models/Favorite.js";
+import Theory, { FILTRO_PUBLICADAS } from "../models/Theory.js";
+import { estaPublicada } from "./workflowService.js";
+
+export const FAVORITOS_POR_PAGINA = 20;
+
+/**
+ * Reconta os favoritos de uma teoria e guarda o total.
+ *
+ * @param {import("mongoose").Types.ObjectId|string} theoryId Teoria.
+ * @returns {Promise<number>} Total atual.
+ */
+async function recontarFavoritos(theoryId) {
+    const total = await Favorite.countDocuments({ theory: theoryId });
+    // Sem mexer no `updatedAt`: um favorito não é uma alteração da teoria.
+    await Theory.updateOne(
+        { _id: theoryId },
+        { $set: { favoriteCount: total } },
+        { timestamps: false }
+    );
+    return total;
+}
+
+/**
+ * Marca (ou desmarca) uma teoria como favorita.
+ *
+ * @param {string} slug Slug atual da teoria.
+ * @param {string} userId Utilizador da sessão.
+ * @param {boolean} favorito `true` para marcar, `false` para desmarcar.
+ * @returns {Promise<{ theory: object, favorito: boolean,
+ *                     favoriteCount: number }|null>} `null` se a teoria
+ *          não existir (ou, ao marcar, não estiver publicada).
+ */
+export async function marcarFavorito(slug, userId, favorito) {
+    const theory = await Theory.findOne({ slug }).select("slug status").lean();
+    if (!theory || (favorito && !estaPublicada(theory))) {
+        return null;
+    }
+
+    if (favorito) {
+        try {
+            await Favorite.create({ user: userId, theory: theory._id });
+        } catch (error) {
+            // Já era favorita (ex.: duplo clique) → nada a fazer.
+            if (error?.code !== 11000) {
+                throw error;
+            }
+        }
+    } else {
+        await Favorite.deleteOne({ user: userId, theory: theory._id });
+    }
+
+    const favoriteCount = await recontarFavoritos(theory._id);
+    return { theory, favorito, favoriteCount };
+}
+
+/**
+ * Quais destas teorias são favoritas do utilizador (para as vistas
+ * mostrarem o botão certo).
+ *
+ * @param {string|null} userId Utilizador da sessão (`null` → nenhuma).
+ * @param {Array<import("mongoose").Types.ObjectId|string>} theoryIds
+ * @returns {Promise<Set<string>>} `_id`s (em texto) das favoritas.
+ */
+export async function idsFavoritos(userId, theoryIds) {
+    if (!userId || theoryIds.length === 0) {
+        return new Set();
+    }
+
+    const favoritos = await Favorite.find({
+        user: userId,
+        theory: { $in: theoryIds },
+    })
+        .select("theory")
+        .lean();
+
+    return new Set(favoritos.map((f) => f.theory.toString()));
+}
+
+/**
+ * Favoritos de um utilizador (só as teorias publicadas), mais recentes
+ * primeiro.
+ *
+ * @param {string} userId Utilizador.
+ * @param {{ page?: number }} [opcoes]
+ * @returns {Promise<{ theories: object[], total: number, page: number,
+ *                     pages: number, limit: number }>} Teorias (lean, sem
+ *          `content`), cada uma com `favoritedAt`.
+ */
+export async function listarFavoritos(userId, { page = 1 } = {}) {
+    const limit = FAVORITOS_POR_PAGINA;
+
+    const favoritos = await Favorite.find({ user: userId })
+        .select("theory createdAt")
+        .sort({ createdAt: -1, _id: -1 })
+        .lean();
+    const publicadas = await Theory.find({
+        ...FILTRO_PUBLICADAS,
+        _id: { $in: favoritos.map((f) => f.theory) },
+    })
+        .select("-content")
+        .lean();
+
+    const porId = new Map(
+        publicadas.map((teoria) => [teoria._id.toString(), teoria])
+    );
+    const theories = favoritos
+        .filter((f) => porId.has(f.theory.toString()))
+        .map((f) => ({
+            ...porId.get(f.theory.toString()),
+            favoritedAt: f.createdAt,
+        }));
+
+    const pages = Math.max(1, Math.ceil(theories.length / limit));
+    const pagina = Math.min(Math.max(page, 1), pages);
+    return {
+        theories: theories.slice((pagina - 1) * limit, pagina * limit),
+        total: theories.length,
+        page: pagina,
+        pages,
+        limit,
+    };
+}
+
+/**
+ * Apaga os favoritos de uma teoria (quando a teoria é apagada).
+ *
+ * @param {import("mongoose").Types.ObjectId|string} theoryId Teoria.
+ * @returns {Promise<number>} Número de favoritos apagados.
+ */
+export async function apagarFavoritosDaTeoria(theoryId) {
+    const { deletedCount } = await Favorite.deleteMany({ theory: theoryId });
+    return deletedCount;
+}
@@ -0,0 +1,346 @@
+/**
+ * src/services/feedService.js
+ * ---------------------------
+ * Feeds (Atom e JSON Feed) e sitemap.xml, para leitores de feeds e
+ * crawlers.
+ *
+ * FEEDS:
+ * - Últimas teorias publicadas, últimas teorias de uma tag e últimos
+ *   comentários aprovados de uma teoria (ver `routes/feedRoutes.js`).
+ * - Cada feed é primeiro montado como um objeto simples (`titulo`,
+ *   `entradas`, ...) e depois convertido para o formato pedido
+ *   (`gerarAtom` ou `gerarJsonFeed`).
+ * - Uma teoria entra no feed quando fica pública (`publishedAt`), e não
+ *   quando foi criada: um rascunho antigo publicado hoje aparece no topo.
+ *   Os comentários são "publicados" quando são criados (`createdAt`).
+ * - A entrada é "atualizada" na última alteração (`updatedAt`). O feed
+ *   fica com a data da entrada alterada mais recentemente (é também o
+ *   `Last-Modified` da resposta).
+ * - Os contadores das teorias (favoritos, comentários) e o bloqueio dos
+ *   comentários são gravados com `{ timestamps: false }`: não contam como
+ *   alteração da teoria.
+ * - O `id` de cada entrada usa o `_id` (e não o URL): uma teoria que muda
+ *   de título (e de slug) não aparece repetida nos leitores.
+ */
+
+import Comment from "../models/Comment.js";
+import Theory, { FILTRO_PUBLICADAS } from "../models/Theory.js";
+import { t } from "../utils/i18n.js";
+import { nomeParaMostrar } from "./tagService.js";
+
+/**
+ * Número de entradas de cada feed.
+ */
+export const LIMITE_FEED = 20;
+
+/**
+ * Content-Type de cada formato.
+ */
+export const TIPOS_FEED = Object.freeze({
+    atom: "application/atom+xml; charset=utf-8",
+    json: "application/feed+json; charset=utf-8",
+});
+
+/**
+ * Campos das teorias usados nos feeds.
+ */
+const CAMPOS_TEORIA =
+    "title slug summary content tags authorName publishedAt createdAt updatedAt";
+
+/**
+ * @param {string} slug Slug da teoria.
+ * @returns {string} Caminho da página da teoria.
+ */
+function caminhoTeoria(slug) {
+    return `/teorias/${encodeURIComponent(slug)}`;
+}
+
+/**
+ * @param {unknown} texto
+ * @returns {string} Texto seguro para pôr num documento XML.
+ */
+function escaparXml(texto) {
+    return String(texto ?? "")
+        .replace(/&/g, "&amp;")
+        .replace(/</g, "&lt;")
+        .replace(/>/g, "&gt;")
+        .replace(/"/g, "&quot;")
+        .replace(/'/g, "&apos;");
+}
+
+/**
+ * @param {Date[]} datas
+ * @param {Date} omissao Data a usar se a lista estiver vazia.
+ * @returns {Date} A data mais recente.
+ */
+function dataMaisRecente(datas, omissao) {
+    return datas.reduce(
+        (maior, data) => (data > maior ? data : maior),
+        datas[0] || omissao
+    );
+}
+
+/**
+ * Converte teorias (lean) em entradas de um feed.
+ *
+ * @param {object[]} theories
+ * @param {string} urlBase URL base da app (ver `obterUrlBase`).
+ * @returns {object[]}
+ */
+function entradasDeTeorias(theories, urlBase) {
+    return theories.map((theory) => ({
+        id: `urn:conspira:teoria:${theory._id}`,
+        titulo: theory.title,
+        url: urlBase + caminhoTeoria(theory.slug),
+        resumo: theory.summary,
+        texto: theory.content,
+        autor: theory.authorName,
+        tags: theory.tags,
+        // Teorias antigas (antes do `publishedAt`) ficam com a criação.
+        publicadaEm: theory.publishedAt || theory.createdAt,
+        atualizadaEm: theory.updatedAt,
+    }));
+}
+
+/**
+ * Monta um feed de teorias publicadas (as publicadas mais recentemente).
+ *
+ * @param {object} filtro Filtro extra (ex.: `{ tags: "animais" }`).
+ * @param {{ id: string, titulo: string, descricao: string, url: string,
+ *           urlBase: string }} dados
+ * @returns {Promise<object>}
+ */
+async function montarFeedTeorias(filtro, dados) {
+    const theories = await Theory.find({ ...FILTRO_PUBLICADAS, ...filtro })
+        .sort({ publishedAt: -1, _id: -1 })
+        .limit(LIMITE_FEED)
+        .select(CAMPOS_TEORIA)
+        .lean();
+
+    return {
+        ...dados,
+        atualizadoEm: dataMaisRecente(
+            theories.map((theory) => theory.updatedAt),
+            new Date(0)
+        ),
+        entradas: entradasDeTeorias(theories, dados.urlBase),
+    };
+}
+
+/**
+ * Feed das últimas teorias publicadas.
+ *
+ * @param {string} urlBase URL base da app (ver `obterUrlBase`).
+ * @returns {Promise<object>}
+ */
+export async function feedTeorias(urlBase) {
+    return montarFeedTeorias(
+        {},
+        {
+            id: `${urlBase}/teorias`,
+            titulo: t("feeds.teorias.titulo"),
+            descricao: t("feeds.teorias.descricao"),
+            url: `${urlBase}/teorias`,
+            urlBase,
+        }
+    );
+}
+
+/**
+ * Feed das últimas teorias publicadas com uma tag.
+ *
+ * @param {object} tag Tag (ver `tagService.procurarTag`).
+ * @param {string} urlBase URL base da app (ver `obterUrlBase`).
+ * @returns {Promise<object>}
+ */
+export async function feedTag(tag, urlBase) {
+    const url = `${urlBase}/tags/${encodeURIComponent(tag.name)}`;
+    const nome = nomeParaMostrar(tag);
+
+    return montarFeedTeorias(
+        { tags: tag.name },
+        {
+            id: url,
+            titulo: t("feeds.tag.titulo", { tag: nome }),
+            descricao:
+                tag.description || t("feeds.tag.descricao", { tag: nome }),
+            url,
+            urlBase,
+        }
+    );
+}
+
+/**
+ * Feed dos últimos comentários aprovados de uma teoria publicada.
+ *
+ * @param {object} theory Teoria (lean), já publicada.
+ * @param {string} urlBase URL base da app (ver `obterUrlBase`).
+ * @returns {Promise<object>}
+ */
+export async function feedComentarios(theory, urlBase) {
+    const url = urlBase + caminhoTeoria(theory.slug);
+
+    const comentarios = await Comment.find({
+        theory: theory._id,
+        status: "approved",
+        removedAt: null,
+    })
+        .sort({ createdAt: -1 })
+        .limit(LIMITE_FEED)
+        .select("authorName text createdAt updatedAt")
+        .lean();
+
+    return {
+        id: `urn:conspira:teoria:${theory._id}:comentarios`,
+        titulo: t("feeds.comentarios.titulo", { titulo: theory.title }),
+        descricao: t("feeds.comentarios.descricao", { titulo: theory.title }),
+        url: `${url}#comentarios`,
+        urlBase,
+        // Sem comentários, o feed "nasce" com a teoria.
+        atualizadoEm: dataMaisRecente(
+            comentarios.map((comentario) => comentario.updatedAt),
+            theory.createdAt
+        ),
+        entradas: comentarios.map((comentario) => {
+            const autor = comentario.authorName || t("comentarios.anonimo");
+            return {
+                id: `urn:conspira:comentario:${comentario._id}`,
+                titulo: t("feeds.comentarios.entrada", {
+                    autor,
+                    titulo: theory.title,
+                }),
+                url: `${url}#comentario-${comentario._id}`,
+                resumo: "",
+                texto: comentario.text,
+                autor,
+                tags: [],
+                publicadaEm: comentario.createdAt,
+                atualizadaEm: comentario.updatedAt,
+            };
+        }),
+    };
+}
+
+/**
+ * Converte um feed em Atom (RFC 4287).
+ *
+ * @param {object} feed Feed (ver `feedTeorias`, ...).
+ * @param {string} urlFeed URL absoluto deste feed.
+ * @returns {string} Documento XML.
+ */
+export function gerarAtom(feed, urlFeed) {
+    const entradas = feed.entradas.map((entrada) =>
+        [
+            "  <entry>",
+            `    <id>${escaparXml(entrada.id)}</id>`,
+            `    <title>${escaparXml(entrada.titulo)}</title>`,
+            `    <link rel="alternate" type="text/html" href="${escaparXml(
+                entrada.url
+            )}"/>`,
+            `    <published>${entrada.publicadaEm.toISOString()}</published>`,
+            `    <updated>${entrada.atualizadaEm.toISOString()}</updated>`,
+            // Sem autor, vale o autor do feed.
+            entrada.autor
+                ? `    <author><name>${escaparXml(
+                      entrada.autor
+                  )}</name></author>`
+                : null,
+            ...entrada.tags.map(
+                (tag) => `    <category term="${escaparXml(tag)}"/>`
+            ),
+            entrada.resumo
+                ? `    <summary type="text">${escaparXml(
+                      entrada.resumo
+                  )}</summary>`
+                : null,
+            `    <content type="text">${escaparXml(entrada.texto)}</content>`,
+            "  </entry>",
+        ]
+            .filter((linha) => linha !== null)
+            .join("\n")
+    );
+
+    return [
+        '<?xml version="1.0" encoding="utf-8"?>',
+        '<feed xmlns="http://www.w3.org/2005/Atom">',
+        `  <id>${escaparXml(feed.id)}</id>`,
+        `  <title>${escaparXml(feed.titulo)}</title>`,
+        `  <subtitle>${escaparXml(feed.descricao)}</subtitle>`,
+        `  <link rel="self" type="application/atom+xml" href="${escaparXml(
+            urlFeed
+        )}"/>`,
+        `  <link rel="alternate" type="text/html" href="${escaparXml(
+            feed.url
+        )}"/>`,
+        `  <updated>${feed.atualizadoEm.toISOString()}</updated>`,
+        `  <author><name>${escaparXml(t("app.nome"))}</name></author>`,
+        ...entradas,
+        "</feed>",
+        "",
+    ].join("\n");
+}
+
+/**
+ * Converte um feed em JSON Feed 1.1 (https://jsonfeed.org/version/1.1).
+ *
+ * @param {object} feed Feed (ver `feedTeorias`, ...).
+ * @param {string} urlFeed URL absoluto deste feed.
+ * @returns {object}
+ */
+export function gerarJsonFeed(feed, urlFeed) {
+    return {
+        version: "https://jsonfeed.org/version/1.1",
+        title: feed.titulo,
+        description: feed.descricao,
+        home_page_url: feed.url,
+        feed_url: urlFeed,
+        authors: [{ name: t("app.nome") }],
+        items: feed.entradas.map((entrada) => ({
+            id: entrada.id,
+            url: entrada.url,
+            title: entrada.titulo,
+            ...(entrada.resumo && { summary: entrada.resumo }),
+            content_text: entrada.texto,
+            date_published: entrada.publicadaEm.toISOString(),
+            date_modified: entrada.atualizadaEm.toISOString(),
+            ...(entrada.autor && { authors: [{ name: entrada.autor }] }),
+            ...(entrada.tags.length > 0 && { tags: entrada.tags }),
+        })),
+    };
+}
+
+/**
+ * sitemap.xml (https://www.sitemaps.org/protocol.html) com todas as
+ * teorias publicadas.
+ *
+ * @param {string} urlBase URL base da app (ver `obterUrlBase`).
+ * @returns {Promise<{ xml: string, atualizadoEm: Date|null }>}
+ *          `atualizadoEm` é a alteração mais recente (`null` sem teorias).
+ */
+export async function gerarSitemap(urlBase) {
+    const theories = await Theory.find(FILTRO_PUBLICADAS)
+        .sort({ updatedAt: -1 })
+        .select("slug updatedAt")
+        .lean();
+
+    const urls = theories.map((theory) =>
+        [
+            "  <url>",
+            `    <loc>${escaparXml(
+                urlBase + caminhoTeoria(theory.slug)
+            )}</loc>`,
+            `    <lastmod>${theory.updatedAt.toISOString()}</lastmod>`,
+            "  </url>",
+        ].join("\n")
+    );
+
+    const xml = [
+        '<?xml version="1.0" encoding="utf-8"?>',
+        '<urlset xmlns="http://www.sitemaps.org/schemas/sitemap/0.9">',
+        ...urls,
+        "</urlset>",
+        "",
+    ].join("\n");
+
+    return { xml, atualizadoEm: theories[0]?.updatedAt || null };
+}
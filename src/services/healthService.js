@@ -0,0 +1,40 @@
+/**
+ * src/services/healthService.js
+ * -----------------------------
+ * Estado da aplicação para os health checks (`/healthz` e `/readyz`).
+ *
+ * - "Viva" (liveness): o processo responde. Se deixar de responder, o
+ *   orquestrador (Docker, Kubernetes, Render, ...) reinicia-o.
+ * - "Pronta" (readiness): ligada ao MongoDB e sem estar a encerrar. Se
+ *   não estiver, o balanceador deixa de lhe mandar pedidos (sem a
+ *   reiniciar: a ligação pode voltar sozinha).
+ */
+
+import { estadoLigacao } from "../config/database.js";
+
+let aEncerrar = false;
+
+/**
+ * Marca a aplicação como a encerrar (o `/readyz` passa a responder 503,
+ * para deixarem de chegar pedidos novos).
+ */
+export function marcarEncerramento() {
+    aEncerrar = true;
+}
+
+/**
+ * Estado atual da aplicação.
+ *
+ * @returns {{ pronta: boolean, aEncerrar: boolean, mongo: string,
+ *             uptime: number }} `uptime` em segundos.
+ */
+export function obterEstadoSaude() {
+    const mongo = estadoLigacao();
+
+    return {
+        pronta: mongo === "connected" && !aEncerrar,
+        aEncerrar,
+        mongo,
+        uptime: Math.round(process.uptime()),
+    };
+}
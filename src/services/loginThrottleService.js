@@ -0,0 +1,249 @@
+/**
+ * src/services/loginThrottleService.js
+ * ------------------------------------
+ * Proteção contra ataques de força bruta no `/login`.
+ *
+ * REGRAS:
+ * - Contamos as falhas por email E por IP (em `LoginThrottle`).
+ * - Ao fim de `MAX_FALHAS_EMAIL` falhas seguidas contra o mesmo email (ou
+ *   `MAX_FALHAS_IP` a partir do mesmo IP), a chave fica bloqueada.
+ * - O bloqueio cresce de forma exponencial: 1 min, 2 min, 4 min, ...
+ *   até ao máximo de `COOLDOWN_MAXIMO_MS`.
+ * - Emails que não existem são tratados exatamente como os que existem,
+ *   para que um atacante não consiga descobrir que contas há.
+ * - Um login com sucesso limpa o contador do email (não o do IP, senão
+ *   bastava ter uma conta própria para "resetar" o IP).
+ */
+
+import LoginThrottle from "../models/LoginThrottle.js";
+
+export const MAX_FALHAS_EMAIL = 5;
+export const MAX_FALHAS_IP = 20;
+export const COOLDOWN_BASE_MS = 60 * 1000;
+export const COOLDOWN_MAXIMO_MS = 24 * 60 * 60 * 1000;
+
+// Falhas mais antigas do que isto já não contam para o próximo bloqueio.
+const JANELA_FALHAS_MS = 15 * 60 * 1000;
+// Tempo que a chave fica guardada depois da última falha (TTL).
+const RETENCAO_MS = 24 * 60 * 60 * 1000;
+
+/**
+ * @param {string} email Email escrito no formulário.
+ * @returns {string}
+ */
+function chaveEmail(email) {
+    return `email:${String(email || "")
+        .trim()
+        .toLowerCase()}`;
+}
+
+/**
+ * @param {string} ip IP do pedido (`req.ip`).
+ * @returns {string}
+ */
+function chaveIp(ip) {
+    return `ip:${ip || "desconhecido"}`;
+}
+
+/**
+ * Calcula a duração do bloqueio número `lockCount` (começa em 0).
+ *
+ * @param {number} lockCount Bloqueios anteriores desta chave.
+ * @returns {number} Duração em milissegundos.
+ */
+export function calcularCooldown(lockCount) {
+    return Math.min(COOLDOWN_BASE_MS * 2 ** lockCount, COOLDOWN_MAXIMO_MS);
+}
+
+/**
+ * Verifica se o email ou o IP estão bloqueados neste momento.
+ *
+ * @param {string} email Email escrito no formulário.
+ * @param {string} ip IP do pedido.
+ * @returns {Promise<Date|null>} Data até quando está bloqueado, ou `null`.
+ */
+export async function verificarBloqueio(email, ip) {
+    const agora = new Date();
+    const bloqueios = await LoginThrottle.find({
+        key: { $in: [chaveEmail(email), chaveIp(ip)] },
+        lockUntil: { $gt: agora },
+    }).lean();
+
+    if (bloqueios.length === 0) {
+        return null;
+    }
+
+    return new Date(Math.max(...bloqueios.map((b) => b.lockUntil.getTime())));
+}
+
+/**
+ * Atualização (pipeline de agregação) que regista uma falha numa chave:
+ *
+ * 1. Falhas mais antigas do que a janela já não contam; soma esta falha.
+ * 2. Se chegou ao limite: bloqueia (`lockUntil`), conta o bloqueio e volta
+ *    a pôr as falhas a 0.
+ * 3. A chave fica guardada pelo menos até ao fim do bloqueio.
+ *
+ * @param {number} maxFalhas Limite de falhas para esta chave.
+ * @param {Date} agora
+ * @returns {object[]}
+ */
+function pipelineFalha(maxFalhas, agora) {
+    const inicioJanela = new Date(agora.getTime() - JANELA_FALHAS_MS);
+    const retencao = new Date(agora.getTime() + RETENCAO_MS);
+    const bloquear = { $gte: ["$failures", maxFalhas] };
+
+    return [
+        {
+            $set: {
+                // Numa chave nova, `lastFailureAt` não existe (null é menor
+                // do que qualquer data): começa do 0.
+                failures: {
+                    $add: [
+                        {
+                            $cond: [
+                                { $gt: ["$lastFailureAt", inicioJanela] },
+                                { $ifNull: ["$failures", 0] },
+                                0,
+                            ],
+                        },
+                        1,
+                    ],
+                },
+                lockCount: { $ifNull: ["$lockCount", 0] },
+                lockUntil: { $ifNull: ["$lockUntil", null] },
+                lastFailureAt: agora,
+                // O Mongoose só põe o `updatedAt` nas atualizações em
+                // pipeline.
+                createdAt: { $ifNull: ["$createdAt", agora] },
+            },
+        },
+        {
+            // Mesmo cálculo do `calcularCooldown`, com o `lockCount` atual.
+            $set: {
+                lockUntil: {
+                    $cond: [
+                        bloquear,
+                        {
+                            $add: [
+                                agora,
+                                {
+                                    $min: [
+                                        {
+                                            $multiply: [
+                                                COOLDOWN_BASE_MS,
+                                                { $pow: [2, "$lockCount"] },
+                                            ],
+                                        },
+                                        COOLDOWN_MAXIMO_MS,
+                                    ],
+                                },
+                            ],
+                        },
+                        "$lockUntil",
+                    ],
+                },
+                lockCount: {
+                    $cond: [
+                        bloquear,
+                        { $add: ["$lockCount", 1] },
+                        "$lockCount",
+                    ],
+                },
+                failures: { $cond: [bloquear, 0, "$failures"] },
+            },
+        },
+        {
+            $set: {
+                expiresAt: {
+                    $max: [retencao, { $ifNull: ["$lockUntil", retencao] }],
+                },
+            },
+        },
+    ];
+}
+
+/**
+ * Regista uma falha numa chave e bloqueia-a se passar do limite.
+ *
+ * É uma só operação atómica no MongoDB: várias falhas ao mesmo tempo
+ * (passwords tentadas em paralelo) contam todas, em vez de lerem o mesmo
+ * valor e gravarem todas `failures + 1`.
+ *
+ * @param {string} key Chave ("email:..." ou "ip:...").
+ * @param {number} maxFalhas Limite de falhas para esta chave.
+ * @returns {Promise<void>}
+ */
+async function registarFalhaNaChave(key, maxFalhas) {
+    // A primeira falha de duas ao mesmo tempo cria a chave; o índice único
+    // recusa a segunda criação, que tenta outra vez e já atualiza.
+    for (let tentativa = 1; ; tentativa += 1) {
+        try {
+            await LoginThrottle.findOneAndUpdate(
+                { key },
+                pipelineFalha(maxFalhas, new Date()),
+                { upsert: true, new: true }
+            );
+            return;
+        } catch (error) {
+            if (error?.code !== 11000 || tentativa >= 2) {
+                throw error;
+            }
+        }
+    }
+}
+
+/**
+ * Regista uma tentativa de login falhada (para o email e para o IP).
+ *
+ * @param {string} email Email escrito no formulário.
+ * @param {string} ip IP do pedido.
+ * @returns {Promise<void>}
+ */
+export async function registarFalha(email, ip) {
+    await Promise.all([
+        registarFalhaNaChave(chaveEmail(email), MAX_FALHAS_EMAIL),
+        registarFalhaNaChave(chaveIp(ip), MAX_FALHAS_IP),
+    ]);
+}
+
+/**
+ * Limpa o contador de um email (depois de um login com sucesso).
+ *
+ * @param {string} email Email da conta.
+ * @returns {Promise<void>}
+ */
+export async function limparFalhas(email) {
+    await LoginThrottle.deleteOne({ key: chaveEmail(email) });
+}
+
+/**
+ * Lista as chaves bloqueadas neste momento (para a área de admin).
+ *
+ * @returns {Promise<Array<{ _id: any, key: string, tipo: string,
+ *                           valor: string, lockUntil: Date,
+ *                           lockCount: number }>>}
+ */
+export async function listarBloqueios() {
+    const bloqueios = await LoginThrottle.find({
+        lockUntil: { $gt: new Date() },
+    })
+        .sort({ lockUntil: -1 })
+        .lean();
+
+    return bloqueios.map((b) => {
+        const [tipo, ...resto] = b.key.split(":");
+        return { ...b, tipo, valor: resto.join(":") };
+    });
+}
+
+/**
+ * Desbloqueia uma chave (remove o contador por completo).
+ *
+ * @param {string} id `_id` do documento `LoginThrottle`.
+ * @returns {Promise<boolean>} `true` se existia.
+ */
+export async function desbloquear(id) {
+    const resultado = await LoginThrottle.deleteOne({ _id: id });
+    return resultado.deletedCount > 0;
+}
@@ -0,0 +1,30 @@
+/**
+ * src/services/mail/consoleTransport.js
+ * -------------------------------------
+ * Transporte de email que apenas escreve a mensagem no terminal.
+ */
+
+/**
+ * @returns {{ nome: string, enviar: (mensagem: object) => Promise<object> }}
+ */
+export function criarConsoleTransport() {
+    return {
+        nome: "console",
+
+        async enviar({ from, to, subject, text }) {
+            console.log(
+                [
+                    "---------- EMAIL ----------",
+                    `De: ${from}`,
+                    `Para: ${to}`,
+                    `Assunto: ${subject}`,
+                    "",
+                    text,
+                    "---------------------------",
+                ].join("\n")
+            );
+
+            return { id: `console-${Date.now()}` };
+        },
+    };
+}
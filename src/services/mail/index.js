@@ -0,0 +1,81 @@
+/**
+ * src/services/mail/index.js
+ * --------------------------
+ * Envio de emails com um "transporte" configurável.
+ *
+ * IDEIA:
+ * - Todos os transportes têm a mesma forma: `{ nome, enviar(mensagem) }`,
+ *   em que `mensagem` é `{ from, to, subject, text, html? }`.
+ * - O resto da app só chama `enviarEmail(...)` e não sabe (nem precisa de
+ *   saber) se o email vai para um ficheiro, para o terminal ou para SMTP.
+ * - O transporte escolhe-se no `.env` com `MAIL_TRANSPORT`:
+ *     - "outbox"  → grava ficheiros em `MAIL_OUTBOX_DIR` (por omissão);
+ *     - "console" → escreve no terminal;
+ *     - "smtp"    → envia a sério (SMTP_HOST, SMTP_PORT, ...).
+ */
+
+import path from "path";
+
+import { config } from "../../config/env.js";
+import { criarConsoleTransport } from "./consoleTransport.js";
+import { criarOutboxTransport } from "./outboxTransport.js";
+import { criarSmtpTransport } from "./smtpTransport.js";
+
+let transporteAtual = null;
+
+/**
+ * Cria o transporte indicado nas variáveis de ambiente.
+ *
+ * @returns {{ nome: string, enviar: (mensagem: object) => Promise<object> }}
+ */
+function criarTransporteDoAmbiente() {
+    const tipo = config.mail.transport;
+
+    if (tipo === "console") {
+        return criarConsoleTransport();
+    }
+
+    if (tipo === "smtp") {
+        return criarSmtpTransport(config.mail.smtp);
+    }
+
+    return criarOutboxTransport({
+        dir: path.resolve(config.mail.outboxDir),
+    });
+}
+
+/**
+ * Devolve o transporte em uso (criado na primeira utilização).
+ *
+ * @returns {{ nome: string, enviar: (mensagem: object) => Promise<object> }}
+ */
+export function obterTransporte() {
+    if (!transporteAtual) {
+        transporteAtual = criarTransporteDoAmbiente();
+    }
+    return transporteAtual;
+}
+
+/**
+ * Troca o transporte (ex.: num script ou num teste, para apanhar as
+ * mensagens em memória).
+ *
+ * @param {{ nome: string, enviar: (mensagem: object) => Promise<object> }|null} transporte
+ *        Novo transporte, ou `null` para voltar ao do `.env`.
+ */
+export function definirTransporte(transporte) {
+    transporteAtual = transporte;
+}
+
+/**
+ * Envia um email através do transporte configurado.
+ *
+ * @param {{ to: string, subject: string, text: string, html?: string }} mensagem
+ * @returns {Promise<object>} Informação devolvida pelo transporte.
+ */
+export async function enviarEmail(mensagem) {
+    return obterTransporte().enviar({
+        from: config.mail.from,
+        ...mensagem,
+    });
+}
@@ -0,0 +1,48 @@
+/**
+ * src/services/mail/outboxTransport.js
+ * ------------------------------------
+ * Transporte de email "falso": em vez de enviar, grava cada mensagem num
+ * ficheiro `.eml` numa pasta local (a "outbox").
+ *
+ * Útil em desenvolvimento e nas aulas: não é preciso servidor SMTP, e os
+ * links (recuperar password, verificar email) podem ser abertos a partir
+ * dos ficheiros gravados.
+ */
+
+import { mkdir, writeFile } from "fs/promises";
+import path from "path";
+
+/**
+ * @param {{ dir: string }} opcoes Pasta onde gravar as mensagens.
+ * @returns {{ nome: string, enviar: (mensagem: object) => Promise<object> }}
+ */
+export function criarOutboxTransport({ dir }) {
+    return {
+        nome: "outbox",
+
+        async enviar({ from, to, subject, text }) {
+            await mkdir(dir, { recursive: true });
+
+            const data = new Date();
+            const carimbo = data.toISOString().replace(/[:.]/g, "-");
+            const destino = String(to).replace(/[^a-z0-9@.-]/gi, "_");
+            const nomeFicheiro = `${carimbo}-${destino}.eml`;
+            const ficheiro = path.join(dir, nomeFicheiro);
+
+            const conteudo = [
+                `From: ${from}`,
+                `To: ${to}`,
+                `Subject: ${subject}`,
+                `Date: ${data.toUTCString()}`,
+                "Content-Type: text/plain; charset=utf-8",
+                "",
+                text,
+                "",
+            ].join("\n");
+
+            await writeFile(ficheiro, conteudo, "utf8");
+
+            return { id: nomeFicheiro, ficheiro };
+        },
+    };
+}
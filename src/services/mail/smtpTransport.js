@@ -0,0 +1,38 @@
+/**
+ * src/services/mail/smtpTransport.js
+ * ----------------------------------
+ * Transporte de email "a sério", através de um servidor SMTP (nodemailer).
+ *
+ * Configurado no `.env` (SMTP_HOST, SMTP_PORT, SMTP_USER, ...).
+ */
+
+import nodemailer from "nodemailer";
+
+/**
+ * @param {{ host: string, port: number, secure: boolean, user?: string,
+ *           pass?: string }} opcoes Ligação ao servidor SMTP.
+ * @returns {{ nome: string, enviar: (mensagem: object) => Promise<object> }}
+ */
+export function criarSmtpTransport({ host, port, secure, user, pass }) {
+    const transporter = nodemailer.createTransport({
+        host,
+        port,
+        secure,
+        auth: user ? { user, pass } : undefined,
+    });
+
+    return {
+        nome: "smtp",
+
+        async enviar({ from, to, subject, text, html }) {
+            const info = await transporter.sendMail({
+                from,
+                to,
+                subject,
+                text,
+                html,
+            });
+            return { id: info.messageId };
+        },
+    };
+}
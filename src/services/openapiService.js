@@ -0,0 +1,602 @@
+/**
+ * src/services/openapiService.js
+ * ------------------------------
+ * Especificação OpenAPI 3.0 da API JSON (`/api/v1`).
+ *
+ * DE ONDE VEM CADA PARTE:
+ * - Schemas dos dados (`components.schemas`) → gerados a partir dos
+ *   models `Theory`, `User` e `Comment` (ver `utils/jsonSchema.js`).
+ *   Mudar um `minlength` ou um `enum` no model muda a documentação e a
+ *   validação dos pedidos, sem tocar neste ficheiro.
+ * - Parâmetros das listas → constantes dos services (ordenações, níveis,
+ *   limite máximo), as mesmas usadas pelas páginas HTML.
+ * - Caminhos (`paths`) → escritos aqui, à mão, a acompanhar `apiRoutes.js`.
+ *
+ * A especificação é construída uma vez (na primeira chamada) e guardada.
+ */
+
+import Comment, { TIPOS_REACAO } from "../models/Comment.js";
+import Theory from "../models/Theory.js";
+import User from "../models/User.js";
+import { CODIGOS_ERRO } from "../utils/apiErrors.js";
+import { schemaParaJsonSchema } from "../utils/jsonSchema.js";
+import {
+    PALAVRAS_MAXIMAS_PESQUISA,
+    TAMANHO_MAXIMO_PESQUISA,
+} from "../utils/search.js";
+import { ORDENACOES_COMENTARIOS } from "./commentService.js";
+import {
+    LIMITE_MAXIMO_RELACIONADAS,
+    LIMITE_RELACIONADAS,
+    PESOS,
+} from "./relatedService.js";
+import {
+    CAMPOS_EDITAVEIS_TEORIA,
+    LIMITE_MAXIMO,
+    LIMITE_POR_OMISSAO,
+    NIVEIS_COMPLEXIDADE,
+    ORDENACOES,
+} from "./theoryService.js";
+import { TRANSICOES } from "./workflowService.js";
+
+let especificacao = null;
+
+/**
+ * @param {string} nome Nome do schema em `components.schemas`.
+ * @returns {{ $ref: string }}
+ */
+function ref(nome) {
+    return { $ref: `#/components/schemas/${nome}` };
+}
+
+/**
+ * Resposta JSON `{ data: <schema> }`.
+ *
+ * @param {string} descricao Descrição da resposta.
+ * @param {object} schema Schema de `data`.
+ * @param {object} [meta] Schema de `meta` (listas).
+ * @returns {object}
+ */
+function respostaJson(descricao, schema, meta) {
+    const properties = { data: schema };
+    if (meta) {
+        properties.meta = meta;
+    }
+
+    return {
+        description: descricao,
+        content: {
+            "application/json": {
+                schema: {
+                    type: "object",
+                    properties,
+                    required: Object.keys(properties),
+                },
+            },
+        },
+    };
+}
+
+/**
+ * Respostas de erro (todas com o schema `Error`).
+ *
+ * @param {...number} estados Status HTTP.
+ * @returns {Record<string, object>}
+ */
+function respostasErro(...estados) {
+    const descricoes = {
+        400: "Pedido mal formado (JSON ou parâmetros inválidos).",
+        401: "Sem autenticação (ou token inválido).",
+        403: "Sem permissão para esta ação.",
+        404: "Não encontrado.",
+        409: "A teoria mudou entretanto (`version` desatualizada ou estado errado).",
+        422: "Há campos inválidos (ver `details`).",
+    };
+
+    return Object.fromEntries(
+        estados.map((estado) => [
+            String(estado),
+            {
+                description: descricoes[estado],
+                content: { "application/json": { schema: ref("Error") } },
+            },
+        ])
+    );
+}
+
+/**
+ * Corpo JSON obrigatório de um pedido.
+ *
+ * @param {string} nome Schema em `components.schemas`.
+ * @returns {object}
+ */
+function corpoJson(nome) {
+    return {
+        required: true,
+        content: { "application/json": { schema: ref(nome) } },
+    };
+}
+
+/**
+ * Schemas dos dados, gerados a partir dos models.
+ *
+ * @returns {Record<string, object>}
+ */
+function construirSchemas() {
+    const theory = schemaParaJsonSchema(Theory.schema, {
+        omitir: ["previousSlugs", "review", "authorName"],
+        renomear: { _id: "id" },
+    });
+    const { content, ...camposResumo } = theory.properties;
+
+    // O model guarda o `_id` e o nome do autor em campos separados; a API
+    // junta-os num objeto.
+    camposResumo.author = {
+        type: "object",
+        nullable: true,
+        description:
+            "Quem criou a teoria (`null` nas teorias antigas sem autor conhecido).",
+        properties: {
+            id: { type: "string" },
+            displayName: { type: "string" },
+        },
+    };
+
+    // `__v` do model, com um nome que os clientes percebem.
+    const version = {
+        type: "integer",
+        minimum: 0,
+        description:
+            "Versão da teoria (aumenta a cada alteração). Enviada no PATCH, " +
+            "o pedido falha com 409 se a teoria tiver mudado entretanto.",
+    };
+    camposResumo.version = version;
+
+    const theoryInput = schemaParaJsonSchema(Theory.schema, {
+        campos: CAMPOS_EDITAVEIS_TEORIA,
+        comObrigatorios: true,
+    });
+
+    const user = schemaParaJsonSchema(User.schema, {
+        campos: ["_id", "displayName", "email", "role"],
+        renomear: { _id: "id" },
+    });
+
+    const comment = schemaParaJsonSchema(Comment.schema, {
+        campos: [
+            "_id",
+            "parent",
+            "depth",
+            "author",
+            "text",
+            "status",
+            "reactionCounts",
+            "reactionTotal",
+            "createdAt",
+            "updatedAt",
+        ],
+        renomear: { _id: "id", parent: "parentId" },
+    });
+    const commentInput = schemaParaJsonSchema(Comment.schema, {
+        campos: ["text"],
+        comObrigatorios: true,
+    });
+
+    return {
+        Theory: { ...theory, properties: { ...camposResumo, content } },
+        TheorySummary: {
+            ...theory,
+            description: "Teoria sem o `content` (usada nas listas).",
+            properties: camposResumo,
+        },
+        RelatedTheory: {
+            ...theory,
+            description: "Teoria relacionada (sem o `content`).",
+            properties: {
+                ...camposResumo,
+                relation: {
+                    type: "object",
+                    description: `Porque é relacionada. \`score\` = ${PESOS.tag} por tag em comum + até ${PESOS.termos} pelas palavras em comum no título e no resumo (\`similarity\`, de 0 a 1) + ${PESOS.complexidade} se a complexidade for a mesma.`,
+                    properties: {
+                        score: { type: "number" },
+                        sharedTags: {
+                            type: "array",
+                            items: { type: "string" },
+                        },
+                        sameComplexity: { type: "boolean" },
+                        similarity: { type: "number", minimum: 0, maximum: 1 },
+                    },
+                },
+            },
+        },
+        TheoryInput: { ...theoryInput, additionalProperties: false },
+        TheoryPatch: {
+            type: "object",
+            description: "Só os campos enviados são alterados.",
+            properties: { ...theoryInput.properties, version },
+            additionalProperties: false,
+            minProperties: 1,
+        },
+        TheoryTransition: {
+            type: "object",
+            properties: {
+                action: { type: "string", enum: Object.keys(TRANSICOES) },
+                note: {
+                    type: "string",
+                    description: "Nota do revisor (obrigatória para `reject`).",
+                },
+            },
+            required: ["action"],
+            additionalProperties: false,
+        },
+        User: {
+            ...user,
+            properties: {
+                ...user.properties,
+                emailVerified: { type: "boolean" },
+                permissions: {
+                    type: "array",
+                    items: { type: "string" },
+                    description: "Capacidades do role (`theory:create`, ...).",
+                },
+            },
+        },
+        Comment: {
+            ...comment,
+            properties: {
+                ...comment.properties,
+                author: {
+                    type: "object",
+                    nullable: true,
+                    properties: {
+                        id: comment.properties.author,
+                        displayName: { type: "string" },
+                    },
+                },
+                removed: {
+                    type: "boolean",
+                    description:
+                        'Apagado pelo autor depois de ter respostas: fica sem `author` e com o `text` "[removido]", só para segurar as `replies`.',
+                },
+                myReaction: {
+                    type: "string",
+                    enum: TIPOS_REACAO,
+                    nullable: true,
+                    description: "Reação de quem pede (só nas listas).",
+                },
+                replies: {
+                    type: "array",
+                    items: ref("Comment"),
+                    description: "Respostas (só nas listas).",
+                },
+            },
+        },
+        CommentInput: {
+            ...commentInput,
+            properties: {
+                ...commentInput.properties,
+                parentId: {
+                    type: "string",
+                    pattern: comment.properties.id.pattern,
+                    description: "Comentário a que se responde.",
+                },
+            },
+            additionalProperties: false,
+        },
+        PageMeta: {
+            type: "object",
+            properties: {
+                total: { type: "integer" },
+                page: { type: "integer" },
+                pages: { type: "integer" },
+                limit: { type: "integer" },
+                suggestion: {
+                    type: "string",
+                    description:
+                        "Pesquisa alternativa, quando `q` não encontrou nada (só na lista de teorias).",
+                },
+            },
+        },
+        Error: {
+            type: "object",
+            properties: {
+                error: {
+                    type: "object",
+                    properties: {
+                        status: { type: "integer" },
+                        code: {
+                            type: "string",
+                            enum: [...new Set(Object.values(CODIGOS_ERRO))],
+                        },
+                        message: { type: "string" },
+                        details: {
+                            type: "array",
+                            items: {
+                                type: "object",
+                                properties: {
+                                    field: { type: "string" },
+                                    message: { type: "string" },
+                                },
+                            },
+                        },
+                    },
+                    required: ["status", "code", "message"],
+                },
+            },
+            required: ["error"],
+        },
+    };
+}
+
+/**
+ * Caminhos da API (acompanham `routes/apiRoutes.js`).
+ *
+ * @returns {Record<string, object>}
+ */
+function construirCaminhos() {
+    const parametroId = {
+        name: "id",
+        in: "path",
+        required: true,
+        description: "`_id` ou slug (atual ou antigo) da teoria.",
+        schema: { type: "string" },
+    };
+
+    return {
+        "/theories": {
+            get: {
+                tags: ["Teorias"],
+                summary: "Lista teorias (filtros, ordenação e paginação)",
+                description: "Só as teorias publicadas.",
+                operationId: "listTheories",
+                security: [],
+                parameters: [
+                    {
+                        name: "q",
+                        in: "query",
+                        description: `Texto livre (título, resumo, conteúdo e tags), sem distinguir acentos. Aceita "frases entre aspas" e termos excluídos com "-". Só contam os primeiros ${TAMANHO_MAXIMO_PESQUISA} caracteres e ${PALAVRAS_MAXIMAS_PESQUISA} palavras.`,
+                        schema: { type: "string" },
+                    },
+                    {
+                        name: "tags",
+                        in: "query",
+                        description:
+                            "Uma ou mais tags (a teoria tem de ter todas).",
+                        style: "form",
+                        explode: true,
+                        schema: { type: "array", items: { type: "string" } },
+                    },
+                    {
+                        name: "complexityLevel",
+                        in: "query",
+                        schema: { type: "string", enum: NIVEIS_COMPLEXIDADE },
+                    },
+                    {
+                        name: "sort",
+                        in: "query",
+                        schema: {
+                            type: "string",
+                            enum: Object.keys(ORDENACOES),
+                        },
+                        description:
+                            "Por omissão, `relevance` com `q` e `newest` sem `q` (sem `q`, `relevance` dá `newest`).",
+                    },
+                    {
+                        name: "page",
+                        in: "query",
+                        schema: { type: "integer", minimum: 1, default: 1 },
+                    },
+                    {
+                        name: "limit",
+                        in: "query",
+                        schema: {
+                            type: "integer",
+                            minimum: 1,
+                            maximum: LIMITE_MAXIMO,
+                            default: LIMITE_POR_OMISSAO,
+                        },
+                    },
+                ],
+                responses: {
+                    200: respostaJson(
+                        "Página de teorias.",
+                        { type: "array", items: ref("TheorySummary") },
+                        ref("PageMeta")
+                    ),
+                    ...respostasErro(400),
+                },
+            },
+            post: {
+                tags: ["Teorias"],
+                summary: "Cria uma teoria",
+                operationId: "createTheory",
+                "x-permissao": "theory:create",
+                requestBody: corpoJson("TheoryInput"),
+                responses: {
+                    201: respostaJson("Teoria criada.", ref("Theory")),
+                    ...respostasErro(400, 401, 403, 422),
+                },
+            },
+        },
+        "/theories/{id}": {
+            parameters: [parametroId],
+            get: {
+                tags: ["Teorias"],
+                summary: "Mostra uma teoria",
+                description:
+                    "Teorias não publicadas só aparecem a quem tem `theory:update` (as outras pessoas recebem 404).",
+                operationId: "getTheory",
+                security: [],
+                responses: {
+                    200: respostaJson("A teoria.", ref("Theory")),
+                    ...respostasErro(404),
+                },
+            },
+            patch: {
+                tags: ["Teorias"],
+                summary: "Altera uma teoria (só os campos enviados)",
+                operationId: "updateTheory",
+                "x-permissao": "theory:update",
+                requestBody: corpoJson("TheoryPatch"),
+                responses: {
+                    200: respostaJson("Teoria atualizada.", ref("Theory")),
+                    ...respostasErro(400, 401, 403, 404, 409, 422),
+                },
+            },
+            delete: {
+                tags: ["Teorias"],
+                summary: "Apaga uma teoria (e os comentários)",
+                operationId: "deleteTheory",
+                "x-permissao": "theory:delete",
+                responses: {
+                    204: { description: "Teoria apagada." },
+                    ...respostasErro(401, 403, 404),
+                },
+            },
+        },
+        "/theories/{id}/related": {
+            parameters: [parametroId],
+            get: {
+                tags: ["Teorias"],
+                summary: "Teorias relacionadas com uma teoria",
+                description:
+                    "As mesmas do fim da página da teoria: publicadas, com tags ou palavras do título/resumo em comum (a mesma complexidade soma pontos, mas sozinha não chega), da mais para a menos relacionada.",
+                operationId: "listRelatedTheories",
+                security: [],
+                parameters: [
+                    {
+                        name: "limit",
+                        in: "query",
+                        schema: {
+                            type: "integer",
+                            minimum: 1,
+                            maximum: LIMITE_MAXIMO_RELACIONADAS,
+                            default: LIMITE_RELACIONADAS,
+                        },
+                    },
+                ],
+                responses: {
+                    200: respostaJson("Teorias relacionadas.", {
+                        type: "array",
+                        items: ref("RelatedTheory"),
+                    }),
+                    ...respostasErro(400, 404),
+                },
+            },
+        },
+        "/theories/{id}/transitions": {
+            parameters: [parametroId],
+            post: {
+                tags: ["Teorias"],
+                summary: "Muda o estado de uma teoria",
+                description:
+                    "`submit` (rascunho → revisão, `theory:update`), `approve` (publica, ou agenda se `publishAt` for futuro), `reject` (volta a rascunho, com nota), `archive` (`theory:review`) e `reopen` (arquivada → rascunho, `theory:update`).",
+                operationId: "transitionTheory",
+                requestBody: corpoJson("TheoryTransition"),
+                responses: {
+                    200: respostaJson("Teoria no novo estado.", ref("Theory")),
+                    ...respostasErro(400, 401, 403, 404, 409, 422),
+                },
+            },
+        },
+        "/theories/{id}/comments": {
+            parameters: [parametroId],
+            get: {
+                tags: ["Comentários"],
+                summary: "Lista os comentários de uma teoria, em árvore",
+                description:
+                    "Aprovados para todos; quem estiver autenticado vê também os seus pendentes.",
+                operationId: "listComments",
+                parameters: [
+                    {
+                        name: "sort",
+                        in: "query",
+                        schema: {
+                            type: "string",
+                            enum: Object.keys(ORDENACOES_COMENTARIOS),
+                            default: "newest",
+                        },
+                    },
+                ],
+                responses: {
+                    200: respostaJson(
+                        "Comentários de topo, com as respostas em `replies`.",
+                        { type: "array", items: ref("Comment") },
+                        {
+                            type: "object",
+                            properties: {
+                                approvedCount: { type: "integer" },
+                                sort: { type: "string" },
+                                locked: { type: "boolean" },
+                            },
+                        }
+                    ),
+                    ...respostasErro(400, 404),
+                },
+            },
+            post: {
+                tags: ["Comentários"],
+                summary: "Publica um comentário ou uma resposta",
+                description:
+                    "Exige o email confirmado. Fica `pending` até ser moderado (exceto para moderadores).",
+                operationId: "createComment",
+                "x-permissao": "comment:create",
+                requestBody: corpoJson("CommentInput"),
+                responses: {
+                    201: respostaJson("Comentário criado.", ref("Comment")),
+                    ...respostasErro(400, 401, 403, 404, 422),
+                },
+            },
+        },
+        "/me": {
+            get: {
+                tags: ["Conta"],
+                summary: "Utilizador autenticado e as suas capacidades",
+                operationId: "getMe",
+                responses: {
+                    200: respostaJson("O utilizador.", ref("User")),
+                    ...respostasErro(401),
+                },
+            },
+        },
+    };
+}
+
+/**
+ * Devolve a especificação OpenAPI (construída na primeira chamada).
+ *
+ * @returns {object}
+ */
+export function obterEspecificacaoOpenApi() {
+    if (!especificacao) {
+        especificacao = {
+            openapi: "3.0.3",
+            info: {
+                title: "Conspira API",
+                version: "1.0.0",
+                description:
+                    "API JSON das teorias da conspiração. Autenticação com um token pessoal (cria-o em `/conta/tokens`) ou com a sessão do browser.",
+            },
+            servers: [{ url: "/api/v1" }],
+            security: [{ bearerAuth: [] }, { cookieAuth: [] }],
+            paths: construirCaminhos(),
+            components: {
+                securitySchemes: {
+                    bearerAuth: {
+                        type: "http",
+                        scheme: "bearer",
+                        description: "Token pessoal (`cspk_...`).",
+                    },
+                    cookieAuth: {
+                        type: "apiKey",
+                        in: "cookie",
+                        name: "conspira.sid",
+                    },
+                },
+                schemas: construirSchemas(),
+            },
+        };
+    }
+
+    return especificacao;
+}
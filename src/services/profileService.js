@@ -0,0 +1,125 @@
+/**
+ * src/services/profileService.js
+ * ------------------------------
+ * Perfis públicos (`/utilizadores/:id`) e as definições do perfil.
+ *
+ * O QUE É PÚBLICO:
+ * - O nome, a data de registo, as teorias publicadas que a pessoa criou,
+ *   os comentários aprovados (em teorias publicadas) e as listas de
+ *   leitura partilhadas.
+ * - O email e o resto da conta nunca aparecem no perfil.
+ */
+
+import mongoose from "mongoose";
+
+import Comment from "../models/Comment.js";
+import Theory, { FILTRO_PUBLICADAS } from "../models/Theory.js";
+import User from "../models/User.js";
+import { listarListas } from "./readingListService.js";
+
+export const TEORIAS_NO_PERFIL = 20;
+export const COMENTARIOS_NO_PERFIL = 10;
+
+/**
+ * Carrega o perfil público de um utilizador.
+ *
+ * @param {string} userId `_id` do utilizador (vem do URL).
+ * @returns {Promise<{ user: object, theories: object[], totalTeorias: number,
+ *                     comentarios: object[], listas: object[] }|null>}
+ *          `null` se não existir. Cada comentário traz `theory`
+ *          (`{ title, slug }`).
+ */
+export async function obterPerfilPublico(userId) {
+    if (!mongoose.isValidObjectId(userId)) {
+        return null;
+    }
+
+    const user = await User.findById(userId)
+        .select("displayName role createdAt")
+        .lean();
+    if (!user) {
+        return null;
+    }
+
+    const filtroTeorias = { ...FILTRO_PUBLICADAS, author: user._id };
+    const [theories, totalTeorias, listas] = await Promise.all([
+        Theory.find(filtroTeorias)
+            .select("-content")
+            .sort({ publishedAt: -1, _id: -1 })
+            .limit(TEORIAS_NO_PERFIL)
+            .lean(),
+        Theory.countDocuments(filtroTeorias),
+        listarListas(user._id, { soPartilhadas: true }),
+    ]);
+
+    // Vamos buscar alguns comentários a mais: os de teorias que entretanto
+    // deixaram de estar publicadas não aparecem.
+    const recentes = await Comment.find({
+        author: user._id,
+        status: "approved",
+        removedAt: null,
+    })
+        .select("theory text createdAt")
+        .sort({ createdAt: -1, _id: -1 })
+        .limit(COMENTARIOS_NO_PERFIL * 3)
+        .lean();
+    const teoriasDosComentarios = await Theory.find({
+        ...FILTRO_PUBLICADAS,
+        _id: { $in: recentes.map((c) => c.theory) },
+    })
+        .select("title slug")
+        .lean();
+    const porId = new Map(
+        teoriasDosComentarios.map((teoria) => [teoria._id.toString(), teoria])
+    );
+
+    const comentarios = recentes
+        .filter((c) => porId.has(c.theory.toString()))
+        .slice(0, COMENTARIOS_NO_PERFIL)
+        .map((c) => ({ ...c, theory: porId.get(c.theory.toString()) }));
+
+    return { user, theories, totalTeorias, comentarios, listas };
+}
+
+/**
+ * Muda o nome a mostrar.
+ *
+ * O nome guardado nos comentários e nas teorias já escritos não muda (é o
+ * nome que a pessoa tinha nessa altura); o perfil mostra sempre o atual.
+ *
+ * @param {string} userId Utilizador da sessão.
+ * @param {{ displayName: string }} dados
+ * @returns {Promise<import("mongoose").Document|null>} `null` se o
+ *          utilizador não existir.
+ * @throws {import("mongoose").Error.ValidationError} Nome inválido.
+ */
+export async function atualizarPerfil(userId, { displayName }) {
+    const user = await User.findById(userId);
+    if (!user) {
+        return null;
+    }
+
+    user.displayName = typeof displayName === "string" ? displayName : "";
+    await user.save();
+    return user;
+}
+
+/**
+ * Muda o idioma preferido da conta.
+ *
+ * @param {string} userId Utilizador da sessão.
+ * @param {string|null} locale Um de `LOCALES`, ou `null` para usar o do
+ *        browser.
+ * @returns {Promise<boolean>} `false` se o utilizador não existir.
+ * @throws {import("mongoose").Error.ValidationError} Idioma desconhecido.
+ */
+export async function atualizarIdioma(userId, locale) {
+    const user = await User.findById(userId);
+    if (!user) {
+        return false;
+    }
+
+    user.locale = locale || null;
+    await user.save();
+    return true;
+}
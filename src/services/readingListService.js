@@ -0,0 +1,307 @@
+/**
+ * src/services/readingListService.js
+ * ----------------------------------
+ * Listas de leitura: cada utilizador junta teorias em listas com nome
+ * (ex.: "Para ler no fim de semana"), privadas ou partilhadas.
+ *
+ * REGRAS:
+ * - Só o dono mexe numa lista (as funções de alteração filtram pelo
+ *   `owner`, por isso a lista de outra pessoa é tratada como inexistente).
+ * - Uma lista partilhada pode ser vista por qualquer pessoa com o link e
+ *   aparece no perfil público do dono; uma privada só pelo dono.
+ * - Só se acrescentam teorias publicadas, e as páginas só mostram as que
+ *   continuam publicadas.
+ */
+
+import mongoose from "mongoose";
+
+import ReadingList from "../models/ReadingList.js";
+import Theory, { FILTRO_PUBLICADAS } from "../models/Theory.js";
+import User from "../models/User.js";
+import { t } from "../utils/i18n.js";
+import { estaPublicada } from "./workflowService.js";
+
+export const MAXIMO_LISTAS_POR_UTILIZADOR = 20;
+export const MAXIMO_TEORIAS_POR_LISTA = 100;
+
+/**
+ * Visibilidades, pela ordem dos formulários (os nomes estão nos catálogos,
+ * em `listas.visibilidade.*`).
+ */
+export const VISIBILIDADES = ["private", "shared"];
+
+/**
+ * Erro de negócio das listas (com status HTTP).
+ */
+export class ReadingListError extends Error {
+    /**
+     * @param {string} mensagem Mensagem amigável.
+     * @param {number} [status] Código HTTP (409 por omissão).
+     */
+    constructor(mensagem, status = 409) {
+        super(mensagem);
+        this.name = "ReadingListError";
+        this.status = status;
+    }
+}
+
+/**
+ * Lê os campos de uma lista vindos de um formulário.
+ *
+ * @param {Record<string, unknown>} body `req.body`.
+ * @returns {{ name: string, description: string, visibility: string }}
+ */
+export function lerDadosLista(body = {}) {
+    const texto = (valor) => (typeof valor === "string" ? valor : "");
+
+    return {
+        name: texto(body.name),
+        description: texto(body.description),
+        visibility: body.visibility === "shared" ? "shared" : "private",
+    };
+}
+
+/**
+ * Cria uma lista.
+ *
+ * @param {string} ownerId Dono.
+ * @param {ReturnType<typeof lerDadosLista>} dados
+ * @returns {Promise<import("mongoose").Document>} Lista criada.
+ * @throws {ReadingListError} Se o utilizador já tiver o máximo de listas.
+ * @throws {import("mongoose").Error.ValidationError} Dados inválidos.
+ */
+export async function criarLista(ownerId, dados) {
+    const existentes = await ReadingList.countDocuments({ owner: ownerId });
+    if (existentes >= MAXIMO_LISTAS_POR_UTILIZADOR) {
+        throw new ReadingListError(
+            t("listas.erros.maximoListas", {
+                maximo: MAXIMO_LISTAS_POR_UTILIZADOR,
+            })
+        );
+    }
+
+    return ReadingList.create({ ...dados, owner: ownerId });
+}
+
+/**
+ * Listas de um utilizador, mais recentes primeiro.
+ *
+ * @param {string} ownerId Dono.
+ * @param {{ soPartilhadas?: boolean }} [opcoes] `soPartilhadas` para o
+ *        perfil público.
+ * @returns {Promise<object[]>} Listas (lean), cada uma com `total` (teorias
+ *          publicadas na lista).
+ */
+export async function listarListas(ownerId, { soPartilhadas = false } = {}) {
+    const filtro = { owner: ownerId };
+    if (soPartilhadas) {
+        filtro.visibility = "shared";
+    }
+
+    const listas = await ReadingList.find(filtro)
+        .sort({ createdAt: -1, _id: -1 })
+        .lean();
+
+    const publicadas = new Set(
+        (
+            await Theory.find({
+                ...FILTRO_PUBLICADAS,
+                _id: { $in: listas.flatMap((l) => l.theories) },
+            })
+                .select("_id")
+                .lean()
+        ).map((teoria) => teoria._id.toString())
+    );
+
+    return listas.map((lista) => ({
+        ...lista,
+        total: lista.theories.filter((id) => publicadas.has(id.toString()))
+            .length,
+    }));
+}
+
+/**
+ * Carrega uma lista para a mostrar.
+ *
+ * @param {string} ownerId Dono (vem do URL).
+ * @param {string} listaId `_id` da lista.
+ * @param {{ id: string }|null} currentUser Utilizador da sessão.
+ * @returns {Promise<{ lista: object, theories: object[], dono: boolean,
+ *                     nomeDono: string }|null>}
+ *          Teorias publicadas da lista (lean, sem `content`), pela ordem em
+ *          que foram acrescentadas; `null` se a lista não existir ou for
+ *          privada de outra pessoa.
+ */
+export async function obterLista(ownerId, listaId, currentUser) {
+    if (
+        !mongoose.isValidObjectId(ownerId) ||
+        !mongoose.isValidObjectId(listaId)
+    ) {
+        return null;
+    }
+
+    const lista = await ReadingList.findOne({
+        _id: listaId,
+        owner: ownerId,
+    }).lean();
+    const dono = Boolean(
+        lista && currentUser && lista.owner.toString() === currentUser.id
+    );
+    if (!lista || (lista.visibility !== "shared" && !dono)) {
+        return null;
+    }
+
+    const [publicadas, owner] = await Promise.all([
+        Theory.find({ ...FILTRO_PUBLICADAS, _id: { $in: lista.theories } })
+            .select("-content")
+            .lean(),
+        User.findById(lista.owner).select("displayName").lean(),
+    ]);
+    const porId = new Map(
+        publicadas.map((teoria) => [teoria._id.toString(), teoria])
+    );
+
+    return {
+        lista,
+        theories: lista.theories
+            .map((id) => porId.get(id.toString()))
+            .filter(Boolean),
+        dono,
+        nomeDono: owner ? owner.displayName : "",
+    };
+}
+
+/**
+ * Altera o nome, a descrição ou a visibilidade de uma lista.
+ *
+ * @param {string} listaId `_id` da lista.
+ * @param {string} ownerId Utilizador da sessão.
+ * @param {ReturnType<typeof lerDadosLista>} dados
+ * @returns {Promise<import("mongoose").Document|null>} `null` se a lista
+ *          não existir (ou não for deste utilizador).
+ * @throws {import("mongoose").Error.ValidationError} Dados inválidos.
+ */
+export async function atualizarLista(listaId, ownerId, dados) {
+    if (!mongoose.isValidObjectId(listaId)) {
+        return null;
+    }
+
+    const lista = await ReadingList.findOne({ _id: listaId, owner: ownerId });
+    if (!lista) {
+        return null;
+    }
+
+    lista.set(dados);
+    await lista.save();
+    return lista;
+}
+
+/**
+ * Apaga uma lista (as teorias não são tocadas).
+ *
+ * @param {string} listaId `_id` da lista.
+ * @param {string} ownerId Utilizador da sessão.
+ * @returns {Promise<boolean>} `false` se não existir (ou não for dele).
+ */
+export async function apagarLista(listaId, ownerId) {
+    if (!mongoose.isValidObjectId(listaId)) {
+        return false;
+    }
+
+    const { deletedCount } = await ReadingList.deleteOne({
+        _id: listaId,
+        owner: ownerId,
+    });
+    return deletedCount > 0;
+}
+
+/**
+ * Acrescenta uma teoria publicada ao fim de uma lista (se já lá estiver,
+ * fica onde estava).
+ *
+ * @param {string} listaId `_id` da lista.
+ * @param {string} ownerId Utilizador da sessão.
+ * @param {string} slug Slug atual da teoria.
+ * @returns {Promise<{ lista: object, theory: object }|null>} `null` se a
+ *          lista ou a teoria não existirem.
+ * @throws {ReadingListError} Teoria não publicada (422) ou lista cheia.
+ */
+export async function acrescentarTeoria(listaId, ownerId, slug) {
+    if (!mongoose.isValidObjectId(listaId)) {
+        return null;
+    }
+
+    const [lista, theory] = await Promise.all([
+        ReadingList.findOne({ _id: listaId, owner: ownerId })
+            .select("name theories")
+            .lean(),
+        Theory.findOne({ slug }).select("slug status").lean(),
+    ]);
+    if (!lista || !theory) {
+        return null;
+    }
+    if (!estaPublicada(theory)) {
+        throw new ReadingListError(t("listas.erros.soPublicadas"), 422);
+    }
+
+    // O limite vai no filtro: dois pedidos ao mesmo tempo não o ultrapassam.
+    const atualizada = await ReadingList.findOneAndUpdate(
+        {
+            _id: lista._id,
+            [`theories.${MAXIMO_TEORIAS_POR_LISTA - 1}`]: { $exists: false },
+        },
+        { $addToSet: { theories: theory._id } },
+        { new: true }
+    ).lean();
+
+    if (!atualizada) {
+        const jaLaEstava = lista.theories.some((id) => id.equals(theory._id));
+        if (!jaLaEstava) {
+            throw new ReadingListError(
+                t("listas.erros.listaCheia", {
+                    nome: lista.name,
+                    maximo: MAXIMO_TEORIAS_POR_LISTA,
+                })
+            );
+        }
+    }
+    return { lista: atualizada || lista, theory };
+}
+
+/**
+ * Tira uma teoria de uma lista.
+ *
+ * @param {string} listaId `_id` da lista.
+ * @param {string} ownerId Utilizador da sessão.
+ * @param {string} theoryId `_id` da teoria.
+ * @returns {Promise<boolean>} `false` se a lista não existir (ou não for
+ *          dele).
+ */
+export async function tirarTeoria(listaId, ownerId, theoryId) {
+    if (
+        !mongoose.isValidObjectId(listaId) ||
+        !mongoose.isValidObjectId(theoryId)
+    ) {
+        return false;
+    }
+
+    const { matchedCount } = await ReadingList.updateOne(
+        { _id: listaId, owner: ownerId },
+        { $pull: { theories: new mongoose.Types.ObjectId(theoryId) } }
+    );
+    return matchedCount > 0;
+}
+
+/**
+ * Tira uma teoria de todas as listas (quando a teoria é apagada).
+ *
+ * @param {import("mongoose").Types.ObjectId|string} theoryId Teoria.
+ * @returns {Promise<number>} Número de listas alteradas.
+ */
+export async function tirarTeoriaDasListas(theoryId) {
+    const { modifiedCount } = await ReadingList.updateMany(
+        { theories: theoryId },
+        { $pull: { theories: theoryId } }
+    );
+    return modifiedCount;
+}
@@ -0,0 +1,233 @@
+/**
+ * src/services/relatedService.js
+ * ------------------------------
+ * Teorias relacionadas (o bloco no fim da página de cada teoria e
+ * `GET /api/v1/theories/:id/related`).
+ *
+ * COMO SE ESCOLHEM:
+ * - Candidatas: teorias publicadas (nunca a própria) com alguma tag em
+ *   comum ou com palavras do título/resumo em comum (índice de texto).
+ * - Pontuação: cada tag em comum vale `PESOS.tag`; as palavras em comum
+ *   no título e no resumo valem até `PESOS.termos` (conforme a
+ *   semelhança); o mesmo nível de complexidade soma `PESOS.complexidade`.
+ * - Só a complexidade não chega: sem tags nem palavras em comum, a teoria
+ *   não é relacionada.
+ * - Empates: a mais recente primeiro.
+ *
+ * CACHE:
+ * - O resultado de cada teoria fica em memória (`DURACAO_CACHE_MS`).
+ * - Qualquer alteração a uma teoria pode mudar as relacionadas das
+ *   outras, por isso quem grava teorias chama `limparCacheRelacionadas()`
+ *   e a cache é toda descartada. A validade só serve para outras
+ *   instâncias da app, que não sabem dessas alterações.
+ */
+
+import Theory, { FILTRO_PUBLICADAS } from "../models/Theory.js";
+import { extrairTermos } from "../utils/search.js";
+
+export const LIMITE_RELACIONADAS = 4;
+export const LIMITE_MAXIMO_RELACIONADAS = 12;
+
+/**
+ * Peso de cada critério na pontuação.
+ */
+export const PESOS = {
+    tag: 3,
+    termos: 4,
+    complexidade: 1,
+};
+
+/**
+ * Quantas candidatas se vão buscar por critério (tags e texto) antes de
+ * pontuar.
+ */
+const CANDIDATAS_POR_CRITERIO = 50;
+
+const DURACAO_CACHE_MS = 10 * 60 * 1000;
+const ENTRADAS_MAXIMAS_CACHE = 500;
+
+const CAMPOS_RELACIONADA =
+    "title slug summary tags complexityLevel commentCount commentsLocked favoriteCount author authorName status publishAt publishedAt createdAt updatedAt __v";
+
+/**
+ * `_id` da teoria → `{ relacionadas, guardadoEm }`.
+ *
+ * @type {Map<string, { relacionadas: object[], guardadoEm: number }>}
+ */
+const cache = new Map();
+
+// Muda a cada limpeza: um cálculo que começou antes não é guardado.
+let geracao = 0;
+
+/**
+ * Descarta todas as relacionadas guardadas. Chamado sempre que uma
+ * teoria é criada, alterada, muda de estado ou é apagada.
+ */
+export function limparCacheRelacionadas() {
+    cache.clear();
+    geracao += 1;
+}
+
+/**
+ * Palavras do título e do resumo (sem acentos, sem palavras vazias).
+ *
+ * @param {{ title?: string, summary?: string }} theory
+ * @returns {Set<string>}
+ */
+function termosDaTeoria(theory) {
+    return new Set(
+        extrairTermos(`${theory.title || ""} ${theory.summary || ""}`)
+    );
+}
+
+/**
+ * Semelhança entre dois conjuntos de palavras (0 = nada em comum,
+ * 1 = iguais).
+ *
+ * @param {Set<string>} a
+ * @param {Set<string>} b
+ * @returns {number}
+ */
+function semelhanca(a, b) {
+    if (a.size === 0 || b.size === 0) {
+        return 0;
+    }
+
+    let comuns = 0;
+    a.forEach((termo) => {
+        if (b.has(termo)) {
+            comuns += 1;
+        }
+    });
+    return comuns / Math.sqrt(a.size * b.size);
+}
+
+/**
+ * Pontua uma candidata em relação à teoria de origem.
+ *
+ * @param {object} origem Teoria de origem (com `termos`).
+ * @param {object} candidata Teoria candidata (lean).
+ * @returns {{ score: number, sharedTags: string[], sameComplexity: boolean,
+ *             similarity: number }}
+ */
+function pontuar(origem, candidata) {
+    const sharedTags = (candidata.tags || []).filter((tag) =>
+        origem.tags.includes(tag)
+    );
+    const similarity = semelhanca(origem.termos, termosDaTeoria(candidata));
+    const sameComplexity =
+        (candidata.complexityLevel || "medium") ===
+        (origem.complexityLevel || "medium");
+
+    const score =
+        sharedTags.length * PESOS.tag +
+        similarity * PESOS.termos +
+        (sameComplexity ? PESOS.complexidade : 0);
+
+    return {
+        score: Math.round(score * 100) / 100,
+        sharedTags,
+        sameComplexity,
+        similarity: Math.round(similarity * 100) / 100,
+    };
+}
+
+/**
+ * Calcula as relacionadas de uma teoria (sem cache).
+ *
+ * @param {object} theory Teoria de origem (lean).
+ * @returns {Promise<object[]>} Até `LIMITE_MAXIMO_RELACIONADAS` teorias
+ *          (lean), cada uma com `relacao` (ver `pontuar`).
+ */
+async function calcularRelacionadas(theory) {
+    const origem = {
+        tags: theory.tags || [],
+        complexityLevel: theory.complexityLevel,
+        termos: termosDaTeoria(theory),
+    };
+    const base = { ...FILTRO_PUBLICADAS, _id: { $ne: theory._id } };
+
+    const pesquisas = [];
+    if (origem.tags.length > 0) {
+        pesquisas.push(
+            Theory.find({ ...base, tags: { $in: origem.tags } })
+                .select(CAMPOS_RELACIONADA)
+                .sort({ publishedAt: -1, _id: -1 })
+                .limit(CANDIDATAS_POR_CRITERIO)
+                .lean()
+        );
+    }
+    if (origem.termos.size > 0) {
+        pesquisas.push(
+            Theory.find({
+                ...base,
+                $text: { $search: [...origem.termos].join(" ") },
+            })
+                .select(CAMPOS_RELACIONADA)
+                .sort({ score: { $meta: "textScore" } })
+                .limit(CANDIDATAS_POR_CRITERIO)
+                .lean()
+        );
+    }
+
+    // A mesma teoria pode vir das duas pesquisas.
+    const candidatas = new Map();
+    (await Promise.all(pesquisas)).flat().forEach((t) => {
+        candidatas.set(t._id.toString(), t);
+    });
+
+    return [...candidatas.values()]
+        .map((candidata) => ({
+            ...candidata,
+            relacao: pontuar(origem, candidata),
+        }))
+        .filter(
+            ({ relacao }) =>
+                relacao.sharedTags.length > 0 || relacao.similarity > 0
+        )
+        .sort(
+            (a, b) =>
+                b.relacao.score - a.relacao.score ||
+                new Date(b.publishedAt || b.createdAt) -
+                    new Date(a.publishedAt || a.createdAt)
+        )
+        .slice(0, LIMITE_MAXIMO_RELACIONADAS);
+}
+
+/**
+ * Teorias relacionadas com uma teoria (com cache).
+ *
+ * @param {object} theory Teoria de origem (lean; precisa de `_id`,
+ *        `title`, `summary`, `tags` e `complexityLevel`).
+ * @param {{ limite?: number, agora?: number }} [opcoes]
+ * @returns {Promise<object[]>} Teorias publicadas (lean, sem `content`),
+ *          da mais para a menos relacionada, cada uma com `relacao`:
+ *          `{ score, sharedTags, sameComplexity, similarity }`.
+ */
+export async function obterRelacionadas(theory, opcoes = {}) {
+    const { limite = LIMITE_RELACIONADAS, agora = Date.now() } = opcoes;
+    const chave = theory._id.toString();
+
+    let entrada = cache.get(chave);
+    if (!entrada || agora - entrada.guardadoEm > DURACAO_CACHE_MS) {
+        const geracaoInicial = geracao;
+        entrada = {
+            relacionadas: await calcularRelacionadas(theory),
+            guardadoEm: agora,
+        };
+
+        if (geracao === geracaoInicial) {
+            // Map mantém a ordem de inserção: a primeira chave é a mais antiga.
+            cache.delete(chave);
+            if (cache.size >= ENTRADAS_MAXIMAS_CACHE) {
+                cache.delete(cache.keys().next().value);
+            }
+            cache.set(chave, entrada);
+        }
+    }
+
+    return entrada.relacionadas.slice(
+        0,
+        Math.min(Math.max(limite, 1), LIMITE_MAXIMO_RELACIONADAS)
+    );
+}
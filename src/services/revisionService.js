@@ -0,0 +1,165 @@
+/**
+ * src/services/revisionService.js
+ * -------------------------------
+ * Histórico de revisões das teorias: gravar, listar e comparar.
+ *
+ * QUANDO É GRAVADA UMA REVISÃO?
+ * - Sempre que o `theoryService` cria, edita ou restaura uma teoria (venha
+ *   o pedido do formulário de admin ou da API).
+ * - Cada revisão guarda o estado DEPOIS da alteração; comparar a revisão N
+ *   com a N-1 mostra o que essa alteração mudou.
+ */
+
+import { diffWordsWithSpace } from "diff";
+
+import TheoryRevision, { CAMPOS_REVISAO } from "../models/TheoryRevision.js";
+import { t } from "../utils/i18n.js";
+
+/**
+ * @param {object} theory Teoria (documento ou lean).
+ * @returns {Record<string, any>} Os campos guardados numa revisão.
+ */
+function tirarFotografia(theory) {
+    return Object.fromEntries(
+        CAMPOS_REVISAO.map((campo) => [
+            campo,
+            campo === "tags" ? [...(theory.tags || [])] : theory[campo],
+        ])
+    );
+}
+
+/**
+ * Grava uma revisão com o estado atual da teoria.
+ *
+ * @param {object} theory Teoria (já gravada).
+ * @param {{ id: string, displayName: string }|null} autor Quem alterou.
+ * @param {"create"|"update"|"restore"|"import"} acao O que aconteceu.
+ * @param {number|null} [restauradaDe] Revisão reposta (ação "restore").
+ * @returns {Promise<import("mongoose").Document>} Revisão criada.
+ */
+export async function registarRevisao(
+    theory,
+    autor,
+    acao,
+    restauradaDe = null
+) {
+    // Duas gravações ao mesmo tempo podem escolher o mesmo número; o índice
+    // único recusa a segunda, que tenta com o número seguinte.
+    for (let tentativa = 1; ; tentativa += 1) {
+        const ultima = await TheoryRevision.findOne({ theory: theory._id })
+            .sort({ number: -1 })
+            .select("number")
+            .lean();
+
+        try {
+            return await TheoryRevision.create({
+                theory: theory._id,
+                number: (ultima?.number || 0) + 1,
+                action: acao,
+                restoredFrom: restauradaDe,
+                author: autor ? autor.id : null,
+                authorName: autor ? autor.displayName : "",
+                snapshot: tirarFotografia(theory),
+            });
+        } catch (error) {
+            if (error?.code !== 11000 || tentativa >= 3) {
+                throw error;
+            }
+        }
+    }
+}
+
+/**
+ * Teorias criadas antes do histórico não têm revisões. Antes da primeira
+ * edição, guardamos o estado atual como revisão "import", para a
+ * alteração poder ser comparada (e desfeita).
+ *
+ * @param {object} theory Teoria (ou `toObject()`), ainda sem as alterações.
+ * @returns {Promise<void>}
+ */
+export async function garantirRevisaoInicial(theory) {
+    const existe = await TheoryRevision.exists({ theory: theory._id });
+    if (!existe) {
+        await registarRevisao(theory, null, "import");
+    }
+}
+
+/**
+ * Lista as revisões de uma teoria (mais recentes primeiro).
+ *
+ * @param {import("mongoose").Types.ObjectId|string} theoryId Teoria.
+ * @returns {Promise<object[]>}
+ */
+export async function listarRevisoes(theoryId) {
+    return TheoryRevision.find({ theory: theoryId })
+        .sort({ number: -1 })
+        .lean();
+}
+
+/**
+ * @param {import("mongoose").Types.ObjectId|string} theoryId Teoria.
+ * @param {number} numero Número da revisão.
+ * @returns {Promise<object|null>}
+ */
+export async function obterRevisao(theoryId, numero) {
+    if (!Number.isInteger(numero) || numero < 1) {
+        return null;
+    }
+    return TheoryRevision.findOne({ theory: theoryId, number: numero }).lean();
+}
+
+/**
+ * Apaga o histórico de uma teoria (quando a teoria é apagada).
+ *
+ * @param {import("mongoose").Types.ObjectId|string} theoryId Teoria.
+ * @returns {Promise<void>}
+ */
+export async function apagarRevisoesDaTeoria(theoryId) {
+    await TheoryRevision.deleteMany({ theory: theoryId });
+}
+
+/**
+ * @param {string} campo Nome do campo.
+ * @param {unknown} valor Valor na revisão.
+ * @returns {string} Valor em texto, para comparar.
+ */
+function paraTexto(campo, valor) {
+    if (campo === "tags") {
+        return (valor || []).join(", ");
+    }
+    return String(valor ?? "");
+}
+
+/**
+ * Compara duas revisões, campo a campo, palavra a palavra.
+ *
+ * Para a vista lado a lado:
+ * - `antes`  → partes do texto antigo (`removido: true` no que saiu);
+ * - `depois` → partes do texto novo (`adicionado: true` no que entrou).
+ *
+ * @param {object} revisaoAntes Revisão mais antiga.
+ * @param {object} revisaoDepois Revisão mais recente.
+ * @returns {Array<{ campo: string, nome: string, alterado: boolean,
+ *                   antes: Array<{ texto: string, removido?: boolean }>,
+ *                   depois: Array<{ texto: string, adicionado?: boolean }> }>}
+ */
+export function compararRevisoes(revisaoAntes, revisaoDepois) {
+    return CAMPOS_REVISAO.map((campo) => {
+        const partes = diffWordsWithSpace(
+            paraTexto(campo, revisaoAntes.snapshot[campo]),
+            paraTexto(campo, revisaoDepois.snapshot[campo])
+        );
+
+        return {
+            campo,
+            nome: t(`revisoes.campos.${campo}`),
+            alterado: partes.some((p) => p.added || p.removed),
+            antes: partes
+                .filter((p) => !p.added)
+                .map((p) => ({ texto: p.value, removido: Boolean(p.removed) })),
+            depois: partes
+                .filter((p) => !p.removed)
+                .map((p) => ({ texto: p.value, adicionado: Boolean(p.added) })),
+        };
+    });
+}
@@ -0,0 +1,59 @@
+/**
+ * src/services/schedulerService.js
+ * --------------------------------
+ * Agendador interno: de tempos a tempos, publica as teorias agendadas
+ * cuja data já chegou (ver `publicarAgendadas` em `workflowService.js`).
+ *
+ * NOTAS:
+ * - Corre dentro do próprio servidor (não precisa de cron nem de outro
+ *   processo). Com várias instâncias da app a correr, não há problema:
+ *   cada teoria só passa a "published" uma vez.
+ * - O intervalo vem de `SCHEDULER_INTERVAL_SECONDS` (60 por omissão); uma
+ *   teoria pode ficar pública até esse tempo depois da hora pedida.
+ */
+
+import { config } from "../config/env.js";
+import { logger } from "../utils/logger.js";
+import { publicarAgendadas } from "./workflowService.js";
+
+export const INTERVALO_AGENDADOR_MS = config.schedulerIntervalSeconds * 1000;
+
+/**
+ * Arranca o agendador (corre já uma vez e depois a cada intervalo).
+ *
+ * @param {{ intervaloMs?: number }} [opcoes]
+ * @returns {() => void} Função que para o agendador.
+ */
+export function iniciarAgendador({
+    intervaloMs = INTERVALO_AGENDADOR_MS,
+} = {}) {
+    let aCorrer = false;
+
+    const correr = async () => {
+        // Uma passagem lenta não deve sobrepor-se à seguinte.
+        if (aCorrer) {
+            return;
+        }
+        aCorrer = true;
+
+        try {
+            const publicadas = await publicarAgendadas();
+            if (publicadas > 0) {
+                logger.info("Agendador: teorias agendadas publicadas", {
+                    publicadas,
+                });
+            }
+        } catch (error) {
+            logger.error("Erro no agendador de publicações", { error });
+        } finally {
+            aCorrer = false;
+        }
+    };
+
+    correr();
+    const intervalo = setInterval(correr, intervaloMs);
+    // O agendador não impede o processo de terminar.
+    intervalo.unref();
+
+    return () => clearInterval(intervalo);
+}
@@ -0,0 +1,511 @@
+/**
+ * src/services/tagService.js
+ * --------------------------
+ * Registo de tags (model `Tag`): contagens de uso, página de cada tag,
+ * nuvem de tags e as ferramentas de gestão (editar, renomear, fundir e
+ * bloquear).
+ *
+ * REGRAS:
+ * - As teorias continuam a guardar as tags como texto (`Theory.tags`); o
+ *   registo guarda o resto (nome a mostrar, descrição, contagem, bloqueio).
+ * - Uma tag nova entra no registo quando uma teoria a usa pela primeira vez.
+ * - Renomear e fundir reescrevem as tags de todas as teorias afetadas. Os
+ *   nomes antigos ficam como `aliases`: os links antigos redirecionam e,
+ *   se alguém voltar a escrever o nome antigo numa teoria, fica a tag nova
+ *   (é assim que "vigilancia" e "vigilância" deixam de se separar).
+ * - Bloquear uma tag impede que seja posta em mais teorias; as que já a
+ *   tinham ficam com ela (tirá-la é uma edição de cada teoria, com revisão
+ *   e auditoria). Uma tag bloqueada não aparece na nuvem, nas sugestões
+ *   nem tem página pública.
+ * - As reescritas em massa incrementam a versão (`__v`) das teorias: quem
+ *   tiver o formulário aberto recebe um conflito em vez de repor, sem
+ *   saber, a tag antiga.
+ */
+
+import mongoose from "mongoose";
+
+import Tag from "../models/Tag.js";
+import Theory, { FILTRO_PUBLICADAS } from "../models/Theory.js";
+import { t } from "../utils/i18n.js";
+import { escaparRegex, removerAcentos } from "../utils/slug.js";
+import { limparCacheRelacionadas } from "./relatedService.js";
+
+/**
+ * Número de níveis de tamanho na nuvem de tags (1 = mais pequena).
+ */
+export const NIVEIS_NUVEM = 5;
+
+/**
+ * Tamanho máximo do texto usado para sugerir tags (o resto é ignorado).
+ */
+const TAMANHO_MAXIMO_SUGESTAO = 60;
+
+/**
+ * Converte um valor (string, array ou "a,b,c") numa lista de tags
+ * normalizadas: minúsculas, sem "#" inicial, espaços internos reduzidos
+ * a um só, sem vazios e sem repetidos.
+ *
+ * Usado tanto na query string da lista pública (`?tags=...`) como no
+ * campo "Tags (separadas por vírgulas)" do formulário de admin.
+ *
+ * EXEMPLO:
+ * - " Animais, #parques ,animais,, Vigilância  urbana"
+ *   → ["animais", "parques", "vigilância urbana"]
+ *
+ * @param {string|string[]|undefined} valor Valor recebido.
+ * @returns {string[]} Tags normalizadas.
+ */
+export function normalizarTags(valor) {
+    const lista = Array.isArray(valor) ? valor : [valor];
+
+    const tags = lista
+        .filter((v) => typeof v === "string")
+        .flatMap((v) => v.split(","))
+        .map((tag) =>
+            tag.trim().replace(/^#+/, "").replace(/\s+/g, " ").toLowerCase()
+        )
+        .filter(Boolean);
+
+    return [...new Set(tags)];
+}
+
+/**
+ * Erro de negócio da gestão de tags (com status HTTP).
+ */
+export class TagError extends Error {
+    /**
+     * @param {string} mensagem Mensagem amigável.
+     * @param {number} [status] Código HTTP (409 por omissão).
+     */
+    constructor(mensagem, status = 409) {
+        super(mensagem);
+        this.name = "TagError";
+        this.status = status;
+    }
+}
+
+/**
+ * @param {{ name: string, displayName?: string }} tag Tag do registo.
+ * @returns {string} Nome a mostrar (o próprio nome, se não tiver outro).
+ */
+export function nomeParaMostrar(tag) {
+    return tag.displayName || tag.name;
+}
+
+/**
+ * Prepara as tags de uma teoria antes de a gravar:
+ * - nomes antigos (`aliases`) passam para a tag atual;
+ * - tags bloqueadas que a teoria ainda não tinha (`atuais`) são recusadas,
+ *   com um erro de validação igual aos do model (os formulários e a API já
+ *   os sabem mostrar), ou simplesmente retiradas com `tirarBloqueadas` (ao
+ *   repor uma revisão antiga).
+ *
+ * @param {string[]} tags Tags já normalizadas.
+ * @param {{ atuais?: string[], tirarBloqueadas?: boolean }} [opcoes]
+ *        `atuais`: tags que a teoria já tem (podem ficar, mesmo bloqueadas).
+ * @returns {Promise<string[]>} Tags a gravar.
+ * @throws {import("mongoose").Error.ValidationError} Se houver tags
+ *         bloqueadas novas (e não for para as tirar).
+ */
+export async function prepararTags(
+    tags,
+    { atuais = [], tirarBloqueadas = false } = {}
+) {
+    if (tags.length === 0) {
+        return tags;
+    }
+
+    const registadas = await Tag.find({
+        $or: [{ name: { $in: tags } }, { aliases: { $in: tags } }],
+    })
+        .select("name aliases blocked")
+        .lean();
+
+    const porNome = new Map(registadas.map((tag) => [tag.name, tag]));
+    const porAlias = new Map(
+        registadas.flatMap((tag) => tag.aliases.map((alias) => [alias, tag]))
+    );
+
+    const resolvidas = [
+        ...new Set(
+            tags.map((tag) =>
+                porNome.has(tag) ? tag : porAlias.get(tag)?.name ?? tag
+            )
+        ),
+    ];
+
+    const bloqueadas = resolvidas.filter(
+        (tag) => porNome.get(tag)?.blocked && !atuais.includes(tag)
+    );
+    if (tirarBloqueadas) {
+        return resolvidas.filter((tag) => !bloqueadas.includes(tag));
+    }
+    if (bloqueadas.length > 0) {
+        const erro = new mongoose.Error.ValidationError();
+        erro.addError(
+            "tags",
+            new mongoose.Error.ValidatorError({
+                path: "tags",
+                message: t("tags.erros.bloqueadas", {
+                    count: bloqueadas.length,
+                    tags: bloqueadas.map((tag) => `"${tag}"`).join(", "),
+                }),
+            })
+        );
+        throw erro;
+    }
+
+    return resolvidas;
+}
+
+/**
+ * Recalcula quantas teorias usam cada tag (e regista as tags novas).
+ * Chamado depois de criar, editar ou apagar uma teoria.
+ *
+ * @param {string[]} nomes Tags a recontar.
+ * @returns {Promise<void>}
+ */
+export async function atualizarUsoTags(nomes) {
+    for (const name of new Set(nomes)) {
+        const usageCount = await Theory.countDocuments({ tags: name });
+        await Tag.updateOne(
+            { name },
+            { $set: { usageCount } },
+            { upsert: true }
+        );
+    }
+}
+
+/**
+ * Reconstrói as contagens do registo a partir das teorias (para bases de
+ * dados anteriores ao registo, ou depois de importar teorias).
+ *
+ * @returns {Promise<number>} Número de tags em uso.
+ */
+export async function sincronizarTags() {
+    const contagens = await Theory.aggregate([
+        { $unwind: "$tags" },
+        { $group: { _id: "$tags", total: { $sum: 1 } } },
+    ]);
+
+    for (const { _id: name, total } of contagens) {
+        await Tag.updateOne(
+            { name },
+            { $set: { usageCount: total } },
+            { upsert: true }
+        );
+    }
+
+    await Tag.updateMany(
+        { name: { $nin: contagens.map((c) => c._id) } },
+        { $set: { usageCount: 0 } }
+    );
+    return contagens.length;
+}
+
+/**
+ * Substitui (ou tira) tags em todas as teorias que as usam.
+ *
+ * @param {string[]} origens Tags a substituir.
+ * @param {string|null} destino Tag nova (`null` → as origens saem).
+ * @returns {Promise<number>} Número de teorias alteradas.
+ */
+async function reescreverTagsDasTeorias(origens, destino) {
+    const theories = await Theory.find({ tags: { $in: origens } })
+        .select("tags")
+        .lean();
+
+    for (const theory of theories) {
+        const tags = theory.tags
+            .map((tag) => (origens.includes(tag) ? destino : tag))
+            .filter(Boolean);
+
+        await Theory.updateOne(
+            { _id: theory._id },
+            { $set: { tags: [...new Set(tags)] }, $inc: { __v: 1 } }
+        );
+    }
+    if (theories.length > 0) {
+        limparCacheRelacionadas();
+    }
+    return theories.length;
+}
+
+/**
+ * Lista o registo para a gestão: primeiro as tags em uso (mais usadas
+ * primeiro), no fim as bloqueadas.
+ *
+ * @returns {Promise<object[]>} Tags (lean).
+ */
+export async function listarTags() {
+    return Tag.find().sort({ blocked: 1, usageCount: -1, name: 1 }).lean();
+}
+
+/**
+ * Letras que podem ter acento nas tags, com as variantes acentuadas.
+ */
+const VARIANTES_ACENTOS = {
+    a: "aáàâãä",
+    e: "eéèêë",
+    i: "iíìîï",
+    o: "oóòôõö",
+    u: "uúùûü",
+    c: "cç",
+    n: "nñ",
+};
+
+/**
+ * @param {string} texto Texto sem acentos, em minúsculas.
+ * @returns {string} Expressão regular que encontra o texto com ou sem
+ *          acentos ("vigilancia" → "vig[iíìîï]l[aáàâãä]nc[iíìîï][aáàâãä]").
+ */
+function padraoSemAcentos(texto) {
+    return [...texto]
+        .map((letra) =>
+            VARIANTES_ACENTOS[letra]
+                ? `[${VARIANTES_ACENTOS[letra]}]`
+                : escaparRegex(letra)
+        )
+        .join("");
+}
+
+/**
+ * Tags que começam pelo texto escrito (autocompletar do formulário de
+ * teorias). Compara sem acentos e também pelo início de cada palavra
+ * ("urb" sugere "vigilância urbana").
+ *
+ * A procura é feita na base de dados (corre a cada tecla): só chegam as
+ * `limite` sugestões, e não o registo inteiro.
+ *
+ * @param {string} texto Texto escrito.
+ * @param {number} [limite] Máximo de sugestões.
+ * @returns {Promise<string[]>} Nomes, das mais usadas para as menos usadas.
+ */
+export async function sugerirTags(texto, limite = 10) {
+    const procura = removerAcentos(texto)
+        .trim()
+        .replace(/\s+/g, " ")
+        .toLowerCase()
+        .slice(0, TAMANHO_MAXIMO_SUGESTAO);
+    if (!procura) {
+        return [];
+    }
+
+    const tags = await Tag.find({
+        blocked: false,
+        name: { $regex: `(^| )${padraoSemAcentos(procura)}` },
+    })
+        .sort({ usageCount: -1, name: 1 })
+        .limit(limite)
+        .select("name")
+        .lean();
+
+    return tags.map((tag) => tag.name);
+}
+
+/**
+ * Nuvem de tags das teorias publicadas: cada tag com o número de teorias
+ * e um nível de tamanho (1 a `NIVEIS_NUVEM`, numa escala logarítmica, para
+ * uma tag muito usada não esmagar as outras).
+ *
+ * @param {{ limite?: number }} [opcoes] Máximo de tags (as mais usadas).
+ * @returns {Promise<Array<{ name: string, displayName: string,
+ *                           total: number, nivel: number }>>}
+ *          Por ordem alfabética.
+ */
+export async function calcularNuvemTags({ limite = 60 } = {}) {
+    const contagens = await Theory.aggregate([
+        { $match: FILTRO_PUBLICADAS },
+        { $unwind: "$tags" },
+        { $group: { _id: "$tags", total: { $sum: 1 } } },
+        { $sort: { total: -1, _id: 1 } },
+        { $limit: limite },
+    ]);
+
+    const registadas = await Tag.find({
+        name: { $in: contagens.map((c) => c._id) },
+    })
+        .select("name displayName blocked")
+        .lean();
+    const porNome = new Map(registadas.map((tag) => [tag.name, tag]));
+
+    const visiveis = contagens.filter((c) => !porNome.get(c._id)?.blocked);
+    const totais = visiveis.map((c) => Math.log(c.total));
+    const minimo = Math.min(...totais);
+    const intervalo = Math.max(...totais) - minimo || 1;
+
+    return visiveis
+        .map((c) => ({
+            name: c._id,
+            displayName: nomeParaMostrar(porNome.get(c._id) || { name: c._id }),
+            total: c.total,
+            nivel:
+                1 +
+                Math.round(
+                    ((Math.log(c.total) - minimo) / intervalo) *
+                        (NIVEIS_NUVEM - 1)
+                ),
+        }))
+        .sort((a, b) => a.displayName.localeCompare(b.displayName, "pt"));
+}
+
+/**
+ * Procura uma tag para a sua página pública.
+ *
+ * - Tag bloqueada → não existe.
+ * - Nome antigo (de uma tag renomeada ou fundida) → `redirectName`.
+ * - Tag usada em teorias mas ainda fora do registo → devolvida na mesma
+ *   (sem descrição).
+ *
+ * @param {string} nome Nome recebido no URL.
+ * @returns {Promise<{ tag: object|null, redirectName: string|null }>}
+ */
+export async function procurarTag(nome) {
+    const [name] = normalizarTags(nome);
+    if (!name) {
+        return { tag: null, redirectName: null };
+    }
+
+    const tag = await Tag.findOne({ name }).lean();
+    if (tag) {
+        return { tag: tag.blocked ? null : tag, redirectName: null };
+    }
+
+    const atual = await Tag.findOne({ aliases: name, blocked: false })
+        .select("name")
+        .lean();
+    if (atual) {
+        return { tag: null, redirectName: atual.name };
+    }
+
+    const usada = await Theory.exists({ ...FILTRO_PUBLICADAS, tags: name });
+    return {
+        tag: usada ? { name, displayName: "", description: "" } : null,
+        redirectName: null,
+    };
+}
+
+/**
+ * Altera o nome a mostrar e a descrição de uma tag.
+ *
+ * @param {string} nome Tag.
+ * @param {{ displayName?: string, description?: string }} dados
+ * @returns {Promise<object|null>} Tag atualizada, ou `null` se não existir.
+ * @throws {import("mongoose").Error.ValidationError} Se os dados forem
+ *         inválidos.
+ */
+export async function atualizarTag(nome, dados) {
+    const tag = await Tag.findOne({ name: nome });
+    if (!tag) {
+        return null;
+    }
+
+    tag.set({
+        displayName:
+            typeof dados.displayName === "string" ? dados.displayName : "",
+        description:
+            typeof dados.description === "string" ? dados.description : "",
+    });
+    await tag.save();
+    return tag;
+}
+
+/**
+ * Funde várias tags numa só: as teorias passam a ter a tag de destino e
+ * as tags de origem desaparecem do registo (ficam como `aliases` do
+ * destino).
+ *
+ * - O destino pode ser uma tag nova: é criada (com a descrição da origem,
+ *   se só houver uma — é o caso de renomear).
+ * - Não se funde numa tag bloqueada.
+ *
+ * @param {string[]} origens Tags a fundir.
+ * @param {string} destino Tag que fica.
+ * @returns {Promise<{ tag: object, theories: number }>} Tag de destino e
+ *          número de teorias alteradas.
+ * @throws {TagError} 422 (faltam tags) ou 409 (destino bloqueado).
+ */
+export async function fundirTags(origens, destino) {
+    const [nomeDestino] = normalizarTags(destino);
+    if (!nomeDestino) {
+        throw new TagError(t("tags.erros.destinoEmFalta"), 422);
+    }
+
+    const nomesOrigem = normalizarTags(origens).filter(
+        (nome) => nome !== nomeDestino
+    );
+    if (nomesOrigem.length === 0) {
+        throw new TagError(t("tags.erros.origemEmFalta"), 422);
+    }
+
+    const tagsOrigem = await Tag.find({ name: { $in: nomesOrigem } }).lean();
+    let tagDestino = await Tag.findOne({ name: nomeDestino });
+
+    if (tagDestino?.blocked) {
+        throw new TagError(
+            t("tags.erros.bloqueadas", { count: 1, tags: `"${nomeDestino}"` })
+        );
+    }
+    if (!tagDestino) {
+        tagDestino = new Tag({
+            name: nomeDestino,
+            description:
+                tagsOrigem.length === 1 ? tagsOrigem[0].description : "",
+        });
+    }
+
+    tagDestino.aliases = [
+        ...new Set([
+            ...tagDestino.aliases,
+            ...nomesOrigem,
+            ...tagsOrigem.flatMap((tag) => tag.aliases),
+        ]),
+    ].filter((nome) => nome !== nomeDestino);
+
+    // O destino deixa de ser nome antigo de outra tag (agora existe).
+    await Tag.updateMany(
+        { aliases: nomeDestino },
+        { $pull: { aliases: nomeDestino } }
+    );
+    await tagDestino.save();
+    await Tag.deleteMany({ name: { $in: nomesOrigem } });
+
+    const theories = await reescreverTagsDasTeorias(nomesOrigem, nomeDestino);
+    await atualizarUsoTags([nomeDestino]);
+
+    return { tag: await Tag.findById(tagDestino._id).lean(), theories };
+}
+
+/**
+ * Renomeia uma tag (é uma fusão com uma só origem: se o nome novo já
+ * existir, as duas tags ficam uma só).
+ *
+ * @param {string} nome Tag atual.
+ * @param {string} novoNome Nome novo.
+ * @returns {Promise<{ tag: object, theories: number }|null>} `null` se a
+ *          tag não existir.
+ * @throws {TagError} Ver `fundirTags`.
+ */
+export async function renomearTag(nome, novoNome) {
+    if (!(await Tag.exists({ name: nome }))) {
+        return null;
+    }
+    return fundirTags([nome], novoNome);
+}
+
+/**
+ * Bloqueia ou desbloqueia uma tag. Só muda o uso daqui para a frente: as
+ * teorias que já a têm não são alteradas.
+ *
+ * @param {string} nome Tag.
+ * @param {boolean} bloquear `true` para bloquear.
+ * @returns {Promise<object|null>} Tag atualizada (lean), ou `null` se não
+ *          existir.
+ */
+export async function bloquearTag(nome, bloquear) {
+    return Tag.findOneAndUpdate(
+        { name: nome },
+        { $set: { blocked: bloquear } },
+        { new: true }
+    ).lean();
+}
@@ -0,0 +1,534 @@
+/**
+ * src/services/theoryService.js
+ * -----------------------------
+ * Lógica de consulta das teorias, partilhada pelos controladores.
+ *
+ * PORQUÊ UM "SERVICE"?
+ * - O controlador trata do HTTP (ler `req`, escolher a vista, `res.render`).
+ * - Aqui fica a parte que só fala com a base de dados: construir filtros,
+ *   ordenar e paginar. Assim a mesma função pode ser usada por outras rotas
+ *   sem duplicar código.
+ */
+
+import mongoose from "mongoose";
+
+import Theory, { FILTRO_PUBLICADAS } from "../models/Theory.js";
+import { CAMPOS_REVISAO } from "../models/TheoryRevision.js";
+import { t } from "../utils/i18n.js";
+import { registarAuditoria } from "./auditService.js";
+import { apagarComentariosDaTeoria } from "./commentService.js";
+import { apagarFavoritosDaTeoria } from "./favoriteService.js";
+import { tirarTeoriaDasListas } from "./readingListService.js";
+import { limparCacheRelacionadas } from "./relatedService.js";
+import {
+    apagarRevisoesDaTeoria,
+    garantirRevisaoInicial,
+    obterRevisao,
+    registarRevisao,
+} from "./revisionService.js";
+import {
+    atualizarUsoTags,
+    normalizarTags,
+    prepararTags,
+} from "./tagService.js";
+import {
+    destacarTermos,
+    extrairTermos,
+    gerarExcerto,
+    limitarPesquisa,
+    sugerirPesquisa,
+} from "../utils/search.js";
+
+export const NIVEIS_COMPLEXIDADE = ["low", "medium", "high"];
+
+export const ORDENACOES = {
+    // Só com texto pesquisado (pontuação do índice de texto).
+    relevance: { score: { $meta: "textScore" }, createdAt: -1, _id: -1 },
+    newest: { createdAt: -1, _id: -1 },
+    oldest: { createdAt: 1, _id: 1 },
+    "most-commented": { commentCount: -1, createdAt: -1, _id: -1 },
+};
+
+/**
+ * Campos de uma teoria que podem ser escritos (formulário de admin e API).
+ * O estado não está aqui: muda com as ações de `workflowService.js`.
+ */
+export const CAMPOS_EDITAVEIS_TEORIA = [
+    "title",
+    "summary",
+    "content",
+    "complexityLevel",
+    "tags",
+    "publishAt",
+];
+
+export const LIMITE_POR_OMISSAO = 10;
+export const LIMITE_MAXIMO = 50;
+
+/**
+ * Extrai, de um `req.body` do formulário de admin, apenas os campos que
+ * podem ser editados numa teoria (evita que campos extra — como `slug`
+ * ou `commentCount` — sejam gravados por engano).
+ *
+ * `publishAt` só entra se vier no body; vazio (ou `null`) tira a data.
+ *
+ * @param {Record<string, unknown>} body Corpo do pedido.
+ * @returns {{ title: string, summary: string, content: string,
+ *             complexityLevel?: string, tags: string[],
+ *             publishAt?: string|null }}
+ */
+export function lerDadosTeoria(body = {}) {
+    const texto = (valor) => (typeof valor === "string" ? valor : "");
+
+    const dados = {
+        title: texto(body.title),
+        summary: texto(body.summary),
+        content: texto(body.content),
+        tags: normalizarTags(body.tags),
+    };
+
+    // Sem nível escolhido, fica o valor por omissão do schema ("medium").
+    if (texto(body.complexityLevel)) {
+        dados.complexityLevel = body.complexityLevel;
+    }
+
+    // O model converte o texto em data (e recusa datas inválidas).
+    if (Object.hasOwn(body, "publishAt")) {
+        dados.publishAt = texto(body.publishAt).trim() || null;
+    }
+
+    return dados;
+}
+
+/**
+ * Erro de edição concorrente: a teoria foi gravada por outra pessoa depois
+ * de o formulário (ou o pedido da API) ter sido preparado.
+ *
+ * Leva a teoria no estado atual, para quem chama poder mostrar o conflito.
+ */
+export class TheoryConflictError extends Error {
+    /**
+     * @param {object} theory Teoria como está agora na base de dados.
+     */
+    constructor(theory) {
+        super(t("teorias.erros.conflito"));
+        this.name = "TheoryConflictError";
+        this.status = 409;
+        this.theory = theory;
+    }
+}
+
+/**
+ * Textos mais compridos do que isto ficam cortados no log de auditoria.
+ */
+const TAMANHO_RESUMO_AUDITORIA = 120;
+
+/**
+ * Resumo de alguns campos de uma teoria para o log de auditoria (os textos
+ * compridos, como o `content`, ficam cortados).
+ *
+ * @param {object} theory Teoria (lean ou documento).
+ * @param {string[]} campos Campos a incluir.
+ * @returns {Record<string, unknown>}
+ */
+function resumoAuditoria(theory, campos) {
+    return Object.fromEntries(
+        campos.map((campo) => {
+            const valor = theory[campo] ?? null;
+            return [
+                campo,
+                typeof valor === "string" &&
+                valor.length > TAMANHO_RESUMO_AUDITORIA
+                    ? `${valor.slice(0, TAMANHO_RESUMO_AUDITORIA)}…`
+                    : valor,
+            ];
+        })
+    );
+}
+
+/**
+ * Alvo de auditoria de uma teoria.
+ *
+ * @param {object} theory Teoria.
+ * @returns {{ kind: string, id: any, label: string }}
+ */
+function alvoTeoria(theory) {
+    return { kind: "theory", id: theory._id, label: theory.title };
+}
+
+/**
+ * Cria uma teoria nova (o slug é gerado pelo model) e grava a revisão 1.
+ *
+ * As tags passam por `prepararTags` (nomes antigos → tag atual; tags
+ * bloqueadas recusadas) e o registo de tags é atualizado.
+ *
+ * @param {ReturnType<typeof lerDadosTeoria>} dados Dados já lidos do body.
+ * @param {import("./auditService.js").ContextoAuditoria} [contexto] Quem
+ *        cria (fica como autor) e de onde.
+ * @returns {Promise<import("mongoose").Document>} Teoria criada.
+ * @throws {import("mongoose").Error.ValidationError} Se os dados forem inválidos.
+ */
+export async function criarTeoria(dados, contexto = {}) {
+    const autor = contexto.ator || null;
+    const theory = new Theory({
+        ...dados,
+        tags: await prepararTags(dados.tags || []),
+        author: autor ? autor.id : null,
+        authorName: autor ? autor.displayName : "",
+    });
+    await theory.save();
+    limparCacheRelacionadas();
+    await registarRevisao(theory, autor, "create");
+    await atualizarUsoTags(theory.tags);
+    await registarAuditoria("theory.create", contexto, alvoTeoria(theory), {
+        depois: resumoAuditoria(theory, [
+            "title",
+            "slug",
+            "status",
+            "complexityLevel",
+            "tags",
+        ]),
+    });
+    return theory;
+}
+
+/**
+ * Atualiza uma teoria existente e grava uma revisão com o resultado (se
+ * algum dos campos guardados no histórico tiver mudado).
+ *
+ * NOTAS:
+ * - Usamos `findById` + `save()` (e não `findByIdAndUpdate`) para correr os
+ *   hooks do model — é o hook "pre validate" que atualiza o slug quando o
+ *   título muda.
+ * - `versao` é o `__v` que o editor tinha quando abriu o formulário. Se já
+ *   não for o atual, alguém gravou entretanto e recusamos a gravação (em
+ *   vez de apagar, sem aviso, o trabalho da outra pessoa). O mesmo acontece
+ *   se as duas gravações chegarem ao mesmo tempo (`VersionError`).
+ *
+ * @param {string} id `_id` da teoria.
+ * @param {ReturnType<typeof lerDadosTeoria>} dados Dados já lidos do body.
+ * @param {object} [opcoes]
+ * @param {import("./auditService.js").ContextoAuditoria} [opcoes.contexto]
+ *        Quem edita e de onde.
+ * @param {number} [opcoes.versao] Versão (`__v`) em que a edição se baseia.
+ * @param {"update"|"restore"} [opcoes.acao] Ação a registar no histórico.
+ * @param {number|null} [opcoes.restauradaDe] Revisão reposta.
+ * @param {boolean} [opcoes.tirarBloqueadas] Tirar as tags bloqueadas que
+ *        a teoria ainda não tem, em vez de recusar a gravação.
+ * @returns {Promise<import("mongoose").Document|null>} Teoria atualizada,
+ *          ou `null` se não existir.
+ * @throws {TheoryConflictError} Se a teoria mudou desde `versao`.
+ */
+export async function atualizarTeoria(id, dados, opcoes = {}) {
+    const {
+        contexto = {},
+        versao,
+        acao = "update",
+        restauradaDe = null,
+        tirarBloqueadas = false,
+    } = opcoes;
+    const autor = contexto.ator || null;
+
+    const theory = await Theory.findById(id);
+    if (!theory) {
+        return null;
+    }
+
+    if (Number.isInteger(versao) && versao !== (theory.__v ?? 0)) {
+        throw new TheoryConflictError(theory.toObject());
+    }
+
+    const original = theory.toObject();
+    // As tags que a teoria já tem podem ficar, mesmo se entretanto foram
+    // bloqueadas (o bloqueio só impede que sejam postas de novo).
+    theory.set(
+        Array.isArray(dados.tags)
+            ? {
+                  ...dados,
+                  tags: await prepararTags(dados.tags, {
+                      atuais: original.tags,
+                      tirarBloqueadas,
+                  }),
+              }
+            : dados
+    );
+
+    // Nada mudou (ex.: formulário gravado sem alterações) → sem revisão.
+    if (!theory.isModified()) {
+        return theory;
+    }
+
+    // Só a data de publicação mudou → grava, mas o histórico fica igual.
+    const mudouConteudo = CAMPOS_REVISAO.some((campo) =>
+        theory.isModified(campo)
+    );
+    const mudaramTags = theory.isModified("tags");
+    const mudados = CAMPOS_EDITAVEIS_TEORIA.filter((campo) =>
+        theory.isModified(campo)
+    );
+
+    if (mudouConteudo) {
+        await garantirRevisaoInicial(original);
+    }
+    try {
+        await theory.save();
+    } catch (error) {
+        if (error instanceof mongoose.Error.VersionError) {
+            throw new TheoryConflictError(await Theory.findById(id).lean());
+        }
+        throw error;
+    }
+    limparCacheRelacionadas();
+
+    if (mudouConteudo) {
+        await registarRevisao(theory, autor, acao, restauradaDe);
+    }
+    if (mudaramTags) {
+        await atualizarUsoTags([...(original.tags || []), ...theory.tags]);
+    }
+
+    // O slug muda com o título (no hook do model).
+    if (theory.slug !== original.slug) {
+        mudados.push("slug");
+    }
+    await registarAuditoria("theory.update", contexto, alvoTeoria(theory), {
+        antes: resumoAuditoria(original, mudados),
+        depois: {
+            ...resumoAuditoria(theory, mudados),
+            ...(restauradaDe ? { restoredFrom: restauradaDe } : {}),
+        },
+    });
+    return theory;
+}
+
+/**
+ * Repõe uma revisão antiga. Não apaga nada do histórico: a reposição fica
+ * registada como uma revisão nova ("restore"). Tags entretanto bloqueadas
+ * não voltam (a não ser que a teoria ainda as tenha).
+ *
+ * @param {string} id `_id` da teoria.
+ * @param {number} numero Número da revisão a repor.
+ * @param {import("./auditService.js").ContextoAuditoria} contexto Quem
+ *        repõe e de onde.
+ * @returns {Promise<import("mongoose").Document|null>} Teoria atualizada,
+ *          ou `null` se a teoria ou a revisão não existirem.
+ */
+export async function restaurarRevisao(id, numero, contexto) {
+    if (!mongoose.isValidObjectId(id)) {
+        return null;
+    }
+
+    const revisao = await obterRevisao(id, numero);
+    if (!revisao) {
+        return null;
+    }
+
+    return atualizarTeoria(
+        id,
+        { ...revisao.snapshot, tags: revisao.snapshot.tags || [] },
+        {
+            contexto,
+            acao: "restore",
+            restauradaDe: revisao.number,
+            tirarBloqueadas: true,
+        }
+    );
+}
+
+/**
+ * Apaga uma teoria, os comentários (e reações), os favoritos e o
+ * histórico, tira-a das listas de leitura e atualiza a contagem das suas
+ * tags.
+ *
+ * @param {string} id `_id` da teoria.
+ * @param {import("./auditService.js").ContextoAuditoria} [contexto] Quem
+ *        apaga e de onde.
+ * @returns {Promise<object|null>} Teoria apagada, ou `null` se não existir.
+ */
+export async function apagarTeoria(id, contexto = {}) {
+    const theory = await Theory.findByIdAndDelete(id).lean();
+    if (theory) {
+        limparCacheRelacionadas();
+        await apagarComentariosDaTeoria(theory._id);
+        await apagarFavoritosDaTeoria(theory._id);
+        await tirarTeoriaDasListas(theory._id);
+        await apagarRevisoesDaTeoria(theory._id);
+        await atualizarUsoTags(theory.tags || []);
+        await registarAuditoria("theory.delete", contexto, alvoTeoria(theory), {
+            antes: resumoAuditoria(theory, ["title", "slug", "status"]),
+        });
+    }
+    return theory;
+}
+
+/**
+ * Lê um inteiro positivo da query string, com valor por omissão e máximo.
+ *
+ * @param {unknown} valor Valor recebido.
+ * @param {number} omissao Valor a usar se o recebido for inválido.
+ * @param {number} [maximo] Valor máximo aceite.
+ * @returns {number}
+ */
+function lerInteiroPositivo(valor, omissao, maximo = Infinity) {
+    const numero = Number.parseInt(valor, 10);
+    if (!Number.isFinite(numero) || numero < 1) {
+        return omissao;
+    }
+    return Math.min(numero, maximo);
+}
+
+/**
+ * Ordenação usada quando o pedido não escolhe nenhuma.
+ *
+ * @param {string} q Texto pesquisado.
+ * @returns {"relevance"|"newest"}
+ */
+export function ordenacaoPorOmissao(q) {
+    return q ? "relevance" : "newest";
+}
+
+/**
+ * Lê e valida os filtros da lista pública a partir de `req.query`.
+ *
+ * PARÂMETROS SUPORTADOS:
+ * - q               → texto livre (título, resumo, conteúdo e tags),
+ *                     cortado por `limitarPesquisa`
+ * - tags            → uma ou mais tags (`?tags=a&tags=b` ou `?tags=a,b`)
+ * - complexityLevel → "low" | "medium" | "high"
+ * - sort            → "relevance" | "newest" | "oldest" | "most-commented"
+ * - page, limit     → paginação
+ *
+ * Valores inválidos são ignorados (usa-se o valor por omissão). Com texto
+ * pesquisado, a ordem por omissão é a relevância; sem texto, não há
+ * relevância e fica "newest".
+ *
+ * @param {Record<string, unknown>} query Objeto `req.query`.
+ * @returns {{ q: string, tags: string[], complexityLevel: string,
+ *             sort: string, page: number, limit: number }}
+ */
+export function lerFiltrosPublicos(query = {}) {
+    const q = limitarPesquisa(query.q);
+    const complexityLevel = NIVEIS_COMPLEXIDADE.includes(query.complexityLevel)
+        ? query.complexityLevel
+        : "";
+    const sort =
+        Object.hasOwn(ORDENACOES, query.sort) &&
+        (q || query.sort !== "relevance")
+            ? query.sort
+            : ordenacaoPorOmissao(q);
+
+    return {
+        q,
+        tags: normalizarTags(query.tags),
+        complexityLevel,
+        sort,
+        page: lerInteiroPositivo(query.page, 1),
+        limit: lerInteiroPositivo(
+            query.limit,
+            LIMITE_POR_OMISSAO,
+            LIMITE_MAXIMO
+        ),
+    };
+}
+
+/**
+ * Constrói o filtro MongoDB correspondente aos filtros da lista.
+ *
+ * - Só entram teorias publicadas (`FILTRO_PUBLICADAS`).
+ * - Com várias tags, a teoria tem de ter TODAS (`$all`).
+ * - O texto livre usa o índice de texto (título, resumo, conteúdo e tags;
+ *   ver model `Theory`): ignora maiúsculas e acentos e aceita "frases
+ *   entre aspas" e termos excluídos com "-".
+ *
+ * @param {ReturnType<typeof lerFiltrosPublicos>} filtros
+ * @returns {import("mongoose").FilterQuery<any>}
+ */
+export function construirFiltroMongo(filtros) {
+    const filtro = { ...FILTRO_PUBLICADAS };
+
+    if (filtros.q) {
+        filtro.$text = { $search: filtros.q };
+    }
+
+    if (filtros.tags.length > 0) {
+        filtro.tags = { $all: filtros.tags };
+    }
+
+    if (filtros.complexityLevel) {
+        filtro.complexityLevel = filtros.complexityLevel;
+    }
+
+    return filtro;
+}
+
+/**
+ * Acrescenta a cada teoria encontrada as partes a destacar (título,
+ * resumo e um excerto do conteúdo), para os cartões dos resultados.
+ *
+ * @param {object[]} theories Teorias (lean).
+ * @param {string} q Texto pesquisado.
+ * @returns {object[]} As mesmas teorias, com `destaques`.
+ */
+function acrescentarDestaques(theories, q) {
+    const termos = extrairTermos(q);
+    if (termos.length === 0) {
+        return theories;
+    }
+
+    return theories.map((theory) => ({
+        ...theory,
+        destaques: {
+            title: destacarTermos(theory.title, termos),
+            summary: destacarTermos(theory.summary, termos),
+            excerto: gerarExcerto(theory.content, termos),
+        },
+    }));
+}
+
+/**
+ * Pesquisa teorias com filtros, ordenação e paginação.
+ *
+ * NOTA:
+ * - A ordenação por número de comentários usa o campo `commentCount`
+ *   (comentários aprovados, mantido pelo `commentService`).
+ * - O `total` é o número de teorias que cumprem os filtros (não o total
+ *   da coleção), para a vista mostrar a contagem certa.
+ * - Com texto pesquisado, cada teoria traz `destaques` (ver
+ *   `acrescentarDestaques`); se nada for encontrado, `sugestao` pode
+ *   trazer uma pesquisa alternativa feita com as tags existentes.
+ *
+ * @param {ReturnType<typeof lerFiltrosPublicos>} filtros
+ * @returns {Promise<{ theories: object[], total: number, page: number,
+ *                     pages: number, limit: number,
+ *                     sugestao: string|null }>}
+ */
+export async function pesquisarTeorias(filtros) {
+    const filtro = construirFiltroMongo(filtros);
+
+    const total = await Theory.countDocuments(filtro);
+    const pages = Math.max(1, Math.ceil(total / filtros.limit));
+    const page = Math.min(filtros.page, pages);
+
+    const theories = await Theory.find(filtro)
+        .sort(ORDENACOES[filtros.sort])
+        .skip((page - 1) * filtros.limit)
+        .limit(filtros.limit)
+        .lean();
+
+    let sugestao = null;
+    if (filtros.q && total === 0) {
+        const vocabulario = await Theory.distinct("tags", FILTRO_PUBLICADAS);
+        sugestao = sugerirPesquisa(filtros.q, vocabulario);
+    }
+
+    return {
+        theories: filtros.q
+            ? acrescentarDestaques(theories, filtros.q)
+            : theories,
+        total,
+        page,
+        pages,
+        limit: filtros.limit,
+        sugestao,
+    };
+}
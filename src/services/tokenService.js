@@ -0,0 +1,108 @@
+/**
+ * src/services/tokenService.js
+ * ----------------------------
+ * Criação e consumo de tokens de uso único (links enviados por email).
+ *
+ * FLUXO:
+ * 1. `criarToken` gera um token aleatório, guarda só o hash e devolve o
+ *    token "em claro" para ser posto no link do email.
+ * 2. Quando o utilizador abre o link, `consumirToken` procura o hash,
+ *    confirma que não expirou nem foi usado, e marca-o como usado — tudo
+ *    numa só operação atómica (o mesmo link não funciona duas vezes).
+ */
+
+import crypto from "crypto";
+
+import AuthToken from "../models/AuthToken.js";
+
+export const VALIDADE_TOKEN_MS = {
+    "password-reset": 60 * 60 * 1000, // 1 hora
+    "email-verification": 24 * 60 * 60 * 1000, // 24 horas
+};
+
+/**
+ * Hash guardado na BD em vez do token (também usado pelos tokens de API).
+ *
+ * @param {string} token Token em claro.
+ * @returns {string} Hash SHA-256 (hex).
+ */
+export function hashToken(token) {
+    return crypto.createHash("sha256").update(String(token)).digest("hex");
+}
+
+/**
+ * Cria um token novo para um utilizador. Tokens anteriores do mesmo tipo
+ * que ainda não foram usados deixam de ser válidos.
+ *
+ * @param {import("mongoose").Types.ObjectId|string} userId Utilizador.
+ * @param {"password-reset"|"email-verification"} tipo Tipo de token.
+ * @param {{ validadeMs?: number }} [opcoes] `validadeMs` substitui a
+ *        validade normal do tipo (ex.: convites, que esperam mais tempo).
+ * @returns {Promise<string>} Token em claro (só existe neste momento).
+ */
+export async function criarToken(
+    userId,
+    tipo,
+    { validadeMs = VALIDADE_TOKEN_MS[tipo] } = {}
+) {
+    await AuthToken.deleteMany({ user: userId, type: tipo, usedAt: null });
+
+    const token = crypto.randomBytes(32).toString("hex");
+
+    await AuthToken.create({
+        user: userId,
+        type: tipo,
+        tokenHash: hashToken(token),
+        expiresAt: new Date(Date.now() + validadeMs),
+    });
+
+    return token;
+}
+
+/**
+ * Filtro Mongo para um token válido (certo, do tipo certo, por usar e
+ * dentro do prazo).
+ *
+ * @param {string} token Token em claro.
+ * @param {string} tipo Tipo de token.
+ * @returns {object}
+ */
+function filtroTokenValido(token, tipo) {
+    return {
+        tokenHash: hashToken(token),
+        type: tipo,
+        usedAt: null,
+        expiresAt: { $gt: new Date() },
+    };
+}
+
+/**
+ * Verifica se um token é válido, SEM o gastar (ex.: para mostrar o
+ * formulário de nova password).
+ *
+ * @param {string} token Token em claro.
+ * @param {string} tipo Tipo de token.
+ * @returns {Promise<boolean>}
+ */
+export async function tokenEValido(token, tipo) {
+    const existe = await AuthToken.exists(filtroTokenValido(token, tipo));
+    return Boolean(existe);
+}
+
+/**
+ * Gasta um token (uso único).
+ *
+ * @param {string} token Token em claro.
+ * @param {string} tipo Tipo de token.
+ * @returns {Promise<import("mongoose").Types.ObjectId|null>} O `_id` do
+ *          utilizador dono do token, ou `null` se for inválido.
+ */
+export async function consumirToken(token, tipo) {
+    const doc = await AuthToken.findOneAndUpdate(
+        filtroTokenValido(token, tipo),
+        { $set: { usedAt: new Date() } },
+        { new: true }
+    ).lean();
+
+    return doc ? doc.user : null;
+}
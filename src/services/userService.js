@@ -0,0 +1,377 @@
+/**
+ * src/services/userService.js
+ * ---------------------------
+ * Gestão das contas pelos admins (`/admin/utilizadores`): listar e
+ * pesquisar, mudar o role, desativar/reativar, obrigar a escolher uma
+ * password nova e convidar pessoas.
+ *
+ * REGRAS:
+ * - Um admin não muda o próprio role nem desativa a própria conta (não
+ *   se tranca fora por engano).
+ * - Tem de ficar sempre pelo menos um admin ativo.
+ * - Desativar não apaga nada: a pessoa deixa de conseguir entrar e as
+ *   sessões e tokens de API que tinha deixam de funcionar (ver
+ *   `anexarUtilizadorAsViews` e `autenticarApiToken`).
+ * - Cada ação fica no log de auditoria, com o admin que a fez.
+ */
+
+import crypto from "crypto";
+
+import mongoose from "mongoose";
+
+import User from "../models/User.js";
+import { t } from "../utils/i18n.js";
+import { escaparRegex } from "../utils/slug.js";
+import { registarAuditoria } from "./auditService.js";
+import { eEmailDuplicado, gerarPasswordHash } from "./authService.js";
+import { enviarEmail } from "./mail/index.js";
+import * as tokenService from "./tokenService.js";
+
+export const UTILIZADORES_POR_PAGINA = 20;
+
+/**
+ * Validade do link de um convite (a pessoa pode demorar a ver o email).
+ */
+export const VALIDADE_CONVITE_MS = 7 * 24 * 60 * 60 * 1000; // 7 dias
+
+/**
+ * Roles existentes (os do schema `User`); os nomes para as vistas estão
+ * em `utilizadores.roles.*` dos catálogos.
+ */
+export const ROLES = User.schema.path("role").enumValues;
+
+/**
+ * Estados de uma conta (filtro da lista; nomes em `utilizadores.estados.*`).
+ */
+export const ESTADOS_CONTA = ["active", "deactivated"];
+
+/**
+ * Erro de negócio da gestão de contas (com status HTTP).
+ */
+export class UserError extends Error {
+    /**
+     * @param {string} mensagem Mensagem amigável.
+     * @param {number} [status] Código HTTP (409 por omissão).
+     */
+    constructor(mensagem, status = 409) {
+        super(mensagem);
+        this.name = "UserError";
+        this.status = status;
+    }
+}
+
+/**
+ * Lê os filtros da lista de contas vindos da query string.
+ *
+ * @param {Record<string, unknown>} query `req.query`.
+ * @returns {{ q: string, role: string, estado: string, page: number }}
+ */
+export function lerFiltrosUtilizadores(query = {}) {
+    const q = typeof query.q === "string" ? query.q.trim().slice(0, 100) : "";
+
+    return {
+        q,
+        role: ROLES.includes(query.role) ? query.role : "",
+        estado: ESTADOS_CONTA.includes(query.estado) ? query.estado : "",
+        page: Math.max(Number.parseInt(query.page, 10) || 1, 1),
+    };
+}
+
+/**
+ * Lista as contas, mais recentes primeiro.
+ *
+ * @param {ReturnType<typeof lerFiltrosUtilizadores>} filtros `q` procura
+ *        no nome e no email (sem distinguir maiúsculas).
+ * @returns {Promise<{ users: object[], total: number, page: number,
+ *                     pages: number, limit: number }>} Contas (lean, sem o
+ *          hash da password).
+ */
+export async function listarUtilizadores(filtros) {
+    const limit = UTILIZADORES_POR_PAGINA;
+    const filtro = {};
+
+    if (filtros.q) {
+        const padrao = new RegExp(escaparRegex(filtros.q), "i");
+        filtro.$or = [{ displayName: padrao }, { email: padrao }];
+    }
+    if (filtros.role) {
+        filtro.role = filtros.role;
+    }
+    if (filtros.estado === "active") {
+        filtro.deactivatedAt = null;
+    } else if (filtros.estado === "deactivated") {
+        filtro.deactivatedAt = { $ne: null };
+    }
+
+    const total = await User.countDocuments(filtro);
+    const pages = Math.max(1, Math.ceil(total / limit));
+    const page = Math.min(filtros.page, pages);
+
+    const users = await User.find(filtro)
+        .select("-passwordHash")
+        .sort({ createdAt: -1, _id: -1 })
+        .skip((page - 1) * limit)
+        .limit(limit)
+        .lean();
+
+    return { users, total, page, pages, limit };
+}
+
+/**
+ * Carrega a conta alvo de uma ação e recusa ações sobre a própria conta.
+ *
+ * @param {string} userId `_id` da conta (vem do URL).
+ * @param {import("./auditService.js").ContextoAuditoria} contexto
+ * @param {string} [recusaPropria] Mensagem se a conta for de quem pede.
+ * @returns {Promise<import("mongoose").Document|null>}
+ * @throws {UserError} Se for a própria conta.
+ */
+async function carregarAlvo(userId, contexto, recusaPropria) {
+    if (!mongoose.isValidObjectId(userId)) {
+        return null;
+    }
+
+    const user = await User.findById(userId);
+    if (user && recusaPropria && user._id.toString() === contexto.ator?.id) {
+        throw new UserError(recusaPropria);
+    }
+    return user;
+}
+
+/**
+ * Garante que, sem esta conta, continua a haver um admin ativo.
+ *
+ * @param {import("mongoose").Document} user Conta que vai deixar de ser
+ *        admin ativo.
+ * @throws {UserError} Se for o último.
+ */
+async function garantirOutroAdmin(user) {
+    if (user.role !== "admin" || user.deactivatedAt) {
+        return;
+    }
+
+    const outros = await User.countDocuments({
+        _id: { $ne: user._id },
+        role: "admin",
+        deactivatedAt: null,
+    });
+    if (outros === 0) {
+        throw new UserError(t("utilizadores.erros.ultimoAdmin"));
+    }
+}
+
+/**
+ * Alvo de auditoria de uma conta.
+ *
+ * @param {import("mongoose").Document} user Conta.
+ * @returns {{ kind: string, id: any, label: string }}
+ */
+function alvoConta(user) {
+    return { kind: "user", id: user._id, label: user.email };
+}
+
+/**
+ * Muda o role de uma conta (tem efeito no pedido seguinte dessa pessoa).
+ *
+ * @param {string} userId `_id` da conta.
+ * @param {string} role Role novo.
+ * @param {import("./auditService.js").ContextoAuditoria} contexto
+ * @returns {Promise<import("mongoose").Document|null>} `null` se a conta
+ *          não existir.
+ * @throws {UserError} Role desconhecido (422), a própria conta ou o
+ *         último admin.
+ */
+export async function mudarRole(userId, role, contexto) {
+    if (!ROLES.includes(role)) {
+        throw new UserError(t("utilizadores.erros.roleInvalido"), 422);
+    }
+
+    const user = await carregarAlvo(
+        userId,
+        contexto,
+        t("utilizadores.erros.proprioRole")
+    );
+    if (!user || user.role === role) {
+        return user;
+    }
+    if (role !== "admin") {
+        await garantirOutroAdmin(user);
+    }
+
+    const anterior = user.role;
+    user.role = role;
+    await user.save();
+
+    await registarAuditoria("user.role", contexto, alvoConta(user), {
+        antes: { role: anterior },
+        depois: { role },
+    });
+    return user;
+}
+
+/**
+ * Desativa uma conta: deixa de entrar, e as sessões e tokens de API que
+ * tinha deixam de funcionar no pedido seguinte.
+ *
+ * @param {string} userId `_id` da conta.
+ * @param {import("./auditService.js").ContextoAuditoria} contexto
+ * @returns {Promise<import("mongoose").Document|null>} `null` se a conta
+ *          não existir.
+ * @throws {UserError} A própria conta ou o último admin.
+ */
+export async function desativarUtilizador(userId, contexto) {
+    const user = await carregarAlvo(
+        userId,
+        contexto,
+        t("utilizadores.erros.propriaConta")
+    );
+    if (!user || user.deactivatedAt) {
+        return user;
+    }
+    await garantirOutroAdmin(user);
+
+    user.deactivatedAt = new Date();
+    await user.save();
+
+    await registarAuditoria("user.deactivate", contexto, alvoConta(user), {
+        antes: { deactivatedAt: null },
+        depois: { deactivatedAt: user.deactivatedAt },
+    });
+    return user;
+}
+
+/**
+ * Reativa uma conta desativada.
+ *
+ * @param {string} userId `_id` da conta.
+ * @param {import("./auditService.js").ContextoAuditoria} contexto
+ * @returns {Promise<import("mongoose").Document|null>} `null` se a conta
+ *          não existir.
+ */
+export async function reativarUtilizador(userId, contexto) {
+    const user = await carregarAlvo(userId, contexto);
+    if (!user || !user.deactivatedAt) {
+        return user;
+    }
+
+    const anterior = user.deactivatedAt;
+    user.deactivatedAt = null;
+    await user.save();
+
+    await registarAuditoria("user.reactivate", contexto, alvoConta(user), {
+        antes: { deactivatedAt: anterior },
+        depois: { deactivatedAt: null },
+    });
+    return user;
+}
+
+/**
+ * Obriga uma conta a escolher uma password nova (ex.: suspeita de que a
+ * password foi descoberta).
+ *
+ * - A password atual deixa de funcionar e as sessões abertas terminam.
+ * - A pessoa recebe um email com um link para escolher a nova (o mesmo
+ *   da recuperação de password).
+ *
+ * @param {string} userId `_id` da conta.
+ * @param {import("./auditService.js").ContextoAuditoria} contexto
+ * @param {string} urlBase URL base da app (para o link do email).
+ * @returns {Promise<import("mongoose").Document|null>} `null` se a conta
+ *          não existir.
+ */
+export async function forcarNovaPassword(userId, contexto, urlBase) {
+    const user = await carregarAlvo(userId, contexto);
+    if (!user) {
+        return null;
+    }
+
+    user.passwordHash = await gerarPasswordHash(
+        crypto.randomBytes(32).toString("hex")
+    );
+    user.passwordChangedAt = new Date();
+    await user.save();
+
+    const token = await tokenService.criarToken(user._id, "password-reset", {
+        validadeMs: VALIDADE_CONVITE_MS,
+    });
+    await enviarEmail({
+        to: user.email,
+        subject: t("emails.novaPassword.assunto"),
+        text: t("emails.novaPassword.texto", {
+            nome: user.displayName,
+            link: `${urlBase}/redefinir-password/${token}`,
+        }),
+    });
+
+    await registarAuditoria("user.password-reset", contexto, alvoConta(user));
+    return user;
+}
+
+/**
+ * Lê os dados de um convite vindos do formulário.
+ *
+ * @param {Record<string, unknown>} body `req.body`.
+ * @returns {{ displayName: string, email: string, role: string }}
+ */
+export function lerDadosConvite(body = {}) {
+    const texto = (valor) => (typeof valor === "string" ? valor.trim() : "");
+
+    return {
+        displayName: texto(body.displayName),
+        email: texto(body.email).toLowerCase(),
+        role: ROLES.includes(body.role) ? body.role : "user",
+    };
+}
+
+/**
+ * Cria uma conta por convite e envia o link para a pessoa escolher a
+ * password.
+ *
+ * A conta fica com uma password aleatória que ninguém sabe; abrir o link
+ * do convite também confirma o email.
+ *
+ * @param {ReturnType<typeof lerDadosConvite>} dados
+ * @param {import("./auditService.js").ContextoAuditoria} contexto
+ * @param {string} urlBase URL base da app (para o link do email).
+ * @returns {Promise<import("mongoose").Document>} Conta criada.
+ * @throws {UserError} Email já registado.
+ * @throws {import("mongoose").Error.ValidationError} Dados inválidos.
+ */
+export async function convidarUtilizador(dados, contexto, urlBase) {
+    const user = new User({
+        ...dados,
+        passwordHash: await gerarPasswordHash(
+            crypto.randomBytes(32).toString("hex")
+        ),
+        invitedBy: contexto.ator ? contexto.ator.id : null,
+    });
+
+    try {
+        await user.save();
+    } catch (error) {
+        if (eEmailDuplicado(error)) {
+            throw new UserError(t("auth.erros.emailDuplicado"));
+        }
+        throw error;
+    }
+
+    const token = await tokenService.criarToken(user._id, "password-reset", {
+        validadeMs: VALIDADE_CONVITE_MS,
+    });
+    await enviarEmail({
+        to: user.email,
+        subject: t("emails.convite.assunto"),
+        text: t("emails.convite.texto", {
+            nome: user.displayName,
+            administrador: contexto.ator
+                ? contexto.ator.displayName
+                : t("emails.convite.umAdministrador"),
+            link: `${urlBase}/redefinir-password/${token}`,
+        }),
+    });
+
+    await registarAuditoria("user.invite", contexto, alvoConta(user), {
+        depois: { role: user.role },
+    });
+    return user;
+}
@@ -0,0 +1,274 @@
+/**
+ * src/services/workflowService.js
+ * -------------------------------
+ * Ciclo de vida das teorias: rascunho → revisão → publicada → arquivada,
+ * com publicação agendada.
+ *
+ * REGRAS:
+ * - Teorias novas começam em "draft" (rascunho) e só aparecem na zona
+ *   pública depois de um revisor as aprovar.
+ * - Aprovar uma teoria com `publishAt` no futuro deixa-a "scheduled"; o
+ *   agendador (`publicarAgendadas`) publica-a quando chegar a hora.
+ * - Rejeitar obriga a deixar uma nota ao autor; a teoria volta a rascunho.
+ * - Cada ação só é aceite a partir de certos estados (`TRANSICOES`), e a
+ *   mudança é feita com um filtro pelo estado atual: se dois revisores
+ *   carregarem ao mesmo tempo, só a primeira ação conta.
+ * - Cada mudança de estado fica no log de auditoria ("theory.status"):
+ *   arquivar ou rejeitar tira a teoria do site tal como apagá-la. As
+ *   publicações do agendador ficam em nome do "agendador".
+ */
+
+import mongoose from "mongoose";
+
+import { PERMISSOES } from "../config/permissions.js";
+import Theory from "../models/Theory.js";
+import { t } from "../utils/i18n.js";
+import { CONTEXTO_AGENDADOR, registarAuditoria } from "./auditService.js";
+import { limparCacheRelacionadas } from "./relatedService.js";
+
+/**
+ * Ações possíveis: de que estados partem e que capacidade exigem. Os nomes
+ * (para botões e mensagens) estão em `teorias.acoes.*` dos catálogos, e os
+ * dos estados em `teorias.estados.*`.
+ */
+export const TRANSICOES = {
+    submit: {
+        de: ["draft"],
+        permissao: PERMISSOES.THEORY_UPDATE,
+    },
+    approve: {
+        de: ["review"],
+        permissao: PERMISSOES.THEORY_REVIEW,
+    },
+    reject: {
+        de: ["review", "scheduled"],
+        permissao: PERMISSOES.THEORY_REVIEW,
+    },
+    archive: {
+        de: ["scheduled", "published"],
+        permissao: PERMISSOES.THEORY_REVIEW,
+    },
+    reopen: {
+        de: ["archived"],
+        permissao: PERMISSOES.THEORY_UPDATE,
+    },
+};
+
+/**
+ * Erro de negócio do fluxo de publicação (com status HTTP).
+ */
+export class WorkflowError extends Error {
+    /**
+     * @param {string} mensagem Mensagem amigável.
+     * @param {number} [status] Código HTTP (409 por omissão).
+     */
+    constructor(mensagem, status = 409) {
+        super(mensagem);
+        this.name = "WorkflowError";
+        this.status = status;
+    }
+}
+
+/**
+ * @param {object} theory Teoria.
+ * @returns {boolean} `true` se estiver visível na zona pública.
+ */
+export function estaPublicada(theory) {
+    return Boolean(theory) && theory.status === "published";
+}
+
+/**
+ * Quem pode editar teorias também as pode ver antes de publicadas
+ * (pré-visualização no URL público).
+ *
+ * @param {{ permissions: string[] }|null} currentUser Utilizador da sessão.
+ * @returns {boolean}
+ */
+export function podeVerNaoPublicadas(currentUser) {
+    return Boolean(
+        currentUser &&
+            currentUser.permissions.includes(PERMISSOES.THEORY_UPDATE)
+    );
+}
+
+/**
+ * Ações que o utilizador pode aplicar a uma teoria no estado atual (para
+ * a vista mostrar só os botões que funcionam).
+ *
+ * @param {{ status: string }} theory Teoria.
+ * @param {{ permissions: string[] }|null} currentUser Utilizador da sessão.
+ * @returns {string[]} Ex.: ["approve", "reject"].
+ */
+export function acoesDisponiveis(theory, currentUser) {
+    const permissoes = currentUser ? currentUser.permissions : [];
+    return Object.entries(TRANSICOES)
+        .filter(
+            ([, transicao]) =>
+                transicao.de.includes(theory.status) &&
+                permissoes.includes(transicao.permissao)
+        )
+        .map(([acao]) => acao);
+}
+
+/**
+ * Calcula o que muda na teoria com cada ação.
+ *
+ * @param {string} acao Ação (chave de `TRANSICOES`).
+ * @param {{ publishAt?: Date|null }} theory Teoria no estado atual.
+ * @param {object} revisao `{ note, by, byName, at }` da decisão.
+ * @param {Date} agora Data atual.
+ * @returns {Record<string, any>} Campos a gravar (`$set`).
+ */
+function alteracoesDaAcao(acao, theory, revisao, agora) {
+    switch (acao) {
+        case "submit":
+            return { status: "review" };
+        case "approve":
+            // Com data futura fica agendada; senão, é publicada já.
+            return theory.publishAt && theory.publishAt > agora
+                ? { status: "scheduled", review: revisao }
+                : { status: "published", publishedAt: agora, review: revisao };
+        case "reject":
+            return { status: "draft", review: revisao };
+        case "archive":
+            return { status: "archived" };
+        case "reopen":
+            return { status: "draft" };
+        default:
+            return {};
+    }
+}
+
+/**
+ * Aplica uma ação do fluxo de publicação a uma teoria.
+ *
+ * @param {string} id `_id` da teoria.
+ * @param {string} acao "submit" | "approve" | "reject" | "archive" | "reopen".
+ * @param {{ id: string, displayName: string, permissions: string[] }} currentUser
+ *        Utilizador da sessão.
+ * @param {{ nota?: string, agora?: Date,
+ *           contexto?: import("./auditService.js").ContextoAuditoria }}
+ *        [opcoes] Nota do revisor (obrigatória para rejeitar) e contexto
+ *        de auditoria (por omissão, só o utilizador, sem IP).
+ * @returns {Promise<object|null>} Teoria atualizada (lean), ou `null` se
+ *          não existir.
+ * @throws {WorkflowError} 400 (ação desconhecida), 403 (sem permissão),
+ *         409 (estado errado) ou 422 (falta a nota).
+ */
+export async function aplicarTransicao(id, acao, currentUser, opcoes = {}) {
+    const { agora = new Date() } = opcoes;
+    const nota = typeof opcoes.nota === "string" ? opcoes.nota.trim() : "";
+
+    const transicao = Object.hasOwn(TRANSICOES, acao) ? TRANSICOES[acao] : null;
+    if (!transicao) {
+        throw new WorkflowError(t("teorias.erros.acaoDesconhecida"), 400);
+    }
+
+    if (!mongoose.isValidObjectId(id)) {
+        return null;
+    }
+    const theory = await Theory.findById(id)
+        .select("title status publishAt")
+        .lean();
+    if (!theory) {
+        return null;
+    }
+
+    if (
+        !currentUser ||
+        !currentUser.permissions.includes(transicao.permissao)
+    ) {
+        throw new WorkflowError(t("teorias.erros.semPermissao"), 403);
+    }
+
+    if (!transicao.de.includes(theory.status)) {
+        throw new WorkflowError(
+            t("teorias.erros.transicaoInvalida", {
+                acao: t(`teorias.acoes.${acao}`).toLowerCase(),
+                estado: t(`teorias.estados.${theory.status}`),
+            })
+        );
+    }
+
+    if (acao === "reject" && !nota) {
+        throw new WorkflowError(t("teorias.erros.notaEmFalta"), 422);
+    }
+
+    const revisao = {
+        note: nota,
+        by: currentUser.id,
+        byName: currentUser.displayName,
+        at: agora,
+    };
+
+    // O filtro pelo estado lido garante que ninguém mudou o estado entretanto.
+    const atualizada = await Theory.findOneAndUpdate(
+        { _id: theory._id, status: theory.status },
+        { $set: alteracoesDaAcao(acao, theory, revisao, agora) },
+        { new: true }
+    ).lean();
+
+    if (!atualizada) {
+        throw new WorkflowError(t("teorias.erros.estadoMudou"));
+    }
+    limparCacheRelacionadas();
+
+    await registarAuditoria(
+        "theory.status",
+        opcoes.contexto || { ator: currentUser },
+        { kind: "theory", id: theory._id, label: theory.title },
+        {
+            antes: { status: theory.status },
+            depois: { status: atualizada.status, ...(nota && { note: nota }) },
+        }
+    );
+    return atualizada;
+}
+
+/**
+ * Publica as teorias agendadas cuja data já chegou (corrido pelo
+ * agendador). A data de publicação é a data pedida, não a hora a que o
+ * agendador passou.
+ *
+ * Uma teoria agendada a quem tiraram a data também é publicada: foi
+ * aprovada e já não tem por que esperar.
+ *
+ * @param {Date} [agora] Data atual.
+ * @returns {Promise<number>} Número de teorias publicadas.
+ */
+export async function publicarAgendadas(agora = new Date()) {
+    const prontas = await Theory.find({
+        status: "scheduled",
+        $or: [{ publishAt: null }, { publishAt: { $lte: agora } }],
+    })
+        .select("title publishAt")
+        .lean();
+
+    let publicadas = 0;
+    for (const theory of prontas) {
+        const resultado = await Theory.updateOne(
+            { _id: theory._id, status: "scheduled" },
+            {
+                $set: {
+                    status: "published",
+                    publishedAt: theory.publishAt || agora,
+                },
+            }
+        );
+        if (resultado.modifiedCount === 0) {
+            continue;
+        }
+
+        publicadas += 1;
+        await registarAuditoria(
+            "theory.status",
+            CONTEXTO_AGENDADOR,
+            { kind: "theory", id: theory._id, label: theory.title },
+            { antes: { status: "scheduled" }, depois: { status: "published" } }
+        );
+    }
+    if (publicadas > 0) {
+        limparCacheRelacionadas();
+    }
+    return publicadas;
+}
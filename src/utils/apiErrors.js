@@ -0,0 +1,107 @@
+/**
+ * src/utils/apiErrors.js
+ * ----------------------
+ * Erros da API JSON (`/api/v1`), sempre com o mesmo formato:
+ *
+ *     {
+ *         "error": {
+ *             "status": 422,
+ *             "code": "validation_failed",
+ *             "message": "Há campos inválidos.",
+ *             "details": [{ "field": "title", "message": "..." }]
+ *         }
+ *     }
+ *
+ * `details` só aparece quando há erros por campo.
+ */
+
+import { t } from "./i18n.js";
+import { logger } from "./logger.js";
+import { eErroDeValidacao, mapearErrosValidacao } from "./validation.js";
+
+/**
+ * Código curto (estável, para os clientes compararem) de cada status.
+ */
+export const CODIGOS_ERRO = {
+    400: "bad_request",
+    401: "unauthorized",
+    403: "forbidden",
+    404: "not_found",
+    409: "conflict",
+    413: "payload_too_large",
+    422: "validation_failed",
+    500: "internal_error",
+};
+
+/**
+ * Erro com status HTTP, para lançar nos controladores da API.
+ */
+export class ApiError extends Error {
+    /**
+     * @param {number} status Status HTTP.
+     * @param {string} mensagem Mensagem amigável.
+     * @param {Array<{ field: string, message: string }>} [detalhes] Erros
+     *        por campo.
+     */
+    constructor(status, mensagem, detalhes = []) {
+        super(mensagem);
+        this.name = "ApiError";
+        this.status = status;
+        this.detalhes = detalhes;
+    }
+}
+
+/**
+ * Envia um erro no formato da API.
+ *
+ * @param {import("express").Response} res Resposta HTTP.
+ * @param {number} status Status HTTP.
+ * @param {string} mensagem Mensagem amigável.
+ * @param {Array<{ field: string, message: string }>} [detalhes]
+ */
+export function enviarErroApi(res, status, mensagem, detalhes = []) {
+    const error = {
+        status,
+        code: CODIGOS_ERRO[status] || CODIGOS_ERRO[500],
+        message: mensagem,
+    };
+    if (detalhes.length > 0) {
+        error.details = detalhes;
+    }
+
+    res.status(status).json({ error });
+}
+
+/**
+ * Converte um erro apanhado num `catch` na resposta JSON certa.
+ *
+ * - `ValidationError` do Mongoose → 422 com os erros por campo (as mesmas
+ *   mensagens que os formulários HTML mostram).
+ * - Erros de negócio com `status` (`ApiError`, `CommentError`) → esse
+ *   status e a sua mensagem.
+ * - Tudo o resto → 500, com o erro no log (e sem detalhes para o cliente).
+ *
+ * @param {import("express").Response} res Resposta HTTP.
+ * @param {unknown} error Erro apanhado.
+ * @param {string} [contexto] Texto para o log dos erros inesperados.
+ */
+export function responderErroApi(res, error, contexto = "Erro na API") {
+    if (eErroDeValidacao(error)) {
+        return enviarErroApi(
+            res,
+            422,
+            t("erros.mensagens.422"),
+            mapearErrosValidacao(error).map((e) => ({
+                field: e.campo,
+                message: e.mensagem,
+            }))
+        );
+    }
+
+    if (Number.isInteger(error?.status) && CODIGOS_ERRO[error.status]) {
+        return enviarErroApi(res, error.status, error.message, error.detalhes);
+    }
+
+    logger.error(contexto, { error });
+    enviarErroApi(res, 500, t("erros.mensagens.500"));
+}
@@ -0,0 +1,207 @@
+/**
+ * src/utils/i18n.js
+ * -----------------
+ * Traduções da interface (português e inglês).
+ *
+ * CATÁLOGOS:
+ * - Um ficheiro JSON por idioma em `src/locales/` (`pt-PT.json`,
+ *   `en.json`), com as mesmas chaves, agrupadas por área:
+ *       { "teorias": { "voltarALista": "Voltar à lista" } }
+ *   → `t("teorias.voltarALista")`.
+ * - `{nome}` no texto é trocado pelo valor com o mesmo nome:
+ *       t("perfil.membroDesde", { data: "outubro de 2026" })
+ * - Plurais: o valor é um objeto com as formas do `Intl.PluralRules`
+ *   (`one`, `other`, ...) e escolhe-se a forma pelo `count`:
+ *       "comentarios": { "one": "{count} comentário",
+ *                        "other": "{count} comentários" }
+ * - Uma chave que falte num idioma usa o texto em português (e
+ *   `npm run i18n:check` mostra as chaves em falta).
+ * - As mensagens de validação dos models são chaves do catálogo
+ *   (`required: [true, "validacao.teoria.tituloObrigatorio"]`), traduzidas
+ *   em `utils/validation.js`.
+ *
+ * IDIOMA DO PEDIDO:
+ * - Escolhido em `middlewares/localeMiddleware.js` (`req.locale`).
+ * - As vistas usam `t`, `formatarData` e `formatarNumero` (em
+ *   `res.locals`); o resto do código (serviços, models) usa `t`, que vai
+ *   buscar o idioma ao pedido em curso. Fora de um pedido (scripts,
+ *   agendador) fica o português.
+ */
+
+import fs from "fs";
+import path from "path";
+import { fileURLToPath } from "url";
+
+import { pedidoAtual } from "./logger.js";
+
+const __filename = fileURLToPath(import.meta.url);
+const __dirname = path.dirname(__filename);
+
+export const PASTA_LOCALES = path.join(__dirname, "..", "locales");
+
+/**
+ * Idiomas disponíveis (o primeiro é o idioma por omissão).
+ */
+export const LOCALES = ["pt-PT", "en"];
+export const LOCALE_OMISSAO = LOCALES[0];
+
+/**
+ * Formatos de datas das vistas (opções do `Intl.DateTimeFormat`).
+ */
+const FORMATOS_DATA = {
+    // 19/10/2026
+    curta: { year: "numeric", month: "2-digit", day: "2-digit" },
+    // 19/10/2026, 15:04:05
+    dataHora: {
+        year: "numeric",
+        month: "2-digit",
+        day: "2-digit",
+        hour: "2-digit",
+        minute: "2-digit",
+        second: "2-digit",
+    },
+    // 19 de outubro de 2026
+    longa: { year: "numeric", month: "long", day: "numeric" },
+    // outubro de 2026
+    mesAno: { year: "numeric", month: "long" },
+};
+
+/**
+ * Lê o catálogo de um idioma.
+ *
+ * @param {string} locale
+ * @returns {Record<string, any>}
+ */
+export function lerCatalogo(locale) {
+    return JSON.parse(
+        fs.readFileSync(path.join(PASTA_LOCALES, `${locale}.json`), "utf8")
+    );
+}
+
+const CATALOGOS = Object.fromEntries(
+    LOCALES.map((locale) => [locale, lerCatalogo(locale)])
+);
+
+/**
+ * Converte um idioma pedido (cookie, `Accept-Language`, formulário) num
+ * dos idiomas disponíveis: "en-GB" → "en", "pt" / "pt-BR" → "pt-PT".
+ *
+ * @param {unknown} valor
+ * @returns {string|null} `null` se não houver nenhum parecido.
+ */
+export function normalizarLocale(valor) {
+    if (typeof valor !== "string" || !valor) {
+        return null;
+    }
+
+    const pedido = valor.trim().toLowerCase();
+    const exato = LOCALES.find((locale) => locale.toLowerCase() === pedido);
+    if (exato) {
+        return exato;
+    }
+
+    const lingua = pedido.split("-")[0];
+    return LOCALES.find((locale) => locale.split("-")[0] === lingua) || null;
+}
+
+/**
+ * Procura uma chave ("a.b.c") num catálogo.
+ *
+ * @param {Record<string, any>} catalogo
+ * @param {string} chave
+ * @returns {any} `undefined` se não existir.
+ */
+function procurar(catalogo, chave) {
+    return chave
+        .split(".")
+        .reduce((no, parte) => (no == null ? undefined : no[parte]), catalogo);
+}
+
+/**
+ * Traduz uma chave num idioma.
+ *
+ * @param {string} locale Um de `LOCALES`.
+ * @param {string} chave Ex.: "teorias.voltarALista".
+ * @param {Record<string, unknown>} [valores] Valores para os `{nome}` do
+ *        texto; `count` escolhe a forma do plural (e é formatado com os
+ *        separadores do idioma).
+ * @returns {string} A própria chave se não existir em nenhum catálogo.
+ */
+export function traduzir(locale, chave, valores = {}) {
+    let texto = procurar(CATALOGOS[locale] || {}, chave);
+    if (texto === undefined && locale !== LOCALE_OMISSAO) {
+        locale = LOCALE_OMISSAO;
+        texto = procurar(CATALOGOS[locale], chave);
+    }
+
+    if (texto && typeof texto === "object") {
+        const forma = new Intl.PluralRules(locale).select(
+            Number(valores.count) || 0
+        );
+        texto = texto[forma] ?? texto.other;
+    }
+    if (typeof texto !== "string") {
+        return chave;
+    }
+
+    return texto.replace(/\{(\w+)\}/g, (original, nome) => {
+        const valor = valores[nome];
+        if (valor === undefined || valor === null) {
+            return original;
+        }
+        return typeof valor === "number"
+            ? formatarNumero(locale, valor)
+            : String(valor);
+    });
+}
+
+/**
+ * Formata uma data no formato do idioma.
+ *
+ * @param {string} locale
+ * @param {Date|string|number} data
+ * @param {"curta"|"dataHora"|"longa"|"mesAno"} [formato]
+ * @returns {string} Vazio se a data não for válida.
+ */
+export function formatarData(locale, data, formato = "curta") {
+    const valor = data instanceof Date ? data : new Date(data);
+    if (data == null || Number.isNaN(valor.getTime())) {
+        return "";
+    }
+    return new Intl.DateTimeFormat(
+        locale,
+        FORMATOS_DATA[formato] || FORMATOS_DATA.curta
+    ).format(valor);
+}
+
+/**
+ * Formata um número com os separadores do idioma (1 234,5 / 1,234.5).
+ *
+ * @param {string} locale
+ * @param {number} numero
+ * @returns {string}
+ */
+export function formatarNumero(locale, numero) {
+    return new Intl.NumberFormat(locale).format(numero);
+}
+
+/**
+ * Idioma do pedido HTTP em curso (ou o por omissão, fora de um pedido).
+ *
+ * @returns {string}
+ */
+export function localeAtual() {
+    return pedidoAtual()?.locale || LOCALE_OMISSAO;
+}
+
+/**
+ * Traduz uma chave no idioma do pedido em curso (para serviços e
+ * controladores; as vistas têm o seu `t` em `res.locals`).
+ *
+ * @param {string} chave
+ * @param {Record<string, unknown>} [valores]
+ * @returns {string}
+ */
+export function t(chave, valores) {
+    return traduzir(localeAtual(), chave, valores);
+}
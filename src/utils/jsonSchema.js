@@ -0,0 +1,222 @@
+/**
+ * src/utils/jsonSchema.js
+ * -----------------------
+ * Converte schemas do Mongoose em JSON Schema (no dialeto do OpenAPI 3.0).
+ *
+ * PORQUÊ?
+ * - As regras dos dados (obrigatórios, tamanhos, enums, minúsculas...)
+ *   já estão nos models. Gerar a especificação da API a partir deles
+ *   evita ter duas cópias das mesmas regras a ficar dessincronizadas.
+ *
+ * O QUE É CONVERTIDO:
+ * - Tipos: String, Number, Boolean, Date (→ "date-time"), ObjectId
+ *   (→ string hexadecimal com 24 caracteres) e arrays destes.
+ * - `required`, `minlength`/`maxlength`, `min`/`max`, `enum`, `match`
+ *   (→ `pattern`) e `default`.
+ * - `lowercase: true` → extensão `x-lowercase` (o valor é guardado em
+ *   minúsculas; não é um erro enviar maiúsculas).
+ * - Caminhos com pontos (ex.: "reactionCounts.believe") → objetos.
+ * - As mensagens definidas no model (chaves do catálogo, ver
+ *   `utils/i18n.js`) ficam em `x-mensagens`, por palavra-chave do JSON
+ *   Schema: o validador da API traduz-as no idioma de cada pedido.
+ */
+
+const PADRAO_OBJECT_ID = "^[a-fA-F0-9]{24}$";
+
+/**
+ * Separa o valor e a mensagem de uma opção do Mongoose, que pode vir
+ * como `5`, `[5, "mensagem"]` ou `{ values: [...], message: "..." }`.
+ *
+ * As mensagens dos models são chaves do catálogo e ficam assim (são
+ * traduzidas em cada pedido, no idioma de quem o fez).
+ *
+ * @param {unknown} opcao Valor da opção.
+ * @returns {{ valor: any, mensagem: string|null }}
+ */
+function lerOpcao(opcao) {
+    if (Array.isArray(opcao) && typeof opcao[1] === "string") {
+        return { valor: opcao[0], mensagem: opcao[1] };
+    }
+    if (opcao && typeof opcao === "object" && "values" in opcao) {
+        return { valor: opcao.values, mensagem: opcao.message || null };
+    }
+    return { valor: opcao, mensagem: null };
+}
+
+/**
+ * Converte um `SchemaType` (um campo) em JSON Schema.
+ *
+ * @param {import("mongoose").SchemaType} tipo Campo do schema.
+ * @returns {Record<string, any>}
+ */
+function converterCampo(tipo) {
+    const opcoes = tipo.options || {};
+    const json = {};
+    const mensagens = {};
+
+    switch (tipo.instance) {
+        case "String":
+            json.type = "string";
+            break;
+        case "Number":
+            json.type = "number";
+            break;
+        case "Boolean":
+            json.type = "boolean";
+            break;
+        case "Date":
+            json.type = "string";
+            json.format = "date-time";
+            break;
+        case "ObjectId":
+            json.type = "string";
+            json.pattern = PADRAO_OBJECT_ID;
+            break;
+        case "Array": {
+            const elemento = tipo.caster || tipo.embeddedSchemaType;
+            json.type = "array";
+            json.items = elemento ? converterCampo(elemento) : {};
+            break;
+        }
+        default:
+            // Mixed e outros: sem restrições de tipo.
+            break;
+    }
+
+    const regras = [
+        ["minlength", "minLength"],
+        ["maxlength", "maxLength"],
+        ["min", "minimum"],
+        ["max", "maximum"],
+    ];
+    for (const [opcaoMongoose, palavraChave] of regras) {
+        if (opcoes[opcaoMongoose] === undefined) {
+            continue;
+        }
+        const { valor, mensagem } = lerOpcao(opcoes[opcaoMongoose]);
+        json[palavraChave] = valor;
+        if (mensagem) {
+            mensagens[palavraChave] = mensagem;
+        }
+    }
+
+    if (opcoes.enum !== undefined) {
+        // Aqui um array é sempre a lista de valores (nunca `[valor, mensagem]`).
+        const { valor, mensagem } = Array.isArray(opcoes.enum)
+            ? { valor: opcoes.enum, mensagem: null }
+            : lerOpcao(opcoes.enum);
+        json.enum = [...valor];
+        if (mensagem) {
+            mensagens.enum = mensagem;
+        }
+    }
+
+    if (opcoes.match !== undefined) {
+        const { valor, mensagem } = lerOpcao(opcoes.match);
+        json.pattern = valor.source;
+        if (mensagem) {
+            mensagens.pattern = mensagem;
+        }
+    }
+
+    if (opcoes.lowercase) {
+        json["x-lowercase"] = true;
+        json.description = "Guardado em minúsculas.";
+    }
+
+    if (
+        opcoes.default !== undefined &&
+        typeof opcoes.default !== "function" &&
+        !Array.isArray(opcoes.default)
+    ) {
+        json.default = opcoes.default;
+    }
+    if (opcoes.default === null) {
+        json.nullable = true;
+    }
+
+    const { valor: obrigatorio, mensagem } = lerOpcao(opcoes.required);
+    if (obrigatorio === true && mensagem) {
+        mensagens.required = mensagem;
+    }
+
+    if (Object.keys(mensagens).length > 0) {
+        json["x-mensagens"] = mensagens;
+    }
+
+    return json;
+}
+
+/**
+ * @param {import("mongoose").SchemaType} tipo Campo do schema.
+ * @returns {boolean} `true` se for obrigatório sem condições.
+ */
+function eObrigatorio(tipo) {
+    return lerOpcao(tipo.options?.required).valor === true;
+}
+
+/**
+ * Gera um JSON Schema de objeto a partir de um schema do Mongoose.
+ *
+ * @param {import("mongoose").Schema} schema Schema do model.
+ * @param {object} [opcoes]
+ * @param {string[]} [opcoes.campos] Só estes campos (de topo), por esta
+ *        ordem. Sem esta opção, entram todos (o `_id` primeiro) menos
+ *        `__v` e os `omitir`.
+ * @param {string[]} [opcoes.omitir] Campos a deixar de fora.
+ * @param {Record<string, string>} [opcoes.renomear] Ex.: `{ _id: "id" }`.
+ * @param {boolean} [opcoes.comObrigatorios] Incluir a lista `required`
+ *        (para os corpos dos pedidos).
+ * @returns {{ type: "object", properties: Record<string, any>,
+ *             required?: string[] }}
+ */
+export function schemaParaJsonSchema(schema, opcoes = {}) {
+    const {
+        campos = null,
+        omitir = [],
+        renomear = {},
+        comObrigatorios = false,
+    } = opcoes;
+
+    const properties = {};
+    const required = [];
+
+    const caminhos = Object.keys(schema.paths).filter((caminho) => {
+        const topo = caminho.split(".")[0];
+        if (topo === "__v" || omitir.includes(topo)) {
+            return false;
+        }
+        return campos ? campos.includes(topo) : true;
+    });
+
+    // Pela ordem de `campos` (ou com o `_id` primeiro).
+    const ordem = (caminho) => {
+        const topo = caminho.split(".")[0];
+        return campos ? campos.indexOf(topo) : Number(topo !== "_id");
+    };
+    caminhos.sort((a, b) => ordem(a) - ordem(b));
+
+    for (const caminho of caminhos) {
+        const tipo = schema.paths[caminho];
+        const partes = caminho.split(".");
+        partes[0] = renomear[partes[0]] || partes[0];
+
+        // Caminhos com pontos → objetos aninhados.
+        let destino = properties;
+        for (const parte of partes.slice(0, -1)) {
+            destino[parte] ??= { type: "object", properties: {} };
+            destino = destino[parte].properties;
+        }
+        destino[partes.at(-1)] = converterCampo(tipo);
+
+        if (comObrigatorios && partes.length === 1 && eObrigatorio(tipo)) {
+            required.push(partes[0]);
+        }
+    }
+
+    const resultado = { type: "object", properties };
+    if (required.length > 0) {
+        resultado.required = required;
+    }
+    return resultado;
+}
@@ -0,0 +1,155 @@
+/**
+ * src/utils/logger.js
+ * -------------------
+ * Logs estruturados: cada evento é uma linha JSON, fácil de filtrar e de
+ * ler por ferramentas de logs.
+ *
+ *     {"time":"...","level":"error","msg":"Erro ao apagar teoria",
+ *      "requestId":"...","userId":"...","method":"POST",
+ *      "route":"/admin/teorias/:id/apagar","error":{...}}
+ *
+ * - Durante um pedido HTTP, as linhas levam o ID do pedido, a conta que o
+ *   fez, o método e a rota (ver `middlewares/requestMiddleware.js`).
+ * - `info` e `debug` vão para o stdout; `warn` e `error` para o stderr.
+ * - `LOG_LEVEL` escolhe o nível mínimo (`debug`, `info`, `warn`, `error`
+ *   ou `silent`; `info` por omissão; ver `config/env.js`).
+ */
+
+import { AsyncLocalStorage } from "async_hooks";
+
+import { config } from "../config/env.js";
+
+const NIVEIS = { debug: 10, info: 20, warn: 30, error: 40, silent: 100 };
+
+/**
+ * Contexto de um pedido HTTP (ver `identificarPedido`).
+ *
+ * @typedef {{ requestId: string, req: import("express").Request,
+ *             res: import("express").Response,
+ *             route: string|null }} ContextoPedido
+ */
+
+/**
+ * Contexto do pedido HTTP em curso, visível em todo o código chamado a
+ * partir dele, mesmo depois de um `await`.
+ */
+const contextoPedido = new AsyncLocalStorage();
+
+/**
+ * Corre `fn` com o contexto de um pedido (os logs escritos lá dentro levam
+ * os dados do pedido).
+ *
+ * @template T
+ * @param {ContextoPedido} contexto
+ * @param {() => T} fn
+ * @returns {T}
+ */
+export function correrNoPedido(contexto, fn) {
+    return contextoPedido.run(contexto, fn);
+}
+
+/**
+ * Pedido HTTP em curso (ex.: para saber o idioma em `utils/i18n.js`).
+ *
+ * @returns {import("express").Request|null} `null` fora de um pedido
+ *          (scripts, agendador).
+ */
+export function pedidoAtual() {
+    return contextoPedido.getStore()?.req ?? null;
+}
+
+/**
+ * Campos do pedido HTTP para as linhas de log.
+ *
+ * - `userId` só existe depois de `anexarUtilizadorAsViews`.
+ * - `route` é o padrão da rota (`/teorias/:slug`), e não o caminho
+ *   pedido, para os pedidos à mesma rota poderem ser agrupados; fica
+ *   `null` se nenhuma rota responder.
+ *
+ * @param {ContextoPedido} contexto
+ * @returns {{ requestId: string, userId: string|null, method: string,
+ *             route: string|null }}
+ */
+function camposDoPedido({ requestId, req, res, route }) {
+    return {
+        requestId,
+        userId: res.locals.currentUser?.id ?? null,
+        method: req.method,
+        route,
+    };
+}
+
+/**
+ * Converte um erro num objeto que o `JSON.stringify` consegue escrever.
+ *
+ * @param {unknown} error
+ * @returns {object}
+ */
+function serializarErro(error) {
+    if (!(error instanceof Error)) {
+        return { message: String(error) };
+    }
+
+    const resultado = {
+        name: error.name,
+        message: error.message,
+        stack: error.stack,
+    };
+    for (const campo of ["code", "status", "kind", "path"]) {
+        if (error[campo] !== undefined) {
+            resultado[campo] = error[campo];
+        }
+    }
+    return resultado;
+}
+
+/**
+ * Escreve uma linha de log.
+ *
+ * @param {"debug"|"info"|"warn"|"error"} nivel
+ * @param {string} mensagem
+ * @param {Record<string, unknown>} [campos] Dados extra; `error` é
+ *        convertido com a mensagem e o stack.
+ */
+function escrever(nivel, mensagem, campos = {}) {
+    if (NIVEIS[nivel] < NIVEIS[config.logLevel]) {
+        return;
+    }
+
+    const contexto = contextoPedido.getStore();
+    const linha = {
+        time: new Date().toISOString(),
+        level: nivel,
+        msg: mensagem,
+        ...(contexto ? camposDoPedido(contexto) : {}),
+        ...campos,
+    };
+    if (campos.error !== undefined) {
+        linha.error = serializarErro(campos.error);
+    }
+
+    let texto;
+    try {
+        texto = JSON.stringify(linha);
+    } catch {
+        // Ex.: referências circulares num dos campos extra.
+        texto = JSON.stringify({
+            time: linha.time,
+            level: nivel,
+            msg: mensagem,
+            ...(contexto ? camposDoPedido(contexto) : {}),
+            error: linha.error,
+        });
+    }
+
+    const saida =
+        NIVEIS[nivel] >= NIVEIS.warn ? process.stderr : process.stdout;
+    saida.write(`${texto}\n`);
+}
+
+export const logger = {
+    debug: (mensagem, campos) => escrever("debug", mensagem, campos),
+    info: (mensagem, campos) => escrever("info", mensagem, campos),
+    warn: (mensagem, campos) => escrever("warn", mensagem, campos),
+    error: (mensagem, campos) => escrever("error", mensagem, campos),
+};
@@ -0,0 +1,307 @@
+/**
+ * src/utils/search.js
+ * -------------------
+ * Ajudas da pesquisa de teorias que não falam com a base de dados:
+ * destacar os termos encontrados e sugerir uma pesquisa alternativa
+ * ("Querias dizer ...?").
+ *
+ * CONTEXTO:
+ * - Quem encontra as teorias é o índice de texto do MongoDB (ver model
+ *   `Theory`), que ignora acentos e reduz as palavras à raiz ("drones" e
+ *   "drone" dão o mesmo).
+ * - Aqui só decidimos o que sublinhar nos resultados, por isso a
+ *   comparação é mais simples: sem acentos, sem maiúsculas e por prefixo.
+ */
+
+import { removerAcentos } from "./slug.js";
+
+/**
+ * Palavras demasiado comuns para valer a pena destacar (o índice de texto
+ * também as ignora).
+ */
+const PALAVRAS_VAZIAS = new Set([
+    "que",
+    "com",
+    "nao",
+    "uma",
+    "uns",
+    "umas",
+    "dos",
+    "das",
+    "nos",
+    "nas",
+    "por",
+    "para",
+    "pelo",
+    "pela",
+    "sao",
+    "mas",
+    "como",
+    "mais",
+    "seu",
+    "sua",
+]);
+
+const PADRAO_PALAVRA = /[\p{L}\p{N}]+/gu;
+
+/** Caracteres de uma pesquisa que contam (o resto é ignorado). */
+export const TAMANHO_MAXIMO_PESQUISA = 200;
+
+/** Palavras de uma pesquisa que contam (o resto é ignorado). */
+export const PALAVRAS_MAXIMAS_PESQUISA = 12;
+
+/**
+ * Palavras maiores do que isto não entram na sugestão: nenhuma tag se
+ * parece com elas e a distância de edição sairia cara.
+ */
+const TAMANHO_MAXIMO_PALAVRA_SUGESTAO = 30;
+
+/**
+ * Corta uma pesquisa ao tamanho que a aplicação aceita (primeiros
+ * `TAMANHO_MAXIMO_PESQUISA` caracteres e `PALAVRAS_MAXIMAS_PESQUISA`
+ * palavras), para o índice de texto, os destaques e a sugestão não
+ * trabalharem para textos gigantes.
+ *
+ * @param {unknown} q Texto pesquisado (qualquer valor da query string).
+ * @returns {string} Pesquisa cortada, com os espaços normalizados ("" se
+ *          não for texto).
+ */
+export function limitarPesquisa(q) {
+    if (typeof q !== "string") {
+        return "";
+    }
+
+    return q
+        .slice(0, TAMANHO_MAXIMO_PESQUISA)
+        .trim()
+        .split(/\s+/)
+        .slice(0, PALAVRAS_MAXIMAS_PESQUISA)
+        .join(" ");
+}
+
+/**
+ * Minúsculas e sem acentos, para comparar palavras.
+ *
+ * @param {string} palavra
+ * @returns {string}
+ */
+function normalizarPalavra(palavra) {
+    return removerAcentos(palavra).toLowerCase();
+}
+
+/**
+ * Extrai os termos de uma pesquisa (os que vale a pena destacar).
+ *
+ * - Ignora termos excluídos com "-" (ex.: "patos -drones").
+ * - Ignora palavras com menos de 3 letras e palavras vazias ("que", "com").
+ *
+ * @param {string} q Texto pesquisado.
+ * @returns {string[]} Termos normalizados, sem repetidos.
+ */
+export function extrairTermos(q) {
+    const termos = String(q || "")
+        .split(/\s+/)
+        .filter((parte) => !parte.startsWith("-"))
+        .flatMap((parte) => parte.match(PADRAO_PALAVRA) || [])
+        .map(normalizarPalavra)
+        .filter((termo) => termo.length >= 3 && !PALAVRAS_VAZIAS.has(termo));
+
+    return [...new Set(termos)];
+}
+
+/**
+ * Uma palavra do texto corresponde a um termo se um começar pelo outro
+ * ("drone" ↔ "drones", "vigilância" ↔ "vigilancia").
+ *
+ * @param {string} palavra Palavra do texto (normalizada).
+ * @param {string[]} termos Termos da pesquisa (normalizados).
+ * @returns {boolean}
+ */
+function correspondeAlgumTermo(palavra, termos) {
+    return (
+        palavra.length >= 3 &&
+        termos.some(
+            (termo) => palavra.startsWith(termo) || termo.startsWith(palavra)
+        )
+    );
+}
+
+/**
+ * Divide um texto em partes, marcando as palavras que correspondem aos
+ * termos. As vistas escapam cada parte e envolvem as destacadas em
+ * `<mark>` (o texto nunca é tratado como HTML).
+ *
+ * EXEMPLO:
+ * - ("Os patos voam", ["pato"])
+ *   → [{ texto: "Os ", destaque: false }, { texto: "patos", destaque: true },
+ *      { texto: " voam", destaque: false }]
+ *
+ * @param {string} texto Texto original.
+ * @param {string[]} termos Termos (de `extrairTermos`).
+ * @returns {Array<{ texto: string, destaque: boolean }>}
+ */
+export function destacarTermos(texto, termos) {
+    const original = String(texto || "");
+    const partes = [];
+    let inicio = 0;
+
+    for (const encontrada of original.matchAll(PADRAO_PALAVRA)) {
+        const [palavra] = encontrada;
+        if (!correspondeAlgumTermo(normalizarPalavra(palavra), termos)) {
+            continue;
+        }
+        if (encontrada.index > inicio) {
+            partes.push({
+                texto: original.slice(inicio, encontrada.index),
+                destaque: false,
+            });
+        }
+        partes.push({ texto: palavra, destaque: true });
+        inicio = encontrada.index + palavra.length;
+    }
+
+    if (inicio < original.length) {
+        partes.push({ texto: original.slice(inicio), destaque: false });
+    }
+    return partes;
+}
+
+/**
+ * Recorta um excerto do texto à volta da primeira palavra encontrada,
+ * já dividido em partes (ver `destacarTermos`).
+ *
+ * - O corte é feito entre palavras, com "…" onde o texto continua.
+ * - Sem nenhuma palavra encontrada, devolve `null` (o cartão mostra só o
+ *   resumo).
+ *
+ * @param {string} texto Texto completo (ex.: o conteúdo da teoria).
+ * @param {string[]} termos Termos (de `extrairTermos`).
+ * @param {number} [tamanho] Tamanho aproximado do excerto (caracteres).
+ * @returns {Array<{ texto: string, destaque: boolean }>|null}
+ */
+export function gerarExcerto(texto, termos, tamanho = 220) {
+    const original = String(texto || "");
+
+    const primeira = [...original.matchAll(PADRAO_PALAVRA)].find(([palavra]) =>
+        correspondeAlgumTermo(normalizarPalavra(palavra), termos)
+    );
+    if (!primeira) {
+        return null;
+    }
+
+    // Um pouco de contexto antes da palavra; o resto depois.
+    let inicio = Math.max(0, primeira.index - Math.floor(tamanho / 4));
+    let fim = Math.min(original.length, inicio + tamanho);
+
+    if (inicio > 0) {
+        const espaco = original.indexOf(" ", inicio);
+        inicio = espaco >= 0 && espaco < primeira.index ? espaco + 1 : inicio;
+    }
+    if (fim < original.length) {
+        const espaco = original.lastIndexOf(" ", fim);
+        fim = espaco > primeira.index ? espaco : fim;
+    }
+
+    const partes = destacarTermos(original.slice(inicio, fim).trim(), termos);
+    if (inicio > 0) {
+        partes.unshift({ texto: "… ", destaque: false });
+    }
+    if (fim < original.length) {
+        partes.push({ texto: " …", destaque: false });
+    }
+    return partes;
+}
+
+/**
+ * Distância de edição (Levenshtein) entre duas palavras: quantas letras é
+ * preciso trocar, acrescentar ou tirar para passar de uma à outra.
+ *
+ * @param {string} a
+ * @param {string} b
+ * @returns {number}
+ */
+function distanciaEdicao(a, b) {
+    let anterior = Array.from({ length: b.length + 1 }, (_, j) => j);
+
+    for (let i = 1; i <= a.length; i += 1) {
+        const atual = [i];
+        for (let j = 1; j <= b.length; j += 1) {
+            atual[j] = Math.min(
+                anterior[j] + 1,
+                atual[j - 1] + 1,
+                anterior[j - 1] + (a[i - 1] === b[j - 1] ? 0 : 1)
+            );
+        }
+        anterior = atual;
+    }
+    return anterior[b.length];
+}
+
+/**
+ * Sugere uma pesquisa alternativa quando a pesquisa não deu resultados,
+ * trocando cada palavra mal escrita pela palavra mais parecida do
+ * vocabulário (as tags das teorias publicadas).
+ *
+ * EXEMPLO:
+ * - ("vigilansia urbna", ["vigilância urbana", "animais"])
+ *   → "vigilância urbana"
+ *
+ * REGRAS:
+ * - Palavras curtas (menos de 3 letras), muito compridas (mais de 30) e
+ *   palavras que já existem no vocabulário ficam como estão.
+ * - A pesquisa é cortada primeiro (ver `limitarPesquisa`).
+ * - Só se troca uma palavra se a diferença for pequena: 1 letra até 4
+ *   letras, 2 até 8 letras, 3 a partir daí.
+ *
+ * @param {string} q Texto pesquisado.
+ * @param {string[]} vocabulario Tags conhecidas.
+ * @returns {string|null} Pesquisa sugerida, ou `null` se não houver.
+ */
+export function sugerirPesquisa(q, vocabulario) {
+    // Palavra normalizada → como aparece nas tags.
+    const palavras = new Map();
+    vocabulario
+        .flatMap((tag) => String(tag).match(PADRAO_PALAVRA) || [])
+        .forEach((palavra) => {
+            const normalizada = normalizarPalavra(palavra);
+            if (normalizada.length >= 3 && !palavras.has(normalizada)) {
+                palavras.set(normalizada, palavra);
+            }
+        });
+
+    let mudou = false;
+    const sugestao = limitarPesquisa(String(q || ""))
+        .split(" ")
+        .map((palavra) => {
+            const normalizada = normalizarPalavra(palavra);
+            if (
+                normalizada.length < 3 ||
+                normalizada.length > TAMANHO_MAXIMO_PALAVRA_SUGESTAO ||
+                palavras.has(normalizada)
+            ) {
+                return palavra;
+            }
+
+            const limite =
+                normalizada.length <= 4 ? 1 : normalizada.length <= 8 ? 2 : 3;
+            let melhor = null;
+            let melhorDistancia = limite + 1;
+
+            for (const [candidata, original] of palavras) {
+                const distancia = distanciaEdicao(normalizada, candidata);
+                if (distancia < melhorDistancia) {
+                    melhor = original;
+                    melhorDistancia = distancia;
+                }
+            }
+
+            if (!melhor) {
+                return palavra;
+            }
+            mudou = true;
+            return melhor;
+        })
+        .join(" ");
+
+    return mudou ? sugestao : null;
+}
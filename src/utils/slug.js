@@ -0,0 +1,81 @@
+/**
+ * src/utils/slug.js
+ * -----------------
+ * Funções auxiliares para gerar slugs (a parte "bonita" dos URLs).
+ *
+ * CONTEXTO:
+ * - As vistas usam links do tipo `/teorias/<slug>`.
+ * - Antes, só o `scripts/seed.js` sabia construir um slug; agora o model
+ *   `Theory` também precisa, por isso a função vive aqui e é partilhada.
+ */
+
+/**
+ * Remove os acentos de um texto ("vigilância" → "vigilancia").
+ *
+ * Também usado pela pesquisa, para comparar palavras com e sem acentos.
+ *
+ * @param {string} texto Texto original.
+ * @returns {string} Texto sem acentos (o resto fica igual).
+ */
+export function removerAcentos(texto) {
+    return String(texto || "")
+        .normalize("NFD")
+        .replace(/[\u0300-\u036f]/g, "");
+}
+
+/**
+ * Gera um slug simples a partir de um título.
+ *
+ * EXEMPLOS:
+ * - "Teoria dos semáforos empáticos" → "teoria-dos-semaforos-empaticos"
+ * - " Chips de café na água"          → "chips-de-cafe-na-agua"
+ *
+ * REGRAS:
+ * - converte para minúsculas;
+ * - remove acentos básicos;
+ * - troca espaços por hífens;
+ * - remove qualquer coisa que não seja letra, número ou hífen.
+ *
+ * @param {string} title Título original da teoria.
+ * @returns {string} Slug pronto a usar em URLs.
+ */
+export function gerarSlug(title) {
+    return removerAcentos(title)
+        .toLowerCase()
+        .trim()
+        .replace(/[^a-z0-9\s-]/g, "") // remove caracteres estranhos
+        .replace(/\s+/g, "-") // troca espaços por hífens
+        .replace(/-+/g, "-") // evita hífens repetidos
+        .replace(/^-|-$/g, ""); // evita hífens no início e no fim
+}
+
+/**
+ * Escolhe o primeiro slug livre a partir de uma base, acrescentando um
+ * sufixo numérico em caso de colisão ("base", "base-2", "base-3", ...).
+ *
+ * @param {string} base Slug base (já normalizado com `gerarSlug`).
+ * @param {Set<string>} ocupados Slugs que já estão a ser usados.
+ * @returns {string} Slug único.
+ */
+export function escolherSlugLivre(base, ocupados) {
+    if (!ocupados.has(base)) {
+        return base;
+    }
+
+    let sufixo = 2;
+    while (ocupados.has(`${base}-${sufixo}`)) {
+        sufixo += 1;
+    }
+
+    return `${base}-${sufixo}`;
+}
+
+/**
+ * Escapa um texto para poder ser usado dentro de uma expressão regular.
+ *
+ * @param {string} texto Texto original.
+ * @returns {string} Texto seguro para `new RegExp(...)`.
+ */
+export function escaparRegex(texto) {
+    return String(texto).replace(/[.*+?^${}()|[\]\\]/g, "\\$&");
+}
@@ -0,0 +1,63 @@
+/**
+ * src/utils/url.js
+ * ----------------
+ * Ajuda a construir URLs absolutos (para links em emails, feeds, ...) e a
+ * validar caminhos de regresso vindos dos formulários.
+ */
+
+import { config } from "../config/env.js";
+
+/**
+ * Devolve o URL base da aplicação, sem "/" no fim.
+ *
+ * - Se `APP_URL` estiver definido no `.env`, usa esse valor (recomendado
+ *   em produção, para não depender do cabeçalho `Host` do pedido).
+ * - Caso contrário, constrói-o a partir do pedido atual.
+ *
+ * Não usar nos links enviados por email (ver `urlBaseEmails`).
+ *
+ * @param {import("express").Request} req Pedido HTTP.
+ * @returns {string} Ex.: "http://localhost:3000".
+ */
+export function obterUrlBase(req) {
+    return config.appUrl || `${req.protocol}://${req.get("host")}`;
+}
+
+/**
+ * URL base dos links enviados por email (recuperação de password,
+ * confirmação de email, convites), sem "/" no fim.
+ *
+ * Nunca vem do pedido: com um `Host` forjado, quem pede a recuperação da
+ * password de outra pessoa recebia um link (com o token) para o próprio
+ * site. Em produção o `APP_URL` é obrigatório (ver `config/env.js`); em
+ * desenvolvimento, sem ele, vale o endereço local.
+ *
+ * @returns {string} Ex.: "https://conspira.example".
+ */
+export function urlBaseEmails() {
+    return config.appUrl || `http://localhost:${config.port}`;
+}
+
+/**
+ * Valida um caminho de regresso vindo de um formulário (ex.: o campo
+ * `voltar` do botão de favorito), para não redirecionar para fora da app.
+ *
+ * - Aceita só caminhos locais ("/teorias?page=2").
+ * - Recusa URLs absolutos e "//outro-site" (que o browser trata como
+ *   absoluto).
+ *
+ * @param {unknown} valor Caminho recebido.
+ * @param {string} omissao Caminho a usar se o recebido não servir.
+ * @returns {string}
+ */
+export function caminhoLocal(valor, omissao) {
+    if (
+        typeof valor !== "string" ||
+        !valor.startsWith("/") ||
+        valor.startsWith("//") ||
+        valor.includes("\\")
+    ) {
+        return omissao;
+    }
+    return valor;
+}
@@ -0,0 +1,60 @@
+/**
+ * src/utils/validation.js
+ * -----------------------
+ * Ajuda a transformar erros de validação do Mongoose em mensagens que o
+ * utilizador consegue perceber.
+ *
+ * CONTEXTO:
+ * - As regras (campos obrigatórios, tamanhos mínimos, enums) vivem nos
+ *   schemas (`src/models`), cada uma com a chave da sua mensagem nos
+ *   catálogos de traduções (`src/locales`).
+ * - Quando um `save()` falha, o Mongoose lança um `ValidationError` com um
+ *   objeto `errors` (um erro por campo).
+ * - Aqui convertemos esse objeto numa lista simples, pronta para o partial
+ *   `_alerts.ejs` (que espera um array `erros`).
+ */
+
+import mongoose from "mongoose";
+
+import { t } from "./i18n.js";
+
+/**
+ * Indica se um erro é um `ValidationError` do Mongoose.
+ *
+ * @param {unknown} error Erro apanhado num `catch`.
+ * @returns {boolean}
+ */
+export function eErroDeValidacao(error) {
+    return error instanceof mongoose.Error.ValidationError;
+}
+
+/**
+ * Converte um `ValidationError` numa lista `{ campo, mensagem }`.
+ *
+ * - As mensagens dos schemas são chaves do catálogo (ver `utils/i18n.js`)
+ *   e saem traduzidas no idioma do pedido.
+ * - Erros de tipo (`CastError`, ex.: texto num campo numérico) recebem uma
+ *   mensagem genérica, porque a mensagem original é técnica.
+ *
+ * @param {import("mongoose").Error.ValidationError} error Erro do Mongoose.
+ * @returns {Array<{ campo: string, mensagem: string }>}
+ */
+export function mapearErrosValidacao(error) {
+    return Object.values(error.errors).map((erroCampo) => ({
+        campo: erroCampo.path,
+        mensagem:
+            erroCampo.name === "CastError"
+                ? t("validacao.valorInvalido", { campo: erroCampo.path })
+                : t(erroCampo.message),
+    }));
+}
+
+/**
+ * Atalho para obter só as mensagens (formato usado pelo `_alerts.ejs`).
+ *
+ * @param {import("mongoose").Error.ValidationError} error Erro do Mongoose.
+ * @returns {string[]}
+ */
+export function mensagensDeValidacao(error) {
+    return mapearErrosValidacao(error).map((e) => e.mensagem);
+}